@@ -31,6 +31,8 @@ export default [
         setInterval: 'readonly',
         clearInterval: 'readonly',
         navigator: 'readonly',
+        Worker: 'readonly',
+        URL: 'readonly',
         import: 'readonly',
         importMeta: 'readonly',
       },
@@ -49,5 +51,11 @@ export default [
       'react/react-in-jsx-scope': 'off',
     },
   },
+  {
+    files: ['**/*.worker.js'],
+    languageOptions: {
+      globals: { self: 'readonly' },
+    },
+  },
   prettier,
 ]
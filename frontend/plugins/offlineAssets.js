@@ -0,0 +1,185 @@
+/**
+ * Vite plugin for offline play: serves and bundles the MediaPipe WASM from node_modules and the
+ * landmarker models from `models/` (see scripts/fetch-models.js), exposes their URLs to the app
+ * through `virtual:offline-assets`, and emits `sw.js` with a precache list of the whole build.
+ * Models that were not fetched keep their CDN URL (the service worker caches them on first use).
+ */
+
+import { createHash } from 'node:crypto'
+import {
+  createReadStream,
+  existsSync,
+  readFileSync,
+  readdirSync,
+} from 'node:fs'
+import { dirname, join, relative, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..')
+const VIRTUAL_ID = 'virtual:offline-assets'
+const RESOLVED_VIRTUAL_ID = `\0${VIRTUAL_ID}`
+
+export const WASM_DIR = join(ROOT, 'node_modules/@mediapipe/tasks-vision/wasm')
+export const MODELS_DIR = join(ROOT, 'models')
+/** Public paths (relative to the app base) the assets are served from */
+export const WASM_PATH = 'mediapipe/wasm'
+export const MODELS_PATH = 'models'
+
+/** Landmarker models: bundled when present in MODELS_DIR, loaded from the CDN otherwise. */
+export const MEDIAPIPE_MODELS = {
+  face: {
+    file: 'face_landmarker.task',
+    url: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/latest/face_landmarker.task',
+  },
+  hand: {
+    file: 'hand_landmarker.task',
+    url: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/latest/hand_landmarker.task',
+  },
+}
+
+const CONTENT_TYPES = {
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm',
+  '.task': 'application/octet-stream',
+}
+
+/** Files of a directory (recursively), as paths relative to it. */
+function listFiles(dir) {
+  if (!existsSync(dir)) return []
+  return readdirSync(dir, { withFileTypes: true, recursive: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) =>
+      relative(dir, join(entry.parentPath ?? entry.path, entry.name)),
+    )
+    .map((file) => file.split('\\').join('/'))
+}
+
+/** Serve `dir` under `prefix` in the dev server. */
+function serveDirectory(server, prefix, dir) {
+  server.middlewares.use(prefix, (req, res, next) => {
+    const name = decodeURIComponent((req.url ?? '').split('?')[0]).replace(
+      /^\/+/,
+      '',
+    )
+    const file = join(dir, name)
+    if (!name || name.includes('..') || !existsSync(file)) {
+      next()
+      return
+    }
+    const extension = name.slice(name.lastIndexOf('.'))
+    res.setHeader(
+      'Content-Type',
+      CONTENT_TYPES[extension] ?? 'application/octet-stream',
+    )
+    createReadStream(file).pipe(res)
+  })
+}
+
+/** @returns {import('vite').Plugin} */
+export function offlineAssets() {
+  let config
+  const bundledModels = () =>
+    Object.fromEntries(
+      Object.entries(MEDIAPIPE_MODELS).map(([key, model]) => [
+        key,
+        existsSync(join(MODELS_DIR, model.file)),
+      ]),
+    )
+
+  return {
+    name: 'cvify-offline-assets',
+    enforce: 'post',
+
+    configResolved(resolved) {
+      config = resolved
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_VIRTUAL_ID : null
+    },
+
+    load(id) {
+      if (id !== RESOLVED_VIRTUAL_ID) return null
+      const bundled = bundledModels()
+      const modelUrls = Object.fromEntries(
+        Object.entries(MEDIAPIPE_MODELS).map(([key, model]) => [
+          key,
+          bundled[key]
+            ? { path: `${MODELS_PATH}/${model.file}` }
+            : { url: model.url },
+        ]),
+      )
+      return [
+        `export const WASM_PATH = ${JSON.stringify(WASM_PATH)}`,
+        `export const MODELS = ${JSON.stringify(modelUrls)}`,
+      ].join('\n')
+    },
+
+    buildStart() {
+      if (config.command !== 'build') return
+      const bundled = bundledModels()
+      const missing = Object.keys(bundled).filter((key) => !bundled[key])
+      if (missing.length) {
+        this.warn(
+          `Models not bundled (${missing.join(', ')}): they load from the CDN. ` +
+            'Run `npm run fetch-models` for a fully offline build.',
+        )
+      }
+    },
+
+    configureServer(server) {
+      serveDirectory(server, `${config.base}${WASM_PATH}`, WASM_DIR)
+      serveDirectory(server, `${config.base}${MODELS_PATH}`, MODELS_DIR)
+    },
+
+    generateBundle(_options, bundle) {
+      const hash = createHash('sha256')
+      const emit = (fileName, path) => {
+        const source = readFileSync(path)
+        hash.update(source)
+        this.emitFile({ type: 'asset', fileName, source })
+        return fileName
+      }
+      const assets = [
+        ...listFiles(WASM_DIR).map((file) =>
+          emit(`${WASM_PATH}/${file}`, join(WASM_DIR, file)),
+        ),
+        ...Object.values(MEDIAPIPE_MODELS)
+          .filter((model) => existsSync(join(MODELS_DIR, model.file)))
+          .map((model) =>
+            emit(`${MODELS_PATH}/${model.file}`, join(MODELS_DIR, model.file)),
+          ),
+      ]
+
+      /* Everything the app needs offline; the version changes whenever any of it does */
+      const files = [
+        ...new Set([
+          'index.html',
+          ...Object.keys(bundle).filter((file) => !file.endsWith('.map')),
+          ...listFiles(config.publicDir),
+          ...assets,
+        ]),
+      ].sort()
+      for (const file of files) {
+        hash.update(file)
+        const chunk = bundle[file]
+        if (chunk) {
+          hash.update(chunk.type === 'chunk' ? chunk.code : chunk.source)
+        }
+      }
+      const manifest = { version: hash.digest('hex').slice(0, 12), files }
+      const template = readFileSync(
+        join(ROOT, 'plugins/serviceWorker.js'),
+        'utf8',
+      )
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: template.replace(
+          'const PRECACHE = self.__PRECACHE_MANIFEST',
+          `const PRECACHE = ${JSON.stringify(manifest)}`,
+        ),
+      })
+    },
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Service worker template: offlineAssets emits it as `sw.js` with the build's precache manifest
+ * `{ version, files }` in place of self.__PRECACHE_MANIFEST.
+ * Installing caches the whole build (app shell, MediaPipe WASM, bundled models); every other GET
+ * (e.g. models still loaded from the CDN) is cached the first time it succeeds.
+ */
+
+/* global self, caches, fetch */
+
+const PRECACHE = self.__PRECACHE_MANIFEST
+const CACHE_PREFIX = 'cvify-'
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${PRECACHE.version}`
+const RUNTIME_NAME = `${CACHE_PREFIX}runtime`
+
+const scopeUrl = (file) => new URL(file, self.registration.scope).href
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(PRECACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE.files.map(scopeUrl)))
+      .then(() => self.skipWaiting()),
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter(
+              (name) =>
+                name.startsWith(CACHE_PREFIX) &&
+                name !== PRECACHE_NAME &&
+                name !== RUNTIME_NAME,
+            )
+            .map((name) => caches.delete(name)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  )
+})
+
+/** Cached response, else the network (kept for next time when it is a plain or CORS response). */
+async function cacheFirst(request) {
+  const cached = await caches.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok && (response.type === 'basic' || response.type === 'cors')) {
+    const copy = response.clone()
+    caches.open(RUNTIME_NAME).then((cache) => cache.put(request, copy))
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET' || !request.url.startsWith('http')) return
+  if (request.mode === 'navigate') {
+    /* Client-side routes all render the cached shell: no waiting on a flaky network */
+    event.respondWith(
+      caches
+        .match(scopeUrl('index.html'))
+        .then((cached) => cached ?? fetch(request)),
+    )
+    return
+  }
+  event.respondWith(cacheFirst(request))
+})
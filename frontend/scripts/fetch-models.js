@@ -0,0 +1,32 @@
+/**
+ * Download the MediaPipe landmarker models into frontend/models/ so `npm run build` bundles them
+ * and the installed app works fully offline. Already downloaded models are skipped; pass --force
+ * to download them again.
+ *
+ *   npm run fetch-models [-- --force]
+ */
+
+import { existsSync, mkdirSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { MEDIAPIPE_MODELS, MODELS_DIR } from '../plugins/offlineAssets.js'
+
+const force = process.argv.includes('--force')
+
+mkdirSync(MODELS_DIR, { recursive: true })
+
+for (const { file, url } of Object.values(MEDIAPIPE_MODELS)) {
+  const target = join(MODELS_DIR, file)
+  if (existsSync(target) && !force) {
+    console.log(`${file}: already downloaded`)
+    continue
+  }
+  const response = await fetch(url)
+  if (!response.ok) {
+    console.error(`${file}: download failed (${response.status} ${url})`)
+    process.exitCode = 1
+    continue
+  }
+  const data = Buffer.from(await response.arrayBuffer())
+  writeFileSync(target, data)
+  console.log(`${file}: ${(data.length / 1024 / 1024).toFixed(1)} MB`)
+}
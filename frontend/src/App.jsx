@@ -2,16 +2,21 @@ import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import { LandingPage } from './pages/LandingPage'
 import { SnakeCVPage } from './pages/SnakeCVPage'
 import { SlitherPage } from './pages/SlitherPage'
+import { OfflineIndicator } from './components/OfflineIndicator'
+import { HeadPointerProvider } from './components/HeadPointer'
 import './App.css'
 
 function App() {
   return (
     <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<LandingPage />} />
-        <Route path="/games/snake" element={<SnakeCVPage />} />
-        <Route path="/games/slither" element={<SlitherPage />} />
-      </Routes>
+      <HeadPointerProvider>
+        <Routes>
+          <Route path="/" element={<LandingPage />} />
+          <Route path="/games/snake" element={<SnakeCVPage />} />
+          <Route path="/games/slither" element={<SlitherPage />} />
+        </Routes>
+      </HeadPointerProvider>
+      <OfflineIndicator />
     </BrowserRouter>
   )
 }
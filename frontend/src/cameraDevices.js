@@ -0,0 +1,99 @@
+/**
+ * Camera selection: device enumeration, resolution / frame-rate presets, getUserMedia
+ * constraints and the remembered choice (localStorage).
+ */
+
+export const CAMERA_STORAGE_KEY = 'cvified_camera'
+
+/** Resolution / frame-rate presets; `sd` matches the original fixed 640×480 request. */
+export const CAMERA_PRESETS = {
+  sd: { label: '640×480', width: 640, height: 480, frameRate: 30 },
+  hd: { label: '1280×720', width: 1280, height: 720, frameRate: 30 },
+  hd60: { label: '1280×720 · 60 fps', width: 1280, height: 720, frameRate: 60 },
+  low: { label: '320×240 (low power)', width: 320, height: 240, frameRate: 30 },
+}
+
+/** @typedef {{ deviceId: string | null, preset: string }} CameraPreference */
+
+/** @type {CameraPreference} */
+export const DEFAULT_CAMERA_PREFERENCE = { deviceId: null, preset: 'sd' }
+
+/**
+ * Video constraints for getUserMedia. The device is requested `exact` so a missing camera fails
+ * fast (callers fall back to the default device); size and frame rate are `ideal` hints.
+ * @param {CameraPreference} preference
+ * @returns {MediaTrackConstraints}
+ */
+export function buildVideoConstraints(preference) {
+  const preset =
+    CAMERA_PRESETS[preference?.preset] ??
+    CAMERA_PRESETS[DEFAULT_CAMERA_PREFERENCE.preset]
+  const constraints = {
+    width: { ideal: preset.width },
+    height: { ideal: preset.height },
+    frameRate: { ideal: preset.frameRate },
+  }
+  if (preference?.deviceId) {
+    constraints.deviceId = { exact: preference.deviceId }
+  }
+  return constraints
+}
+
+/**
+ * Video inputs with display labels (labels are empty until camera permission is granted).
+ * @param {MediaDevices} [mediaDevices]
+ * @returns {Promise<Array<{ deviceId: string, label: string }>>}
+ */
+export async function listCameras(mediaDevices = navigator.mediaDevices) {
+  if (!mediaDevices?.enumerateDevices) return []
+  const devices = await mediaDevices.enumerateDevices()
+  return devices
+    .filter((device) => device.kind === 'videoinput')
+    .map((device, i) => ({
+      deviceId: device.deviceId,
+      label: device.label || `Camera ${i + 1}`,
+    }))
+}
+
+/**
+ * Whether a getUserMedia failure means the requested device is gone (retry with the default).
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isMissingDeviceError(err) {
+  const name = err?.name ?? ''
+  return (
+    name === 'NotFoundError' ||
+    name === 'OverconstrainedError' ||
+    name === 'NotReadableError'
+  )
+}
+
+/** @returns {CameraPreference} */
+export function loadCameraPreference() {
+  try {
+    const raw = window.localStorage.getItem(CAMERA_STORAGE_KEY)
+    const data = raw ? JSON.parse(raw) : null
+    return {
+      deviceId:
+        typeof data?.deviceId === 'string' && data.deviceId
+          ? data.deviceId
+          : null,
+      preset:
+        data?.preset in CAMERA_PRESETS
+          ? data.preset
+          : DEFAULT_CAMERA_PREFERENCE.preset,
+    }
+  } catch {
+    return DEFAULT_CAMERA_PREFERENCE
+  }
+}
+
+/** @param {CameraPreference} preference */
+export function saveCameraPreference(preference) {
+  try {
+    window.localStorage.setItem(CAMERA_STORAGE_KEY, JSON.stringify(preference))
+  } catch {
+    /* ignore */
+  }
+}
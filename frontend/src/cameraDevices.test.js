@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  CAMERA_STORAGE_KEY,
+  DEFAULT_CAMERA_PREFERENCE,
+  buildVideoConstraints,
+  listCameras,
+  isMissingDeviceError,
+  loadCameraPreference,
+  saveCameraPreference,
+} from './cameraDevices'
+
+describe('cameraDevices', () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+  })
+
+  it('keeps the original 640×480 request by default', () => {
+    expect(buildVideoConstraints(DEFAULT_CAMERA_PREFERENCE)).toEqual({
+      width: { ideal: 640 },
+      height: { ideal: 480 },
+      frameRate: { ideal: 30 },
+    })
+  })
+
+  it('requests the chosen device exactly and the preset as hints', () => {
+    expect(
+      buildVideoConstraints({ deviceId: 'cam-2', preset: 'hd60' }),
+    ).toEqual({
+      width: { ideal: 1280 },
+      height: { ideal: 720 },
+      frameRate: { ideal: 60 },
+      deviceId: { exact: 'cam-2' },
+    })
+  })
+
+  it('falls back to the default preset for unknown ids', () => {
+    expect(buildVideoConstraints({ deviceId: null, preset: 'nope' })).toEqual(
+      buildVideoConstraints(DEFAULT_CAMERA_PREFERENCE),
+    )
+  })
+
+  it('lists video inputs with fallback labels', async () => {
+    const mediaDevices = {
+      enumerateDevices: async () => [
+        { kind: 'audioinput', deviceId: 'mic', label: 'Mic' },
+        { kind: 'videoinput', deviceId: 'a', label: 'FaceTime HD' },
+        { kind: 'videoinput', deviceId: 'b', label: '' },
+      ],
+    }
+    await expect(listCameras(mediaDevices)).resolves.toEqual([
+      { deviceId: 'a', label: 'FaceTime HD' },
+      { deviceId: 'b', label: 'Camera 2' },
+    ])
+    await expect(listCameras({})).resolves.toEqual([])
+  })
+
+  it('recognizes errors caused by a missing or busy device', () => {
+    expect(isMissingDeviceError({ name: 'OverconstrainedError' })).toBe(true)
+    expect(isMissingDeviceError({ name: 'NotFoundError' })).toBe(true)
+    expect(isMissingDeviceError({ name: 'NotAllowedError' })).toBe(false)
+    expect(isMissingDeviceError(null)).toBe(false)
+  })
+
+  it('remembers the chosen camera and preset', () => {
+    expect(loadCameraPreference()).toEqual(DEFAULT_CAMERA_PREFERENCE)
+    saveCameraPreference({ deviceId: 'cam-2', preset: 'hd' })
+    expect(loadCameraPreference()).toEqual({ deviceId: 'cam-2', preset: 'hd' })
+  })
+
+  it('ignores invalid stored preferences', () => {
+    window.localStorage.setItem(
+      CAMERA_STORAGE_KEY,
+      JSON.stringify({ deviceId: 42, preset: '8k' }),
+    )
+    expect(loadCameraPreference()).toEqual(DEFAULT_CAMERA_PREFERENCE)
+    window.localStorage.setItem(CAMERA_STORAGE_KEY, '{')
+    expect(loadCameraPreference()).toEqual(DEFAULT_CAMERA_PREFERENCE)
+  })
+})
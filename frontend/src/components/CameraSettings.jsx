@@ -0,0 +1,58 @@
+import { CAMERA_PRESETS } from '../cameraDevices'
+
+/**
+ * Camera device and resolution selects for the game toolbars (state lives in useHeadTracking).
+ * "Default" follows the browser's default camera; a remembered camera that has been unplugged
+ * falls back to it automatically.
+ */
+export function CameraSettings({
+  cameras,
+  cameraPreference,
+  activeCameraId,
+  onChange,
+}) {
+  const rememberedMissing =
+    cameraPreference.deviceId != null &&
+    cameras.length > 0 &&
+    !cameras.some((camera) => camera.deviceId === cameraPreference.deviceId)
+
+  return (
+    <>
+      <label className="sensitivity-label">
+        <span className="sensitivity-text">Camera</span>
+        <select
+          className="control-select"
+          value={rememberedMissing ? '' : (cameraPreference.deviceId ?? '')}
+          onChange={(e) => onChange({ deviceId: e.target.value || null })}
+          aria-label="Camera device"
+        >
+          <option value="">Default</option>
+          {cameras.map((camera) => (
+            <option key={camera.deviceId} value={camera.deviceId}>
+              {camera.label}
+              {camera.deviceId === activeCameraId &&
+              cameraPreference.deviceId == null
+                ? ' (in use)'
+                : ''}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="sensitivity-label">
+        <span className="sensitivity-text">Quality</span>
+        <select
+          className="control-select"
+          value={cameraPreference.preset}
+          onChange={(e) => onChange({ preset: e.target.value })}
+          aria-label="Camera resolution and frame rate"
+        >
+          {Object.entries(CAMERA_PRESETS).map(([id, preset]) => (
+            <option key={id} value={id}>
+              {preset.label}
+            </option>
+          ))}
+        </select>
+      </label>
+    </>
+  )
+}
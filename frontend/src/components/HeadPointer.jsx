@@ -0,0 +1,194 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { useHeadTracking } from '../useHeadTracking'
+import { loadActiveProfile } from '../profiles'
+import {
+  HEAD_POINTER_CLICK_MODES,
+  HEAD_POINTER_CLICK_MODE_LABELS,
+  HeadPointerContext,
+  activatePointerTarget,
+  createDwellClicker,
+  findPointerTarget,
+  getPointerPosition,
+  loadHeadPointerSettings,
+  saveHeadPointerSettings,
+} from '../headPointer'
+
+/**
+ * Cursor, target highlight and dwell ring for one tracker's player 1. Clicks by dwell, or by the
+ * chosen gesture on whatever is highlighted.
+ * @param {{ tracker: import('../headTracker').HeadTracker, clickMode: string }} props
+ */
+function HeadPointerCursor({ tracker, clickMode }) {
+  const [pointer, setPointer] = useState(null)
+  const targetRef = useRef(null)
+
+  useEffect(() => {
+    const dwell = createDwellClicker()
+    const activate = (player) => {
+      if (player === 0 && targetRef.current) {
+        activatePointerTarget(targetRef.current)
+      }
+    }
+    const stopPoint = tracker.on('point', (point, player) => {
+      if (player !== 0) return
+      const position = getPointerPosition(point)
+      const x = position.x * window.innerWidth
+      const y = position.y * window.innerHeight
+      const target = findPointerTarget(x, y)
+      targetRef.current = target
+      const { progress, click } =
+        clickMode === HEAD_POINTER_CLICK_MODES.DWELL
+          ? dwell.update(target, performance.now())
+          : { progress: 0, click: false }
+      if (click) activatePointerTarget(target)
+      setPointer({
+        x,
+        y,
+        rect: target?.getBoundingClientRect() ?? null,
+        progress,
+      })
+    })
+    const stopGesture =
+      clickMode === HEAD_POINTER_CLICK_MODES.MOUTH
+        ? tracker.on('mouthOpen', activate)
+        : clickMode === HEAD_POINTER_CLICK_MODES.BLINK
+          ? tracker.on('gesture', (gesture, player) => {
+              if (gesture === 'blink') activate(player)
+            })
+          : null
+    return () => {
+      stopPoint()
+      stopGesture?.()
+      targetRef.current = null
+    }
+  }, [tracker, clickMode])
+
+  if (!pointer) return null
+  const { x, y, rect, progress } = pointer
+  return (
+    <div className="head-pointer" aria-hidden="true">
+      {rect ? (
+        <div
+          className="head-pointer-highlight"
+          style={{
+            left: rect.left,
+            top: rect.top,
+            width: rect.width,
+            height: rect.height,
+          }}
+        />
+      ) : null}
+      <div
+        className="head-pointer-cursor"
+        style={{
+          transform: `translate(${x}px, ${y}px)`,
+          '--head-pointer-progress': progress,
+        }}
+      />
+    </div>
+  )
+}
+
+/**
+ * Pages without head tracking of their own (the landing page): a hidden camera with the active
+ * profile's calibration, confirmed (or recalibrated) on start.
+ * @param {{ clickMode: string }} props
+ */
+function HeadPointerCamera({ clickMode }) {
+  const [profile] = useState(loadActiveProfile)
+  const {
+    tracker,
+    videoRef,
+    isCalibrating,
+    calibrationMessage,
+    confirmNeutral,
+  } = useHeadTracking({
+    faceEnabled: true,
+    rangeMapping: profile.rangeMapping,
+    savedCalibration: profile.calibration,
+  })
+
+  useEffect(() => {
+    confirmNeutral()
+  }, [confirmNeutral])
+
+  return (
+    <>
+      <video
+        ref={videoRef}
+        className="head-pointer-video"
+        muted
+        playsInline
+        aria-hidden="true"
+      />
+      {isCalibrating ? (
+        <p className="head-pointer-status" role="status">
+          {calibrationMessage}
+        </p>
+      ) : null}
+      <HeadPointerCursor tracker={tracker} clickMode={clickMode} />
+    </>
+  )
+}
+
+/**
+ * App-wide head pointer (see headPointer): a corner toggle and click-mode picker, remembered
+ * across visits. While on, the cursor follows the current page's tracker (useHeadPointerSource)
+ * or, where the page has none, a camera of its own.
+ * @param {{ children: React.ReactNode }} props
+ */
+export function HeadPointerProvider({ children }) {
+  const [settings, setSettings] = useState(loadHeadPointerSettings)
+  const [pageTracker, setPageTracker] = useState(null)
+
+  const registerTracker = useCallback((tracker) => {
+    setPageTracker(tracker)
+    return () =>
+      setPageTracker((current) => (current === tracker ? null : current))
+  }, [])
+
+  const update = (change) => {
+    const next = { ...settings, ...change }
+    saveHeadPointerSettings(next)
+    setSettings(next)
+  }
+
+  return (
+    <HeadPointerContext.Provider value={registerTracker}>
+      {children}
+      <div className="head-pointer-controls">
+        <button
+          type="button"
+          className="ghost"
+          aria-pressed={settings.enabled}
+          onClick={() => update({ enabled: !settings.enabled })}
+        >
+          Head pointer
+        </button>
+        {settings.enabled ? (
+          <select
+            value={settings.clickMode}
+            onChange={(event) => update({ clickMode: event.target.value })}
+            aria-label="Head pointer click"
+          >
+            {Object.values(HEAD_POINTER_CLICK_MODES).map((mode) => (
+              <option key={mode} value={mode}>
+                {HEAD_POINTER_CLICK_MODE_LABELS[mode]}
+              </option>
+            ))}
+          </select>
+        ) : null}
+      </div>
+      {settings.enabled ? (
+        pageTracker ? (
+          <HeadPointerCursor
+            tracker={pageTracker}
+            clickMode={settings.clickMode}
+          />
+        ) : (
+          <HeadPointerCamera clickMode={settings.clickMode} />
+        )
+      ) : null}
+    </HeadPointerContext.Provider>
+  )
+}
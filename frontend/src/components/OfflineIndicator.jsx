@@ -0,0 +1,38 @@
+import { OFFLINE_STATUS, useOfflineStatus } from '../offlineSupport'
+
+const LABELS = {
+  [OFFLINE_STATUS.PREPARING]: 'Preparing offline mode…',
+  [OFFLINE_STATUS.PARTIAL]: 'Offline after first play',
+  [OFFLINE_STATUS.READY]: 'Ready offline',
+}
+
+const TITLES = {
+  [OFFLINE_STATUS.PREPARING]: 'Saving the games on this device',
+  [OFFLINE_STATUS.PARTIAL]:
+    'The app is saved; the face model is saved the first time a game loads it',
+  [OFFLINE_STATUS.READY]:
+    'Everything is saved on this device: no network needed',
+}
+
+/**
+ * Corner badge showing whether the games work without a network (see offlineSupport).
+ * Hidden where there is no service worker, unless the browser is offline.
+ */
+export function OfflineIndicator() {
+  const { status, online } = useOfflineStatus()
+  if (status === OFFLINE_STATUS.UNSUPPORTED && online) return null
+  const label = online
+    ? LABELS[status]
+    : status === OFFLINE_STATUS.READY
+      ? 'Offline — ready to play'
+      : 'Offline — games may not load'
+  return (
+    <p
+      className={`offline-indicator offline-indicator-${online ? status : 'offline'}`}
+      title={TITLES[status]}
+      role="status"
+    >
+      {label}
+    </p>
+  )
+}
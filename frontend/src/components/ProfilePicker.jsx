@@ -0,0 +1,197 @@
+import { useEffect, useState } from 'react'
+import {
+  addProfile,
+  getActiveProfile,
+  getProfileKeyActions,
+  loadProfiles,
+  removeProfile,
+  saveProfiles,
+  updateProfile,
+} from '../profiles'
+import {
+  GAME_KEY_BINDINGS,
+  INPUT_ACTION_LABELS,
+  formatKey,
+  isSteeringKey,
+  rebindActionKey,
+} from '../input/keyBindings.js'
+
+const GAME_LABELS = { snake: 'SnakeCV', slither: 'Slither' }
+
+/** Every rebindable action of `game` with its current key (null when unbound). */
+function listActionKeys(game, actions) {
+  const gameActions = new Set(Object.values(GAME_KEY_BINDINGS[game].actions))
+  return [...gameActions].map((action) => [
+    action,
+    Object.keys(actions).find((key) => actions[key] === action) ?? null,
+  ])
+}
+
+/**
+ * Landing-page profile selector: pick, add or delete a player profile, see what it has saved,
+ * and rebind action keys per game.
+ */
+export function ProfilePicker() {
+  const [store, setStore] = useState(loadProfiles)
+  const [newName, setNewName] = useState('')
+  const [listening, setListening] = useState(
+    /** @type {{ game: string, action: string } | null} */ (null),
+  )
+  const [bindingHint, setBindingHint] = useState('')
+  const profile = getActiveProfile(store)
+
+  const commit = (next) => {
+    setStore(next)
+    saveProfiles(next)
+  }
+
+  useEffect(() => {
+    /* Capture the next key press for the action being rebound */
+    if (!listening) return undefined
+    const handleKeyDown = (event) => {
+      event.preventDefault()
+      if (event.key === 'Escape') {
+        setListening(null)
+        return
+      }
+      if (isSteeringKey(listening.game, event.key)) {
+        setBindingHint(`${formatKey(event.key)} is used for steering`)
+        return
+      }
+      const active = getActiveProfile(store)
+      const actions = rebindActionKey(
+        listening.game,
+        getProfileKeyActions(active, listening.game),
+        listening.action,
+        event.key,
+      )
+      const next = updateProfile(store, active.id, {
+        keyBindings: { ...active.keyBindings, [listening.game]: actions },
+      })
+      setStore(next)
+      saveProfiles(next)
+      setBindingHint('')
+      setListening(null)
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [listening, store])
+
+  const handleAdd = (event) => {
+    event.preventDefault()
+    const name = newName.trim()
+    if (!name) return
+    commit(addProfile(store, name))
+    setNewName('')
+  }
+
+  const savedSummary = [
+    profile.calibration ? 'neutral calibrated' : 'not calibrated yet',
+    profile.rangeMapping
+      ? `range mapped (quality ${Math.round(profile.rangeMapping.quality * 100)}%)`
+      : null,
+    `sensitivity ${profile.sensitivity}`,
+  ]
+    .filter(Boolean)
+    .join(' · ')
+
+  return (
+    <div className="profile-picker">
+      <div className="profile-row">
+        <label className="sensitivity-label">
+          <span className="sensitivity-text">Player</span>
+          <select
+            className="control-select"
+            value={store.activeId}
+            onChange={(e) => commit({ ...store, activeId: e.target.value })}
+            aria-label="Active player profile"
+          >
+            {store.profiles.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          className="ghost"
+          onClick={() => commit(removeProfile(store, profile.id))}
+          disabled={store.profiles.length < 2}
+        >
+          Delete
+        </button>
+        <button
+          type="button"
+          className="ghost"
+          onClick={() =>
+            commit(
+              updateProfile(store, profile.id, {
+                calibration: null,
+                rangeMapping: null,
+              }),
+            )
+          }
+          disabled={!profile.calibration && !profile.rangeMapping}
+        >
+          Forget calibration
+        </button>
+        <form className="profile-add" onSubmit={handleAdd}>
+          <input
+            className="profile-name-input"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New player name"
+            aria-label="New player name"
+            maxLength={24}
+          />
+          <button type="submit" className="ghost" disabled={!newName.trim()}>
+            Add
+          </button>
+        </form>
+      </div>
+      <p className="profile-summary">{savedSummary}</p>
+      <div className="profile-bindings">
+        {Object.entries(GAME_LABELS).map(([game, label]) => {
+          const keys = listActionKeys(game, getProfileKeyActions(profile, game))
+          return (
+            <div key={game} className="profile-bindings-game">
+              <h3 className="profile-bindings-title">{label} keys</h3>
+              <ul className="profile-bindings-list">
+                {keys.map(([action, key]) => {
+                  const isListening =
+                    listening?.game === game && listening.action === action
+                  return (
+                    <li key={action}>
+                      <span>{INPUT_ACTION_LABELS[action] ?? action}</span>
+                      <button
+                        type="button"
+                        className="ghost profile-key"
+                        onClick={() => {
+                          setBindingHint('')
+                          setListening(isListening ? null : { game, action })
+                        }}
+                        aria-pressed={isListening}
+                      >
+                        {isListening
+                          ? 'Press a key…'
+                          : key
+                            ? formatKey(key)
+                            : 'Unbound'}
+                      </button>
+                    </li>
+                  )
+                })}
+              </ul>
+            </div>
+          )
+        })}
+      </div>
+      {bindingHint ? (
+        <p className="profile-summary" role="status">
+          {bindingHint}
+        </p>
+      ) : null}
+    </div>
+  )
+}
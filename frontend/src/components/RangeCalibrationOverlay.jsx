@@ -0,0 +1,53 @@
+function qualityLabel(quality) {
+  if (quality >= 0.75) return 'Great'
+  if (quality >= 0.5) return 'Good'
+  return 'Fair — hold each pose steadier and turn as far as is comfortable'
+}
+
+/**
+ * Camera-panel overlay for the range-of-motion wizard (see useHeadTracking's rangeCalibration).
+ * Shows the current prompt and step progress, then the quality score once finished.
+ */
+export function RangeCalibrationOverlay({ rangeCalibration, onCancel }) {
+  const { active, stepIndex, stepCount, prompt, progress, message, quality } =
+    rangeCalibration
+  if (!active && quality == null) return null
+
+  if (!active) {
+    return (
+      <div className="camera-calibration-overlay" role="status">
+        <p className="camera-calibration-text">
+          Range saved · quality {Math.round(quality * 100)}%
+        </p>
+        <p className="camera-calibration-hint">{qualityLabel(quality)}</p>
+        <button type="button" className="primary" onClick={onCancel}>
+          Done
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div
+      className="camera-calibration-overlay"
+      role="status"
+      aria-live="polite"
+      aria-label="Calibrating range of motion"
+    >
+      <p className="camera-calibration-step">
+        Step {stepIndex + 1} of {stepCount}
+      </p>
+      <p className="camera-calibration-text">{prompt}</p>
+      <div className="camera-calibration-bar" aria-hidden="true">
+        <div
+          className="camera-calibration-fill"
+          style={{ width: `${progress * 100}%` }}
+        />
+      </div>
+      {message ? <p className="camera-calibration-hint">{message}</p> : null}
+      <button type="button" className="ghost" onClick={onCancel}>
+        Cancel
+      </button>
+    </div>
+  )
+}
@@ -1,4 +1,5 @@
 import { useCallback, useEffect, useRef, useState } from 'react'
+import { OVERLAY_MODES, OVERLAY_MODE_LABELS } from '../overlayModes'
 
 const DEFAULT_WIDTH = 280
 const DEFAULT_HEIGHT = 220
@@ -53,11 +54,24 @@ function clampPosition(x, y, width, height) {
   }
 }
 
+/**
+ * Floating, draggable and resizable camera panel. With `onDiagnosticsToggle` the header gets a
+ * "Diagnostics" toggle; the `diagnostics` node is shown under the camera while `diagnosticsOpen`.
+ * With `onOverlayModeChange` the header also gets an overlay picker (OVERLAY_MODES), and with
+ * `onPrivacyToggle` a "Privacy" toggle (the page hides the video while `privacy` is on).
+ */
 export function ResizableCameraPanel({
   children,
   defaultWidth = DEFAULT_WIDTH,
   defaultHeight = DEFAULT_HEIGHT,
   storageKey,
+  diagnostics,
+  diagnosticsOpen = false,
+  onDiagnosticsToggle,
+  overlayMode,
+  onOverlayModeChange,
+  privacy = false,
+  onPrivacyToggle,
 }) {
   const saved = storageKey ? loadSaved(storageKey) : null
   const [width, setWidth] = useState(saved?.width ?? defaultWidth)
@@ -195,9 +209,52 @@ export function ResizableCameraPanel({
           letterSpacing: '0.05em',
           color: 'var(--muted)',
           borderBottom: '1px solid rgba(255, 255, 255, 0.08)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
         }}
       >
         Camera
+        <span className="resizable-camera-panel-header-controls">
+          {onOverlayModeChange ? (
+            <select
+              className="resizable-camera-panel-overlay-select"
+              value={overlayMode}
+              onMouseDown={(e) => e.stopPropagation()}
+              onChange={(e) => onOverlayModeChange(e.target.value)}
+              aria-label="Camera overlay"
+            >
+              {Object.values(OVERLAY_MODES).map((mode) => (
+                <option key={mode} value={mode}>
+                  {OVERLAY_MODE_LABELS[mode]}
+                </option>
+              ))}
+            </select>
+          ) : null}
+          {onPrivacyToggle ? (
+            <button
+              type="button"
+              className="resizable-camera-panel-diagnostics-toggle resizable-camera-panel-privacy-toggle"
+              onMouseDown={(e) => e.stopPropagation()}
+              onClick={() => onPrivacyToggle(!privacy)}
+              aria-pressed={privacy}
+              title="Hide the camera image and show an avatar instead"
+            >
+              Privacy
+            </button>
+          ) : null}
+          {onDiagnosticsToggle ? (
+            <button
+              type="button"
+              className="resizable-camera-panel-diagnostics-toggle"
+              onMouseDown={(e) => e.stopPropagation()}
+              onClick={() => onDiagnosticsToggle(!diagnosticsOpen)}
+              aria-expanded={diagnosticsOpen}
+            >
+              Diagnostics {diagnosticsOpen ? '▾' : '▸'}
+            </button>
+          ) : null}
+        </span>
       </div>
       <div
         className="resizable-camera-panel-content"
@@ -205,6 +262,19 @@ export function ResizableCameraPanel({
       >
         {children}
       </div>
+      {diagnosticsOpen ? (
+        <div
+          className="resizable-camera-panel-diagnostics"
+          style={{
+            flexShrink: 0,
+            maxHeight: '55%',
+            overflowY: 'auto',
+            borderTop: '1px solid rgba(255, 255, 255, 0.08)',
+          }}
+        >
+          {diagnostics}
+        </div>
+      ) : null}
       <div
         className="resizable-camera-panel-resize-handle"
         onMouseDown={handleResizeStart}
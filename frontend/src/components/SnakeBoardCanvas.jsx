@@ -0,0 +1,90 @@
+import { useEffect, useRef } from 'react'
+import { drawSnakeBoard, readBoardTheme } from '../snakeBoardRenderer'
+
+/**
+ * The SnakeCV board on a canvas (see snakeBoardRenderer). Each new snakes array starts a tick
+ * that the frame loop interpolates over tickMs; colors follow the page's CSS variables.
+ * @param {{
+ *   gridSize: number,
+ *   snakes: { x: number, y: number }[][],
+ *   food: { x: number, y: number },
+ *   tickMs: number,
+ *   className?: string,
+ * }} props
+ */
+export function SnakeBoardCanvas({
+  gridSize,
+  snakes,
+  food,
+  tickMs,
+  className,
+}) {
+  const canvasRef = useRef(null)
+  const frameRef = useRef({
+    snakes,
+    prevSnakes: null,
+    changedAt: 0,
+    food,
+    foodAt: 0,
+    tickMs,
+  })
+
+  useEffect(() => {
+    const frame = frameRef.current
+    const now = performance.now()
+    if (snakes !== frame.snakes) {
+      frame.prevSnakes = frame.snakes
+      frame.snakes = snakes
+      frame.changedAt = now
+    }
+    if (food !== frame.food) {
+      frame.food = food
+      frame.foodAt = now
+    }
+    frame.tickMs = tickMs
+  }, [snakes, food, tickMs])
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    const ctx = canvas?.getContext('2d')
+    if (!ctx) return undefined
+    const theme = readBoardTheme(canvas)
+    const reducedMotion = window.matchMedia?.(
+      '(prefers-reduced-motion: reduce)',
+    )
+    let raf = 0
+    const loop = (time) => {
+      const frame = frameRef.current
+      const ratio = window.devicePixelRatio || 1
+      const width = Math.max(1, Math.round(canvas.clientWidth * ratio))
+      const height = Math.max(1, Math.round(canvas.clientHeight * ratio))
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width
+        canvas.height = height
+      }
+      drawSnakeBoard(ctx, width, height, {
+        gridSize,
+        snakes: frame.snakes,
+        prevSnakes: frame.prevSnakes,
+        progress: (time - frame.changedAt) / frame.tickMs,
+        food: frame.food,
+        foodAge: time - frame.foodAt,
+        time,
+        theme,
+        reducedMotion: reducedMotion?.matches ?? false,
+      })
+      raf = requestAnimationFrame(loop)
+    }
+    raf = requestAnimationFrame(loop)
+    return () => cancelAnimationFrame(raf)
+  }, [gridSize])
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className={className}
+      role="img"
+      aria-label="Snake board"
+    />
+  )
+}
@@ -0,0 +1,86 @@
+import {
+  BOARD_SIZES,
+  SPEED_CURVES,
+  SPEED_CURVE_LABELS,
+  START_LENGTHS,
+} from '../gameLogic'
+
+/**
+ * SnakeCV rule controls for the game options screen (see GameOptions in gameLogic). Every
+ * change is reported as a patch; the page starts a new game with it.
+ * @param {{
+ *   options: import('../gameLogic').GameOptions,
+ *   onChange: (patch: Partial<import('../gameLogic').GameOptions>) => void,
+ * }} props
+ */
+export function SnakeGameOptions({ options, onChange }) {
+  return (
+    <>
+      <label className="sensitivity-label">
+        <span className="sensitivity-text">Board</span>
+        <select
+          className="control-select"
+          value={options.gridSize}
+          onChange={(e) => onChange({ gridSize: Number(e.target.value) })}
+          aria-label="Board size"
+        >
+          {BOARD_SIZES.map((size) => (
+            <option key={size} value={size}>
+              {size}×{size}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="sensitivity-label">
+        <span className="sensitivity-text">Starting length</span>
+        <select
+          className="control-select"
+          value={options.startLength}
+          onChange={(e) => onChange({ startLength: Number(e.target.value) })}
+          aria-label="Starting snake length"
+        >
+          {START_LENGTHS.map((length) => (
+            <option key={length} value={length}>
+              {length}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="sensitivity-label">
+        <span className="sensitivity-text">Speed</span>
+        <select
+          className="control-select"
+          value={options.speedCurve}
+          onChange={(e) => onChange({ speedCurve: e.target.value })}
+          aria-label="How the speed rises with the score"
+        >
+          {Object.values(SPEED_CURVES).map((curve) => (
+            <option key={curve} value={curve}>
+              {SPEED_CURVE_LABELS[curve]}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="toggle">
+        <input
+          type="checkbox"
+          checked={options.wrap}
+          onChange={(e) => onChange({ wrap: e.target.checked })}
+        />
+        <span className="toggle-track" />
+        <span className="toggle-knob" />
+        <span className="toggle-label">Wrap-around walls</span>
+      </label>
+      <label className="toggle">
+        <input
+          type="checkbox"
+          checked={options.selfCollision}
+          onChange={(e) => onChange({ selfCollision: e.target.checked })}
+        />
+        <span className="toggle-track" />
+        <span className="toggle-knob" />
+        <span className="toggle-label">Biting yourself ends the game</span>
+      </label>
+    </>
+  )
+}
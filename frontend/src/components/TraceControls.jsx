@@ -0,0 +1,68 @@
+import { useRef, useState } from 'react'
+import { downloadTrace, parseTrace } from '../landmarkTrace'
+
+/**
+ * Record the live landmark results to an NDJSON download, or replay a saved trace in place of the
+ * camera (recording / replay state lives in useHeadTracking; the page owns the loaded trace).
+ */
+export function TraceControls({
+  isRecording,
+  onStartRecording,
+  onStopRecording,
+  replaying,
+  onReplay,
+  onStopReplay,
+}) {
+  const fileInputRef = useRef(null)
+  const [error, setError] = useState(null)
+
+  const handleStop = () => {
+    const recorder = onStopRecording()
+    if (recorder?.frameCount) downloadTrace(recorder.toNdjson())
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      onReplay(parseTrace(await file.text()))
+      setError(null)
+    } catch (err) {
+      setError(err?.message ?? 'Could not read trace')
+    }
+  }
+
+  return (
+    <>
+      <button
+        className="ghost"
+        onClick={isRecording ? handleStop : onStartRecording}
+        aria-pressed={isRecording}
+      >
+        {isRecording ? 'Stop & save trace' : 'Record trace'}
+      </button>
+      {replaying ? (
+        <button className="ghost" onClick={onStopReplay}>
+          Use camera
+        </button>
+      ) : (
+        <button className="ghost" onClick={() => fileInputRef.current?.click()}>
+          Replay trace…
+        </button>
+      )}
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".ndjson,.jsonl,.json,application/json"
+        onChange={handleFile}
+        hidden
+      />
+      {error && (
+        <span className="trace-error" role="alert">
+          {error}
+        </span>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,70 @@
+import { INFERENCE_BACKENDS } from '../faceLandmarkerBackend'
+
+/**
+ * Diagnostics readout for the camera panel (snapshot from useHeadTracking({ diagnostics: true })).
+ * Values are shown as "—" until enough frames have been seen.
+ */
+export function TrackingDiagnostics({ diagnostics }) {
+  if (!diagnostics) {
+    return <p className="diagnostics-empty">Collecting…</p>
+  }
+  const {
+    inferenceMs,
+    latencyMs,
+    jitter,
+    detectionRate,
+    faceSize,
+    brightness,
+    inferenceBackend,
+    hints,
+  } = diagnostics
+  const format = (value, render) => (value == null ? '—' : render(value))
+  const rows = [
+    ['Inference', format(inferenceMs, (ms) => `${ms.toFixed(1)} ms`)],
+    ['Latency', format(latencyMs, (ms) => `${ms.toFixed(1)} ms`)],
+    ['Jitter (still)', format(jitter, (std) => `${(std * 100).toFixed(2)}%`)],
+    [
+      'Face detected',
+      format(detectionRate, (rate) => `${Math.round(rate * 100)}%`),
+    ],
+    [
+      'Face size',
+      format(faceSize, (size) => `${Math.round(size * 100)}% of width`),
+    ],
+    [
+      'Brightness',
+      format(
+        brightness,
+        ({ mean, center, edge }) => `${mean} (face ${center} / edges ${edge})`,
+      ),
+    ],
+    [
+      'Runs on',
+      format(inferenceBackend, (backend) =>
+        backend === INFERENCE_BACKENDS.WORKER ? 'Worker' : 'Main thread',
+      ),
+    ],
+  ]
+
+  return (
+    <div className="diagnostics">
+      <dl className="diagnostics-list">
+        {rows.map(([label, value]) => (
+          <div key={label} className="diagnostics-row">
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </div>
+        ))}
+      </dl>
+      {hints.length ? (
+        <ul className="diagnostics-hints" aria-live="polite">
+          {hints.map((hint) => (
+            <li key={hint}>{hint}</li>
+          ))}
+        </ul>
+      ) : (
+        <p className="diagnostics-ok">Tracking conditions look good</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,190 @@
+/**
+ * Privacy avatar: a cartoon face (or hand skeleton) drawn from the landmarks in place of the
+ * webcam image. Blinks, mouth opening and head movement come straight from the landmark shapes.
+ */
+
+import { HandLandmarker } from '@mediapipe/tasks-vision'
+import {
+  FACE_OVAL,
+  LEFT_EYE,
+  LEFT_EYEBROW,
+  LIPS,
+  RIGHT_EYE,
+  RIGHT_EYEBROW,
+} from './faceLandmarkConnections'
+import { GAZE_EYES, IRIS_LANDMARK_COUNT } from './gazeTracking'
+
+/** Avatar skin color per player in co-op (matches the nose dot colors). */
+export const AVATAR_FILLS = [
+  'rgba(126, 240, 193, 0.9)',
+  'rgba(255, 138, 190, 0.9)',
+]
+const AVATAR_OUTLINE = 'rgba(255, 255, 255, 0.7)'
+const EYE_FILL = 'rgba(255, 255, 255, 0.95)'
+const PUPIL_FILL = 'rgba(20, 24, 32, 0.95)'
+const BROW_STROKE = 'rgba(20, 24, 32, 0.85)'
+const LIPS_FILL = 'rgba(214, 76, 106, 0.95)'
+const MOUTH_FILL = 'rgba(40, 12, 20, 0.95)'
+const HAND_STROKE = 'rgba(126, 240, 193, 0.9)'
+const HAND_JOINT_FILL = 'rgba(255, 255, 255, 0.9)'
+/** Outer and inner lip loops start at the mouth corners. */
+const OUTER_LIPS_START = 61
+const INNER_LIPS_START = 78
+/** Pupil radius as a fraction of the eye width. */
+const PUPIL_SCALE = 0.22
+const HAND_LANDMARK_COUNT = 21
+
+/**
+ * Landmark indices around the closed loop that contains `start`, walking the connections as an
+ * undirected graph (e.g. the upper and lower eyelid chains form one eye outline).
+ * @param {Array<[number, number]>} connections
+ * @param {number} start
+ * @returns {number[]}
+ */
+export function connectionLoop(connections, start) {
+  const neighbors = new Map()
+  for (const [a, b] of connections) {
+    if (!neighbors.has(a)) neighbors.set(a, [])
+    if (!neighbors.has(b)) neighbors.set(b, [])
+    neighbors.get(a).push(b)
+    neighbors.get(b).push(a)
+  }
+  const loop = [start]
+  const seen = new Set(loop)
+  let current = start
+  for (;;) {
+    const next = (neighbors.get(current) ?? []).find((n) => !seen.has(n))
+    if (next == null) return loop
+    loop.push(next)
+    seen.add(next)
+    current = next
+  }
+}
+
+const FACE_OVAL_LOOP = connectionLoop(FACE_OVAL, FACE_OVAL[0][0])
+const EYE_LOOPS = [
+  connectionLoop(RIGHT_EYE, RIGHT_EYE[0][0]),
+  connectionLoop(LEFT_EYE, LEFT_EYE[0][0]),
+]
+const OUTER_LIPS_LOOP = connectionLoop(LIPS, OUTER_LIPS_START)
+const INNER_LIPS_LOOP = connectionLoop(LIPS, INNER_LIPS_START)
+
+function tracePath(ctx, points, indices) {
+  ctx.beginPath()
+  indices.forEach((index, i) => {
+    const p = points[index]
+    if (i === 0) ctx.moveTo(p.x, p.y)
+    else ctx.lineTo(p.x, p.y)
+  })
+  ctx.closePath()
+}
+
+/**
+ * Cartoon face: filled oval, eyes with pupils (at the irises when the model has them), brows and
+ * a mouth whose inner loop opens with the jaw.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<{ x: number, y: number }>} points - landmarks in screen pixels
+ * @param {string} fill
+ */
+function drawFaceAvatar(ctx, points, fill) {
+  ctx.lineJoin = 'round'
+  ctx.lineCap = 'round'
+  tracePath(ctx, points, FACE_OVAL_LOOP)
+  ctx.fillStyle = fill
+  ctx.fill()
+  ctx.strokeStyle = AVATAR_OUTLINE
+  ctx.lineWidth = 2
+  ctx.stroke()
+
+  EYE_LOOPS.forEach((loop, i) => {
+    tracePath(ctx, points, loop)
+    ctx.fillStyle = EYE_FILL
+    ctx.fill()
+    const eye = GAZE_EYES[i]
+    const left = points[eye.left]
+    const right = points[eye.right]
+    const pupil =
+      points.length >= IRIS_LANDMARK_COUNT
+        ? points[eye.iris]
+        : { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2 }
+    const radius = Math.hypot(right.x - left.x, right.y - left.y) * PUPIL_SCALE
+    /* Clip to the eye so a blink closes over the pupil */
+    ctx.save()
+    ctx.clip()
+    ctx.fillStyle = PUPIL_FILL
+    ctx.beginPath()
+    ctx.arc(pupil.x, pupil.y, radius, 0, Math.PI * 2)
+    ctx.fill()
+    ctx.restore()
+  })
+
+  ctx.strokeStyle = BROW_STROKE
+  ctx.lineWidth = 3
+  ctx.beginPath()
+  for (const [a, b] of [...RIGHT_EYEBROW, ...LEFT_EYEBROW]) {
+    ctx.moveTo(points[a].x, points[a].y)
+    ctx.lineTo(points[b].x, points[b].y)
+  }
+  ctx.stroke()
+
+  tracePath(ctx, points, OUTER_LIPS_LOOP)
+  ctx.fillStyle = LIPS_FILL
+  ctx.fill()
+  tracePath(ctx, points, INNER_LIPS_LOOP)
+  ctx.fillStyle = MOUTH_FILL
+  ctx.fill()
+}
+
+/**
+ * Hand skeleton: bones as thick rounded lines, joints as dots.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<{ x: number, y: number }>} points - landmarks in screen pixels
+ */
+function drawHandAvatar(ctx, points) {
+  ctx.lineCap = 'round'
+  ctx.strokeStyle = HAND_STROKE
+  ctx.lineWidth = 8
+  ctx.beginPath()
+  for (const { start, end } of HandLandmarker.HAND_CONNECTIONS ?? []) {
+    if (!points[start] || !points[end]) continue
+    ctx.moveTo(points[start].x, points[start].y)
+    ctx.lineTo(points[end].x, points[end].y)
+  }
+  ctx.stroke()
+  ctx.fillStyle = HAND_JOINT_FILL
+  for (const p of points) {
+    ctx.beginPath()
+    ctx.arc(p.x, p.y, 3, 0, Math.PI * 2)
+    ctx.fill()
+  }
+}
+
+/**
+ * Draw one player's avatar at the landmarks' place in the (mirrored) camera view. Face meshes
+ * get the cartoon face, the 21 hand landmarks a hand skeleton.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<{ x: number, y: number }>} landmarks
+ * @param {{ mirror: boolean, player?: number }} options
+ */
+export function drawAvatar(
+  ctx,
+  width,
+  height,
+  landmarks,
+  { mirror, player = 0 },
+) {
+  if (!landmarks || !landmarks.length) return
+  const points = landmarks.map((p) => ({
+    x: (mirror ? 1 - p.x : p.x) * width,
+    y: p.y * height,
+  }))
+  ctx.save()
+  if (points.length > HAND_LANDMARK_COUNT) {
+    drawFaceAvatar(ctx, points, AVATAR_FILLS[player] ?? AVATAR_FILLS[0])
+  } else {
+    drawHandAvatar(ctx, points)
+  }
+  ctx.restore()
+}
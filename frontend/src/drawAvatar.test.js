@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest'
+import { connectionLoop } from './drawAvatar'
+import { LIPS, RIGHT_EYE } from './faceLandmarkConnections'
+
+describe('connectionLoop', () => {
+  it('joins the upper and lower eyelid chains into one outline', () => {
+    const loop = connectionLoop(RIGHT_EYE, 33)
+    expect(loop).toHaveLength(16)
+    expect(new Set(loop).size).toBe(16)
+    expect(loop[0]).toBe(33)
+    expect(loop).toContain(133)
+  })
+
+  it('keeps the outer and inner lip loops apart', () => {
+    const outer = connectionLoop(LIPS, 61)
+    const inner = connectionLoop(LIPS, 78)
+    expect(outer).toHaveLength(20)
+    expect(inner).toHaveLength(20)
+    expect(outer.some((index) => inner.includes(index))).toBe(false)
+  })
+})
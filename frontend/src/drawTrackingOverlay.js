@@ -1,17 +1,26 @@
 /**
- * Canvas overlay for face tracking: nose dot, direction arrow, full face mesh + contours.
+ * Canvas overlay for face tracking: nose dot, direction arrow, face mesh / contours and the
+ * gesture debug view, as picked by the overlay mode (see overlayModes).
  * Nose dot uses raw landmark position; arrow scales with head-turn distance.
  */
 
 import { FaceLandmarker } from '@mediapipe/tasks-vision'
-import { NOSE_INDEX, NOSE_THRESHOLD } from './headTrackingConfig'
+import {
+  DEAD_ZONE_SHAPES,
+  NOSE_INDEX,
+  NOSE_THRESHOLD,
+} from './headTrackingConfig'
 import { FACE_LANDMARKS_CONTOURS } from './faceLandmarkConnections'
+import { OVERLAY_MODES } from './overlayModes'
+import { drawAvatar } from './drawAvatar'
 
 const NOSE_DOT_RADIUS = 6
 const ARROW_LENGTH_MIN = 28
 const ARROW_LENGTH_MAX = 130
 const ARROW_HEAD_LEN = 16
 const NOSE_FILL = 'rgba(126, 240, 193, 0.95)'
+/** Nose dot color per player in co-op (player 1 keeps the default). */
+export const PLAYER_NOSE_FILLS = [NOSE_FILL, 'rgba(255, 138, 190, 0.95)']
 const NOSE_STROKE = 'rgba(255, 255, 255, 0.5)'
 const ARROW_STROKE = 'rgba(255, 211, 106, 0.95)'
 const ARROW_FILL = 'rgba(255, 220, 130, 0.92)'
@@ -26,6 +35,23 @@ const NOSE_CENTER = 0.5
 /** Fixed size of the face mesh in display pixels so it doesn't scale when the camera panel is resized. */
 const FACE_MESH_FIXED_DISPLAY_SIZE = 200
 const DISTANCE_FOR_MAX_ARROW = 0.18
+/** Dead-zone shape for relative (turn) steering: only the horizontal offset counts. */
+export const TURN_DEAD_ZONE = 'band'
+const DEAD_ZONE_FILL = 'rgba(126, 240, 193, 0.12)'
+const DEAD_ZONE_STROKE = 'rgba(126, 240, 193, 0.6)'
+/** Cross dead zone: how far the diagonal bands reach from the center (normalized). */
+const CROSS_ZONE_REACH = 0.25
+/** Gesture bars in display pixels (scaled to the buffer like the fixed-size mesh). */
+const BAR_WIDTH = 90
+const BAR_HEIGHT = 7
+const BAR_GAP = 5
+const BAR_MARGIN = 8
+const BAR_LABEL_WIDTH = 62
+const BAR_BACKGROUND = 'rgba(0, 0, 0, 0.45)'
+const BAR_FILL = 'rgba(126, 240, 193, 0.85)'
+const BAR_ACTIVE_FILL = 'rgba(255, 211, 106, 0.95)'
+const BAR_THRESHOLD_STROKE = 'rgba(255, 255, 255, 0.9)'
+const BAR_LABEL_FILL = 'rgba(255, 255, 255, 0.85)'
 
 /**
  * Arrow length from normalized distance from center (0.5, 0.5).
@@ -59,12 +85,32 @@ export function getNoseScreenPosition(noseRaw, width, height, mirror) {
 }
 
 /**
- * Draw the full tracking overlay (clears canvas first).
+ * Screen position of the calibrated center: where the dot sits when the steering signal
+ * (`nose`, center = 0.5) is neutral. The dead zone is drawn around it in steering space.
+ * @param {{ x: number, y: number }} dot - the dot in screen pixels
+ * @param {{ x: number, y: number }} nose - steering signal, center = 0.5
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} mirror
+ * @returns {{ x: number, y: number }}
+ */
+export function getDeadZoneCenter(dot, nose, width, height, mirror) {
+  const dx = (nose.x - NOSE_CENTER) * width
+  return {
+    x: dot.x - (mirror ? -dx : dx),
+    y: dot.y - (nose.y - NOSE_CENTER) * height,
+  }
+}
+
+/**
+ * Draw the full tracking overlay (clears canvas first unless `clear` is false).
  * Supports direction (4-way) or angle (omnidirectional). When angle is provided it takes precedence.
  * @param {CanvasRenderingContext2D} ctx
  * @param {number} width - canvas width
  * @param {number} height - canvas height
- * @param {{ nose: { x: number, y: number }, direction?: string | null, angle?: number | null, faceLandmarks: Array<{x,y,z}> | null, mirror: boolean, displayWidth?: number, displayHeight?: number }} options
+ * `pointIndex` picks the tracked landmark the dot is drawn on (the nose, or a fingertip for hands).
+ * `mode` is one of OVERLAY_MODES; the gesture debug view draws `deadZone` and `bars` when given.
+ * @param {{ nose: { x: number, y: number }, direction?: string | null, angle?: number | null, faceLandmarks: Array<{x,y,z}> | null, pointIndex?: number, mode?: string, deadZone?: { threshold: number, shape: string } | null, bars?: Array<{ label: string, value: number, threshold: number }> | null, mirror: boolean, displayWidth?: number, displayHeight?: number, clear?: boolean, noseFill?: string }} options
  */
 export function drawTrackingOverlay(ctx, width, height, options) {
   const {
@@ -72,27 +118,48 @@ export function drawTrackingOverlay(ctx, width, height, options) {
     direction,
     angle: optionsAngle,
     faceLandmarks,
+    pointIndex = NOSE_INDEX,
+    mode = OVERLAY_MODES.NOSE,
+    deadZone = null,
+    bars = null,
     mirror,
     displayWidth,
     displayHeight,
+    clear = true,
+    noseFill = NOSE_FILL,
   } = options
-  ctx.clearRect(0, 0, width, height)
+  if (clear) ctx.clearRect(0, 0, width, height)
 
-  // Face mesh temporarily disabled
-  // if (faceLandmarks && faceLandmarks.length) {
-  //   drawFaceMesh(ctx, width, height, faceLandmarks, mirror, {
-  //     displayWidth,
-  //     displayHeight,
-  //   })
-  // }
+  /* Hand landmarks have no mesh */
+  const meshMode =
+    mode === OVERLAY_MODES.MESH || mode === OVERLAY_MODES.CONTOURS
+  if (meshMode && pointIndex === NOSE_INDEX && faceLandmarks?.length) {
+    drawFaceMesh(ctx, width, height, faceLandmarks, mirror, {
+      displayWidth,
+      displayHeight,
+      tesselation: mode === OVERLAY_MODES.MESH,
+    })
+  }
 
   const noseRaw =
-    faceLandmarks && faceLandmarks[NOSE_INDEX]
-      ? faceLandmarks[NOSE_INDEX]
+    faceLandmarks && faceLandmarks[pointIndex]
+      ? faceLandmarks[pointIndex]
       : nose
   const { x: cx, y: cy } = getNoseScreenPosition(noseRaw, width, height, mirror)
+  const debugMode = mode === OVERLAY_MODES.GESTURES
+
+  if (debugMode && deadZone) {
+    const center = getDeadZoneCenter(
+      { x: cx, y: cy },
+      nose,
+      width,
+      height,
+      mirror,
+    )
+    drawDeadZone(ctx, width, height, center, deadZone)
+  }
 
-  ctx.fillStyle = NOSE_FILL
+  ctx.fillStyle = noseFill
   ctx.strokeStyle = NOSE_STROKE
   ctx.lineWidth = 2
   ctx.beginPath()
@@ -117,7 +184,7 @@ export function drawTrackingOverlay(ctx, width, height, options) {
             : Math.PI / 2
   }
 
-  if (drawAngle != null) {
+  if (drawAngle != null && mode !== OVERLAY_MODES.MINIMAL) {
     const ex = cx + arrowLength * Math.cos(drawAngle)
     const ey = cy + arrowLength * Math.sin(drawAngle)
     ctx.strokeStyle = ARROW_STROKE
@@ -144,6 +211,115 @@ export function drawTrackingOverlay(ctx, width, height, options) {
     ctx.fill()
     ctx.stroke()
   }
+
+  if (debugMode && bars?.length) {
+    drawGestureBars(ctx, width, displayWidth, bars)
+  }
+}
+
+/**
+ * Dead-zone region around the calibrated center, in steering-space units scaled to the canvas.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} width
+ * @param {number} height
+ * @param {{ x: number, y: number }} center
+ * @param {{ threshold: number, shape: string }} deadZone
+ */
+function drawDeadZone(ctx, width, height, center, { threshold, shape }) {
+  const rx = threshold * width
+  const ry = threshold * height
+  ctx.save()
+  ctx.fillStyle = DEAD_ZONE_FILL
+  ctx.strokeStyle = DEAD_ZONE_STROKE
+  ctx.lineWidth = 1.5
+  ctx.beginPath()
+  if (shape === DEAD_ZONE_SHAPES.CIRCLE) {
+    ctx.ellipse(center.x, center.y, rx, ry, 0, 0, Math.PI * 2)
+  } else if (shape === TURN_DEAD_ZONE) {
+    ctx.rect(center.x - rx, 0, rx * 2, height)
+  } else if (shape === DEAD_ZONE_SHAPES.CROSS) {
+    /* Neutral where neither axis beats the other by the threshold: bands along the diagonals */
+    const reachX = CROSS_ZONE_REACH * width
+    const reachY = CROSS_ZONE_REACH * height
+    for (const sx of [-1, 1]) {
+      ctx.moveTo(center.x - sx * reachX - rx, center.y - reachY)
+      ctx.lineTo(center.x - sx * reachX + rx, center.y - reachY)
+      ctx.lineTo(center.x + sx * reachX + rx, center.y + reachY)
+      ctx.lineTo(center.x + sx * reachX - rx, center.y + reachY)
+      ctx.closePath()
+    }
+  } else {
+    ctx.rect(center.x - rx, center.y - ry, rx * 2, ry * 2)
+  }
+  ctx.fill()
+  ctx.stroke()
+  ctx.restore()
+}
+
+/**
+ * Score bars in the top-left corner, each with a tick at its threshold; bars past the
+ * threshold are highlighted.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} width - buffer width
+ * @param {number | undefined} displayWidth
+ * @param {Array<{ label: string, value: number, threshold: number }>} bars
+ */
+function drawGestureBars(ctx, width, displayWidth, bars) {
+  const scale = displayWidth > 0 ? width / displayWidth : 1
+  const x = (BAR_MARGIN + BAR_LABEL_WIDTH) * scale
+  const barWidth = BAR_WIDTH * scale
+  const barHeight = BAR_HEIGHT * scale
+  ctx.save()
+  ctx.font = `${10 * scale}px sans-serif`
+  ctx.textBaseline = 'middle'
+  bars.forEach(({ label, value, threshold }, i) => {
+    const y = (BAR_MARGIN + i * (BAR_HEIGHT + BAR_GAP)) * scale
+    const clamped = Math.max(0, Math.min(1, value))
+    ctx.fillStyle = BAR_LABEL_FILL
+    ctx.fillText(label, BAR_MARGIN * scale, y + barHeight / 2)
+    ctx.fillStyle = BAR_BACKGROUND
+    ctx.fillRect(x, y, barWidth, barHeight)
+    ctx.fillStyle = value >= threshold ? BAR_ACTIVE_FILL : BAR_FILL
+    ctx.fillRect(x, y, barWidth * clamped, barHeight)
+    ctx.strokeStyle = BAR_THRESHOLD_STROKE
+    ctx.lineWidth = Math.max(1, scale)
+    ctx.beginPath()
+    ctx.moveTo(x + barWidth * threshold, y - scale)
+    ctx.lineTo(x + barWidth * threshold, y + barHeight + scale)
+    ctx.stroke()
+  })
+  ctx.restore()
+}
+
+/**
+ * Draw one overlay per tracked player (co-op), clearing the canvas once.
+ * With `privacy`, every layer's landmarks are first drawn as an avatar (the video is hidden);
+ * `avatarOnly` layers (players not steering yet, e.g. calibrating) get nothing else.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<{ nose?: { x: number, y: number }, direction?: string | null, angle?: number | null, faceLandmarks: Array<{x,y,z}> | null, pointIndex?: number, deadZone?: { threshold: number, shape: string } | null, bars?: Array<{ label: string, value: number, threshold: number }> | null, player?: number, avatarOnly?: boolean }>} layers
+ * @param {{ mirror: boolean, mode?: string, privacy?: boolean, displayWidth?: number, displayHeight?: number }} common
+ */
+export function drawPlayerOverlays(ctx, width, height, layers, common) {
+  ctx.clearRect(0, 0, width, height)
+  if (common.privacy) {
+    for (const layer of layers) {
+      drawAvatar(ctx, width, height, layer.faceLandmarks, {
+        mirror: common.mirror,
+        player: layer.player,
+      })
+    }
+  }
+  for (const layer of layers) {
+    if (layer.avatarOnly) continue
+    drawTrackingOverlay(ctx, width, height, {
+      ...common,
+      ...layer,
+      clear: false,
+      noseFill: PLAYER_NOSE_FILLS[layer.player ?? 0] ?? NOSE_FILL,
+    })
+  }
 }
 
 /**
@@ -183,12 +359,13 @@ function landmarkToPixelFixedSize(
  * Draw full face mesh (tesselation) then contours on top so the face is fully covered.
  * When displayWidth/displayHeight are provided, the mesh is drawn in a fixed display-size
  * box (centered on the face) so it keeps the same on-screen size when the camera is resized.
+ * `tesselation: false` draws the contours only.
  * @param {CanvasRenderingContext2D} ctx
  * @param {number} width - buffer width
  * @param {number} height - buffer height
  * @param {Array<{ x: number, y: number }>} landmarks
  * @param {boolean} mirror
- * @param {{ displayWidth?: number, displayHeight?: number }} [displaySize]
+ * @param {{ displayWidth?: number, displayHeight?: number, tesselation?: boolean }} [displaySize]
  */
 function drawFaceMesh(ctx, width, height, landmarks, mirror, displaySize) {
   if (!landmarks || !landmarks.length) return
@@ -238,7 +415,10 @@ function drawFaceMesh(ctx, width, height, landmarks, mirror, displaySize) {
   ctx.lineCap = 'round'
   ctx.lineJoin = 'round'
 
-  const tesselation = FaceLandmarker.FACE_LANDMARKS_TESSELATION
+  const tesselation =
+    displaySize?.tesselation === false
+      ? null
+      : FaceLandmarker.FACE_LANDMARKS_TESSELATION
   if (tesselation && tesselation.length) {
     ctx.strokeStyle = FACE_TESSELATION_STROKE
     ctx.lineWidth = FACE_TESSELATION_LINE_WIDTH
@@ -1,8 +1,13 @@
 import { describe, it, expect } from 'vitest'
 import {
+  drawPlayerOverlays,
+  drawTrackingOverlay,
   getArrowLength,
+  getDeadZoneCenter,
   getNoseScreenPosition,
 } from './drawTrackingOverlay'
+import { OVERLAY_MODES } from './overlayModes'
+import { NOSE_INDEX } from './headTrackingConfig'
 
 describe('getArrowLength', () => {
   it('returns min length when distance at or below threshold', () => {
@@ -43,3 +48,120 @@ describe('getNoseScreenPosition', () => {
     expect(a.y).toBe(b.y)
   })
 })
+
+describe('getDeadZoneCenter', () => {
+  it('puts the zone where the dot sits at a neutral signal', () => {
+    const dot = { x: 300, y: 200 }
+    expect(getDeadZoneCenter(dot, { x: 0.5, y: 0.5 }, 640, 480, true)).toEqual(
+      dot,
+    )
+    /* Signal moved right in the image: mirrored, the dot is left of the center */
+    const center = getDeadZoneCenter(dot, { x: 0.6, y: 0.4 }, 640, 480, true)
+    expect(center.x).toBeCloseTo(364)
+    expect(center.y).toBeCloseTo(248)
+  })
+})
+
+/** 2D context stand-in that counts calls by method name. */
+function recordingContext() {
+  const calls = {}
+  return {
+    calls,
+    ctx: new Proxy(
+      {},
+      {
+        get: (target, name) =>
+          name in target
+            ? target[name]
+            : (target[name] = () => {
+                calls[name] = (calls[name] ?? 0) + 1
+              }),
+      },
+    ),
+  }
+}
+
+describe('drawTrackingOverlay modes', () => {
+  const face = Array.from({ length: 478 }, (_, i) => ({
+    x: 0.4 + (i % 20) / 100,
+    y: 0.4 + Math.floor(i / 20) / 100,
+    z: 0,
+  }))
+  const base = {
+    nose: { x: 0.6, y: 0.5 },
+    direction: 'RIGHT',
+    faceLandmarks: face,
+    mirror: true,
+  }
+  const draw = (options) => {
+    const { ctx, calls } = recordingContext()
+    drawTrackingOverlay(ctx, 640, 480, { ...base, ...options })
+    return calls
+  }
+
+  it('draws the dot without the arrow in minimal mode', () => {
+    const nose = draw({ mode: OVERLAY_MODES.NOSE })
+    const minimal = draw({ mode: OVERLAY_MODES.MINIMAL })
+    expect(minimal.arc).toBe(1)
+    expect(minimal.stroke).toBeLessThan(nose.stroke)
+  })
+
+  it('draws more of the face from contours to the full mesh', () => {
+    const nose = draw({ mode: OVERLAY_MODES.NOSE })
+    const contours = draw({ mode: OVERLAY_MODES.CONTOURS })
+    const mesh = draw({ mode: OVERLAY_MODES.MESH })
+    expect(contours.lineTo).toBeGreaterThan(nose.lineTo)
+    expect(mesh.lineTo).toBeGreaterThan(contours.lineTo)
+    /* Hand landmarks never get a face mesh */
+    const hand = draw({ mode: OVERLAY_MODES.MESH, pointIndex: 8 })
+    expect(hand.lineTo).toBe(nose.lineTo)
+  })
+
+  it('draws the dead zone and gesture bars only in the gesture debug view', () => {
+    const debug = {
+      deadZone: { threshold: 0.06, shape: 'circle' },
+      bars: [{ label: 'mouth', value: 0.5, threshold: 0.35 }],
+      pointIndex: NOSE_INDEX,
+    }
+    const nose = draw({ ...debug, mode: OVERLAY_MODES.NOSE })
+    const gestures = draw({ ...debug, mode: OVERLAY_MODES.GESTURES })
+    expect(nose.ellipse).toBeUndefined()
+    expect(nose.fillText).toBeUndefined()
+    expect(gestures.ellipse).toBe(1)
+    expect(gestures.fillText).toBe(1)
+  })
+})
+
+describe('drawPlayerOverlays privacy', () => {
+  const face = Array.from({ length: 478 }, (_, i) => ({
+    x: 0.4 + (i % 20) / 100,
+    y: 0.4 + Math.floor(i / 20) / 100,
+    z: 0,
+  }))
+  const steering = {
+    nose: { x: 0.5, y: 0.5 },
+    faceLandmarks: face,
+    player: 0,
+  }
+
+  it('draws an avatar under each player, and no dot for players not steering', () => {
+    const { ctx, calls } = recordingContext()
+    drawPlayerOverlays(
+      ctx,
+      640,
+      480,
+      [steering, { faceLandmarks: face, player: 1, avatarOnly: true }],
+      { mirror: true, privacy: true },
+    )
+    /* Two pupils per avatar, plus the steering player's nose dot */
+    expect(calls.arc).toBe(5)
+    expect(calls.clip).toBe(4)
+  })
+
+  it('draws no avatar without privacy', () => {
+    const { ctx, calls } = recordingContext()
+    drawPlayerOverlays(ctx, 640, 480, [steering], { mirror: true })
+    expect(calls.arc).toBe(1)
+    expect(calls.clip).toBeUndefined()
+  })
+})
@@ -1,10 +1,11 @@
 /**
  * Face landmark contour connections for drawing the face mesh overlay.
- * Pairs of landmark indices [from, to] for lips, eyes, eyebrows, and face oval.
+ * Pairs of landmark indices [from, to] for lips, eyes, eyebrows, and face oval (also exported
+ * per feature for the privacy avatar).
  * Source: MediaPipe face_landmarks_connections.ts (Apache 2.0).
  */
 
-const LIPS = [
+export const LIPS = [
   [61, 146], [146, 91], [91, 181], [181, 84], [84, 17], [17, 314], [314, 405],
   [405, 321], [321, 375], [375, 291], [61, 185], [185, 40], [40, 39], [39, 37],
   [37, 0], [0, 267], [267, 269], [269, 270], [270, 409], [409, 291],
@@ -12,25 +13,25 @@ const LIPS = [
   [402, 318], [318, 324], [324, 308], [78, 191], [191, 80], [80, 81], [81, 82],
   [82, 13], [13, 312], [312, 311], [311, 310], [310, 415], [415, 308],
 ]
-const LEFT_EYE = [
+export const LEFT_EYE = [
   [263, 249], [249, 390], [390, 373], [373, 374], [374, 380], [380, 381],
   [381, 382], [382, 362], [263, 466], [466, 388], [388, 387], [387, 386],
   [386, 385], [385, 384], [384, 398], [398, 362],
 ]
-const LEFT_EYEBROW = [
+export const LEFT_EYEBROW = [
   [276, 283], [283, 282], [282, 295], [295, 285], [300, 293], [293, 334],
   [334, 296], [296, 336],
 ]
-const RIGHT_EYE = [
+export const RIGHT_EYE = [
   [33, 7], [7, 163], [163, 144], [144, 145], [145, 153], [153, 154],
   [154, 155], [155, 133], [33, 246], [246, 161], [161, 160], [160, 159],
   [159, 158], [158, 157], [157, 173], [173, 133],
 ]
-const RIGHT_EYEBROW = [
+export const RIGHT_EYEBROW = [
   [46, 53], [53, 52], [52, 65], [65, 55], [70, 63], [63, 105], [105, 66],
   [66, 107],
 ]
-const FACE_OVAL = [
+export const FACE_OVAL = [
   [10, 338], [338, 297], [297, 332], [332, 284], [284, 251], [251, 389],
   [389, 356], [356, 454], [454, 323], [323, 361], [361, 288], [288, 397],
   [397, 365], [365, 379], [379, 378], [378, 400], [400, 377], [377, 152],
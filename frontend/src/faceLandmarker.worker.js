@@ -0,0 +1,121 @@
+/**
+ * Web Worker running MediaPipe Face Landmarker (or Hand Landmarker, `task: 'hand'`) off the
+ * main thread. Also owns the tracking overlay once useHeadTracking hands over an OffscreenCanvas.
+ *
+ * In:  init { task, wasmUrl, modelUrl, options } · detect { frame, timestamp } ·
+ *      canvas { canvas } · draw { width, height, layers, common } · clear
+ * Out: ready · result { timestamp, inferenceMs, result } · error { message }
+ * Requests carrying an `id` are answered with the same `id`.
+ */
+
+import { FilesetResolver } from '@mediapipe/tasks-vision'
+import { drawPlayerOverlays } from './drawTrackingOverlay'
+import {
+  LANDMARKER_TASKS,
+  createLandmarkerForTask,
+  toTrackingResult,
+} from './landmarkerTasks'
+import { installScriptLoader } from './workerScripts'
+
+/* This is a module worker, where MediaPipe's importScripts() of its wasm loader would throw */
+const scriptLoader = installScriptLoader(self)
+let landmarker = null
+let landmarkerTask = LANDMARKER_TASKS.FACE
+let overlayCanvas = null
+/** Landmarks of the latest detection (faces or hands), looked up by each layer's faceIndex */
+let lastFaces = []
+
+async function init({
+  task = LANDMARKER_TASKS.FACE,
+  wasmUrl,
+  modelUrl,
+  options,
+}) {
+  landmarker?.close()
+  landmarker = null
+  lastFaces = []
+  const vision = await FilesetResolver.forVisionTasks(wasmUrl)
+  await scriptLoader.preloadScript(vision.wasmLoaderPath)
+  landmarker = await createLandmarkerForTask(vision, {
+    task,
+    modelUrl,
+    options,
+  })
+  landmarkerTask = task
+}
+
+function detect({ frame, timestamp }) {
+  try {
+    if (!landmarker) throw new Error('Face landmarker not initialized')
+    const start = performance.now()
+    const result = toTrackingResult(
+      landmarkerTask,
+      landmarker.detectForVideo(frame, timestamp),
+    )
+    lastFaces = result.faceLandmarks ?? result.handLandmarks ?? []
+    return {
+      timestamp,
+      inferenceMs: performance.now() - start,
+      result,
+    }
+  } finally {
+    frame.close()
+  }
+}
+
+function draw({ width, height, layers, common }) {
+  if (!overlayCanvas) return
+  if (overlayCanvas.width !== width) overlayCanvas.width = width
+  if (overlayCanvas.height !== height) overlayCanvas.height = height
+  const ctx = overlayCanvas.getContext('2d')
+  if (!ctx) return
+  drawPlayerOverlays(
+    ctx,
+    width,
+    height,
+    layers.map((layer) => ({
+      ...layer,
+      faceLandmarks: lastFaces[layer.faceIndex] ?? null,
+    })),
+    common,
+  )
+}
+
+function clear() {
+  const ctx = overlayCanvas?.getContext('2d')
+  if (ctx) ctx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height)
+}
+
+self.onmessage = async (event) => {
+  const { id, type, ...data } = event.data
+  try {
+    switch (type) {
+      case 'init':
+        await init(data)
+        self.postMessage({ id, type: 'ready' })
+        break
+      case 'detect':
+        self.postMessage({ id, type: 'result', ...detect(data) })
+        break
+      case 'canvas':
+        overlayCanvas = data.canvas
+        break
+      case 'draw':
+        draw(data)
+        break
+      case 'clear':
+        clear()
+        break
+      default:
+        break
+    }
+  } catch (err) {
+    if (id != null) {
+      self.postMessage({
+        id,
+        type: 'error',
+        message: String(err?.message ?? err),
+      })
+    }
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Face Landmarker backends used by useHeadTracking (they also run the Hand Landmarker for the
+ * hand control mode, see landmarkerTasks).
+ * Both expose detect(video, timestamp) → Promise<{ timestamp, inferenceMs, result }>:
+ * the worker backend transfers each frame as an ImageBitmap and can take over the overlay canvas
+ * (OffscreenCanvas); the in-page backend runs detectForVideo on the main thread.
+ */
+
+import { FilesetResolver } from '@mediapipe/tasks-vision'
+import {
+  LANDMARKER_TASKS,
+  createLandmarkerForTask,
+  toTrackingResult,
+} from './landmarkerTasks'
+
+export {
+  FACE_LANDMARKER_OPTIONS,
+  HAND_LANDMARKER_OPTIONS,
+  LANDMARKER_TASKS,
+} from './landmarkerTasks'
+
+/** Where inference runs: the landmarker worker, or the in-page fallback. */
+export const INFERENCE_BACKENDS = {
+  WORKER: 'worker',
+  MAIN_THREAD: 'mainThread',
+}
+
+/**
+ * Whether this browser can run inference in a worker and draw the overlay off-thread.
+ * @returns {boolean}
+ */
+export function supportsWorkerInference() {
+  return (
+    typeof window !== 'undefined' &&
+    typeof window.Worker === 'function' &&
+    typeof window.OffscreenCanvas === 'function' &&
+    typeof window.createImageBitmap === 'function' &&
+    typeof window.HTMLCanvasElement?.prototype.transferControlToOffscreen ===
+      'function'
+  )
+}
+
+/**
+ * Spawn the landmarker worker. Call init() before detect(); one detect should be in flight at a time.
+ */
+export function createFaceLandmarkerWorker() {
+  const worker = new Worker(
+    new URL('./faceLandmarker.worker.js', import.meta.url),
+    { type: 'module' },
+  )
+  const pending = new Map()
+  let nextId = 1
+  let canvasAttached = false
+
+  const rejectAll = (error) => {
+    for (const { reject } of pending.values()) reject(error)
+    pending.clear()
+  }
+
+  worker.onmessage = (event) => {
+    const { id, type, ...data } = event.data
+    const request = pending.get(id)
+    if (!request) return
+    pending.delete(id)
+    if (type === 'error') request.reject(new Error(data.message))
+    else request.resolve(data)
+  }
+  worker.onerror = (event) => {
+    rejectAll(new Error(event.message || 'Face landmarker worker failed'))
+  }
+
+  const request = (message, transfer = []) =>
+    new Promise((resolve, reject) => {
+      const id = nextId++
+      pending.set(id, { resolve, reject })
+      worker.postMessage({ ...message, id }, transfer)
+    })
+
+  return {
+    /** Load (or reload) the model inside the worker; options default per task. */
+    init({ task = LANDMARKER_TASKS.FACE, wasmUrl, modelUrl, options }) {
+      return request({ type: 'init', task, wasmUrl, modelUrl, options })
+    },
+
+    async detect(video, timestamp) {
+      const frame = await window.createImageBitmap(video)
+      return request({ type: 'detect', frame, timestamp }, [frame])
+    },
+
+    /**
+     * Hand the overlay canvas to the worker (once per canvas; a canvas that already has a
+     * 2D context cannot be transferred).
+     * @returns {boolean} whether the worker now draws the overlay
+     */
+    attachCanvas(canvas) {
+      if (canvasAttached) return true
+      try {
+        const offscreen = canvas.transferControlToOffscreen()
+        worker.postMessage({ type: 'canvas', canvas: offscreen }, [offscreen])
+        canvasAttached = true
+      } catch {
+        return false
+      }
+      return true
+    },
+
+    /** Draw player overlays; each layer's `faceIndex` picks landmarks from the latest detection. */
+    draw(width, height, layers, common) {
+      worker.postMessage({ type: 'draw', width, height, layers, common })
+    },
+
+    clear() {
+      worker.postMessage({ type: 'clear' })
+    },
+
+    terminate() {
+      worker.terminate()
+      rejectAll(new Error('Face landmarker worker terminated'))
+    },
+  }
+}
+
+/**
+ * Main-thread fallback with the same detect() contract as the worker.
+ * @param {{ task?: string, wasmUrl: string, modelUrl: string, options?: object }} config
+ */
+export async function createInPageFaceLandmarker({
+  task = LANDMARKER_TASKS.FACE,
+  wasmUrl,
+  modelUrl,
+  options,
+}) {
+  const vision = await FilesetResolver.forVisionTasks(wasmUrl)
+  const landmarker = await createLandmarkerForTask(vision, {
+    task,
+    modelUrl,
+    options,
+  })
+  return {
+    detect(video, timestamp) {
+      const start = performance.now()
+      const result = toTrackingResult(
+        task,
+        landmarker.detectForVideo(video, timestamp),
+      )
+      return Promise.resolve({
+        timestamp,
+        inferenceMs: performance.now() - start,
+        result,
+      })
+    },
+    close() {
+      landmarker.close()
+    },
+  }
+}
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  supportsWorkerInference,
+  createFaceLandmarkerWorker,
+} from './faceLandmarkerBackend.js'
+
+/** Worker stand-in that records posted messages; tests answer via respond(). */
+class FakeWorker {
+  static last = null
+
+  constructor() {
+    this.posted = []
+    this.terminated = false
+    FakeWorker.last = this
+  }
+
+  postMessage(message, transfer) {
+    this.posted.push({ message, transfer })
+  }
+
+  respond(data) {
+    this.onmessage?.({ data })
+  }
+
+  terminate() {
+    this.terminated = true
+  }
+}
+
+describe('faceLandmarkerBackend', () => {
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker)
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('reports worker inference as unsupported without OffscreenCanvas', () => {
+    expect(supportsWorkerInference()).toBe(false)
+  })
+
+  it('resolves init when the worker is ready', async () => {
+    const client = createFaceLandmarkerWorker()
+    const ready = client.init({ wasmUrl: 'wasm', modelUrl: 'model' })
+    const { message } = FakeWorker.last.posted[0]
+    expect(message).toMatchObject({
+      type: 'init',
+      wasmUrl: 'wasm',
+      modelUrl: 'model',
+    })
+    FakeWorker.last.respond({ id: message.id, type: 'ready' })
+    await expect(ready).resolves.toEqual({})
+  })
+
+  it('transfers frames and resolves detect with the timestamped result', async () => {
+    const frame = { close: vi.fn() }
+    window.createImageBitmap = vi.fn(() => Promise.resolve(frame))
+    const client = createFaceLandmarkerWorker()
+    const pending = client.detect({}, 42)
+    await Promise.resolve()
+    const { message, transfer } = FakeWorker.last.posted[0]
+    expect(message).toMatchObject({ type: 'detect', frame, timestamp: 42 })
+    expect(transfer).toEqual([frame])
+    FakeWorker.last.respond({
+      id: message.id,
+      type: 'result',
+      timestamp: 42,
+      inferenceMs: 7,
+      result: { faceLandmarks: [] },
+    })
+    await expect(pending).resolves.toEqual({
+      timestamp: 42,
+      inferenceMs: 7,
+      result: { faceLandmarks: [] },
+    })
+    delete window.createImageBitmap
+  })
+
+  it('rejects requests on worker errors and termination', async () => {
+    const client = createFaceLandmarkerWorker()
+    const failed = client.init({ wasmUrl: 'wasm', modelUrl: 'model' })
+    const { message } = FakeWorker.last.posted[0]
+    FakeWorker.last.respond({ id: message.id, type: 'error', message: 'boom' })
+    await expect(failed).rejects.toThrow('boom')
+
+    const abandoned = client.init({ wasmUrl: 'wasm', modelUrl: 'model' })
+    client.terminate()
+    await expect(abandoned).rejects.toThrow('terminated')
+    expect(FakeWorker.last.terminated).toBe(true)
+  })
+
+  it('transfers the overlay canvas only once', () => {
+    const offscreen = {}
+    const canvas = { transferControlToOffscreen: vi.fn(() => offscreen) }
+    const client = createFaceLandmarkerWorker()
+    expect(client.attachCanvas(canvas)).toBe(true)
+    expect(client.attachCanvas(canvas)).toBe(true)
+    expect(canvas.transferControlToOffscreen).toHaveBeenCalledTimes(1)
+    expect(FakeWorker.last.posted[0]).toEqual({
+      message: { type: 'canvas', canvas: offscreen },
+      transfer: [offscreen],
+    })
+  })
+
+  it('reports a failed canvas transfer', () => {
+    const canvas = {
+      transferControlToOffscreen: () => {
+        throw new Error('InvalidStateError')
+      },
+    }
+    expect(createFaceLandmarkerWorker().attachCanvas(canvas)).toBe(false)
+  })
+})
@@ -0,0 +1,135 @@
+/**
+ * Face-lost policy: decides when a game should auto-pause because the player's face left the
+ * frame, and when it may resume (face back, held still, then a 3-2-1 countdown).
+ * Pure state machine fed once per processed frame by useHeadTracking.
+ */
+
+export const FACE_LOSS_PHASES = {
+  /** Face present (or only briefly missing) — play normally */
+  TRACKING: 'tracking',
+  /** Face missing for longer than lostAfterMs — game should be paused */
+  LOST: 'lost',
+  /** Face is back; waiting for it to hold still */
+  STILLNESS: 'stillness',
+  /** Held still; counting down before resuming */
+  COUNTDOWN: 'countdown',
+}
+
+/**
+ * @typedef {{ enabled: boolean, lostAfterMs: number, stillnessMs: number, stillnessTolerance: number, countdownSec: number }} FaceLossPolicy
+ */
+
+/** @type {FaceLossPolicy} */
+export const DEFAULT_FACE_LOSS_POLICY = {
+  enabled: true,
+  /** Missing for this long counts as lost (short blinks / occlusions are ignored) */
+  lostAfterMs: 700,
+  /** Nose must stay within stillnessTolerance for this long before the countdown */
+  stillnessMs: 600,
+  stillnessTolerance: 0.02,
+  countdownSec: 3,
+}
+
+/**
+ * Merge a partial policy with the defaults; `false` disables auto-pause.
+ * @param {Partial<FaceLossPolicy> | boolean | undefined} policy
+ * @returns {FaceLossPolicy}
+ */
+export function resolveFaceLossPolicy(policy) {
+  if (policy === false) return { ...DEFAULT_FACE_LOSS_POLICY, enabled: false }
+  if (policy == null || policy === true) return DEFAULT_FACE_LOSS_POLICY
+  return { ...DEFAULT_FACE_LOSS_POLICY, ...policy }
+}
+
+/**
+ * Overlay copy for a face-loss state.
+ * @param {{ phase: string, countdown: number | null }} faceLoss
+ * @returns {string}
+ */
+export function getFaceLossMessage({ phase, countdown }) {
+  if (phase === FACE_LOSS_PHASES.COUNTDOWN) return `Resuming in ${countdown}…`
+  if (phase === FACE_LOSS_PHASES.STILLNESS) return 'Welcome back — hold still…'
+  if (phase === FACE_LOSS_PHASES.LOST)
+    return 'Look back at the camera to resume'
+  return ''
+}
+
+/**
+ * @param {Partial<FaceLossPolicy> | boolean} [policy]
+ */
+export function createFaceLossMonitor(policy) {
+  const config = resolveFaceLossPolicy(policy)
+  let phase = FACE_LOSS_PHASES.TRACKING
+  let missingSince = null
+  let stillSince = 0
+  let anchor = null
+  let countdownEnd = 0
+
+  const lose = () => {
+    phase = FACE_LOSS_PHASES.LOST
+    anchor = null
+  }
+
+  return {
+    get phase() {
+      return phase
+    },
+    get enabled() {
+      return config.enabled
+    },
+
+    /**
+     * @param {{ faceDetected: boolean, nose?: { x: number, y: number } | null, now: number }} frame
+     * @returns {{ phase: string, countdown: number | null }} countdown is whole seconds left (3, 2, 1)
+     */
+    update({ faceDetected, nose = null, now }) {
+      if (!config.enabled) return { phase, countdown: null }
+
+      if (!faceDetected) {
+        if (missingSince == null) missingSince = now
+        if (
+          phase !== FACE_LOSS_PHASES.TRACKING ||
+          now - missingSince >= config.lostAfterMs
+        ) {
+          lose()
+        }
+        return { phase, countdown: null }
+      }
+      missingSince = null
+
+      if (phase === FACE_LOSS_PHASES.LOST) {
+        phase = FACE_LOSS_PHASES.STILLNESS
+        anchor = nose
+        stillSince = now
+      }
+      if (phase === FACE_LOSS_PHASES.STILLNESS) {
+        if (
+          !anchor ||
+          !nose ||
+          Math.hypot(nose.x - anchor.x, nose.y - anchor.y) >
+            config.stillnessTolerance
+        ) {
+          anchor = nose
+          stillSince = now
+        } else if (now - stillSince >= config.stillnessMs) {
+          phase = FACE_LOSS_PHASES.COUNTDOWN
+          countdownEnd = now + config.countdownSec * 1000
+        }
+      }
+      if (phase === FACE_LOSS_PHASES.COUNTDOWN) {
+        if (now >= countdownEnd) {
+          phase = FACE_LOSS_PHASES.TRACKING
+          return { phase, countdown: null }
+        }
+        return { phase, countdown: Math.ceil((countdownEnd - now) / 1000) }
+      }
+      return { phase, countdown: null }
+    },
+
+    reset() {
+      phase = FACE_LOSS_PHASES.TRACKING
+      missingSince = null
+      anchor = null
+    },
+  }
+}
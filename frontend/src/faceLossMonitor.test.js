@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest'
+import {
+  FACE_LOSS_PHASES,
+  DEFAULT_FACE_LOSS_POLICY,
+  createFaceLossMonitor,
+  getFaceLossMessage,
+  resolveFaceLossPolicy,
+} from './faceLossMonitor'
+
+const NOSE = { x: 0.5, y: 0.5 }
+
+/** Feed frames every `stepMs` from `from` up to (excluding) `to`. */
+function feed(monitor, { from, to, stepMs = 50, face = true, nose = NOSE }) {
+  let out
+  for (let now = from; now < to; now += stepMs) {
+    out = monitor.update({ faceDetected: face, nose: face ? nose : null, now })
+  }
+  return out
+}
+
+describe('faceLossMonitor', () => {
+  it('ignores short dropouts', () => {
+    const monitor = createFaceLossMonitor()
+    feed(monitor, { from: 0, to: 500 })
+    const out = feed(monitor, { from: 500, to: 1000, face: false })
+    expect(out.phase).toBe(FACE_LOSS_PHASES.TRACKING)
+    feed(monitor, { from: 1000, to: 1100 })
+    expect(monitor.phase).toBe(FACE_LOSS_PHASES.TRACKING)
+  })
+
+  it('reports lost after lostAfterMs without a face', () => {
+    const monitor = createFaceLossMonitor()
+    feed(monitor, { from: 0, to: 100 })
+    const out = feed(monitor, {
+      from: 100,
+      to: 100 + DEFAULT_FACE_LOSS_POLICY.lostAfterMs + 50,
+      face: false,
+    })
+    expect(out).toEqual({ phase: FACE_LOSS_PHASES.LOST, countdown: null })
+  })
+
+  it('waits for stillness, counts down 3-2-1, then resumes', () => {
+    const monitor = createFaceLossMonitor({ lostAfterMs: 0 })
+    monitor.update({ faceDetected: false, now: 0 })
+    expect(monitor.phase).toBe(FACE_LOSS_PHASES.LOST)
+
+    expect(
+      monitor.update({ faceDetected: true, nose: NOSE, now: 100 }),
+    ).toEqual({ phase: FACE_LOSS_PHASES.STILLNESS, countdown: null })
+    const counted = []
+    let now = 100
+    while (monitor.phase !== FACE_LOSS_PHASES.TRACKING && now < 10000) {
+      now += 50
+      const out = monitor.update({ faceDetected: true, nose: NOSE, now })
+      if (out.countdown != null && counted.at(-1) !== out.countdown) {
+        counted.push(out.countdown)
+      }
+    }
+    expect(counted).toEqual([3, 2, 1])
+    expect(now).toBeGreaterThanOrEqual(
+      100 +
+        DEFAULT_FACE_LOSS_POLICY.stillnessMs +
+        DEFAULT_FACE_LOSS_POLICY.countdownSec * 1000,
+    )
+  })
+
+  it('restarts the stillness check while the head keeps moving', () => {
+    const monitor = createFaceLossMonitor({ lostAfterMs: 0 })
+    monitor.update({ faceDetected: false, now: 0 })
+    for (let now = 50; now < 2000; now += 50) {
+      const nose = { x: 0.5 + (now % 100 ? 0.05 : 0), y: 0.5 }
+      monitor.update({ faceDetected: true, nose, now })
+    }
+    expect(monitor.phase).toBe(FACE_LOSS_PHASES.STILLNESS)
+  })
+
+  it('goes back to lost if the face disappears during the countdown', () => {
+    const monitor = createFaceLossMonitor({ lostAfterMs: 0, stillnessMs: 0 })
+    monitor.update({ faceDetected: false, now: 0 })
+    monitor.update({ faceDetected: true, nose: NOSE, now: 50 })
+    expect(monitor.phase).toBe(FACE_LOSS_PHASES.COUNTDOWN)
+    monitor.update({ faceDetected: false, now: 100 })
+    expect(monitor.phase).toBe(FACE_LOSS_PHASES.LOST)
+  })
+
+  it('never leaves tracking when disabled', () => {
+    const monitor = createFaceLossMonitor(false)
+    expect(monitor.enabled).toBe(false)
+    const out = feed(monitor, { from: 0, to: 5000, face: false })
+    expect(out.phase).toBe(FACE_LOSS_PHASES.TRACKING)
+  })
+
+  it('resolves partial policies against the defaults', () => {
+    expect(resolveFaceLossPolicy(true)).toBe(DEFAULT_FACE_LOSS_POLICY)
+    expect(resolveFaceLossPolicy({ countdownSec: 5 })).toEqual({
+      ...DEFAULT_FACE_LOSS_POLICY,
+      countdownSec: 5,
+    })
+  })
+
+  it('describes each phase for the overlay', () => {
+    expect(
+      getFaceLossMessage({ phase: FACE_LOSS_PHASES.COUNTDOWN, countdown: 2 }),
+    ).toBe('Resuming in 2…')
+    expect(
+      getFaceLossMessage({ phase: FACE_LOSS_PHASES.TRACKING, countdown: null }),
+    ).toBe('')
+  })
+})
@@ -1,30 +1,171 @@
 /**
- * Pure game logic for Snake: next state, collisions, food placement.
+ * Pure game logic for Snake: next state, collisions, food placement, and the game options
+ * (board size, walls, starting length, speed curve, self-collision) that shape them.
  */
 
+/**
+ * How the tick speeds up with the score:
+ * classic – 10ms shorter per food, which speeds up faster and faster; linear – the same few
+ * cells per second more per food, all the way up; stepped – one jump per level.
+ */
+export const SPEED_CURVES = {
+  CLASSIC: 'classic',
+  LINEAR: 'linear',
+  STEPPED: 'stepped',
+}
+
+export const SPEED_CURVE_LABELS = {
+  [SPEED_CURVES.CLASSIC]: 'Classic',
+  [SPEED_CURVES.LINEAR]: 'Linear',
+  [SPEED_CURVES.STEPPED]: 'Stepped',
+}
+
+export const BOARD_SIZES = [12, 18, 24, 32, 40]
+export const START_LENGTHS = [1, 3, 5, 8]
+export const START_TICK_MS = 200
+export const MIN_TICK_MS = 50
+/** Points per level (see getLevel). */
+export const LEVEL_SCORE = 50
+/** Stepped curve: tick shortening per level. */
+const STEPPED_TICK_MS = 30
+/** Linear curve: cells per second at the start, and added per point scored. */
+const LINEAR_START_RATE = 1000 / START_TICK_MS
+const LINEAR_RATE_PER_POINT = 1 / 40
+
+/**
+ * @typedef {{ gridSize: number, wrap: boolean, startLength: number, speedCurve: string, selfCollision: boolean }} GameOptions
+ * wrap: leaving the board comes back in on the opposite edge; selfCollision: running into
+ * your own body ends the game (otherwise the head passes over it).
+ */
+
+/** @type {GameOptions} */
+export const DEFAULT_GAME_OPTIONS = {
+  gridSize: 18,
+  wrap: false,
+  startLength: 3,
+  speedCurve: SPEED_CURVES.CLASSIC,
+  selfCollision: true,
+}
+
+/**
+ * Keep known option values; anything else falls back to the defaults.
+ * @param {object | null | undefined} raw
+ * @returns {GameOptions}
+ */
+export function sanitizeGameOptions(raw) {
+  const pick = (value, allowed, fallback) =>
+    allowed.includes(value) ? value : fallback
+  const flag = (value, fallback) =>
+    typeof value === 'boolean' ? value : fallback
+  return {
+    gridSize: pick(raw?.gridSize, BOARD_SIZES, DEFAULT_GAME_OPTIONS.gridSize),
+    wrap: flag(raw?.wrap, DEFAULT_GAME_OPTIONS.wrap),
+    startLength: pick(
+      raw?.startLength,
+      START_LENGTHS,
+      DEFAULT_GAME_OPTIONS.startLength,
+    ),
+    speedCurve: pick(
+      raw?.speedCurve,
+      Object.values(SPEED_CURVES),
+      DEFAULT_GAME_OPTIONS.speedCurve,
+    ),
+    selfCollision: flag(raw?.selfCollision, DEFAULT_GAME_OPTIONS.selfCollision),
+  }
+}
+
+/**
+ * @param {number} score
+ * @returns {number} 1-based level
+ */
+export function getLevel(score) {
+  return 1 + Math.floor(score / LEVEL_SCORE)
+}
+
+/**
+ * Milliseconds per tick at a score, never below MIN_TICK_MS.
+ * @param {number} score
+ * @param {string} [curve] - one of SPEED_CURVES
+ * @returns {number}
+ */
+export function getTickMs(score, curve = SPEED_CURVES.CLASSIC) {
+  let tickMs = START_TICK_MS - score
+  if (curve === SPEED_CURVES.LINEAR) {
+    tickMs = 1000 / (LINEAR_START_RATE + score * LINEAR_RATE_PER_POINT)
+  } else if (curve === SPEED_CURVES.STEPPED) {
+    tickMs = START_TICK_MS - (getLevel(score) - 1) * STEPPED_TICK_MS
+  }
+  return Math.max(MIN_TICK_MS, tickMs)
+}
+
+/**
+ * Starting snakes for one or two players, scaled to the board: player 1 a third of the way in
+ * on the middle row heading right, player 2 mirrored on the row three quarters down heading left.
+ * @param {number} players
+ * @param {number} gridSize
+ * @param {number} length - cells per snake (at most gridSize)
+ * @returns {{ snake: { x: number, y: number }[], direction: { x: number, y: number } }[]}
+ */
+export function getStartSnakes(players, gridSize, length) {
+  const headX = Math.max(length - 1, Math.floor(gridSize / 3))
+  const cells = (x, y, step) =>
+    Array.from({ length }, (_, i) => ({ x: x + i * step, y }))
+  const starts = [
+    {
+      snake: cells(headX, Math.floor(gridSize / 2), -1),
+      direction: { x: 1, y: 0 },
+    },
+    {
+      snake: cells(gridSize - 1 - headX, Math.floor((gridSize * 3) / 4), 1),
+      direction: { x: -1, y: 0 },
+    },
+  ]
+  return starts.slice(0, players)
+}
+
 /**
  * Compute next snake state after one step.
  * @param {{ x: number, y: number }[]} snake - current snake (head first)
  * @param {{ x: number, y: number }} direction - unit vector
  * @param {{ x: number, y: number }} food - food cell
  * @param {number} gridSize - board size (e.g. 18)
+ * @param {{ x: number, y: number }[]} [obstacles] - other occupied cells (e.g. a co-op partner)
+ * @param {{ wrap?: boolean, selfCollision?: boolean }} [rules] - see GameOptions; walls and
+ *   self-collision are lethal by default
  * @returns {{ nextSnake: { x: number, y: number }[], ateFood: boolean, gameOver: boolean }}
  */
-export function getNextSnakeState(snake, direction, food, gridSize) {
+export function getNextSnakeState(
+  snake,
+  direction,
+  food,
+  gridSize,
+  obstacles = [],
+  rules = {},
+) {
+  const { wrap = false, selfCollision = true } = rules
   const head = snake[0]
-  const nextHead = {
+  let nextHead = {
     x: head.x + direction.x,
     y: head.y + direction.y,
   }
+  if (wrap) {
+    nextHead = {
+      x: (nextHead.x + gridSize) % gridSize,
+      y: (nextHead.y + gridSize) % gridSize,
+    }
+  }
   const hitWall =
     nextHead.x < 0 ||
     nextHead.y < 0 ||
     nextHead.x >= gridSize ||
     nextHead.y >= gridSize
-  const hitSelf = snake.some(
-    (seg) => seg.x === nextHead.x && seg.y === nextHead.y,
+  const hitSelf =
+    selfCollision &&
+    snake.some((seg) => seg.x === nextHead.x && seg.y === nextHead.y)
+  const hitObstacle = obstacles.some(
+    (cell) => cell.x === nextHead.x && cell.y === nextHead.y,
   )
-  if (hitWall || hitSelf) {
+  if (hitWall || hitSelf || hitObstacle) {
     return { nextSnake: snake, ateFood: false, gameOver: true }
   }
   const nextSnake = [nextHead, ...snake]
@@ -35,19 +176,60 @@ export function getNextSnakeState(snake, direction, food, gridSize) {
   return { nextSnake, ateFood, gameOver: false }
 }
 
+/**
+ * Step two (or more) snakes at once for local co-op.
+ * Each snake treats the others' current bodies as obstacles; heads moving into the same cell
+ * crash both (so at most one snake eats per step).
+ * @param {{ x: number, y: number }[][]} snakes
+ * @param {{ x: number, y: number }[]} directions - one unit vector per snake
+ * @param {{ x: number, y: number }} food
+ * @param {number} gridSize
+ * @param {{ wrap?: boolean, selfCollision?: boolean }} [rules] - as for getNextSnakeState; the
+ *   other snakes' bodies stay lethal either way
+ * @returns {{ nextSnakes: { x: number, y: number }[][], ateFood: boolean[], crashed: boolean[] }}
+ */
+export function getNextCoopState(snakes, directions, food, gridSize, rules) {
+  const steps = snakes.map((snake, i) =>
+    getNextSnakeState(
+      snake,
+      directions[i],
+      food,
+      gridSize,
+      snakes.filter((_, j) => j !== i).flat(),
+      rules,
+    ),
+  )
+  const crashed = steps.map((step) => step.gameOver)
+  steps.forEach((step, i) => {
+    if (step.gameOver) return
+    const head = step.nextSnake[0]
+    steps.forEach((other, j) => {
+      if (j === i || other.gameOver) return
+      const otherHead = other.nextSnake[0]
+      if (head.x === otherHead.x && head.y === otherHead.y) crashed[i] = true
+    })
+  })
+  const ateFood = steps.map((step, i) => !crashed[i] && step.ateFood)
+  const nextSnakes = steps.map((step, i) =>
+    crashed[i] ? snakes[i] : step.nextSnake,
+  )
+  return { nextSnakes, ateFood, crashed }
+}
+
 /**
  * Pick a random cell that is not occupied by the snake.
  * @param {{ x: number, y: number }[]} snake
  * @param {number} gridSize
+ * @param {() => number} [random] - uniform [0, 1) source
  * @returns {{ x: number, y: number }}
  */
-export function randomFood(snake, gridSize) {
+export function randomFood(snake, gridSize, random = Math.random) {
   const occupied = new Set(snake.map((seg) => `${seg.x},${seg.y}`))
   let spot = null
   while (!spot || occupied.has(`${spot.x},${spot.y}`)) {
     spot = {
-      x: Math.floor(Math.random() * gridSize),
-      y: Math.floor(Math.random() * gridSize),
+      x: Math.floor(random() * gridSize),
+      y: Math.floor(random() * gridSize),
     }
   }
   return spot
@@ -1,5 +1,16 @@
 import { describe, it, expect } from 'vitest'
-import { getNextSnakeState, randomFood } from './gameLogic'
+import {
+  DEFAULT_GAME_OPTIONS,
+  MIN_TICK_MS,
+  SPEED_CURVES,
+  START_TICK_MS,
+  getNextSnakeState,
+  getNextCoopState,
+  getStartSnakes,
+  getTickMs,
+  randomFood,
+  sanitizeGameOptions,
+} from './gameLogic'
 
 const GRID = 18
 
@@ -86,6 +97,90 @@ describe('getNextSnakeState', () => {
   })
 })
 
+describe('getNextCoopState', () => {
+  it('moves both snakes and reports who ate', () => {
+    const snakes = [
+      [
+        { x: 2, y: 2 },
+        { x: 1, y: 2 },
+      ],
+      [
+        { x: 10, y: 10 },
+        { x: 11, y: 10 },
+      ],
+    ]
+    const { nextSnakes, ateFood, crashed } = getNextCoopState(
+      snakes,
+      [
+        { x: 1, y: 0 },
+        { x: -1, y: 0 },
+      ],
+      { x: 9, y: 10 },
+      GRID,
+    )
+    expect(nextSnakes[0]).toEqual([
+      { x: 3, y: 2 },
+      { x: 2, y: 2 },
+    ])
+    expect(nextSnakes[1]).toHaveLength(3)
+    expect(ateFood).toEqual([false, true])
+    expect(crashed).toEqual([false, false])
+  })
+
+  it('crashes a snake that runs into its partner', () => {
+    const snakes = [
+      [
+        { x: 4, y: 5 },
+        { x: 3, y: 5 },
+      ],
+      [
+        { x: 5, y: 4 },
+        { x: 5, y: 5 },
+        { x: 5, y: 6 },
+      ],
+    ]
+    const { nextSnakes, crashed } = getNextCoopState(
+      snakes,
+      [
+        { x: 1, y: 0 },
+        { x: 0, y: -1 },
+      ],
+      { x: 0, y: 0 },
+      GRID,
+    )
+    expect(crashed).toEqual([true, false])
+    expect(nextSnakes[0]).toEqual(snakes[0])
+  })
+
+  it('crashes both snakes on a head-on collision', () => {
+    const snakes = [[{ x: 4, y: 5 }], [{ x: 6, y: 5 }]]
+    const { crashed, ateFood } = getNextCoopState(
+      snakes,
+      [
+        { x: 1, y: 0 },
+        { x: -1, y: 0 },
+      ],
+      { x: 5, y: 5 },
+      GRID,
+    )
+    expect(crashed).toEqual([true, true])
+    expect(ateFood).toEqual([false, false])
+  })
+})
+
+describe('getNextSnakeState obstacles', () => {
+  it('game over when hitting an obstacle', () => {
+    const { gameOver } = getNextSnakeState(
+      [{ x: 5, y: 5 }],
+      { x: 1, y: 0 },
+      { x: 0, y: 0 },
+      GRID,
+      [{ x: 6, y: 5 }],
+    )
+    expect(gameOver).toBe(true)
+  })
+})
+
 describe('randomFood', () => {
   it('returns a point not on the snake', () => {
     const snake = [{ x: 1, y: 1 }, { x: 2, y: 1 }]
@@ -99,3 +194,119 @@ describe('randomFood', () => {
     }
   })
 })
+
+describe('game options', () => {
+  it('wraps the head to the opposite edge with wrap-around walls', () => {
+    const wrap = { wrap: true }
+    const left = getNextSnakeState(
+      [{ x: 0, y: 5 }, { x: 1, y: 5 }],
+      { x: -1, y: 0 },
+      { x: 10, y: 10 },
+      GRID,
+      [],
+      wrap,
+    )
+    expect(left.gameOver).toBe(false)
+    expect(left.nextSnake[0]).toEqual({ x: GRID - 1, y: 5 })
+    const down = getNextSnakeState(
+      [{ x: 5, y: GRID - 1 }],
+      { x: 0, y: 1 },
+      { x: 5, y: 0 },
+      GRID,
+      [],
+      wrap,
+    )
+    expect(down.nextSnake[0]).toEqual({ x: 5, y: 0 })
+    expect(down.ateFood).toBe(true)
+  })
+
+  it('passes over its own body when self-collision is off', () => {
+    const snake = [
+      { x: 5, y: 5 },
+      { x: 6, y: 5 },
+      { x: 6, y: 6 },
+      { x: 5, y: 6 },
+      { x: 4, y: 6 },
+    ]
+    const down = { x: 0, y: 1 }
+    const lethal = getNextSnakeState(snake, down, { x: 0, y: 0 }, GRID)
+    expect(lethal.gameOver).toBe(true)
+    const harmless = getNextSnakeState(snake, down, { x: 0, y: 0 }, GRID, [], {
+      selfCollision: false,
+    })
+    expect(harmless.gameOver).toBe(false)
+    expect(harmless.nextSnake[0]).toEqual({ x: 5, y: 6 })
+  })
+
+  it('keeps the partner lethal without self-collision, across a wrapped edge', () => {
+    const snakes = [[{ x: GRID - 1, y: 3 }], [{ x: 0, y: 3 }, { x: 0, y: 4 }]]
+    const { crashed } = getNextCoopState(
+      snakes,
+      [
+        { x: 1, y: 0 },
+        { x: 0, y: -1 },
+      ],
+      { x: 9, y: 9 },
+      GRID,
+      { wrap: true, selfCollision: false },
+    )
+    expect(crashed).toEqual([true, false])
+  })
+
+  it('speeds up along each curve', () => {
+    expect(getTickMs(0)).toBe(START_TICK_MS)
+    expect(getTickMs(50)).toBe(150)
+    expect(getTickMs(1000)).toBe(MIN_TICK_MS)
+    /* Linear: +0.25 cells per second per food */
+    expect(getTickMs(0, SPEED_CURVES.LINEAR)).toBe(START_TICK_MS)
+    expect(1000 / getTickMs(40, SPEED_CURVES.LINEAR)).toBeCloseTo(6)
+    expect(getTickMs(1000, SPEED_CURVES.LINEAR)).toBe(MIN_TICK_MS)
+    /* Stepped: constant within a level */
+    expect(getTickMs(40, SPEED_CURVES.STEPPED)).toBe(START_TICK_MS)
+    expect(getTickMs(50, SPEED_CURVES.STEPPED)).toBe(170)
+    expect(getTickMs(90, SPEED_CURVES.STEPPED)).toBe(170)
+    expect(getTickMs(1000, SPEED_CURVES.STEPPED)).toBe(MIN_TICK_MS)
+  })
+
+  it('lays out starting snakes for the board size and length', () => {
+    expect(getStartSnakes(2, 18, 3)).toEqual([
+      {
+        snake: [{ x: 6, y: 9 }, { x: 5, y: 9 }, { x: 4, y: 9 }],
+        direction: { x: 1, y: 0 },
+      },
+      {
+        snake: [{ x: 11, y: 13 }, { x: 12, y: 13 }, { x: 13, y: 13 }],
+        direction: { x: -1, y: 0 },
+      },
+    ])
+    const [long, partner] = getStartSnakes(2, 12, 8)
+    expect(long.snake).toHaveLength(8)
+    expect(long.snake.at(-1)).toEqual({ x: 0, y: 6 })
+    expect(partner.snake.at(-1)).toEqual({ x: 11, y: 9 })
+    expect(getStartSnakes(1, 40, 1)).toEqual([
+      { snake: [{ x: 13, y: 20 }], direction: { x: 1, y: 0 } },
+    ])
+  })
+
+  it('keeps known option values only', () => {
+    expect(sanitizeGameOptions(null)).toEqual(DEFAULT_GAME_OPTIONS)
+    expect(
+      sanitizeGameOptions({
+        gridSize: 40,
+        wrap: true,
+        startLength: 5,
+        speedCurve: SPEED_CURVES.LINEAR,
+        selfCollision: false,
+      }),
+    ).toEqual({
+      gridSize: 40,
+      wrap: true,
+      startLength: 5,
+      speedCurve: SPEED_CURVES.LINEAR,
+      selfCollision: false,
+    })
+    expect(
+      sanitizeGameOptions({ gridSize: 17, startLength: 30, speedCurve: 'warp' }),
+    ).toEqual(DEFAULT_GAME_OPTIONS)
+  })
+})
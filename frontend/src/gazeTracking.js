@@ -0,0 +1,85 @@
+/**
+ * Gaze steering from the face model's iris landmarks (468–477): where each iris sits between its
+ * eye corners, averaged over both eyes. The head can stay still; a short 5-point routine (the
+ * range wizard with gaze prompts) maps the player's own eye movement to full turns.
+ */
+
+import { NOSE_CENTER } from './headTrackingConfig'
+import { RANGE_REJECTION_MESSAGES, RANGE_STEPS } from './rangeCalibration'
+
+/** Iris centre and the image-left / image-right eye corners, per eye. */
+export const GAZE_EYES = [
+  { iris: 468, left: 33, right: 133 },
+  { iris: 473, left: 362, right: 263 },
+]
+/** Face landmark count including the irises (refined face mesh). */
+export const IRIS_LANDMARK_COUNT = 478
+/**
+ * Iris offset (in eye widths) → nose-equivalent offset, so an uncalibrated glance towards the
+ * screen edge (~0.1 eye widths) clears the default dead zone.
+ */
+export const GAZE_GAIN = 1.2
+/** Iris landmarks are noisier than the nose: the range wizard accepts more spread per step. */
+export const GAZE_RANGE_MAX_STD = 0.03
+
+/** Range wizard settings for the 5-point gaze calibration (center, left, right, up, down). */
+export const GAZE_RANGE_OPTIONS = {
+  steps: RANGE_STEPS.map((step) => ({
+    ...step,
+    prompt: {
+      neutral: 'Keep your head still and look at the center of the screen…',
+      left: 'Without moving your head, look at the left edge of the screen…',
+      right: 'Without moving your head, look at the right edge of the screen…',
+      up: 'Without moving your head, look at the top of the screen…',
+      down: 'Without moving your head, look at the bottom of the screen…',
+    }[step.id],
+  })),
+  maxStd: GAZE_RANGE_MAX_STD,
+  messages: {
+    ...RANGE_REJECTION_MESSAGES,
+    noisy: 'Eyes moved too much — rest your gaze on that spot',
+    tooClose: 'Look a little further towards the edge',
+    wrongSide: 'That was the same edge as before — look at the other one',
+  },
+}
+
+/**
+ * Iris position relative to the middle of the eye, in eye widths, averaged over both eyes.
+ * Measured along the eye-corner axis so head roll does not read as gaze.
+ * @param {Array<{ x: number, y: number }> | null | undefined} face - face landmarks
+ * @returns {{ x: number, y: number } | null} null without iris landmarks
+ */
+export function getIrisOffset(face) {
+  if (!face || face.length < IRIS_LANDMARK_COUNT) return null
+  let x = 0
+  let y = 0
+  for (const eye of GAZE_EYES) {
+    const left = face[eye.left]
+    const right = face[eye.right]
+    const iris = face[eye.iris]
+    const width = Math.hypot(right.x - left.x, right.y - left.y)
+    if (!width) return null
+    const ux = (right.x - left.x) / width
+    const uy = (right.y - left.y) / width
+    const dx = iris.x - (left.x + right.x) / 2
+    const dy = iris.y - (left.y + right.y) / 2
+    x += (dx * ux + dy * uy) / width
+    y += (dy * ux - dx * uy) / width
+  }
+  return { x: x / GAZE_EYES.length, y: y / GAZE_EYES.length }
+}
+
+/**
+ * Gaze as a point in the nose space (center = 0.5), ready for calibration and the direction /
+ * angle helpers.
+ * @param {Array<{ x: number, y: number }> | null | undefined} face
+ * @returns {{ x: number, y: number } | null}
+ */
+export function getGazePoint(face) {
+  const offset = getIrisOffset(face)
+  if (!offset) return null
+  return {
+    x: NOSE_CENTER + offset.x * GAZE_GAIN,
+    y: NOSE_CENTER + offset.y * GAZE_GAIN,
+  }
+}
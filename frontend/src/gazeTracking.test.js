@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest'
+import { NOSE_CENTER } from './headTrackingConfig'
+import {
+  GAZE_EYES,
+  GAZE_GAIN,
+  IRIS_LANDMARK_COUNT,
+  getIrisOffset,
+  getGazePoint,
+} from './gazeTracking'
+
+/**
+ * Face with both eyes 0.1 wide, irises shifted by `iris` (in eye widths), the whole face rolled
+ * by `roll` radians around the image center.
+ */
+function eyeFace({ iris = { x: 0, y: 0 }, roll = 0 } = {}) {
+  const face = Array.from({ length: IRIS_LANDMARK_COUNT }, () => ({
+    x: 0.5,
+    y: 0.5,
+    z: 0,
+  }))
+  const rotate = ({ x, y }) => ({
+    x: 0.5 + (x - 0.5) * Math.cos(roll) - (y - 0.5) * Math.sin(roll),
+    y: 0.5 + (x - 0.5) * Math.sin(roll) + (y - 0.5) * Math.cos(roll),
+    z: 0,
+  })
+  GAZE_EYES.forEach((eye, i) => {
+    const cx = i ? 0.6 : 0.4
+    face[eye.left] = rotate({ x: cx - 0.05, y: 0.4 })
+    face[eye.right] = rotate({ x: cx + 0.05, y: 0.4 })
+    face[eye.iris] = rotate({ x: cx + iris.x * 0.1, y: 0.4 + iris.y * 0.1 })
+  })
+  return face
+}
+
+describe('gazeTracking', () => {
+  it('measures the iris offset in eye widths', () => {
+    expect(getIrisOffset(eyeFace()).x).toBeCloseTo(0)
+    const offset = getIrisOffset(eyeFace({ iris: { x: 0.1, y: -0.05 } }))
+    expect(offset.x).toBeCloseTo(0.1)
+    expect(offset.y).toBeCloseTo(-0.05)
+  })
+
+  it('ignores head roll', () => {
+    const offset = getIrisOffset(
+      eyeFace({ iris: { x: -0.1, y: 0.05 }, roll: 0.3 }),
+    )
+    expect(offset.x).toBeCloseTo(-0.1)
+    expect(offset.y).toBeCloseTo(0.05)
+  })
+
+  it('maps the offset into nose space and needs the iris landmarks', () => {
+    const point = getGazePoint(eyeFace({ iris: { x: 0.1, y: 0 } }))
+    expect(point.x).toBeCloseTo(NOSE_CENTER + 0.1 * GAZE_GAIN)
+    expect(point.y).toBeCloseTo(NOSE_CENTER)
+    expect(getGazePoint(eyeFace().slice(0, 468))).toBeNull()
+    expect(getGazePoint(null)).toBeNull()
+  })
+})
@@ -0,0 +1,150 @@
+/**
+ * Facial gesture detection from MediaPipe face blendshapes.
+ * Turns per-frame scores into debounced, hysteresis-protected gesture events.
+ */
+
+/**
+ * Gesture definitions. A gesture engages when its combined score stays at or above `on` for
+ * `holdMs`, and re-arms once it drops below `off`. `unless` blocks the gesture while any of
+ * those blendshapes is above `on` (so a normal two-eye blink is not read as a wink).
+ * @type {Record<string, { blendshapes: string[], combine?: 'mean'|'min'|'max', unless?: string[], on: number, off: number, holdMs: number }>}
+ */
+export const GESTURES = {
+  blink: {
+    blendshapes: ['eyeBlinkLeft', 'eyeBlinkRight'],
+    combine: 'min',
+    on: 0.55,
+    off: 0.3,
+    holdMs: 250,
+  },
+  blinkLeft: {
+    blendshapes: ['eyeBlinkLeft'],
+    unless: ['eyeBlinkRight'],
+    on: 0.55,
+    off: 0.3,
+    holdMs: 120,
+  },
+  blinkRight: {
+    blendshapes: ['eyeBlinkRight'],
+    unless: ['eyeBlinkLeft'],
+    on: 0.55,
+    off: 0.3,
+    holdMs: 120,
+  },
+  browRaise: {
+    blendshapes: ['browInnerUp', 'browOuterUpLeft', 'browOuterUpRight'],
+    on: 0.55,
+    off: 0.35,
+    holdMs: 150,
+  },
+  smile: {
+    blendshapes: ['mouthSmileLeft', 'mouthSmileRight'],
+    on: 0.6,
+    off: 0.35,
+    holdMs: 150,
+  },
+  cheekPuff: {
+    blendshapes: ['cheekPuff'],
+    on: 0.5,
+    off: 0.25,
+    holdMs: 150,
+  },
+}
+
+/** Minimum time between two events of the same gesture. */
+export const GESTURE_COOLDOWN_MS = 400
+
+/**
+ * Blendshape scores by name from a MediaPipe face blendshapes entry.
+ * @param {{ categories: Array<{ categoryName: string, score: number }> } | null | undefined} blendshapes - e.g. result.faceBlendshapes[0]
+ * @returns {Record<string, number>}
+ */
+export function getBlendshapeScores(blendshapes) {
+  const scores = {}
+  if (!blendshapes || !blendshapes.categories) return scores
+  for (const category of blendshapes.categories) {
+    scores[category.categoryName] = category.score
+  }
+  return scores
+}
+
+/**
+ * Combined score for one gesture (0–1); missing blendshapes count as 0.
+ * @param {Record<string, number>} scores
+ * @param {{ blendshapes: string[], combine?: 'mean'|'min'|'max' }} gesture
+ * @returns {number}
+ */
+export function getGestureScore(scores, gesture) {
+  const values = gesture.blendshapes.map((name) => scores[name] ?? 0)
+  if (!values.length) return 0
+  if (gesture.combine === 'min') return Math.min(...values)
+  if (gesture.combine === 'max') return Math.max(...values)
+  return values.reduce((sum, v) => sum + v, 0) / values.length
+}
+
+/**
+ * Merge per-gesture threshold overrides onto GESTURES. `false` disables a gesture.
+ * @param {Record<string, Partial<{ on: number, off: number, holdMs: number }> | false>} [overrides]
+ * @returns {Record<string, typeof GESTURES[string]>}
+ */
+export function resolveGestureConfig(overrides = {}) {
+  const config = {}
+  for (const [name, gesture] of Object.entries(GESTURES)) {
+    const override = overrides[name]
+    if (override === false) continue
+    config[name] = { ...gesture, ...override }
+  }
+  return config
+}
+
+/**
+ * Stateful detector: feed blendshape scores each frame, get gesture names that fired.
+ * @param {Record<string, Partial<{ on: number, off: number, holdMs: number }> | false>} [overrides]
+ * @returns {{ update: (scores: Record<string, number>, now: number) => string[], reset: () => void }}
+ */
+export function createGestureDetector(overrides) {
+  const config = resolveGestureConfig(overrides)
+  /** @type {Record<string, { armed: boolean, aboveSince: number | null, lastFired: number }>} */
+  let state = {}
+
+  const reset = () => {
+    state = {}
+    for (const name of Object.keys(config)) {
+      state[name] = { armed: true, aboveSince: null, lastFired: -Infinity }
+    }
+  }
+  reset()
+
+  const update = (scores, now) => {
+    const fired = []
+    for (const [name, gesture] of Object.entries(config)) {
+      const s = state[name]
+      const score = getGestureScore(scores, gesture)
+      const blocked = (gesture.unless ?? []).some(
+        (other) => (scores[other] ?? 0) >= gesture.on,
+      )
+      if (score < gesture.off) {
+        s.armed = true
+        s.aboveSince = null
+        continue
+      }
+      if (score < gesture.on || blocked) {
+        s.aboveSince = null
+        continue
+      }
+      if (s.aboveSince == null) s.aboveSince = now
+      if (
+        s.armed &&
+        now - s.aboveSince >= gesture.holdMs &&
+        now - s.lastFired >= GESTURE_COOLDOWN_MS
+      ) {
+        s.armed = false
+        s.lastFired = now
+        fired.push(name)
+      }
+    }
+    return fired
+  }
+
+  return { update, reset }
+}
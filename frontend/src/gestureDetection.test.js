@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest'
+import {
+  GESTURES,
+  GESTURE_COOLDOWN_MS,
+  getBlendshapeScores,
+  getGestureScore,
+  resolveGestureConfig,
+  createGestureDetector,
+} from './gestureDetection'
+
+/** Feed a sequence of [timeMs, scores] frames and collect fired gestures with their time. */
+function run(detector, frames) {
+  const events = []
+  for (const [t, scores] of frames) {
+    for (const name of detector.update(scores, t)) events.push([t, name])
+  }
+  return events
+}
+
+describe('getBlendshapeScores', () => {
+  it('returns empty object for missing blendshapes', () => {
+    expect(getBlendshapeScores(undefined)).toEqual({})
+  })
+
+  it('maps category names to scores', () => {
+    const entry = {
+      categories: [
+        { categoryName: 'cheekPuff', score: 0.4 },
+        { categoryName: 'eyeBlinkLeft', score: 0.1 },
+      ],
+    }
+    expect(getBlendshapeScores(entry)).toEqual({
+      cheekPuff: 0.4,
+      eyeBlinkLeft: 0.1,
+    })
+  })
+})
+
+describe('getGestureScore', () => {
+  it('averages blendshapes by default', () => {
+    const scores = { mouthSmileLeft: 0.8, mouthSmileRight: 0.4 }
+    expect(getGestureScore(scores, GESTURES.smile)).toBeCloseTo(0.6)
+  })
+
+  it('uses the minimum for blink', () => {
+    const scores = { eyeBlinkLeft: 0.9, eyeBlinkRight: 0.2 }
+    expect(getGestureScore(scores, GESTURES.blink)).toBe(0.2)
+  })
+
+  it('treats missing blendshapes as 0', () => {
+    expect(getGestureScore({}, GESTURES.cheekPuff)).toBe(0)
+  })
+})
+
+describe('resolveGestureConfig', () => {
+  it('merges overrides and drops disabled gestures', () => {
+    const config = resolveGestureConfig({ smile: { on: 0.8 }, blink: false })
+    expect(config.smile.on).toBe(0.8)
+    expect(config.smile.off).toBe(GESTURES.smile.off)
+    expect(config.blink).toBeUndefined()
+  })
+})
+
+describe('createGestureDetector', () => {
+  const puff = (score) => ({ cheekPuff: score })
+
+  it('fires once after the score is held for holdMs', () => {
+    const detector = createGestureDetector()
+    const events = run(detector, [
+      [0, puff(0.7)],
+      [100, puff(0.7)],
+      [160, puff(0.7)],
+      [300, puff(0.7)],
+    ])
+    expect(events).toEqual([[160, 'cheekPuff']])
+  })
+
+  it('ignores spikes shorter than holdMs', () => {
+    const detector = createGestureDetector()
+    const events = run(detector, [
+      [0, puff(0.7)],
+      [50, puff(0.1)],
+      [100, puff(0.7)],
+      [200, puff(0.1)],
+    ])
+    expect(events).toEqual([])
+  })
+
+  it('does not re-fire while hovering between off and on (hysteresis)', () => {
+    const detector = createGestureDetector()
+    const events = run(detector, [
+      [0, puff(0.6)],
+      [200, puff(0.6)],
+      [1000, puff(0.4)],
+      [1100, puff(0.6)],
+      [1400, puff(0.6)],
+    ])
+    expect(events).toEqual([[200, 'cheekPuff']])
+  })
+
+  it('re-arms after dropping below off, respecting the cooldown', () => {
+    const detector = createGestureDetector({ cheekPuff: { holdMs: 0 } })
+    const events = run(detector, [
+      [0, puff(0.6)],
+      [50, puff(0.1)],
+      [100, puff(0.6)],
+      [200, puff(0.1)],
+      [GESTURE_COOLDOWN_MS + 10, puff(0.6)],
+    ])
+    expect(events).toEqual([
+      [0, 'cheekPuff'],
+      [GESTURE_COOLDOWN_MS + 10, 'cheekPuff'],
+    ])
+  })
+
+  it('does not treat a two-eye blink as a wink', () => {
+    const detector = createGestureDetector({ blink: false })
+    const both = { eyeBlinkLeft: 0.9, eyeBlinkRight: 0.9 }
+    const events = run(detector, [
+      [0, both],
+      [200, both],
+    ])
+    expect(events).toEqual([])
+  })
+
+  it('detects a left wink', () => {
+    const detector = createGestureDetector()
+    const wink = { eyeBlinkLeft: 0.9, eyeBlinkRight: 0.05 }
+    const events = run(detector, [
+      [0, wink],
+      [150, wink],
+    ])
+    expect(events).toEqual([[150, 'blinkLeft']])
+  })
+
+  it('reset clears held state', () => {
+    const detector = createGestureDetector()
+    detector.update(puff(0.7), 0)
+    detector.reset()
+    expect(detector.update(puff(0.7), 200)).toEqual([])
+  })
+})
@@ -0,0 +1,118 @@
+/**
+ * Hand control helpers for the HandLandmarker mode: landmark indices, pinch / fist measures and
+ * an edge-triggered "action button" detector (pinch or fist → e.g. Slither boost).
+ * All measures are scale-free: distances are divided by the palm size, so they work at any
+ * distance from the camera.
+ */
+
+/** MediaPipe hand landmark indices (21 per hand). */
+export const HAND_LANDMARKS = {
+  WRIST: 0,
+  THUMB_TIP: 4,
+  INDEX_MCP: 5,
+  INDEX_TIP: 8,
+  MIDDLE_MCP: 9,
+  MIDDLE_TIP: 12,
+  RING_TIP: 16,
+  PINKY_MCP: 17,
+  PINKY_TIP: 20,
+}
+
+/** Landmark that steers, like the nose in face mode. */
+export const HAND_POINT_INDEX = HAND_LANDMARKS.INDEX_TIP
+
+/**
+ * Thresholds (in palm sizes). An action fires when the pinch / fist ratio drops below `on` and
+ * re-arms once it is back above `off`, so holding a pinch fires once.
+ */
+export const HAND_ACTION_THRESHOLDS = {
+  pinchOn: 0.35,
+  pinchOff: 0.55,
+  fistOn: 1.1,
+  fistOff: 1.4,
+}
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y)
+
+/**
+ * Palm size: wrist to middle-finger knuckle (falls back to the knuckle span).
+ * @param {Array<{ x: number, y: number }>} hand
+ * @returns {number}
+ */
+export function getPalmSize(hand) {
+  return (
+    distance(hand[HAND_LANDMARKS.WRIST], hand[HAND_LANDMARKS.MIDDLE_MCP]) ||
+    distance(hand[HAND_LANDMARKS.INDEX_MCP], hand[HAND_LANDMARKS.PINKY_MCP])
+  )
+}
+
+/**
+ * Thumb tip to index tip distance in palm sizes (small = pinching).
+ * @param {Array<{ x: number, y: number }>} hand - 21 landmarks
+ * @returns {number | null} null when landmarks are missing
+ */
+export function getPinchRatio(hand) {
+  if (!hand || hand.length <= HAND_LANDMARKS.PINKY_TIP) return null
+  const palm = getPalmSize(hand)
+  if (!palm) return null
+  return (
+    distance(hand[HAND_LANDMARKS.THUMB_TIP], hand[HAND_LANDMARKS.INDEX_TIP]) /
+    palm
+  )
+}
+
+/**
+ * Mean fingertip to wrist distance in palm sizes (small = fist; an open hand is ~2).
+ * @param {Array<{ x: number, y: number }>} hand - 21 landmarks
+ * @returns {number | null} null when landmarks are missing
+ */
+export function getFistRatio(hand) {
+  if (!hand || hand.length <= HAND_LANDMARKS.PINKY_TIP) return null
+  const palm = getPalmSize(hand)
+  if (!palm) return null
+  const wrist = hand[HAND_LANDMARKS.WRIST]
+  const tips = [
+    HAND_LANDMARKS.INDEX_TIP,
+    HAND_LANDMARKS.MIDDLE_TIP,
+    HAND_LANDMARKS.RING_TIP,
+    HAND_LANDMARKS.PINKY_TIP,
+  ]
+  const total = tips.reduce((sum, i) => sum + distance(hand[i], wrist), 0)
+  return total / tips.length / palm
+}
+
+/**
+ * Edge-triggered pinch / fist detector for one hand.
+ * @param {Partial<typeof HAND_ACTION_THRESHOLDS>} [thresholds]
+ * @returns {{ update: (hand: Array<{ x: number, y: number }> | null) => 'pinch' | 'fist' | null, reset: () => void }}
+ */
+export function createHandActionDetector(thresholds) {
+  const { pinchOn, pinchOff, fistOn, fistOff } = {
+    ...HAND_ACTION_THRESHOLDS,
+    ...thresholds,
+  }
+  let armed = true
+
+  return {
+    update(hand) {
+      const pinch = getPinchRatio(hand)
+      const fist = getFistRatio(hand)
+      if (pinch == null || fist == null) return null
+      if (pinch > pinchOff && fist > fistOff) armed = true
+      if (!armed) return null
+      /* A fist also brings thumb and index together; report it as a fist */
+      if (fist < fistOn) {
+        armed = false
+        return 'fist'
+      }
+      if (pinch < pinchOn) {
+        armed = false
+        return 'pinch'
+      }
+      return null
+    },
+    reset() {
+      armed = true
+    },
+  }
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest'
+import {
+  HAND_LANDMARKS,
+  createHandActionDetector,
+  getFistRatio,
+  getPinchRatio,
+} from './handGestures'
+
+/** 21 hand landmarks with a palm 0.2 tall; fingers spread, curled (fist) or thumb on index (pinch). */
+function hand(pose = 'open') {
+  const points = Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.7, z: 0 }))
+  const set = (index, x, y) => {
+    points[index] = { x, y, z: 0 }
+  }
+  set(HAND_LANDMARKS.WRIST, 0.5, 0.8)
+  set(HAND_LANDMARKS.INDEX_MCP, 0.45, 0.62)
+  set(HAND_LANDMARKS.MIDDLE_MCP, 0.5, 0.6)
+  set(HAND_LANDMARKS.PINKY_MCP, 0.58, 0.63)
+  if (pose === 'fist') {
+    set(HAND_LANDMARKS.THUMB_TIP, 0.46, 0.66)
+    set(HAND_LANDMARKS.INDEX_TIP, 0.46, 0.66)
+    set(HAND_LANDMARKS.MIDDLE_TIP, 0.5, 0.66)
+    set(HAND_LANDMARKS.RING_TIP, 0.54, 0.66)
+    set(HAND_LANDMARKS.PINKY_TIP, 0.57, 0.67)
+    return points
+  }
+  set(HAND_LANDMARKS.INDEX_TIP, 0.42, 0.4)
+  set(
+    HAND_LANDMARKS.THUMB_TIP,
+    pose === 'pinch' ? 0.43 : 0.32,
+    pose === 'pinch' ? 0.42 : 0.6,
+  )
+  set(HAND_LANDMARKS.MIDDLE_TIP, 0.5, 0.38)
+  set(HAND_LANDMARKS.RING_TIP, 0.56, 0.4)
+  set(HAND_LANDMARKS.PINKY_TIP, 0.62, 0.45)
+  return points
+}
+
+describe('handGestures', () => {
+  it('measures pinch and fist relative to the palm size', () => {
+    expect(getPinchRatio(hand('open'))).toBeGreaterThan(0.55)
+    expect(getPinchRatio(hand('pinch'))).toBeLessThan(0.35)
+    expect(getFistRatio(hand('open'))).toBeGreaterThan(1.4)
+    expect(getFistRatio(hand('fist'))).toBeLessThan(1.1)
+    expect(getPinchRatio([])).toBeNull()
+    expect(getFistRatio(null)).toBeNull()
+  })
+
+  it('fires once per pinch and re-arms when the hand opens', () => {
+    const detector = createHandActionDetector()
+    expect(detector.update(hand('open'))).toBeNull()
+    expect(detector.update(hand('pinch'))).toBe('pinch')
+    expect(detector.update(hand('pinch'))).toBeNull()
+    expect(detector.update(hand('open'))).toBeNull()
+    expect(detector.update(hand('pinch'))).toBe('pinch')
+  })
+
+  it('reports a fist rather than the pinch it contains', () => {
+    const detector = createHandActionDetector()
+    expect(detector.update(hand('fist'))).toBe('fist')
+    expect(detector.update(hand('fist'))).toBeNull()
+    detector.reset()
+    expect(detector.update(hand('fist'))).toBe('fist')
+    expect(detector.update(null)).toBeNull()
+  })
+})
@@ -0,0 +1,157 @@
+/**
+ * Head pointer: a virtual cursor driven by the calibrated head signal, for navigating the app
+ * without a mouse. Only focusable elements inside a head-pointer zone (the landing page, game
+ * overlays, idle game controls) can be targeted, so steering a game never clicks anything.
+ * A target is activated by dwelling on it or by a deliberate gesture (mouth open, blink).
+ */
+
+import { createContext, useContext, useEffect } from 'react'
+import { NOSE_CENTER } from './headTrackingConfig'
+
+export const HEAD_POINTER_CLICK_MODES = {
+  DWELL: 'dwell',
+  MOUTH: 'mouth',
+  BLINK: 'blink',
+}
+
+export const HEAD_POINTER_CLICK_MODE_LABELS = {
+  [HEAD_POINTER_CLICK_MODES.DWELL]: 'Dwell',
+  [HEAD_POINTER_CLICK_MODES.MOUTH]: 'Open mouth',
+  [HEAD_POINTER_CLICK_MODES.BLINK]: 'Blink',
+}
+
+/** Screen fraction per unit of nose offset: a ~0.1 head turn reaches the screen edge. */
+export const HEAD_POINTER_GAIN = 5
+/** How long the cursor has to rest on a target before a dwell click. */
+export const HEAD_POINTER_DWELL_MS = 1200
+/** Containers whose focusable elements the pointer can target. */
+export const HEAD_POINTER_ZONE_ATTRIBUTE = 'data-head-pointer-zone'
+export const HEAD_POINTER_STORAGE_KEY = 'cvified_head_pointer'
+
+const FOCUSABLE_SELECTOR =
+  'button, a[href], select, input, [role="button"], [tabindex]:not([tabindex="-1"])'
+
+/**
+ * @typedef {{ enabled: boolean, clickMode: string }} HeadPointerSettings
+ */
+
+/** @type {HeadPointerSettings} */
+export const DEFAULT_HEAD_POINTER_SETTINGS = {
+  enabled: false,
+  clickMode: HEAD_POINTER_CLICK_MODES.DWELL,
+}
+
+/** @returns {HeadPointerSettings} */
+export function loadHeadPointerSettings() {
+  try {
+    const raw = JSON.parse(
+      window.localStorage.getItem(HEAD_POINTER_STORAGE_KEY) ?? 'null',
+    )
+    return {
+      enabled:
+        typeof raw?.enabled === 'boolean'
+          ? raw.enabled
+          : DEFAULT_HEAD_POINTER_SETTINGS.enabled,
+      clickMode: Object.values(HEAD_POINTER_CLICK_MODES).includes(
+        raw?.clickMode,
+      )
+        ? raw.clickMode
+        : DEFAULT_HEAD_POINTER_SETTINGS.clickMode,
+    }
+  } catch {
+    return DEFAULT_HEAD_POINTER_SETTINGS
+  }
+}
+
+/** @param {HeadPointerSettings} settings */
+export function saveHeadPointerSettings(settings) {
+  try {
+    window.localStorage.setItem(
+      HEAD_POINTER_STORAGE_KEY,
+      JSON.stringify(settings),
+    )
+  } catch {
+    /* ignore */
+  }
+}
+
+/**
+ * Cursor position as a fraction of the viewport for a steering point in nose space
+ * (center = 0.5). Mirrored like the camera view, so turning right moves the cursor right.
+ * @param {{ x: number, y: number }} point
+ * @param {number} [gain]
+ * @returns {{ x: number, y: number }} in [0, 1]
+ */
+export function getPointerPosition(point, gain = HEAD_POINTER_GAIN) {
+  const clamp = (value) => Math.max(0, Math.min(1, value))
+  return {
+    x: clamp(0.5 - (point.x - NOSE_CENTER) * gain),
+    y: clamp(0.5 + (point.y - NOSE_CENTER) * gain),
+  }
+}
+
+/**
+ * Focusable, enabled element under a viewport point, if it sits inside a head-pointer zone.
+ * @param {number} x
+ * @param {number} y
+ * @param {Pick<Document, 'elementFromPoint'>} [doc]
+ * @returns {HTMLElement | null}
+ */
+export function findPointerTarget(x, y, doc = window.document) {
+  const hit = doc.elementFromPoint?.(x, y)
+  const target = hit?.closest?.(FOCUSABLE_SELECTOR)
+  if (!target || target.disabled) return null
+  return target.closest(`[${HEAD_POINTER_ZONE_ATTRIBUTE}]`) ? target : null
+}
+
+/**
+ * Activate a target like a click would; selects only take focus (the keyboard opens them).
+ * @param {HTMLElement} target
+ */
+export function activatePointerTarget(target) {
+  target.focus?.()
+  if (target.tagName !== 'SELECT') target.click()
+}
+
+/**
+ * Dwell timer: update() with the current target each frame. Progress runs from 0 to 1 while
+ * the target stays the same, then a single click fires; the same target needs to be left and
+ * entered again before it can fire again.
+ * @param {{ dwellMs?: number }} [options]
+ * @returns {{ update: (target: object | null, now: number) => { progress: number, click: boolean }, reset: () => void }}
+ */
+export function createDwellClicker({ dwellMs = HEAD_POINTER_DWELL_MS } = {}) {
+  let current = null
+  let since = 0
+  let fired = false
+  return {
+    update(target, now) {
+      if (target !== current) {
+        current = target
+        since = now
+        fired = false
+      }
+      if (!current || fired) return { progress: 0, click: false }
+      const progress = Math.min(1, (now - since) / dwellMs)
+      if (progress < 1) return { progress, click: false }
+      fired = true
+      return { progress: 1, click: true }
+    },
+    reset() {
+      current = null
+      fired = false
+    },
+  }
+}
+
+/** Provided by HeadPointerProvider: registers the page's tracker, returns the unregister. */
+export const HeadPointerContext = createContext(null)
+
+/**
+ * Let the head pointer follow this page's tracker instead of opening a camera of its own.
+ * @param {import('./headTracker').HeadTracker} tracker
+ */
+export function useHeadPointerSource(tracker) {
+  const registerTracker = useContext(HeadPointerContext)
+  useEffect(() => registerTracker?.(tracker), [registerTracker, tracker])
+}
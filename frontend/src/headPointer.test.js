@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import {
+  DEFAULT_HEAD_POINTER_SETTINGS,
+  HEAD_POINTER_CLICK_MODES,
+  HEAD_POINTER_DWELL_MS,
+  HEAD_POINTER_GAIN,
+  HEAD_POINTER_STORAGE_KEY,
+  activatePointerTarget,
+  createDwellClicker,
+  findPointerTarget,
+  getPointerPosition,
+  loadHeadPointerSettings,
+  saveHeadPointerSettings,
+} from './headPointer'
+
+describe('headPointer', () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+    document.body.innerHTML = ''
+  })
+
+  it('maps the steering point to a mirrored, clamped screen position', () => {
+    expect(getPointerPosition({ x: 0.5, y: 0.5 })).toEqual({ x: 0.5, y: 0.5 })
+    /* Nose left in the image = head turned right */
+    const right = getPointerPosition({ x: 0.45, y: 0.55 })
+    expect(right.x).toBeCloseTo(0.5 + 0.05 * HEAD_POINTER_GAIN)
+    expect(right.y).toBeCloseTo(0.5 + 0.05 * HEAD_POINTER_GAIN)
+    expect(getPointerPosition({ x: 0, y: 1 })).toEqual({ x: 1, y: 1 })
+  })
+
+  it('clicks once after dwelling on the same target', () => {
+    const dwell = createDwellClicker()
+    const a = {}
+    const b = {}
+    expect(dwell.update(a, 0)).toEqual({ progress: 0, click: false })
+    expect(dwell.update(a, HEAD_POINTER_DWELL_MS / 2).progress).toBeCloseTo(0.5)
+    expect(dwell.update(a, HEAD_POINTER_DWELL_MS).click).toBe(true)
+    expect(dwell.update(a, HEAD_POINTER_DWELL_MS * 3).click).toBe(false)
+    /* Moving to another target restarts the timer */
+    dwell.update(b, HEAD_POINTER_DWELL_MS * 3)
+    expect(dwell.update(b, HEAD_POINTER_DWELL_MS * 3.5).click).toBe(false)
+    expect(dwell.update(null, HEAD_POINTER_DWELL_MS * 5)).toEqual({
+      progress: 0,
+      click: false,
+    })
+  })
+
+  it('only targets enabled focusable elements inside a head-pointer zone', () => {
+    document.body.innerHTML = `
+      <main data-head-pointer-zone>
+        <button id="start"><span id="label">Start</span></button>
+        <button id="off" disabled>Off</button>
+        <p id="text">Text</p>
+      </main>
+      <button id="outside">Outside</button>`
+    const at = (id) => ({
+      elementFromPoint: () => document.getElementById(id),
+    })
+    expect(findPointerTarget(0, 0, at('label')).id).toBe('start')
+    expect(findPointerTarget(0, 0, at('off'))).toBeNull()
+    expect(findPointerTarget(0, 0, at('text'))).toBeNull()
+    expect(findPointerTarget(0, 0, at('outside'))).toBeNull()
+    expect(findPointerTarget(0, 0, {})).toBeNull()
+  })
+
+  it('activates buttons by clicking and selects by focusing', () => {
+    document.body.innerHTML = `<button>Go</button><select><option>A</option></select>`
+    const button = document.querySelector('button')
+    const select = document.querySelector('select')
+    const onClick = vi.fn()
+    button.addEventListener('click', onClick)
+    const onSelectClick = vi.fn()
+    select.addEventListener('click', onSelectClick)
+
+    activatePointerTarget(button)
+    expect(onClick).toHaveBeenCalledTimes(1)
+    activatePointerTarget(select)
+    expect(document.activeElement).toBe(select)
+    expect(onSelectClick).not.toHaveBeenCalled()
+  })
+
+  it('remembers the settings and ignores unknown click modes', () => {
+    expect(loadHeadPointerSettings()).toEqual(DEFAULT_HEAD_POINTER_SETTINGS)
+    saveHeadPointerSettings({
+      enabled: true,
+      clickMode: HEAD_POINTER_CLICK_MODES.BLINK,
+    })
+    expect(loadHeadPointerSettings()).toEqual({
+      enabled: true,
+      clickMode: HEAD_POINTER_CLICK_MODES.BLINK,
+    })
+    window.localStorage.setItem(
+      HEAD_POINTER_STORAGE_KEY,
+      JSON.stringify({ enabled: true, clickMode: 'wink' }),
+    )
+    expect(loadHeadPointerSettings().clickMode).toBe(
+      DEFAULT_HEAD_POINTER_SETTINGS.clickMode,
+    )
+  })
+})
@@ -0,0 +1,1051 @@
+/**
+ * Framework-agnostic head tracking core, driven by plain method calls and reported through
+ * events. useHeadTracking is a thin React wrapper around it; a game loop, a worker or a test can
+ * drive one directly (processFrame injects landmark results without a model or camera).
+ *
+ * The tracker owns the state, the settings and the events, assigns detected faces to players,
+ * runs the face-loss policy and draws the overlay. The rest lives in its own modules:
+ * trackerModel creates the detector (worker or in-page), trackerStream runs the camera or trace
+ * replay and the detection loop, and trackerPlayers does each player's calibration, steering and
+ * triggers.
+ */
+
+import {
+  NOSE_INDEX,
+  UI_THROTTLE_MS,
+  CONTROL_MODES,
+  MAX_PLAYERS,
+  PLAYER_ASSIGNMENT,
+  TRACKING_ERROR,
+  assignFacesToPlayers,
+  createPointFilter,
+  createDirectionTracker,
+  noseOffsetFromNormalized,
+  getHeadPoseFromMatrix,
+  getMouthOpenness,
+} from './headTrackingConfig'
+import { drawPlayerOverlays } from './drawTrackingOverlay'
+import {
+  OVERLAY_MODES,
+  createOverlayThrottle,
+  getGestureDebugBars,
+  loadOverlayMode,
+  loadPrivacyMode,
+  saveOverlayMode,
+  savePrivacyMode,
+} from './overlayModes'
+import { RANGE_STEPS, createRangeCalibration } from './rangeCalibration'
+import { FACE_LOSS_PHASES, createFaceLossMonitor } from './faceLossMonitor'
+import { createGestureDetector, getBlendshapeScores } from './gestureDetection'
+import { LANDMARKER_TASKS } from './faceLandmarkerBackend'
+import { loadCameraPreference, saveCameraPreference } from './cameraDevices'
+import { createTraceRecorder } from './landmarkTrace'
+import { HAND_POINT_INDEX } from './handGestures'
+import { GAZE_RANGE_OPTIONS, getGazePoint } from './gazeTracking'
+import {
+  BRIGHTNESS_SAMPLE_INTERVAL_MS,
+  DIAGNOSTICS_UI_INTERVAL_MS,
+  createDiagnosticsCollector,
+  sampleVideoBrightness,
+} from './trackingDiagnostics'
+import {
+  createDetectorLoader,
+  getLandmarkerConfig,
+  getLandmarkerTask,
+} from './trackerModel'
+import { startTrackingStream, watchCameraDevices } from './trackerStream'
+import {
+  addCalibrationSample,
+  beginCalibration,
+  clearPlayerState,
+  createPlayerState,
+  detectTriggers,
+  getSteeringOutput,
+  getSteeringSignal,
+  losePlayer,
+  releaseTurn,
+  steerPlayer,
+} from './trackerPlayers'
+
+export { TRACKING_ERROR } from './headTrackingConfig'
+
+/**
+ * Landmark sets in a result and the index of the point that steers: hands (index fingertip)
+ * when the hand landmarker produced the result, faces (nose tip) otherwise.
+ */
+function getTrackedLandmarks(result) {
+  if (result.handLandmarks) {
+    return {
+      sets: result.handLandmarks,
+      pointIndex: HAND_POINT_INDEX,
+      hands: true,
+    }
+  }
+  return {
+    sets: result.faceLandmarks ?? [],
+    pointIndex: NOSE_INDEX,
+    hands: false,
+  }
+}
+
+/** Range-of-motion wizard for a control mode (gaze uses its own prompts and noise limit). */
+function createRangeWizard(controlMode) {
+  return createRangeCalibration(
+    controlMode === CONTROL_MODES.GAZE ? GAZE_RANGE_OPTIONS : undefined,
+  )
+}
+
+const IDLE_RANGE_CALIBRATION = {
+  active: false,
+  stepIndex: 0,
+  stepCount: RANGE_STEPS.length,
+  prompt: '',
+  progress: 0,
+  message: '',
+  quality: null,
+}
+
+const TRACKING_FACE_LOSS = { phase: FACE_LOSS_PHASES.TRACKING, countdown: null }
+
+/** UI snapshot of the range-of-motion wizard. */
+function getRangeCalibrationState(wizard) {
+  return {
+    active: wizard.step != null,
+    stepIndex: wizard.stepIndex,
+    stepCount: wizard.stepCount,
+    prompt: wizard.step?.prompt ?? '',
+    progress: wizard.progress,
+    message: wizard.message,
+    quality: wizard.result?.quality ?? null,
+  }
+}
+
+/** Tracker settings and their defaults; configure() changes any of them at runtime. */
+export const HEAD_TRACKER_DEFAULTS = {
+  faceEnabled: true,
+  sensitivity: 1,
+  controlMode: CONTROL_MODES.NOSE,
+  smoothing: undefined,
+  players: 1,
+  playerAssignment: PLAYER_ASSIGNMENT.NEAREST,
+  rangeMapping: null,
+  savedCalibration: null,
+  faceLossPolicy: false,
+  traceSource: null,
+  traceLoop: false,
+  traceRealtime: true,
+  diagnostics: false,
+  directionOptions: undefined,
+  gestureThresholds: undefined,
+}
+
+/**
+ * @typedef {object} HeadTrackerSettings
+ * @property {boolean} faceEnabled
+ * @property {number} sensitivity
+ * @property {'nose'|'pose'|'hand'|'gaze'} controlMode - 'hand' swaps in the hand landmarker
+ *   (the index fingertip steers), 'gaze' steers with the irises (see gazeTracking)
+ * @property {string | { type: string }} [smoothing] - filter type or config (see createPointFilter)
+ * @property {number} players - faces tracked; player 2 calibrates whenever it (re)appears
+ * @property {'side'|'nearest'} playerAssignment
+ * @property {import('./rangeCalibration').RangeMapping | null} rangeMapping - range wizard
+ *   result rescaling player 1's signal; ignored when recorded in another control mode
+ * @property {import('./profiles').SavedCalibration | null} savedCalibration - what
+ *   confirmNeutral() checks player 1's neutral against (hand mode always recalibrates)
+ * @property {Partial<import('./faceLossMonitor').FaceLossPolicy> | boolean} faceLossPolicy -
+ *   keep player 1's calibration while the face is gone (see faceLossMonitor)
+ * @property {import('./landmarkTrace').Trace | null} traceSource - replay a recorded trace
+ *   through the pipeline instead of the camera and model
+ * @property {boolean} traceLoop
+ * @property {boolean} traceRealtime
+ * @property {boolean} diagnostics - collect the diagnostics snapshot (see trackingDiagnostics)
+ * @property {Partial<typeof import('./headTrackingConfig').DIRECTION_DEFAULTS>} [directionOptions]
+ *   - 4-way dead-zone shape, hysteresis and return to center (see createDirectionTracker)
+ * @property {Record<string, object | false>} [gestureThresholds]
+ */
+
+/* Option objects pages tend to pass inline: compared by value, so a re-render keeps their state */
+const VALUE_SETTINGS = new Set([
+  'gestureThresholds',
+  'smoothing',
+  'directionOptions',
+  'faceLossPolicy',
+])
+
+function isSameSetting(key, a, b) {
+  if (Object.is(a, b)) return true
+  return VALUE_SETTINGS.has(key) && JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * Prompt shown while player 1 calibrates ('' when not calibrating).
+ * @param {{ isCalibrating: boolean, hasSeenFace: boolean, isConfirmingNeutral: boolean }} calibration
+ * @param {string} controlMode
+ * @returns {string}
+ */
+export function getCalibrationMessage(
+  { isCalibrating, hasSeenFace, isConfirmingNeutral },
+  controlMode,
+) {
+  if (!isCalibrating) return ''
+  const handMode = controlMode === CONTROL_MODES.HAND
+  if (!hasSeenFace) {
+    return handMode
+      ? 'Raise one hand in frame, pointing with your index finger…'
+      : 'Position your face in frame, then hold still…'
+  }
+  if (isConfirmingNeutral) {
+    return 'Confirming your saved neutral — look straight ahead…'
+  }
+  if (handMode) return 'Hold your fingertip still at a comfortable center…'
+  return controlMode === CONTROL_MODES.GAZE
+    ? 'Look at the center of the screen, hold still…'
+    : 'Look at the camera, hold still…'
+}
+
+/** Model and camera load independently; trackingStatus / trackingError combine them. */
+function withDerivedState(state, controlMode) {
+  const trackingError = state.modelStatus.error ?? state.streamStatus.error
+  return {
+    ...state,
+    trackingError,
+    trackingStatus: trackingError
+      ? 'error'
+      : state.modelStatus.status === 'ready' &&
+          state.streamStatus.status === 'ready'
+        ? 'ready'
+        : 'loading',
+    calibrationMessage: getCalibrationMessage(state, controlMode),
+  }
+}
+
+/**
+ * @typedef {object} HeadTrackerState
+ * @property {string} cameraStatus
+ * @property {string | null} headDirection
+ * @property {{ x: number, y: number }} noseOffset
+ * @property {{ yaw: number, pitch: number, roll: number } | null} headPose
+ * @property {Array<{ faceDetected: boolean, isCalibrating: boolean, headDirection: string | null }>} players
+ * @property {number} fps
+ * @property {'idle'|'loading'|'ready'|'error'} trackingStatus
+ * @property {string | null} trackingError
+ * @property {boolean} isCalibrating
+ * @property {number} calibrationProgress
+ * @property {string} calibrationMessage
+ * @property {boolean} hasSeenFace
+ * @property {boolean} isConfirmingNeutral
+ * @property {{ active: boolean, stepIndex: number, stepCount: number, prompt: string, progress: number, message: string, quality: number | null }} rangeCalibration
+ * @property {{ phase: 'tracking'|'lost'|'stillness'|'countdown', countdown: number | null }} faceLoss
+ * @property {Array<{ deviceId: string, label: string }>} cameras
+ * @property {import('./cameraDevices').CameraPreference} cameraPreference
+ * @property {string | null} activeCameraId
+ * @property {string} overlayMode
+ * @property {boolean} privacyMode
+ * @property {import('./trackingDiagnostics').DiagnosticsSnapshot | null} diagnostics
+ * @property {'worker'|'mainThread'|null} inferenceBackend - INFERENCE_BACKENDS, null until the model has loaded
+ * @property {string | null} workerError - why the worker backend failed and inference fell back to the main thread
+ * @property {boolean} isRecordingTrace
+ */
+
+/**
+ * @typedef {object} HeadTracker
+ * @property {(event: string, handler: Function) => () => void} on
+ * @property {(elements: { video?: HTMLVideoElement | null, canvas?: HTMLCanvasElement | null }) => void} start
+ * @property {() => void} stop
+ * @property {() => void} retry
+ * @property {(next: Partial<HeadTrackerSettings>) => void} configure
+ * @property {() => void} recalibrate
+ * @property {() => void} confirmNeutral
+ * @property {() => void} startRangeCalibration
+ * @property {() => void} cancelRangeCalibration
+ * @property {(change: Partial<import('./cameraDevices').CameraPreference>) => void} selectCamera
+ * @property {(mode: string) => void} selectOverlayMode
+ * @property {(on: boolean) => void} setPrivacyMode
+ * @property {() => void} startTraceRecording
+ * @property {() => ReturnType<typeof createTraceRecorder> | null} stopTraceRecording
+ * @property {(result: object, timestamp?: number) => void} processFrame
+ * @property {() => HeadTrackerState} getState
+ */
+
+/**
+ * Create a head tracker. Nothing runs until start(); stop() releases the camera, model and worker
+ * and a later start() begins again.
+ *
+ * Events (subscribe with on(event, handler), which returns an unsubscribe):
+ * 'direction' (vec, player), 'angle' (angleRadians, player), 'turn' (turn, player) – steering,
+ * where a turn of 0 (head centered) holds the heading and null means the face is gone;
+ * the output is picked by who listens: turn listeners win over angle listeners, which win over
+ * direction. 'mouthOpen' (player), 'gesture' (gesture, player) and 'handAction' (action, player)
+ * are only detected while listened to. 'point' (point, player) reports the smoothed steering
+ * point (nose space, center 0.5) on every tracked frame, e.g. for a cursor. 'calibrated'
+ * (calibration) reports each new player 1 calibration for saving, 'rangeCalibrated' (mapping)
+ * the range wizard's result, 'faceLost' / 'faceResumed' bracket a face-loss pause.
+ * 'calibration' ({ isCalibrating, progress, confirming, message }) and 'status' ({ status,
+ * error, message }) fire when those parts of the state change, 'change' (state) on every state
+ * change.
+ *
+ * Settings are HeadTrackerSettings, defaulting to HEAD_TRACKER_DEFAULTS. Gesture
+ * thresholds, smoothing, direction options and the face-loss policy are compared by value, so
+ * inline objects are fine; other object settings (traces, calibrations) by identity.
+ * `now` replaces performance.now().
+ * @param {Partial<HeadTrackerSettings> & { now?: () => number }} [options]
+ * @returns {HeadTracker}
+ */
+export function createHeadTracker(options = {}) {
+  const { now: clock = () => performance.now(), ...initial } = options
+  let settings = { ...HEAD_TRACKER_DEFAULTS, ...initial }
+  const listeners = {
+    direction: new Set(),
+    angle: new Set(),
+    turn: new Set(),
+    mouthOpen: new Set(),
+    gesture: new Set(),
+    handAction: new Set(),
+    calibrated: new Set(),
+    rangeCalibrated: new Set(),
+    faceLost: new Set(),
+    faceResumed: new Set(),
+    point: new Set(),
+    calibration: new Set(),
+    status: new Set(),
+    change: new Set(),
+  }
+
+  const playerStates = Array.from({ length: MAX_PLAYERS }, () =>
+    createPlayerState(settings),
+  )
+  /* Latest known player 1 calibration: the saved one, then whatever this session measured */
+  let latestCalibration = settings.savedCalibration
+  let faceLossMonitor = createFaceLossMonitor(settings.faceLossPolicy)
+  let lastFaceLoss = TRACKING_FACE_LOSS
+  /* Active range-of-motion wizard (player 1 only), null when idle */
+  let rangeWizard = null
+  /* Outlives retries: the overlay canvas can only be transferred to the worker once */
+  const detectorLoader = createDetectorLoader()
+  let overlayContext = null
+  let detector = null
+  let traceRecorder = null
+  const diagnosticsCollector = createDiagnosticsCollector()
+  const overlayThrottle = createOverlayThrottle()
+  let fpsLast = 0
+  let fpsCount = 0
+  let lastUIThrottle = 0
+  let elements = { video: null, canvas: null }
+  let running = false
+  let stopModel = null
+  let stopStream = null
+  let stopDeviceWatch = null
+
+  let state = withDerivedState(
+    {
+      modelStatus: { status: 'loading', error: null },
+      streamStatus: { status: 'loading', error: null },
+      cameraStatus: 'Initializing camera…',
+      headDirection: null,
+      noseOffset: { x: 0, y: 0 },
+      headPose: null,
+      players: [],
+      fps: 0,
+      isCalibrating: false,
+      calibrationProgress: 0,
+      hasSeenFace: false,
+      isConfirmingNeutral: false,
+      faceLoss: TRACKING_FACE_LOSS,
+      rangeCalibration: IDLE_RANGE_CALIBRATION,
+      cameras: [],
+      cameraPreference: loadCameraPreference(),
+      activeCameraId: null,
+      overlayMode: loadOverlayMode(),
+      privacyMode: loadPrivacyMode(),
+      diagnostics: null,
+      inferenceBackend: null,
+      workerError: null,
+      isRecordingTrace: false,
+    },
+    settings.controlMode,
+  )
+
+  const emit = (event, ...args) => {
+    for (const handler of listeners[event]) handler(...args)
+  }
+
+  const isListening = (event) => listeners[event].size > 0
+
+  /** Merge a patch into the state snapshot and report what changed. */
+  const setState = (patch) => {
+    const prev = state
+    const next = withDerivedState({ ...prev, ...patch }, settings.controlMode)
+    if (Object.keys(next).every((key) => Object.is(next[key], prev[key]))) {
+      return
+    }
+    state = next
+    if (
+      next.trackingStatus !== prev.trackingStatus ||
+      next.trackingError !== prev.trackingError ||
+      next.cameraStatus !== prev.cameraStatus
+    ) {
+      emit('status', {
+        status: next.trackingStatus,
+        error: next.trackingError,
+        message: next.cameraStatus,
+      })
+    }
+    if (
+      next.isCalibrating !== prev.isCalibrating ||
+      next.calibrationProgress !== prev.calibrationProgress ||
+      next.isConfirmingNeutral !== prev.isConfirmingNeutral ||
+      next.calibrationMessage !== prev.calibrationMessage
+    ) {
+      emit('calibration', {
+        isCalibrating: next.isCalibrating,
+        progress: next.calibrationProgress,
+        confirming: next.isConfirmingNeutral,
+        message: next.calibrationMessage,
+      })
+    }
+    emit('change', state)
+  }
+
+  const getPlayerCount = () =>
+    Math.max(1, Math.min(MAX_PLAYERS, settings.players))
+
+  const clearOverlay = () => {
+    const overlayWorker = detectorLoader.overlayWorker
+    if (overlayWorker) {
+      overlayWorker.clear()
+      return
+    }
+    /* Never grab a 2D context just to clear: it would block transferring the canvas to the worker */
+    const ctx = overlayContext
+    if (ctx) ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height)
+  }
+
+  const startCalibration = (confirm) => {
+    playerStates.forEach((playerState, player) => {
+      beginCalibration(playerState, player === 0 ? confirm : null)
+    })
+    setState({
+      noseOffset: { x: 0, y: 0 },
+      headDirection: null,
+      isCalibrating: true,
+      isConfirmingNeutral: confirm != null,
+      calibrationProgress: 0,
+      hasSeenFace: false,
+    })
+  }
+
+  /** Sync the status and clear tracking state when face tracking is turned off. */
+  const applyFaceEnabled = () => {
+    if (settings.faceEnabled) {
+      setState({ cameraStatus: 'Head tracking active' })
+      return
+    }
+    clearOverlay()
+    for (const playerState of playerStates) clearPlayerState(playerState)
+    rangeWizard = null
+    faceLossMonitor.reset()
+    lastFaceLoss = TRACKING_FACE_LOSS
+    setState({
+      cameraStatus: 'Face tracking off',
+      headDirection: null,
+      noseOffset: { x: 0, y: 0 },
+      players: [],
+      isCalibrating: false,
+      calibrationProgress: 0,
+      rangeCalibration: IDLE_RANGE_CALIBRATION,
+      faceLoss: TRACKING_FACE_LOSS,
+    })
+  }
+
+  function drawOverlay(video, layers, faces, now) {
+    const canvas = elements.canvas
+    const width = video?.videoWidth
+    const height = video?.videoHeight
+    if (!canvas || !width || !height) return
+    const mode = state.overlayMode
+    if (!overlayThrottle.shouldDraw(mode, now)) return
+    const common = {
+      mirror: true,
+      mode,
+      privacy: state.privacyMode,
+      displayWidth: canvas.clientWidth || width,
+      displayHeight: canvas.clientHeight || height,
+    }
+    const overlayWorker = detectorLoader.overlayWorker
+    if (overlayWorker) {
+      /* The worker draws its own copy of the latest landmarks */
+      overlayWorker.draw(width, height, layers, common)
+      return
+    }
+    if (canvas.width !== width) canvas.width = width
+    if (canvas.height !== height) canvas.height = height
+    if (!overlayContext) overlayContext = canvas.getContext('2d')
+    if (!overlayContext) return
+    drawPlayerOverlays(
+      overlayContext,
+      width,
+      height,
+      layers.map((layer) => ({
+        ...layer,
+        faceLandmarks: faces[layer.faceIndex] ?? null,
+      })),
+      common,
+    )
+  }
+
+  /**
+   * Calibration, steering and gestures for one player's face (null when not detected this frame).
+   * @returns {{ status: 'missing'|'calibrating'|'uncalibrated'|'ranging'|'tracking', progress?: number, done?: boolean, nose?: { x: number, y: number }, direction?: string | null, angle?: number | null, pose?: object | null }}
+   */
+  function processPlayer(playerState, player, detection, timestamp, now) {
+    const report = (event, value) => emit(event, value, player)
+    /* Co-op players calibrate again automatically when they (re)appear */
+    if (player > 0 && !playerState.baselineNose && !playerState.calibrating) {
+      beginCalibration(playerState)
+    }
+    if (!detection) {
+      losePlayer(playerState, player === 0 && faceLossMonitor.enabled)
+      return { status: 'missing' }
+    }
+    playerState.lastNose = detection.point
+
+    if (playerState.calibrating) {
+      const { calibration, confirmed, ...outcome } = addCalibrationSample(
+        playerState,
+        detection,
+        now,
+      )
+      /* Hand calibrations are not saved: the neutral fingertip is wherever the hand is raised */
+      if (calibration && player === 0 && !detection.hand) {
+        latestCalibration = calibration
+        if (!confirmed) emit('calibrated', calibration)
+      }
+      return outcome
+    }
+    if (!playerState.baselineNose) return { status: 'uncalibrated' }
+
+    const { mode, relative } = getSteeringSignal(
+      playerState,
+      detection,
+      settings.controlMode,
+      now,
+    )
+    const wizard = player === 0 ? rangeWizard : null
+    if (wizard) {
+      /* Steering is paused while the user explores their range */
+      const event = wizard.addSample(relative)
+      if (event.type === 'done') {
+        rangeWizard = null
+        emit('rangeCalibrated', { ...event.mapping, mode })
+      }
+      return { status: 'ranging', wizard, nose: relative }
+    }
+    const rangeMapping = settings.rangeMapping
+    const steering = steerPlayer(
+      playerState,
+      relative,
+      {
+        output: getSteeringOutput(isListening),
+        mapping:
+          player === 0 &&
+          rangeMapping &&
+          (rangeMapping.mode ?? CONTROL_MODES.NOSE) === mode
+            ? rangeMapping
+            : null,
+        sensitivity: settings.sensitivity,
+      },
+      timestamp,
+      now,
+      report,
+    )
+    detectTriggers(playerState, detection, isListening, now, report)
+    return { status: 'tracking', ...steering, pose: detection.pose }
+  }
+
+  /** Run the face-lost policy for player 1 and report phase changes. */
+  function updateFaceLoss(faceDetected, nose, now) {
+    const next = faceLossMonitor.update({ faceDetected, nose, now })
+    const prev = lastFaceLoss
+    if (next.phase === prev.phase && next.countdown === prev.countdown) {
+      return
+    }
+    lastFaceLoss = next
+    setState({ faceLoss: next })
+    if (
+      prev.phase === FACE_LOSS_PHASES.TRACKING &&
+      next.phase === FACE_LOSS_PHASES.LOST
+    ) {
+      emit('faceLost')
+    } else if (
+      prev.phase !== FACE_LOSS_PHASES.TRACKING &&
+      next.phase === FACE_LOSS_PHASES.TRACKING
+    ) {
+      emit('faceResumed')
+    }
+  }
+
+  /** Assign faces to players, process each, then update the state and the overlay. */
+  function processResult(result, video, timestamp) {
+    const now = clock()
+    const playerCount = getPlayerCount()
+    const { sets: faces, pointIndex, hands } = getTrackedLandmarks(result)
+    const states = playerStates.slice(0, playerCount)
+    const assignment =
+      playerCount === 1
+        ? [faces.length ? 0 : null]
+        : assignFacesToPlayers(
+            faces.map((face) => face[pointIndex]),
+            states.map((playerState) => playerState.lastNose),
+            { strategy: settings.playerAssignment },
+          )
+    const outcomes = states.map((playerState, player) => {
+      const faceIndex = assignment[player]
+      const detection =
+        faceIndex == null
+          ? null
+          : {
+              point: faces[faceIndex][pointIndex],
+              face: hands ? null : faces[faceIndex],
+              hand: hands ? faces[faceIndex] : null,
+              gaze: hands ? null : getGazePoint(faces[faceIndex]),
+              pose: getHeadPoseFromMatrix(
+                result.facialTransformationMatrixes?.[faceIndex],
+              ),
+              blendshapes: result.faceBlendshapes?.[faceIndex],
+            }
+      const outcome = processPlayer(
+        playerState,
+        player,
+        detection,
+        timestamp,
+        now,
+      )
+      if (outcome.status !== 'tracking') {
+        releaseTurn(playerState, (event, value) => emit(event, value, player))
+      }
+      return { faceIndex, ...outcome }
+    })
+
+    const primary = outcomes[0]
+    updateFaceLoss(
+      primary.status !== 'missing',
+      primary.faceIndex == null ? null : faces[primary.faceIndex][pointIndex],
+      now,
+    )
+    const patch = {}
+    if (primary.status === 'calibrating') {
+      patch.hasSeenFace = true
+      if (primary.done) {
+        patch.isCalibrating = false
+        patch.isConfirmingNeutral = false
+        patch.calibrationProgress = 0
+      } else {
+        patch.isConfirmingNeutral = primary.confirming
+        patch.calibrationProgress = primary.progress
+      }
+    }
+    if (primary.status === 'ranging') {
+      patch.rangeCalibration = getRangeCalibrationState(primary.wizard)
+    }
+    if (now - lastUIThrottle >= UI_THROTTLE_MS) {
+      if (primary.status === 'missing') {
+        lastUIThrottle = now
+        patch.headDirection = null
+        patch.noseOffset = { x: 0, y: 0 }
+        patch.headPose = null
+        patch.cameraStatus = hands ? 'No hand detected' : 'No face detected'
+      } else if (primary.status === 'tracking') {
+        lastUIThrottle = now
+        patch.headDirection = primary.direction
+        patch.noseOffset = noseOffsetFromNormalized(primary.nose)
+        patch.headPose = primary.pose
+        patch.cameraStatus = hands ? 'Hand detected' : 'Face detected'
+      }
+      if (playerCount > 1) {
+        patch.players = outcomes.map((outcome) => ({
+          faceDetected: outcome.status !== 'missing',
+          isCalibrating: outcome.status === 'calibrating',
+          headDirection: outcome.direction ?? null,
+        }))
+      }
+    }
+    setState(patch)
+
+    /* In privacy mode every detected player gets an avatar, steering or not */
+    const privacy = state.privacyMode
+    const isSteering = (outcome) =>
+      outcome.status === 'tracking' || outcome.status === 'ranging'
+    const layers = outcomes
+      .map((outcome, player) => ({ ...outcome, player }))
+      .filter(
+        (outcome) =>
+          isSteering(outcome) || (privacy && outcome.faceIndex != null),
+      )
+      .map((outcome) => {
+        const { faceIndex, player, nose, direction, angle, deadZone } = outcome
+        if (!isSteering(outcome)) {
+          return { faceIndex, pointIndex, player, avatarOnly: true }
+        }
+        return {
+          faceIndex,
+          pointIndex,
+          player,
+          nose,
+          direction: direction ?? null,
+          angle: angle ?? null,
+          deadZone: deadZone ?? null,
+          bars:
+            state.overlayMode === OVERLAY_MODES.GESTURES
+              ? getGestureDebugBars(
+                  getBlendshapeScores(result.faceBlendshapes?.[faceIndex]),
+                  hands ? null : getMouthOpenness(faces[faceIndex]),
+                )
+              : null,
+        }
+      })
+    if (layers.length) drawOverlay(video, layers, faces, now)
+    else {
+      clearOverlay()
+      overlayThrottle.reset()
+    }
+  }
+
+  function countFrame() {
+    fpsCount += 1
+    const now = clock()
+    if (now - fpsLast >= 500) {
+      setState({ fps: Math.round((fpsCount * 1000) / (now - fpsLast)) })
+      fpsCount = 0
+      fpsLast = now
+    }
+  }
+
+  /* Model lifecycle: survives camera switches, reloads when the face count or task changes (not needed for trace replay) */
+  function startModel() {
+    let active = true
+    let loaded = null
+    const landmarkerTask = getLandmarkerTask(settings.controlMode)
+
+    const load = async () => {
+      if (settings.traceSource != null) {
+        setState({ modelStatus: { status: 'ready', error: null } })
+        return
+      }
+      setState({ modelStatus: { status: 'loading', error: null } })
+      try {
+        loaded = await detectorLoader.load(
+          getLandmarkerConfig(landmarkerTask, getPlayerCount()),
+          {
+            /* A canvas the page has drawn into can no longer be transferred */
+            canvas: overlayContext ? null : elements.canvas,
+            isActive: () => active,
+          },
+        )
+        if (!active) {
+          loaded.detector.close?.()
+          return
+        }
+        detector = loaded.detector
+        diagnosticsCollector.setInferenceBackend(
+          loaded.backend,
+          loaded.workerError,
+        )
+        setState({
+          modelStatus: { status: 'ready', error: null },
+          inferenceBackend: loaded.backend,
+          workerError: loaded.workerError,
+        })
+      } catch (loadErr) {
+        if (!active) return
+        if (import.meta.env.DEV) console.error(loadErr)
+        setState({
+          modelStatus: {
+            status: 'error',
+            error: TRACKING_ERROR.MEDIAPIPE_LOAD,
+          },
+          cameraStatus:
+            landmarkerTask === LANDMARKER_TASKS.HAND
+              ? 'Failed to load hand model'
+              : 'Failed to load face model',
+        })
+      }
+    }
+
+    load()
+
+    return () => {
+      active = false
+      detector = null
+      loaded?.detector.close?.()
+    }
+  }
+
+  /* Camera stream + detection loop: restarts alone when the camera or preset changes */
+  function startStream() {
+    let lastBrightnessAt = 0
+    let lastDiagnosticsAt = 0
+    const brightnessScratch = {}
+    overlayThrottle.reset()
+
+    /** Per-frame diagnostics; latency runs from frame capture to the end of processResult (listeners included). */
+    function recordDiagnostics(source, { result, inferenceMs }, capturedAt) {
+      const now = clock()
+      const { sets, pointIndex } = getTrackedLandmarks(result)
+      const face = sets[0] ?? null
+      diagnosticsCollector.addFrame({
+        now,
+        inferenceMs,
+        latencyMs: now - capturedAt,
+        face,
+        nose: face?.[pointIndex] ?? null,
+      })
+      if (now - lastBrightnessAt >= BRIGHTNESS_SAMPLE_INTERVAL_MS) {
+        lastBrightnessAt = now
+        diagnosticsCollector.setBrightness(
+          sampleVideoBrightness(source, brightnessScratch),
+        )
+      }
+      if (now - lastDiagnosticsAt >= DIAGNOSTICS_UI_INTERVAL_MS) {
+        lastDiagnosticsAt = now
+        setState({ diagnostics: diagnosticsCollector.snapshot() })
+      }
+    }
+
+    const stop = startTrackingStream({
+      cameraPreference: state.cameraPreference,
+      traceSource: settings.traceSource,
+      traceLoop: settings.traceLoop,
+      traceRealtime: settings.traceRealtime,
+      getVideo: () => elements.video,
+      getDetector: () => detector,
+      isEnabled: () => settings.faceEnabled,
+      clock,
+      setState,
+      onFrame: (frame, source, capturedAt) => {
+        const { result, timestamp } = frame
+        traceRecorder?.add(timestamp, result, source)
+        processResult(result, source, timestamp)
+        if (settings.diagnostics) recordDiagnostics(source, frame, capturedAt)
+        countFrame()
+      },
+      onIdle: clearOverlay,
+      onCameraEnded: () => restartStream(),
+    })
+
+    return () => {
+      stop()
+      clearOverlay()
+      setState({ headDirection: null, noseOffset: { x: 0, y: 0 } })
+      for (const playerState of playerStates) {
+        playerState.filter?.reset()
+        playerState.lastNose = null
+      }
+    }
+  }
+
+  function restartModel() {
+    stopModel?.()
+    stopModel = running ? startModel() : null
+  }
+
+  function restartStream() {
+    stopStream?.()
+    stopStream = running ? startStream() : null
+  }
+
+  function watchDevices() {
+    return watchCameraDevices((list) => setState({ cameras: list }))
+  }
+
+  /** @type {HeadTracker} */
+  const tracker = {
+    /**
+     * Subscribe to one of the tracker events (see createHeadTracker).
+     * @returns {() => void} unsubscribe
+     */
+    on(event, handler) {
+      listeners[event].add(handler)
+      return () => listeners[event].delete(handler)
+    },
+
+    /** Load the model and open the camera (or the trace); the overlay draws into `canvas`. */
+    start({ video = null, canvas = null } = {}) {
+      if (running) return
+      running = true
+      if (canvas !== elements.canvas) overlayContext = null
+      elements = { video, canvas }
+      stopModel = startModel()
+      stopStream = startStream()
+      stopDeviceWatch = watchDevices()
+      applyFaceEnabled()
+    },
+
+    /** Release the camera, model and worker. */
+    stop() {
+      if (!running) return
+      running = false
+      stopStream?.()
+      stopModel?.()
+      stopDeviceWatch?.()
+      stopStream = null
+      stopModel = null
+      stopDeviceWatch = null
+      detectorLoader.terminate()
+    },
+
+    /** Reload the model and reopen the camera after an error. */
+    retry() {
+      setState({
+        modelStatus: { status: 'loading', error: null },
+        streamStatus: { status: 'loading', error: null },
+        cameraStatus: 'Initializing camera…',
+      })
+      restartModel()
+      restartStream()
+    },
+
+    /**
+     * Change settings at runtime; only what they affect restarts (the model for the player
+     * count, control task or trace replay, the stream for the trace options).
+     * @param {Partial<HeadTrackerSettings>} next
+     */
+    configure(next) {
+      const prev = settings
+      settings = { ...settings, ...next }
+      const changed = (key) => !isSameSetting(key, prev[key], settings[key])
+      if (changed('gestureThresholds')) {
+        for (const playerState of playerStates) {
+          playerState.gestureDetector = createGestureDetector(
+            settings.gestureThresholds,
+          )
+        }
+      }
+      if (changed('smoothing')) {
+        for (const playerState of playerStates) {
+          playerState.filter = createPointFilter(settings.smoothing)
+        }
+      }
+      if (changed('directionOptions')) {
+        for (const playerState of playerStates) {
+          playerState.directionTracker = createDirectionTracker(
+            settings.directionOptions,
+          )
+        }
+      }
+      if (changed('savedCalibration')) {
+        latestCalibration = settings.savedCalibration
+      }
+      if (changed('faceLossPolicy')) {
+        faceLossMonitor = createFaceLossMonitor(settings.faceLossPolicy)
+      }
+      if (changed('diagnostics')) {
+        /* Start each diagnostics session from a fresh window */
+        diagnosticsCollector.reset()
+        if (!settings.diagnostics) setState({ diagnostics: null })
+      }
+      if (changed('controlMode')) {
+        /* Nose and pose live in different raw spaces; restart smoothing from the new signal */
+        for (const playerState of playerStates) {
+          playerState.filter?.reset()
+          playerState.directionTracker?.reset()
+          playerState.handActionDetector.reset()
+        }
+        /* A running range wizard starts over with the new mode's steps */
+        if (rangeWizard) {
+          rangeWizard = createRangeWizard(settings.controlMode)
+          setState({ rangeCalibration: getRangeCalibrationState(rangeWizard) })
+        }
+        setState({})
+      }
+      if (changed('faceEnabled')) applyFaceEnabled()
+      if (
+        getPlayerCount() !== Math.max(1, Math.min(MAX_PLAYERS, prev.players)) ||
+        (settings.traceSource != null) !== (prev.traceSource != null) ||
+        getLandmarkerTask(settings.controlMode) !==
+          getLandmarkerTask(prev.controlMode)
+      ) {
+        restartModel()
+      }
+      if (
+        changed('traceSource') ||
+        changed('traceLoop') ||
+        changed('traceRealtime')
+      ) {
+        restartStream()
+      }
+    },
+
+    recalibrate() {
+      startCalibration(null)
+    },
+
+    /** Quick neutral check against the saved calibration; full calibration when there is none. */
+    confirmNeutral() {
+      const handMode = settings.controlMode === CONTROL_MODES.HAND
+      startCalibration(
+        latestCalibration?.nose && !handMode ? latestCalibration : null,
+      )
+    },
+
+    startRangeCalibration() {
+      rangeWizard = createRangeWizard(settings.controlMode)
+      setState({ rangeCalibration: getRangeCalibrationState(rangeWizard) })
+    },
+
+    cancelRangeCalibration() {
+      rangeWizard = null
+      setState({ rangeCalibration: IDLE_RANGE_CALIBRATION })
+    },
+
+    /** Switch camera and / or preset; only the stream restarts, then everyone recalibrates. */
+    selectCamera(change) {
+      const next = { ...state.cameraPreference, ...change }
+      saveCameraPreference(next)
+      setState({ cameraPreference: next })
+      startCalibration(null)
+      restartStream()
+    },
+
+    /** Switch what the camera overlay draws (remembered across visits). */
+    selectOverlayMode(mode) {
+      saveOverlayMode(mode)
+      setState({ overlayMode: mode })
+    },
+
+    /** Hide the camera image behind a landmark avatar (remembered across visits). */
+    setPrivacyMode(on) {
+      savePrivacyMode(on)
+      setState({ privacyMode: on })
+    },
+
+    startTraceRecording() {
+      traceRecorder = createTraceRecorder({ numFaces: getPlayerCount() })
+      setState({ isRecordingTrace: true })
+    },
+
+    /** Stop recording; returns the recorder (null if none was running). */
+    stopTraceRecording() {
+      const recorder = traceRecorder
+      traceRecorder = null
+      setState({ isRecordingTrace: false })
+      return recorder
+    },
+
+    /**
+     * Feed one landmarker result (e.g. from your own model loop, or a test) through calibration,
+     * steering and gestures, as if the running detector had produced it. Nothing is drawn.
+     * @param {object} result - FaceLandmarker / HandLandmarker result
+     * @param {number} [timestamp] - frame time in ms, for smoothing
+     */
+    processFrame(result, timestamp = clock()) {
+      if (!settings.faceEnabled) return
+      processResult(result, null, timestamp)
+    },
+
+    getState() {
+      return state
+    },
+  }
+
+  return tracker
+}
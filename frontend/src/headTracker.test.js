@@ -0,0 +1,214 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createHeadTracker } from './headTracker'
+import { INFERENCE_BACKENDS } from './faceLandmarkerBackend'
+import {
+  CALIBRATION_SAMPLES_TARGET,
+  CONFIRM_NEUTRAL_SAMPLES,
+  NOSE_INDEX,
+} from './headTrackingConfig'
+
+/* A worker backend whose init fails, as MediaPipe's loader does in a module worker it cannot load into */
+const backend = vi.hoisted(() => ({
+  workerInit: () => Promise.resolve({}),
+  workerTerminate: () => {},
+}))
+vi.mock('./faceLandmarkerBackend', async (importOriginal) => ({
+  ...(await importOriginal()),
+  supportsWorkerInference: () => true,
+  createFaceLandmarkerWorker: () => ({
+    init: (config) => backend.workerInit(config),
+    terminate: () => backend.workerTerminate(),
+  }),
+  createInPageFaceLandmarker: async () => ({
+    detect: () => new Promise(() => {}),
+    close: () => {},
+  }),
+}))
+
+const LANDMARK_COUNT = 478
+const FRAME_MS = 16
+
+/** A face landmarker result with one flat face, nose at (x, y). */
+function faceResult(x, y = 0.5) {
+  const face = Array.from({ length: LANDMARK_COUNT }, () => ({
+    x: 0.5,
+    y: 0.5,
+    z: 0,
+  }))
+  face[NOSE_INDEX] = { x, y, z: 0 }
+  return { faceLandmarks: [face], faceBlendshapes: [] }
+}
+
+/** Tracker on a fake clock; feed(n, x) injects n frames with the nose at x. */
+function createTestTracker(options) {
+  let time = 0
+  const tracker = createHeadTracker({ now: () => time, ...options })
+  const feed = (count, x) => {
+    for (let i = 0; i < count; i += 1) {
+      time += FRAME_MS
+      tracker.processFrame(faceResult(x), time)
+    }
+  }
+  return { tracker, feed }
+}
+
+describe('createHeadTracker', () => {
+  it('calibrates from injected frames, then steers', () => {
+    const { tracker, feed } = createTestTracker()
+    const onCalibration = vi.fn()
+    const onCalibrated = vi.fn()
+    const onDirection = vi.fn()
+    const onPoint = vi.fn()
+    tracker.on('calibration', onCalibration)
+    tracker.on('calibrated', onCalibrated)
+    tracker.on('direction', onDirection)
+    tracker.on('point', onPoint)
+
+    tracker.recalibrate()
+    expect(onCalibration).toHaveBeenLastCalledWith(
+      expect.objectContaining({ isCalibrating: true, progress: 0 }),
+    )
+    expect(tracker.getState().calibrationMessage).toMatch(/Position your face/)
+
+    feed(CALIBRATION_SAMPLES_TARGET - 1, 0.5)
+    const { isCalibrating, calibrationProgress, calibrationMessage } =
+      tracker.getState()
+    expect(isCalibrating).toBe(true)
+    expect(calibrationProgress).toBeGreaterThan(0.9)
+    expect(calibrationMessage).toMatch(/Look at the camera/)
+    expect(onCalibrated).not.toHaveBeenCalled()
+
+    feed(1, 0.5)
+    expect(tracker.getState().isCalibrating).toBe(false)
+    expect(onCalibrated).toHaveBeenCalledTimes(1)
+    expect(onCalibrated.mock.calls[0][0].nose).toEqual({ x: 0.5, y: 0.5 })
+    expect(onDirection).not.toHaveBeenCalled()
+    expect(onPoint).not.toHaveBeenCalled()
+
+    /* Nose left in the image is a right turn in the mirrored view */
+    feed(20, 0.35)
+    expect(onDirection).toHaveBeenCalled()
+    const [vec, player] = onDirection.mock.calls.at(-1)
+    expect(vec).toEqual({ x: 1, y: 0 })
+    expect(player).toBe(0)
+    /* Calibrated steering point, relative to the neutral nose */
+    expect(onPoint).toHaveBeenCalledTimes(20)
+    expect(onPoint.mock.calls.at(-1)[0].x).toBeLessThan(0.4)
+  })
+
+  it('confirms a matching saved neutral quickly and falls back to a full calibration otherwise', () => {
+    const savedCalibration = { nose: { x: 0.5, y: 0.5 }, pose: null }
+    const { tracker, feed } = createTestTracker({ savedCalibration })
+    const onCalibrated = vi.fn()
+    tracker.on('calibrated', onCalibrated)
+
+    tracker.confirmNeutral()
+    expect(tracker.getState().isConfirmingNeutral).toBe(true)
+    feed(CONFIRM_NEUTRAL_SAMPLES, 0.51)
+    expect(tracker.getState().isCalibrating).toBe(false)
+    /* Nothing new to save: the saved neutral was kept */
+    expect(onCalibrated).not.toHaveBeenCalled()
+
+    tracker.confirmNeutral()
+    feed(CONFIRM_NEUTRAL_SAMPLES, 0.6)
+    const state = tracker.getState()
+    expect(state.isCalibrating).toBe(true)
+    expect(state.isConfirmingNeutral).toBe(false)
+    expect(state.calibrationProgress).toBeCloseTo(
+      CONFIRM_NEUTRAL_SAMPLES / CALIBRATION_SAMPLES_TARGET,
+    )
+    feed(CALIBRATION_SAMPLES_TARGET - CONFIRM_NEUTRAL_SAMPLES, 0.6)
+    expect(tracker.getState().isCalibrating).toBe(false)
+    expect(onCalibrated).toHaveBeenCalledTimes(1)
+    expect(onCalibrated.mock.calls[0][0].nose.x).toBeCloseTo(0.6)
+  })
+
+  it('picks the steering output from its listeners', () => {
+    const { tracker, feed } = createTestTracker()
+    const onDirection = vi.fn()
+    const onTurn = vi.fn()
+    tracker.on('direction', onDirection)
+    const stopTurns = tracker.on('turn', onTurn)
+
+    tracker.recalibrate()
+    feed(CALIBRATION_SAMPLES_TARGET, 0.5)
+    feed(20, 0.35)
+    expect(onTurn.mock.calls.at(-1)).toEqual([1, 0])
+    expect(onDirection).not.toHaveBeenCalled()
+
+    stopTurns()
+    feed(20, 0.65)
+    expect(onDirection).toHaveBeenCalled()
+    expect(onTurn.mock.calls.at(-1)).toEqual([1, 0])
+  })
+
+  it('clears calibration and ignores frames while face tracking is off', () => {
+    const { tracker, feed } = createTestTracker()
+    const onStatus = vi.fn()
+    tracker.on('status', onStatus)
+
+    tracker.recalibrate()
+    feed(10, 0.5)
+    tracker.configure({ faceEnabled: false })
+    expect(onStatus).toHaveBeenLastCalledWith(
+      expect.objectContaining({ message: 'Face tracking off' }),
+    )
+    expect(tracker.getState().isCalibrating).toBe(false)
+
+    const onChange = vi.fn()
+    tracker.on('change', onChange)
+    feed(10, 0.5)
+    expect(onChange).not.toHaveBeenCalled()
+  })
+
+  it('keeps filter state when an equal smoothing object is passed again', () => {
+    const smoothing = { type: 'ema', alpha: 0.1 }
+    const points = []
+    for (const reconfigure of [false, true]) {
+      const { tracker, feed } = createTestTracker({ smoothing })
+      const onPoint = vi.fn()
+      tracker.on('point', onPoint)
+      tracker.recalibrate()
+      feed(CALIBRATION_SAMPLES_TARGET, 0.5)
+      for (let i = 0; i < 5; i += 1) {
+        if (reconfigure) tracker.configure({ smoothing: { ...smoothing } })
+        feed(1, i % 2 ? 0.65 : 0.35)
+      }
+      points.push(onPoint.mock.calls.map(([point]) => point.x))
+    }
+    expect(points[1]).toEqual(points[0])
+    /* Smoothed: the same nose position does not give the same point twice */
+    expect(points[0][2]).not.toBe(points[0][0])
+  })
+  it('reports a worker that fails to start instead of silently running in-page', async () => {
+    backend.workerInit = () =>
+      Promise.reject(new Error("Module scripts don't support importScripts()"))
+    backend.workerTerminate = vi.fn()
+    /* A camera that never opens: only the model matters here */
+    vi.stubGlobal('navigator', {
+      mediaDevices: { getUserMedia: () => new Promise(() => {}) },
+    })
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const { tracker } = createTestTracker({ diagnostics: true })
+    tracker.start()
+    await vi.waitFor(() =>
+      expect(tracker.getState().inferenceBackend).toBe(
+        INFERENCE_BACKENDS.MAIN_THREAD,
+      ),
+    )
+    expect(tracker.getState().workerError).toMatch(/importScripts/)
+    expect(backend.workerTerminate).toHaveBeenCalled()
+
+    /* Retrying keeps the in-page backend and still reports why */
+    tracker.retry()
+    await vi.waitFor(() =>
+      expect(tracker.getState().inferenceBackend).toBe(
+        INFERENCE_BACKENDS.MAIN_THREAD,
+      ),
+    )
+    expect(tracker.getState().workerError).toMatch(/importScripts/)
+    tracker.stop()
+    warn.mockRestore()
+    vi.unstubAllGlobals()
+  })
+})
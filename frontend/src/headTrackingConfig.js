@@ -13,6 +13,32 @@ export const DIRECTION_COOLDOWN_MS = 120
 export const UI_THROTTLE_MS = 120
 /** Number of nose samples to collect for hold-still calibration (~1–1.5 s at 60 fps) */
 export const CALIBRATION_SAMPLES_TARGET = 45
+/** Samples for the quick "confirm neutral" check against a saved calibration (~0.25 s) */
+export const CONFIRM_NEUTRAL_SAMPLES = 15
+/** A saved neutral is kept if the measured one is within this distance; otherwise recalibrate fully */
+export const CONFIRM_NEUTRAL_TOLERANCE = 0.03
+
+/** Error codes for head tracking failures (UI can show specific copy and retry behavior). */
+export const TRACKING_ERROR = {
+  CAMERA_DENIED: 'cameraDenied',
+  MEDIAPIPE_LOAD: 'mediapipeLoadFailed',
+  NOT_SUPPORTED: 'notSupported',
+}
+
+/**
+ * What drives steering: the 2D nose position in the frame, or the head rotation
+ * from the facial transformation matrix (ignores leaning / sliding sideways).
+ */
+export const CONTROL_MODES = {
+  NOSE: 'nose',
+  POSE: 'pose',
+  /** Index fingertip from the hand landmarker (see handGestures.js) */
+  HAND: 'hand',
+  /** Iris position within the eyes (see gazeTracking.js) */
+  GAZE: 'gaze',
+}
+/** Pose mode: normalized offset per degree of yaw/pitch (12° of rotation ≈ NOSE_THRESHOLD). */
+export const POSE_OFFSET_PER_DEGREE = 0.005
 
 /** MediaPipe face landmark indices for mouth openness (inner lip). */
 export const MOUTH_OPEN_INDEX_TOP = 13
@@ -54,42 +80,145 @@ export const HEAD_DIRECTIONS = {
   RIGHT: { x: 1, y: 0 },
 }
 
+/**
+ * Dead-zone shapes for 4-way direction detection (all sized by the threshold):
+ * square – neutral while both axes are inside the threshold (the original behavior);
+ * circle – neutral while the distance from center is inside the threshold;
+ * cross – only the four "+" arms steer: diagonals, where neither axis clearly dominates the
+ * other by the threshold, count as neutral too.
+ */
+export const DEAD_ZONE_SHAPES = {
+  SQUARE: 'square',
+  CIRCLE: 'circle',
+  CROSS: 'cross',
+}
+
+/**
+ * Axis-switch hysteresis as a fraction of the threshold: once a direction is committed, the
+ * other axis has to exceed it by this margin to take over (stops UP/RIGHT flapping on diagonals).
+ */
+export const DIRECTION_HYSTERESIS = 0.25
+
+/**
+ * Defaults for createDirectionTracker. With requireCenter, a committed direction can only change
+ * after the nose has come back to the center (within the threshold of it, whatever the dead-zone
+ * shape: the cross's diagonal dead zones do not count).
+ */
+export const DIRECTION_DEFAULTS = {
+  shape: DEAD_ZONE_SHAPES.SQUARE,
+  hysteresis: DIRECTION_HYSTERESIS,
+  requireCenter: false,
+}
+
+const AXIS_OF = { LEFT: 'x', RIGHT: 'x', UP: 'y', DOWN: 'y' }
+
+function isInDeadZone(dx, dy, threshold, shape) {
+  if (shape === DEAD_ZONE_SHAPES.CIRCLE) return Math.hypot(dx, dy) < threshold
+  if (shape === DEAD_ZONE_SHAPES.CROSS) {
+    return Math.abs(Math.abs(dx) - Math.abs(dy)) < threshold
+  }
+  return Math.abs(dx) < threshold && Math.abs(dy) < threshold
+}
+
 /**
  * Returns raw direction from normalized nose (0–1) relative to center.
+ * With `current` (the committed raw direction) the other axis needs a margin of
+ * `hysteresis × threshold` over the committed one before the direction switches axis.
  * @param {{ x: number, y: number }} normalizedNose - nose position, center = 0.5
  * @param {number} [threshold=NOSE_THRESHOLD] - dead zone
+ * @param {{ shape?: string, hysteresis?: number, current?: 'UP'|'DOWN'|'LEFT'|'RIGHT' | null }} [options]
  * @returns {'UP'|'DOWN'|'LEFT'|'RIGHT'|null}
  */
 export function getRawNoseDirection(
   normalizedNose,
   threshold = NOSE_THRESHOLD,
+  { shape = DEAD_ZONE_SHAPES.SQUARE, hysteresis = 0, current = null } = {},
 ) {
   const dx = normalizedNose.x - NOSE_CENTER
   const dy = normalizedNose.y - NOSE_CENTER
-  if (Math.abs(dx) < threshold && Math.abs(dy) < threshold) {
+  if (isInDeadZone(dx, dy, threshold, shape)) {
     return null
   }
-  if (Math.abs(dx) > Math.abs(dy)) {
+  const axis = Math.abs(dx) > Math.abs(dy) ? 'x' : 'y'
+  const committedAxis = AXIS_OF[current]
+  if (committedAxis && committedAxis !== axis) {
+    const committed = committedAxis === 'x' ? dx : dy
+    const challenger = axis === 'x' ? dx : dy
+    const sameSign =
+      current === 'RIGHT' || current === 'DOWN' ? committed > 0 : committed < 0
+    if (
+      sameSign &&
+      Math.abs(challenger) - Math.abs(committed) < hysteresis * threshold
+    ) {
+      return current
+    }
+  }
+  if (axis === 'x') {
     return dx > 0 ? 'RIGHT' : 'LEFT'
   }
   return dy > 0 ? 'DOWN' : 'UP'
 }
 
+const MIRRORED = { LEFT: 'RIGHT', RIGHT: 'LEFT', UP: 'UP', DOWN: 'DOWN' }
+
 /**
  * Returns mirrored head direction for display/input (camera is mirrored).
  * @param {{ x: number, y: number }} normalizedNose
  * @param {number} [threshold=NOSE_THRESHOLD]
+ * @param {{ shape?: string }} [options] - dead-zone shape
  * @returns {'UP'|'DOWN'|'LEFT'|'RIGHT'|null}
  */
 export function getMirroredHeadDirection(
   normalizedNose,
   threshold = NOSE_THRESHOLD,
+  options,
 ) {
-  const raw = getRawNoseDirection(normalizedNose, threshold)
-  if (!raw) return null
-  if (raw === 'LEFT') return 'RIGHT'
-  if (raw === 'RIGHT') return 'LEFT'
-  return raw
+  const raw = getRawNoseDirection(normalizedNose, threshold, options)
+  return raw ? MIRRORED[raw] : null
+}
+
+/**
+ * Stateful 4-way detection for one player: dead-zone shape, axis-switch hysteresis against the
+ * committed direction and optional return-to-center. Returns mirrored directions like
+ * getMirroredHeadDirection; null while in the dead zone (which, with requireCenter, only
+ * releases the committed direction at the center).
+ * @param {Partial<typeof DIRECTION_DEFAULTS>} [options]
+ * @returns {{ update: (normalizedNose: { x: number, y: number }, threshold?: number) => 'UP'|'DOWN'|'LEFT'|'RIGHT'|null, reset: () => void, shape: string }}
+ */
+export function createDirectionTracker(options) {
+  const { shape, hysteresis, requireCenter } = {
+    ...DIRECTION_DEFAULTS,
+    ...options,
+  }
+  let committed = null
+
+  return {
+    update(normalizedNose, threshold = NOSE_THRESHOLD) {
+      const raw = getRawNoseDirection(normalizedNose, threshold, {
+        shape,
+        hysteresis,
+        current: committed,
+      })
+      if (!raw) {
+        if (
+          !requireCenter ||
+          Math.hypot(
+            normalizedNose.x - NOSE_CENTER,
+            normalizedNose.y - NOSE_CENTER,
+          ) < threshold
+        ) {
+          committed = null
+        }
+        return null
+      }
+      if (!requireCenter || !committed) committed = raw
+      return MIRRORED[committed]
+    },
+    reset() {
+      committed = null
+    },
+    shape,
+  }
 }
 
 /**
@@ -119,6 +248,323 @@ export function medianPoint(points) {
   }
 }
 
+/**
+ * Yaw / pitch / roll in degrees from a MediaPipe facial transformation matrix.
+ * The matrix is 4x4 column-major (camera space: x right, y up, z towards the viewer).
+ * Yaw < 0 when the user turns to their right, pitch < 0 when they look up.
+ * @param {{ data: number[] } | number[] | null | undefined} matrix
+ * @returns {{ yaw: number, pitch: number, roll: number } | null}
+ */
+export function getHeadPoseFromMatrix(matrix) {
+  const data = Array.isArray(matrix) ? matrix : matrix?.data
+  if (!data || data.length < 16) return null
+  const r = (row, col) => data[col * 4 + row]
+  const toDeg = 180 / Math.PI
+  return {
+    yaw: Math.atan2(-r(2, 0), Math.hypot(r(2, 1), r(2, 2))) * toDeg,
+    pitch: Math.atan2(r(2, 1), r(2, 2)) * toDeg,
+    roll: Math.atan2(r(1, 0), r(0, 0)) * toDeg,
+  }
+}
+
+/**
+ * Map head rotation relative to a calibrated pose into the same normalized space as the nose
+ * (center = 0.5), so direction/angle helpers work unchanged for either control mode.
+ * @param {{ yaw: number, pitch: number }} pose
+ * @param {{ yaw: number, pitch: number }} baselinePose
+ * @returns {{ x: number, y: number }}
+ */
+export function headPoseToNormalized(pose, baselinePose) {
+  return {
+    x: NOSE_CENTER + (pose.yaw - baselinePose.yaw) * POSE_OFFSET_PER_DEGREE,
+    y: NOSE_CENTER + (pose.pitch - baselinePose.pitch) * POSE_OFFSET_PER_DEGREE,
+  }
+}
+
+/**
+ * Median pose from an array of { yaw, pitch, roll }.
+ * @param {{ yaw: number, pitch: number, roll: number }[]} poses
+ * @returns {{ yaw: number, pitch: number, roll: number } | null} null for empty array
+ */
+export function medianHeadPose(poses) {
+  if (!poses.length) return null
+  return {
+    yaw: median(poses.map((p) => p.yaw)),
+    pitch: median(poses.map((p) => p.pitch)),
+    roll: median(poses.map((p) => p.roll)),
+  }
+}
+
+/** Most faces tracked at once (local co-op). */
+export const MAX_PLAYERS = 2
+
+/**
+ * How detected faces map to players:
+ * side – player 1 is the leftmost face on the (mirrored) screen, player 2 the next;
+ * nearest – each player keeps the face closest to where they were last frame (falls back to side).
+ */
+export const PLAYER_ASSIGNMENT = {
+  SIDE: 'side',
+  NEAREST: 'nearest',
+}
+
+/** Nearest assignment: a face further than this (normalized) from a player's last nose is a new face. */
+export const PLAYER_MAX_JUMP = 0.25
+
+/**
+ * Assign detected faces to player slots.
+ * @param {{ x: number, y: number }[]} noses - raw nose landmark per detected face
+ * @param {({ x: number, y: number } | null)[]} previousNoses - last nose per player (null = not tracked)
+ * @param {{ strategy?: 'side'|'nearest', maxJump?: number }} [options]
+ * @returns {(number | null)[]} face index per player, null when the player has no face this frame
+ */
+export function assignFacesToPlayers(noses, previousNoses, options = {}) {
+  const { strategy = PLAYER_ASSIGNMENT.SIDE, maxJump = PLAYER_MAX_JUMP } =
+    options
+  const playerCount = previousNoses.length
+  const assignment = new Array(playerCount).fill(null)
+  const usedFaces = new Set()
+
+  if (strategy === PLAYER_ASSIGNMENT.NEAREST) {
+    const pairs = []
+    previousNoses.forEach((prev, player) => {
+      if (!prev) return
+      noses.forEach((nose, face) => {
+        const distance = Math.hypot(nose.x - prev.x, nose.y - prev.y)
+        if (distance <= maxJump) pairs.push({ player, face, distance })
+      })
+    })
+    pairs.sort((a, b) => a.distance - b.distance)
+    for (const { player, face } of pairs) {
+      if (assignment[player] != null || usedFaces.has(face)) continue
+      assignment[player] = face
+      usedFaces.add(face)
+    }
+  }
+
+  /* Remaining faces left-to-right on screen (camera is mirrored, so screen x = 1 - x) */
+  const free = noses
+    .map((nose, face) => ({ face, screenX: 1 - nose.x }))
+    .filter(({ face }) => !usedFaces.has(face))
+    .sort((a, b) => a.screenX - b.screenX)
+  const open = assignment
+    .map((face, player) => (face == null ? player : null))
+    .filter((player) => player != null)
+
+  if (free.length >= open.length) {
+    open.forEach((player, i) => {
+      assignment[player] = free[i].face
+    })
+    return assignment
+  }
+  /* Fewer faces than open slots: use the half of the frame the face is in */
+  for (const { face, screenX } of free) {
+    const preferred = Math.min(
+      playerCount - 1,
+      Math.floor(screenX * playerCount),
+    )
+    const player = open.reduce((best, p) =>
+      Math.abs(p - preferred) < Math.abs(best - preferred) ? p : best,
+    )
+    assignment[player] = face
+    open.splice(open.indexOf(player), 1)
+  }
+  return assignment
+}
+
+/**
+ * Smoothing filters for the calibrated nose / pose signal (normalized 0–1 space).
+ * ema – fixed exponential blend (the original behavior);
+ * oneEuro – adaptive low-pass: heavy smoothing when still, little lag on fast moves;
+ * kalman – constant-velocity Kalman filter per axis.
+ */
+export const SMOOTHING_FILTERS = {
+  EMA: 'ema',
+  ONE_EURO: 'oneEuro',
+  KALMAN: 'kalman',
+}
+
+/** Default parameters per filter type (cutoffs in Hz, beta per normalized unit/s). */
+export const SMOOTHING_DEFAULTS = {
+  ema: { type: 'ema', alpha: NOSE_SMOOTHING },
+  oneEuro: { type: 'oneEuro', minCutoff: 1, beta: 5, dCutoff: 1 },
+  kalman: { type: 'kalman', processNoise: 0.5, measurementNoise: 2e-5 },
+}
+
+/**
+ * Per-game presets: SnakeCV favors a steady signal around its 4-way threshold,
+ * Slither favors low lag for continuous turning.
+ */
+export const SMOOTHING_PRESETS = {
+  snake: { type: 'oneEuro', minCutoff: 0.5, beta: 2, dCutoff: 1 },
+  slither: { type: 'oneEuro', minCutoff: 1.5, beta: 8, dCutoff: 1 },
+}
+
+/** Frame interval assumed when timestamps repeat or go backwards. */
+const DEFAULT_FRAME_SECONDS = 1 / 60
+
+function elapsedSeconds(prevMs, nowMs) {
+  if (prevMs == null || nowMs == null) return DEFAULT_FRAME_SECONDS
+  const dt = (nowMs - prevMs) / 1000
+  return dt > 0 ? dt : DEFAULT_FRAME_SECONDS
+}
+
+/**
+ * Exponential moving average: out += (value - out) * alpha.
+ * @param {{ alpha?: number }} [params]
+ * @returns {{ filter: (value: number, timestampMs?: number) => number, reset: () => void }}
+ */
+export function createEmaFilter({ alpha = NOSE_SMOOTHING } = {}) {
+  let out = null
+  return {
+    filter(value) {
+      out = out == null ? value : out + (value - out) * alpha
+      return out
+    },
+    reset() {
+      out = null
+    },
+  }
+}
+
+function oneEuroAlpha(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff)
+  return 1 / (1 + tau / dt)
+}
+
+/**
+ * One Euro filter (Casiez et al. 2012): the cutoff rises with the filtered speed, so jitter at
+ * rest is smoothed away while quick head turns pass through with little lag.
+ * @param {{ minCutoff?: number, beta?: number, dCutoff?: number }} [params]
+ * @returns {{ filter: (value: number, timestampMs?: number) => number, reset: () => void }}
+ */
+export function createOneEuroFilter(params = {}) {
+  const { minCutoff, beta, dCutoff } = {
+    ...SMOOTHING_DEFAULTS.oneEuro,
+    ...params,
+  }
+  let out = null
+  let speed = 0
+  let lastTime = null
+  return {
+    filter(value, timestampMs) {
+      if (out == null) {
+        out = value
+        lastTime = timestampMs
+        return out
+      }
+      const dt = elapsedSeconds(lastTime, timestampMs)
+      lastTime = timestampMs
+      const rawSpeed = (value - out) / dt
+      speed += (rawSpeed - speed) * oneEuroAlpha(dCutoff, dt)
+      const cutoff = minCutoff + beta * Math.abs(speed)
+      out += (value - out) * oneEuroAlpha(cutoff, dt)
+      return out
+    },
+    reset() {
+      out = null
+      speed = 0
+      lastTime = null
+    },
+  }
+}
+
+/**
+ * Constant-velocity Kalman filter (state: position, velocity).
+ * processNoise is the acceleration variance, measurementNoise the landmark jitter variance.
+ * @param {{ processNoise?: number, measurementNoise?: number }} [params]
+ * @returns {{ filter: (value: number, timestampMs?: number) => number, reset: () => void }}
+ */
+export function createKalmanFilter(params = {}) {
+  const { processNoise: q, measurementNoise: r } = {
+    ...SMOOTHING_DEFAULTS.kalman,
+    ...params,
+  }
+  let pos = null
+  let vel = 0
+  let p00 = 0
+  let p01 = 0
+  let p11 = 0
+  let lastTime = null
+  return {
+    filter(value, timestampMs) {
+      if (pos == null) {
+        pos = value
+        vel = 0
+        p00 = r
+        p01 = 0
+        p11 = 1
+        lastTime = timestampMs
+        return pos
+      }
+      const dt = elapsedSeconds(lastTime, timestampMs)
+      lastTime = timestampMs
+      /* Predict: x = F x, P = F P F' + Q */
+      pos += vel * dt
+      const dt2 = dt * dt
+      p00 += dt * (2 * p01 + dt * p11) + (q * dt2 * dt2) / 4
+      p01 += dt * p11 + (q * dt2 * dt) / 2
+      p11 += q * dt2
+      /* Update with the measured position */
+      const s = p00 + r
+      const k0 = p00 / s
+      const k1 = p01 / s
+      const residual = value - pos
+      pos += k0 * residual
+      vel += k1 * residual
+      p11 -= k1 * p01
+      p01 -= k0 * p01
+      p00 -= k0 * p00
+      return pos
+    },
+    reset() {
+      pos = null
+    },
+  }
+}
+
+const SCALAR_FILTER_FACTORIES = {
+  ema: createEmaFilter,
+  oneEuro: createOneEuroFilter,
+  kalman: createKalmanFilter,
+}
+
+/**
+ * Resolve a filter type or partial config to a full config (unknown types fall back to EMA).
+ * @param {string | { type?: string } | null | undefined} smoothing
+ * @returns {{ type: string }}
+ */
+export function resolveSmoothingConfig(smoothing) {
+  const config =
+    typeof smoothing === 'string' ? { type: smoothing } : (smoothing ?? {})
+  const defaults = SMOOTHING_DEFAULTS[config.type] ?? SMOOTHING_DEFAULTS.ema
+  return { ...defaults, ...config, type: defaults.type }
+}
+
+/**
+ * Filter a 2D point with one scalar filter per axis.
+ * @param {string | { type?: string } | null} [smoothing] - filter type or config
+ * @returns {{ filter: (point: { x: number, y: number }, timestampMs?: number) => { x: number, y: number }, reset: () => void }}
+ */
+export function createPointFilter(smoothing) {
+  const { type, ...params } = resolveSmoothingConfig(smoothing)
+  const create = SCALAR_FILTER_FACTORIES[type]
+  const fx = create(params)
+  const fy = create(params)
+  return {
+    filter(point, timestampMs) {
+      return {
+        x: fx.filter(point.x, timestampMs),
+        y: fy.filter(point.y, timestampMs),
+      }
+    },
+    reset() {
+      fx.reset()
+      fy.reset()
+    },
+  }
+}
+
 /**
  * Omnidirectional angle in radians from normalized nose (for Slither-style steering).
  * Center = 0.5; mirror corrects for mirrored camera so "head turn right" in world gives consistent angle.
@@ -143,6 +589,30 @@ export function getNoseAngleRadians(
   return out
 }
 
+/** Relative steering: the turn reaches full rate at this multiple of the dead zone. */
+export const TURN_FULL_SCALE = 2.5
+
+/**
+ * Proportional turn for relative (tank-style) steering from the horizontal nose offset: 0 inside
+ * the dead zone, rising linearly to ±1 at TURN_FULL_SCALE × threshold. Positive turns clockwise
+ * on screen, i.e. towards the player's right.
+ * @param {{ x: number, y: number }} normalizedNose - nose position, center = 0.5
+ * @param {boolean} mirror - true when camera is mirrored
+ * @param {number} [threshold=NOSE_THRESHOLD] - dead zone half-width
+ * @returns {number} turn in [-1, 1]
+ */
+export function getNoseTurn(
+  normalizedNose,
+  mirror,
+  threshold = NOSE_THRESHOLD,
+) {
+  const dx = (normalizedNose.x - NOSE_CENTER) * (mirror ? -1 : 1)
+  const beyond = Math.abs(dx) - threshold
+  if (beyond <= 0) return 0
+  const ramp = threshold * (TURN_FULL_SCALE - 1)
+  return Math.sign(dx) * Math.min(1, ramp > 0 ? beyond / ramp : 1)
+}
+
 /**
  * Compute nose offset for compass UI from normalized nose (clamped).
  */
@@ -3,11 +3,46 @@ import {
   NOSE_THRESHOLD,
   getRawNoseDirection,
   getMirroredHeadDirection,
+  DEAD_ZONE_SHAPES,
+  createDirectionTracker,
   noseOffsetFromNormalized,
   median,
   medianPoint,
+  getHeadPoseFromMatrix,
+  headPoseToNormalized,
+  medianHeadPose,
+  POSE_OFFSET_PER_DEGREE,
+  SMOOTHING_FILTERS,
+  createEmaFilter,
+  createOneEuroFilter,
+  createKalmanFilter,
+  createPointFilter,
+  resolveSmoothingConfig,
+  PLAYER_ASSIGNMENT,
+  assignFacesToPlayers,
+  getNoseTurn,
+  TURN_FULL_SCALE,
 } from './headTrackingConfig'
 
+/** Column-major 4x4 rotation matrix for R = Rz(roll) * Ry(yaw) * Rx(pitch), angles in degrees. */
+function poseMatrix(yawDeg, pitchDeg, rollDeg) {
+  const rad = Math.PI / 180
+  const [cy, sy] = [Math.cos(yawDeg * rad), Math.sin(yawDeg * rad)]
+  const [cp, sp] = [Math.cos(pitchDeg * rad), Math.sin(pitchDeg * rad)]
+  const [cr, sr] = [Math.cos(rollDeg * rad), Math.sin(rollDeg * rad)]
+  const rows = [
+    [cr * cy, cr * sy * sp - sr * cp, cr * sy * cp + sr * sp, 0],
+    [sr * cy, sr * sy * sp + cr * cp, sr * sy * cp - cr * sp, 0],
+    [-sy, cy * sp, cy * cp, -40],
+    [0, 0, 0, 1],
+  ]
+  const data = []
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) data.push(rows[row][col])
+  }
+  return { rows: 4, columns: 4, data }
+}
+
 describe('getRawNoseDirection', () => {
   it('returns null when nose is at center', () => {
     expect(getRawNoseDirection({ x: 0.5, y: 0.5 })).toBe(null)
@@ -47,6 +82,113 @@ describe('getRawNoseDirection', () => {
   })
 })
 
+describe('dead-zone shapes', () => {
+  const t = 0.06
+
+  it('square keeps both axes inside the threshold neutral (the default)', () => {
+    expect(getRawNoseDirection({ x: 0.545, y: 0.545 }, t)).toBe(null)
+    expect(
+      getRawNoseDirection({ x: 0.545, y: 0.545 }, t, {
+        shape: DEAD_ZONE_SHAPES.SQUARE,
+      }),
+    ).toBe(null)
+  })
+
+  it('circle uses the distance from center', () => {
+    expect(
+      getRawNoseDirection({ x: 0.545, y: 0.545 }, t, {
+        shape: DEAD_ZONE_SHAPES.CIRCLE,
+      }),
+    ).toBe('DOWN')
+    expect(
+      getRawNoseDirection({ x: 0.54, y: 0.54 }, t, {
+        shape: DEAD_ZONE_SHAPES.CIRCLE,
+      }),
+    ).toBe(null)
+  })
+
+  it('cross ignores diagonals and steers only along the arms', () => {
+    const cross = { shape: DEAD_ZONE_SHAPES.CROSS }
+    expect(getRawNoseDirection({ x: 0.7, y: 0.68 }, t, cross)).toBe(null)
+    expect(getRawNoseDirection({ x: 0.7, y: 0.55 }, t, cross)).toBe('RIGHT')
+    expect(getRawNoseDirection({ x: 0.5, y: 0.4 }, t, cross)).toBe('UP')
+    expect(getRawNoseDirection({ x: 0.53, y: 0.5 }, t, cross)).toBe(null)
+  })
+})
+
+describe('axis-switch hysteresis', () => {
+  const t = 0.06
+  const options = { hysteresis: 0.25, current: 'RIGHT' }
+
+  it('keeps the committed direction until the other axis wins by the margin', () => {
+    expect(getRawNoseDirection({ x: 0.58, y: 0.59 }, t, options)).toBe('RIGHT')
+    expect(getRawNoseDirection({ x: 0.58, y: 0.6 }, t, options)).toBe('DOWN')
+  })
+
+  it('switches at once when the committed side has been left', () => {
+    expect(getRawNoseDirection({ x: 0.49, y: 0.6 }, t, options)).toBe('DOWN')
+  })
+
+  it('without a committed direction switches at |dx| == |dy|', () => {
+    expect(getRawNoseDirection({ x: 0.58, y: 0.59 }, t)).toBe('DOWN')
+  })
+})
+
+describe('createDirectionTracker', () => {
+  const t = 0.06
+
+  it('stops diagonal flapping between UP and RIGHT', () => {
+    /* Looking up-right: the dominant axis alternates by 0.01 every frame */
+    const hover = [
+      { x: 0.4, y: 0.41 },
+      { x: 0.41, y: 0.4 },
+      { x: 0.4, y: 0.41 },
+      { x: 0.41, y: 0.4 },
+    ]
+    expect(hover.map((nose) => getMirroredHeadDirection(nose, t))).toEqual([
+      'RIGHT',
+      'UP',
+      'RIGHT',
+      'UP',
+    ])
+    const tracker = createDirectionTracker()
+    expect(hover.map((nose) => tracker.update(nose, t))).toEqual([
+      'RIGHT',
+      'RIGHT',
+      'RIGHT',
+      'RIGHT',
+    ])
+  })
+
+  it('with requireCenter holds the direction until the nose re-enters the dead zone', () => {
+    const tracker = createDirectionTracker({ requireCenter: true })
+    expect(tracker.update({ x: 0.4, y: 0.5 }, t)).toBe('RIGHT')
+    expect(tracker.update({ x: 0.5, y: 0.35 }, t)).toBe('RIGHT')
+    expect(tracker.update({ x: 0.5, y: 0.5 }, t)).toBe(null)
+    expect(tracker.update({ x: 0.5, y: 0.35 }, t)).toBe('UP')
+  })
+
+  it('with requireCenter and the cross shape a diagonal is not the center', () => {
+    const tracker = createDirectionTracker({
+      shape: DEAD_ZONE_SHAPES.CROSS,
+      requireCenter: true,
+    })
+    expect(tracker.update({ x: 0.4, y: 0.5 }, t)).toBe('RIGHT')
+    /* Through the diagonal dead zone and on to the up arm */
+    expect(tracker.update({ x: 0.4, y: 0.38 }, t)).toBe(null)
+    expect(tracker.update({ x: 0.5, y: 0.35 }, t)).toBe('RIGHT')
+    expect(tracker.update({ x: 0.5, y: 0.5 }, t)).toBe(null)
+    expect(tracker.update({ x: 0.5, y: 0.35 }, t)).toBe('UP')
+  })
+
+  it('reset forgets the committed direction', () => {
+    const tracker = createDirectionTracker({ requireCenter: true })
+    tracker.update({ x: 0.4, y: 0.5 }, t)
+    tracker.reset()
+    expect(tracker.update({ x: 0.5, y: 0.35 }, t)).toBe('UP')
+  })
+})
+
 describe('getMirroredHeadDirection', () => {
   it('returns null when raw is null', () => {
     expect(getMirroredHeadDirection({ x: 0.5, y: 0.5 })).toBe(null)
@@ -136,3 +278,270 @@ describe('medianPoint', () => {
     expect(medianPoint(points)).toEqual({ x: 0.4, y: 0.5 })
   })
 })
+
+describe('getHeadPoseFromMatrix', () => {
+  it('returns null for missing or short matrix', () => {
+    expect(getHeadPoseFromMatrix(undefined)).toBe(null)
+    expect(getHeadPoseFromMatrix({ data: [1, 0, 0] })).toBe(null)
+  })
+
+  it('returns zero rotation for identity', () => {
+    const pose = getHeadPoseFromMatrix(poseMatrix(0, 0, 0))
+    expect(pose.yaw).toBeCloseTo(0)
+    expect(pose.pitch).toBeCloseTo(0)
+    expect(pose.roll).toBeCloseTo(0)
+  })
+
+  it('recovers yaw, pitch and roll', () => {
+    const pose = getHeadPoseFromMatrix(poseMatrix(-20, 10, 5))
+    expect(pose.yaw).toBeCloseTo(-20)
+    expect(pose.pitch).toBeCloseTo(10)
+    expect(pose.roll).toBeCloseTo(5)
+  })
+
+  it('accepts a raw data array', () => {
+    const pose = getHeadPoseFromMatrix(poseMatrix(15, 0, 0).data)
+    expect(pose.yaw).toBeCloseTo(15)
+  })
+})
+
+describe('headPoseToNormalized', () => {
+  const baseline = { yaw: 4, pitch: -2, roll: 0 }
+
+  it('returns center at the baseline pose', () => {
+    expect(headPoseToNormalized(baseline, baseline)).toEqual({
+      x: 0.5,
+      y: 0.5,
+    })
+  })
+
+  it('turning right (negative yaw) steers RIGHT after mirroring', () => {
+    const point = headPoseToNormalized({ yaw: -16, pitch: -2 }, baseline)
+    expect(point.x).toBeCloseTo(0.5 - 20 * POSE_OFFSET_PER_DEGREE)
+    expect(getMirroredHeadDirection(point)).toBe('RIGHT')
+  })
+
+  it('looking up (negative pitch) steers UP', () => {
+    const point = headPoseToNormalized({ yaw: 4, pitch: -22 }, baseline)
+    expect(getMirroredHeadDirection(point)).toBe('UP')
+  })
+
+  it('ignores translation: same rotation gives same point', () => {
+    const a = getHeadPoseFromMatrix(poseMatrix(-20, 0, 0))
+    const moved = poseMatrix(-20, 0, 0)
+    moved.data[12] = 15
+    const b = getHeadPoseFromMatrix(moved)
+    expect(headPoseToNormalized(a, baseline)).toEqual(
+      headPoseToNormalized(b, baseline),
+    )
+  })
+})
+
+describe('medianHeadPose', () => {
+  it('returns null for empty array', () => {
+    expect(medianHeadPose([])).toBe(null)
+  })
+
+  it('returns per-axis median', () => {
+    const poses = [
+      { yaw: 1, pitch: 5, roll: 0 },
+      { yaw: 3, pitch: 2, roll: 1 },
+      { yaw: 2, pitch: 9, roll: -1 },
+    ]
+    expect(medianHeadPose(poses)).toEqual({ yaw: 2, pitch: 5, roll: 0 })
+  })
+})
+
+/** Recorded nose.x while holding still (~30 fps), centered on 0.5. */
+const STILL_JITTER = [
+  0.502, 0.497, 0.504, 0.499, 0.495, 0.503, 0.501, 0.496, 0.505, 0.498, 0.502,
+  0.494, 0.503, 0.5, 0.497, 0.506, 0.499, 0.496, 0.503, 0.501, 0.498, 0.504,
+  0.495, 0.502, 0.5, 0.497, 0.503, 0.499, 0.501, 0.498,
+]
+const FRAME_MS = 1000 / 30
+
+function run(filter, values) {
+  return values.map((v, i) => filter.filter(v, i * FRAME_MS))
+}
+
+/** RMS distance from 0.5 after the first few (warm-up) frames. */
+function jitterRms(values) {
+  const tail = values.slice(5)
+  return Math.sqrt(
+    tail.reduce((sum, v) => sum + (v - 0.5) ** 2, 0) / tail.length,
+  )
+}
+
+/** Frames after the step until the output covers 90% of a 0.5 → 0.6 head turn. */
+function framesToSettle(filter) {
+  const steps = Array.from({ length: 25 }, (_, i) => (i < 5 ? 0.5 : 0.6))
+  const out = run(filter, steps)
+  return out.findIndex((v, i) => i >= 5 && v > 0.59) - 5
+}
+
+describe('smoothing filters', () => {
+  const rawRms = jitterRms(STILL_JITTER)
+
+  it('EMA matches the fixed blend', () => {
+    const ema = createEmaFilter({ alpha: 0.5 })
+    expect(ema.filter(0.5)).toBe(0.5)
+    expect(ema.filter(0.6)).toBeCloseTo(0.55)
+    expect(ema.filter(0.6)).toBeCloseTo(0.575)
+    ema.reset()
+    expect(ema.filter(0.3)).toBe(0.3)
+  })
+
+  it.each([
+    ['ema', createEmaFilter],
+    ['oneEuro', createOneEuroFilter],
+    ['kalman', createKalmanFilter],
+  ])('%s reduces jitter while holding still', (_, create) => {
+    expect(jitterRms(run(create(), STILL_JITTER))).toBeLessThan(rawRms / 2)
+  })
+
+  it('One Euro smooths more than EMA at rest without extra lag on a head turn', () => {
+    expect(jitterRms(run(createOneEuroFilter(), STILL_JITTER))).toBeLessThan(
+      jitterRms(run(createEmaFilter(), STILL_JITTER)),
+    )
+    expect(framesToSettle(createOneEuroFilter())).toBeLessThanOrEqual(
+      framesToSettle(createEmaFilter()),
+    )
+  })
+
+  it('higher One Euro beta follows a head turn faster', () => {
+    const steady = framesToSettle(
+      createOneEuroFilter({ minCutoff: 0.5, beta: 2 }),
+    )
+    const quick = framesToSettle(
+      createOneEuroFilter({ minCutoff: 1.5, beta: 8 }),
+    )
+    expect(quick).toBeLessThan(steady)
+  })
+
+  it('Kalman tracks a head turn within a few frames', () => {
+    expect(framesToSettle(createKalmanFilter())).toBeLessThanOrEqual(3)
+  })
+
+  it('tolerates repeated timestamps', () => {
+    const f = createOneEuroFilter()
+    f.filter(0.5, 100)
+    expect(Number.isFinite(f.filter(0.6, 100))).toBe(true)
+  })
+})
+
+describe('createPointFilter', () => {
+  it('filters x and y independently', () => {
+    const f = createPointFilter({ type: SMOOTHING_FILTERS.EMA, alpha: 0.5 })
+    f.filter({ x: 0.5, y: 0.5 }, 0)
+    expect(f.filter({ x: 0.6, y: 0.4 }, FRAME_MS)).toEqual({
+      x: expect.closeTo(0.55),
+      y: expect.closeTo(0.45),
+    })
+  })
+
+  it('starts over after reset', () => {
+    const f = createPointFilter(SMOOTHING_FILTERS.KALMAN)
+    f.filter({ x: 0.5, y: 0.5 }, 0)
+    f.reset()
+    expect(f.filter({ x: 0.2, y: 0.8 }, FRAME_MS)).toEqual({ x: 0.2, y: 0.8 })
+  })
+})
+
+describe('resolveSmoothingConfig', () => {
+  it('fills defaults for a filter type', () => {
+    expect(resolveSmoothingConfig('oneEuro')).toMatchObject({
+      type: 'oneEuro',
+      minCutoff: 1,
+      beta: 5,
+    })
+  })
+
+  it('keeps overrides and falls back to EMA for unknown types', () => {
+    expect(resolveSmoothingConfig({ type: 'oneEuro', beta: 1 }).beta).toBe(1)
+    expect(resolveSmoothingConfig('median').type).toBe('ema')
+    expect(resolveSmoothingConfig(undefined).type).toBe('ema')
+  })
+})
+
+describe('assignFacesToPlayers', () => {
+  /* Raw camera x: the right of the image is the left of the mirrored screen */
+  const screenLeft = { x: 0.75, y: 0.5 }
+  const screenRight = { x: 0.25, y: 0.5 }
+
+  it('assigns faces left-to-right on screen', () => {
+    expect(
+      assignFacesToPlayers([screenRight, screenLeft], [null, null]),
+    ).toEqual([1, 0])
+  })
+
+  it('puts a lone face in the player slot for its half of the frame', () => {
+    expect(assignFacesToPlayers([screenRight], [null, null])).toEqual([null, 0])
+    expect(assignFacesToPlayers([screenLeft], [null, null])).toEqual([0, null])
+  })
+
+  it('returns nulls when no face is detected', () => {
+    expect(assignFacesToPlayers([], [null, null])).toEqual([null, null])
+  })
+
+  it('single player takes the only face regardless of side', () => {
+    expect(assignFacesToPlayers([screenRight], [null])).toEqual([0])
+  })
+
+  it('side strategy swaps players when they cross', () => {
+    const crossed = [
+      { x: 0.45, y: 0.5 },
+      { x: 0.55, y: 0.5 },
+    ]
+    const previous = [
+      { x: 0.6, y: 0.5 },
+      { x: 0.4, y: 0.5 },
+    ]
+    expect(assignFacesToPlayers(crossed, previous)).toEqual([1, 0])
+  })
+
+  it('nearest strategy keeps identity when players cross the midline', () => {
+    const crossed = [
+      { x: 0.45, y: 0.5 },
+      { x: 0.55, y: 0.5 },
+    ]
+    const previous = [
+      { x: 0.42, y: 0.5 },
+      { x: 0.58, y: 0.5 },
+    ]
+    expect(
+      assignFacesToPlayers(crossed, previous, {
+        strategy: PLAYER_ASSIGNMENT.NEAREST,
+      }),
+    ).toEqual([0, 1])
+  })
+
+  it('nearest strategy treats a far jump as a new face', () => {
+    const previous = [{ x: 0.75, y: 0.5 }, null]
+    expect(
+      assignFacesToPlayers([screenRight], previous, {
+        strategy: PLAYER_ASSIGNMENT.NEAREST,
+      }),
+    ).toEqual([null, 0])
+  })
+})
+
+describe('getNoseTurn', () => {
+  it('is zero inside the dead zone and ignores vertical offset', () => {
+    expect(getNoseTurn({ x: 0.5 + NOSE_THRESHOLD / 2, y: 0.9 }, true)).toBe(0)
+  })
+
+  it('turns proportionally towards the mirrored side, capped at full rate', () => {
+    const halfway = NOSE_THRESHOLD * (1 + (TURN_FULL_SCALE - 1) / 2)
+    /* Mirrored camera: the nose moving left in the image is a turn to the player's right */
+    expect(getNoseTurn({ x: 0.5 - halfway, y: 0.5 }, true)).toBeCloseTo(0.5)
+    expect(getNoseTurn({ x: 0.5 + halfway, y: 0.5 }, true)).toBeCloseTo(-0.5)
+    expect(getNoseTurn({ x: 0.5 + halfway, y: 0.5 }, false)).toBeCloseTo(0.5)
+    expect(getNoseTurn({ x: 0.1, y: 0.5 }, true)).toBe(1)
+  })
+
+  it('scales the ramp with the dead zone', () => {
+    expect(getNoseTurn({ x: 0.5 - 0.15, y: 0.5 }, true, 0.1)).toBeCloseTo(
+      0.05 / 0.15,
+    )
+  })
+})
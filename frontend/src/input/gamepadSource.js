@@ -0,0 +1,160 @@
+/**
+ * Gamepad adapter for the input manager (standard mapping).
+ * D-pad and left stick steer; buttons fire actions; rumble on demand.
+ */
+
+import { INPUT_ACTIONS, INPUT_SOURCES } from './inputManager.js'
+
+/** Button indices in the W3C standard gamepad mapping. */
+export const GAMEPAD_BUTTONS = {
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  START: 9,
+  DPAD_UP: 12,
+  DPAD_DOWN: 13,
+  DPAD_LEFT: 14,
+  DPAD_RIGHT: 15,
+}
+
+/** Left stick magnitude below this is treated as centered. */
+export const GAMEPAD_STICK_DEAD_ZONE = 0.35
+
+/** Default button → action map: A boosts, Start pauses / restarts. */
+export const DEFAULT_GAMEPAD_ACTIONS = {
+  [GAMEPAD_BUTTONS.A]: INPUT_ACTIONS.BOOST,
+  [GAMEPAD_BUTTONS.START]: INPUT_ACTIONS.START,
+}
+
+const RUMBLE_EFFECT = {
+  duration: 350,
+  strongMagnitude: 0.9,
+  weakMagnitude: 0.5,
+}
+
+function isPressed(gamepad, index) {
+  const button = gamepad.buttons?.[index]
+  return Boolean(button && (button.pressed || button.value > 0.5))
+}
+
+/**
+ * Read steering from one gamepad: the D-pad wins over the left stick.
+ * @param {{ axes: number[], buttons: Array<{ pressed: boolean, value: number }> }} gamepad
+ * @param {number} [deadZone=GAMEPAD_STICK_DEAD_ZONE]
+ * @returns {{ direction: { x: number, y: number } | null, angle: number | null }}
+ */
+export function readGamepadSteering(gamepad, deadZone = GAMEPAD_STICK_DEAD_ZONE) {
+  const dpadX =
+    (isPressed(gamepad, GAMEPAD_BUTTONS.DPAD_RIGHT) ? 1 : 0) -
+    (isPressed(gamepad, GAMEPAD_BUTTONS.DPAD_LEFT) ? 1 : 0)
+  const dpadY =
+    (isPressed(gamepad, GAMEPAD_BUTTONS.DPAD_DOWN) ? 1 : 0) -
+    (isPressed(gamepad, GAMEPAD_BUTTONS.DPAD_UP) ? 1 : 0)
+  if (dpadX || dpadY) {
+    return {
+      direction: dpadX ? { x: dpadX, y: 0 } : { x: 0, y: dpadY },
+      angle: Math.atan2(dpadY, dpadX),
+    }
+  }
+  const x = gamepad.axes?.[0] ?? 0
+  const y = gamepad.axes?.[1] ?? 0
+  if (Math.hypot(x, y) < deadZone) return { direction: null, angle: null }
+  return {
+    direction:
+      Math.abs(x) >= Math.abs(y)
+        ? { x: x > 0 ? 1 : -1, y: 0 }
+        : { x: 0, y: y > 0 ? 1 : -1 },
+    angle: Math.atan2(y, x),
+  }
+}
+
+function defaultGetGamepads() {
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) return []
+  return Array.from(navigator.getGamepads()).filter(Boolean)
+}
+
+/**
+ * Poll connected gamepads every animation frame and report to the input manager.
+ * Directions are reported on change (so SnakeCV gets one event per press), the stick/D-pad
+ * angle continuously, and button → action on press.
+ * @param {ReturnType<import('./inputManager.js').createInputManager>} manager
+ * @param {{ actions?: Record<number, string>, deadZone?: number, getGamepads?: () => object[], requestFrame?: (cb: () => void) => number, cancelFrame?: (id: number) => void }} [options]
+ * @returns {() => void} unbind
+ */
+export function bindGamepads(manager, options = {}) {
+  const {
+    actions = DEFAULT_GAMEPAD_ACTIONS,
+    deadZone = GAMEPAD_STICK_DEAD_ZONE,
+    getGamepads = defaultGetGamepads,
+    requestFrame = requestAnimationFrame,
+    cancelFrame = cancelAnimationFrame,
+  } = options
+  let frameId = null
+  let lastDirection = null
+  let wasSteering = false
+  const held = new Set()
+
+  const poll = () => {
+    const pads = getGamepads()
+    let steering = { direction: null, angle: null }
+    const pressed = new Set()
+    for (const pad of pads) {
+      const read = readGamepadSteering(pad, deadZone)
+      if (steering.angle == null && read.angle != null) steering = read
+      for (const index of Object.keys(actions)) {
+        if (isPressed(pad, Number(index))) pressed.add(Number(index))
+      }
+    }
+
+    if (steering.angle != null) {
+      const dir = steering.direction
+      if (!lastDirection || dir.x !== lastDirection.x || dir.y !== lastDirection.y) {
+        manager.reportDirection(INPUT_SOURCES.GAMEPAD, dir)
+        lastDirection = dir
+      }
+      manager.reportAngle(INPUT_SOURCES.GAMEPAD, steering.angle)
+      wasSteering = true
+    } else if (wasSteering) {
+      manager.clear(INPUT_SOURCES.GAMEPAD)
+      lastDirection = null
+      wasSteering = false
+    }
+
+    for (const index of pressed) {
+      if (!held.has(index)) manager.pressAction(INPUT_SOURCES.GAMEPAD, actions[index])
+    }
+    held.clear()
+    for (const index of pressed) held.add(index)
+
+    frameId = pads.length ? requestFrame(poll) : null
+  }
+
+  const start = () => {
+    if (frameId == null) frameId = requestFrame(poll)
+  }
+
+  start()
+  const target = typeof window !== 'undefined' ? window : null
+  target?.addEventListener('gamepadconnected', start)
+  return () => {
+    target?.removeEventListener('gamepadconnected', start)
+    if (frameId != null) cancelFrame(frameId)
+    frameId = null
+  }
+}
+
+/**
+ * Rumble every connected gamepad that supports `vibrationActuator` (e.g. on death).
+ * @param {{ getGamepads?: () => object[] }} [options]
+ */
+export function rumbleGamepads(options = {}) {
+  const pads = (options.getGamepads ?? defaultGetGamepads)()
+  for (const pad of pads) {
+    const actuator = pad.vibrationActuator
+    if (!actuator || typeof actuator.playEffect !== 'function') continue
+    actuator.playEffect('dual-rumble', RUMBLE_EFFECT).catch(() => {
+      /* unsupported effect or page not focused */
+    })
+  }
+}
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  GAMEPAD_BUTTONS,
+  readGamepadSteering,
+  bindGamepads,
+  rumbleGamepads,
+} from './gamepadSource.js'
+import { createInputManager, INPUT_MODES } from './inputManager.js'
+
+function pad({ axes = [0, 0], pressed = [] } = {}) {
+  const buttons = Array.from({ length: 17 }, (_, i) => ({
+    pressed: pressed.includes(i),
+    value: pressed.includes(i) ? 1 : 0,
+  }))
+  return { axes, buttons }
+}
+
+/** Manual frame scheduler so polling can be stepped in tests. */
+function frames() {
+  let pending = null
+  return {
+    requestFrame: (cb) => {
+      pending = cb
+      return 1
+    },
+    cancelFrame: () => {
+      pending = null
+    },
+    step: () => {
+      const cb = pending
+      pending = null
+      cb?.()
+    },
+  }
+}
+
+describe('readGamepadSteering', () => {
+  it('returns nothing when the stick is inside the dead zone', () => {
+    expect(readGamepadSteering(pad({ axes: [0.1, -0.2] }))).toEqual({
+      direction: null,
+      angle: null,
+    })
+  })
+
+  it('maps the left stick to an angle and dominant direction', () => {
+    const { direction, angle } = readGamepadSteering(pad({ axes: [0.2, 0.9] }))
+    expect(direction).toEqual({ x: 0, y: 1 })
+    expect(angle).toBeCloseTo(Math.atan2(0.9, 0.2))
+  })
+
+  it('prefers the D-pad over the stick', () => {
+    const { direction, angle } = readGamepadSteering(
+      pad({ axes: [1, 0], pressed: [GAMEPAD_BUTTONS.DPAD_LEFT] }),
+    )
+    expect(direction).toEqual({ x: -1, y: 0 })
+    expect(angle).toBeCloseTo(Math.PI)
+  })
+})
+
+describe('bindGamepads', () => {
+  it('reports direction changes once and clears on release', () => {
+    const input = createInputManager({ mode: INPUT_MODES.LATEST })
+    const onDirection = vi.fn()
+    input.on('direction', onDirection)
+    let current = pad({ pressed: [GAMEPAD_BUTTONS.DPAD_UP] })
+    const f = frames()
+    const unbind = bindGamepads(input, {
+      getGamepads: () => [current],
+      ...f,
+    })
+    f.step()
+    f.step()
+    expect(onDirection).toHaveBeenCalledTimes(1)
+    expect(onDirection).toHaveBeenCalledWith({ x: 0, y: -1 }, 'gamepad')
+    expect(input.getAngle()).toBeCloseTo(-Math.PI / 2)
+    current = pad()
+    f.step()
+    expect(input.getAngle()).toBe(null)
+    unbind()
+  })
+
+  it('fires actions on button press edges', () => {
+    const input = createInputManager()
+    const onAction = vi.fn()
+    input.on('action', onAction)
+    let current = pad({ pressed: [GAMEPAD_BUTTONS.A] })
+    const f = frames()
+    bindGamepads(input, { getGamepads: () => [current], ...f })
+    f.step()
+    f.step()
+    current = pad()
+    f.step()
+    current = pad({ pressed: [GAMEPAD_BUTTONS.START] })
+    f.step()
+    expect(onAction.mock.calls).toEqual([
+      ['boost', 'gamepad'],
+      ['start', 'gamepad'],
+    ])
+  })
+
+  it('stops polling when no gamepad is connected', () => {
+    const input = createInputManager()
+    const f = frames()
+    const requestFrame = vi.fn(f.requestFrame)
+    bindGamepads(input, { getGamepads: () => [], ...f, requestFrame })
+    f.step()
+    expect(requestFrame).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('rumbleGamepads', () => {
+  it('plays a dual-rumble effect where supported', () => {
+    const playEffect = vi.fn(() => Promise.resolve('complete'))
+    const withActuator = { ...pad(), vibrationActuator: { playEffect } }
+    rumbleGamepads({ getGamepads: () => [withActuator, pad()] })
+    expect(playEffect).toHaveBeenCalledWith('dual-rumble', expect.any(Object))
+  })
+})
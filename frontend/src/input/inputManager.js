@@ -0,0 +1,322 @@
+/**
+ * Unified input layer shared by the games.
+ * Every source (face, keyboard, mouse, …) reports a steering intent — a 4-way direction, an
+ * absolute angle, a relative turn or a world point — plus action buttons. The manager resolves
+ * which source is in control (priority, most recent, or blended) and reports the active source.
+ */
+
+export const INPUT_SOURCES = {
+  FACE: 'face',
+  KEYBOARD: 'keyboard',
+  MOUSE: 'mouse',
+  GAMEPAD: 'gamepad',
+}
+
+/** Display names for the active-source indicator. */
+export const INPUT_SOURCE_LABELS = {
+  face: 'Face',
+  keyboard: 'Keyboard',
+  mouse: 'Mouse',
+  gamepad: 'Gamepad',
+}
+
+/**
+ * Action buttons. PAUSE only pauses / resumes (Space, a brow raise or pinch can fire it by
+ * accident); START is the gamepad Start button, which also starts or restarts a stopped game.
+ */
+export const INPUT_ACTIONS = {
+  BOOST: 'boost',
+  PAUSE: 'pause',
+  START: 'start',
+  CONFIRM: 'confirm',
+}
+
+/**
+ * How competing sources are resolved:
+ * priority – first source in `priority` with a live intent wins;
+ * latest – the most recently updated intent wins;
+ * blend – angles from all live sources are averaged by `weights` (directions use latest).
+ */
+export const INPUT_MODES = {
+  PRIORITY: 'priority',
+  LATEST: 'latest',
+  BLEND: 'blend',
+}
+
+const DEFAULT_PRIORITY = [
+  INPUT_SOURCES.KEYBOARD,
+  INPUT_SOURCES.GAMEPAD,
+  INPUT_SOURCES.FACE,
+  INPUT_SOURCES.MOUSE,
+]
+
+/**
+ * @typedef {{ x: number, y: number }} Vec
+ * @typedef {{ kind: 'direction', direction: Vec } | { kind: 'angle', angle: number } | { kind: 'turn', turn: number } | { kind: 'point', point: Vec }} SteeringIntent
+ * @typedef {{ origin?: Vec, currentAngle?: number, dt?: number, turnRate?: number, bounds?: { width: number, height: number } }} SteeringContext
+ */
+
+/**
+ * Normalize angle to [-PI, PI].
+ * @param {number} a
+ * @returns {number}
+ */
+function normalizeAngle(a) {
+  while (a > Math.PI) a -= 2 * Math.PI
+  while (a < -Math.PI) a += 2 * Math.PI
+  return a
+}
+
+/**
+ * Quantize an angle (screen space, y down) to the nearest 4-way unit vector.
+ * @param {number} angle
+ * @returns {Vec}
+ */
+export function angleToDirection(angle) {
+  const x = Math.cos(angle)
+  const y = Math.sin(angle)
+  if (Math.abs(x) >= Math.abs(y)) return { x: x > 0 ? 1 : -1, y: 0 }
+  return { x: 0, y: y > 0 ? 1 : -1 }
+}
+
+/**
+ * Convert any steering intent to an absolute angle in radians.
+ * Points need `origin` (wrapped toroidally when `bounds` is given); turns need `currentAngle`.
+ * @param {SteeringIntent} intent
+ * @param {SteeringContext} [context]
+ * @returns {number | null}
+ */
+export function intentToAngle(intent, context = {}) {
+  switch (intent.kind) {
+    case 'angle':
+      return normalizeAngle(intent.angle)
+    case 'direction':
+      return Math.atan2(intent.direction.y, intent.direction.x)
+    case 'point': {
+      const { origin, bounds } = context
+      if (!origin) return null
+      let dx = intent.point.x - origin.x
+      let dy = intent.point.y - origin.y
+      if (bounds) {
+        dx -= bounds.width * Math.round(dx / bounds.width)
+        dy -= bounds.height * Math.round(dy / bounds.height)
+      }
+      return Math.atan2(dy, dx)
+    }
+    case 'turn': {
+      if (context.currentAngle == null) return null
+      const rate = context.turnRate ?? 1
+      const dt = context.dt ?? 0
+      return normalizeAngle(context.currentAngle + intent.turn * rate * dt)
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Circular weighted mean of angles.
+ * @param {{ angle: number, weight: number }[]} entries
+ * @returns {number | null}
+ */
+function blendAngles(entries) {
+  let sx = 0
+  let sy = 0
+  for (const { angle, weight } of entries) {
+    sx += Math.cos(angle) * weight
+    sy += Math.sin(angle) * weight
+  }
+  if (Math.hypot(sx, sy) < 1e-9) return null
+  return Math.atan2(sy, sx)
+}
+
+/**
+ * Create an input manager.
+ * @param {{ mode?: string, priority?: string[], weights?: Record<string, number>, staleMs?: Record<string, number>, now?: () => number }} [config]
+ */
+export function createInputManager(config = {}) {
+  const now = config.now ?? (() => performance.now())
+  let mode = config.mode ?? INPUT_MODES.PRIORITY
+  let priority = [...(config.priority ?? DEFAULT_PRIORITY)]
+  let weights = { ...config.weights }
+  let staleMs = { ...config.staleMs }
+  /** @type {Map<string, { intent: SteeringIntent, at: number }>} */
+  const intents = new Map()
+  const disabled = new Set()
+  const listeners = {
+    direction: new Set(),
+    action: new Set(),
+    activeSource: new Set(),
+  }
+  let activeSource = null
+
+  const emit = (event, ...args) => {
+    for (const handler of listeners[event]) handler(...args)
+  }
+
+  const setActiveSource = (source) => {
+    if (source === activeSource) return
+    activeSource = source
+    emit('activeSource', source)
+  }
+
+  const rank = (source) => {
+    const i = priority.indexOf(source)
+    return i === -1 ? priority.length : i
+  }
+
+  /** Live intents from enabled sources, ordered by priority. */
+  const candidates = () => {
+    const t = now()
+    const live = []
+    for (const [source, entry] of intents) {
+      if (disabled.has(source)) continue
+      const maxAge = staleMs[source] ?? Infinity
+      if (t - entry.at > maxAge) continue
+      live.push({ source, ...entry })
+    }
+    return live.sort((a, b) => rank(a.source) - rank(b.source))
+  }
+
+  const pickWinner = (live) => {
+    if (!live.length) return null
+    if (mode === INPUT_MODES.PRIORITY) return live[0]
+    return live.reduce((best, c) => (c.at > best.at ? c : best))
+  }
+
+  const setIntent = (source, intent) => {
+    if (!disabled.has(source)) intents.set(source, { intent, at: now() })
+  }
+
+  const manager = {
+    /**
+     * Subscribe to 'direction' (vec, source), 'action' (action, source) or 'activeSource' (source).
+     * @returns {() => void} unsubscribe
+     */
+    on(event, handler) {
+      listeners[event].add(handler)
+      return () => listeners[event].delete(handler)
+    },
+
+    /** Update mode / priority / weights / staleMs at runtime. */
+    configure(next) {
+      if (next.mode) mode = next.mode
+      if (next.priority) priority = [...next.priority]
+      if (next.weights) weights = { ...next.weights }
+      if (next.staleMs) staleMs = { ...next.staleMs }
+    },
+
+    /**
+     * Report a discrete 4-way direction. Emits 'direction' unless a higher-priority source
+     * currently holds control (priority mode only).
+     * @param {string} source
+     * @param {Vec} direction
+     */
+    reportDirection(source, direction) {
+      if (disabled.has(source)) return
+      setIntent(source, { kind: 'direction', direction })
+      if (mode === INPUT_MODES.PRIORITY) {
+        const winner = pickWinner(candidates())
+        if (winner && winner.source !== source) return
+      }
+      setActiveSource(source)
+      emit('direction', direction, source)
+    },
+
+    /** Report an absolute angle (null clears the source). */
+    reportAngle(source, angle) {
+      if (angle == null) intents.delete(source)
+      else setIntent(source, { kind: 'angle', angle })
+    },
+
+    /** Report a relative turn in [-1, 1]; 0 holds the current heading, null clears the source. */
+    reportTurn(source, turn) {
+      if (turn == null) intents.delete(source)
+      else setIntent(source, { kind: 'turn', turn })
+    },
+
+    /** Report a target point in world space (null clears the source). */
+    reportPoint(source, point) {
+      if (!point) intents.delete(source)
+      else setIntent(source, { kind: 'point', point })
+    },
+
+    /** Fire an action button (boost, pause, confirm). */
+    pressAction(source, action) {
+      if (disabled.has(source)) return
+      setActiveSource(source)
+      emit('action', action, source)
+    },
+
+    /** Drop the current intent of a source. */
+    clear(source) {
+      intents.delete(source)
+    },
+
+    /** Enable or disable a source; disabling drops its intent. */
+    setEnabled(source, enabled) {
+      if (enabled) {
+        disabled.delete(source)
+      } else {
+        disabled.add(source)
+        intents.delete(source)
+      }
+    },
+
+    /**
+     * Winning steering intent right now (updates the active source).
+     * @returns {{ source: string, intent: SteeringIntent } | null}
+     */
+    getSteering() {
+      const winner = pickWinner(candidates())
+      if (!winner) return null
+      setActiveSource(winner.source)
+      return { source: winner.source, intent: winner.intent }
+    },
+
+    /**
+     * Resolved absolute steering angle, or null when no source is steering.
+     * @param {SteeringContext} [context]
+     * @returns {number | null}
+     */
+    getAngle(context) {
+      const live = candidates()
+      if (mode === INPUT_MODES.BLEND) {
+        const entries = []
+        for (const c of live) {
+          const angle = intentToAngle(c.intent, context)
+          if (angle != null) {
+            entries.push({ angle, weight: weights[c.source] ?? 1 })
+          }
+        }
+        const latest = pickWinner(live)
+        if (latest) setActiveSource(latest.source)
+        return blendAngles(entries)
+      }
+      const winner = pickWinner(live)
+      if (!winner) return null
+      setActiveSource(winner.source)
+      return intentToAngle(winner.intent, context)
+    },
+
+    /**
+     * Resolved 4-way direction (angles are quantized), or null.
+     * @returns {Vec | null}
+     */
+    getDirection() {
+      const steering = manager.getSteering()
+      if (!steering) return null
+      const { intent } = steering
+      if (intent.kind === 'direction') return intent.direction
+      if (intent.kind === 'angle') return angleToDirection(intent.angle)
+      return null
+    },
+
+    /** @returns {string | null} */
+    getActiveSource() {
+      return activeSource
+    },
+  }
+
+  return manager
+}
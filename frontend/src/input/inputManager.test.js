@@ -0,0 +1,188 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  createInputManager,
+  angleToDirection,
+  intentToAngle,
+  INPUT_ACTIONS,
+  INPUT_MODES,
+} from './inputManager.js'
+
+function fakeClock(start = 0) {
+  let t = start
+  return {
+    now: () => t,
+    advance: (ms) => {
+      t += ms
+    },
+  }
+}
+
+describe('angleToDirection', () => {
+  it('quantizes to the dominant axis', () => {
+    expect(angleToDirection(0)).toEqual({ x: 1, y: 0 })
+    expect(angleToDirection(Math.PI)).toEqual({ x: -1, y: 0 })
+    expect(angleToDirection(-Math.PI / 2)).toEqual({ x: 0, y: -1 })
+    expect(angleToDirection(Math.PI / 2 - 0.2)).toEqual({ x: 0, y: 1 })
+  })
+})
+
+describe('intentToAngle', () => {
+  it('passes angles through normalized', () => {
+    expect(intentToAngle({ kind: 'angle', angle: 3 * Math.PI })).toBeCloseTo(
+      Math.PI,
+    )
+  })
+
+  it('converts directions', () => {
+    expect(
+      intentToAngle({ kind: 'direction', direction: { x: 0, y: 1 } }),
+    ).toBeCloseTo(Math.PI / 2)
+  })
+
+  it('aims points from origin, wrapping toroidally when bounds are given', () => {
+    const intent = { kind: 'point', point: { x: 5, y: 50 } }
+    expect(intentToAngle(intent, { origin: { x: 95, y: 50 } })).toBeCloseTo(
+      Math.PI,
+    )
+    expect(
+      intentToAngle(intent, {
+        origin: { x: 95, y: 50 },
+        bounds: { width: 100, height: 100 },
+      }),
+    ).toBeCloseTo(0)
+  })
+
+  it('returns null for points without origin', () => {
+    expect(intentToAngle({ kind: 'point', point: { x: 1, y: 1 } })).toBe(null)
+  })
+
+  it('turns relative to the current angle', () => {
+    const angle = intentToAngle(
+      { kind: 'turn', turn: -1 },
+      { currentAngle: 0, turnRate: 3, dt: 0.1 },
+    )
+    expect(angle).toBeCloseTo(-0.3)
+  })
+})
+
+describe('createInputManager', () => {
+  it('resolves by priority order', () => {
+    const input = createInputManager({ priority: ['keyboard', 'face', 'mouse'] })
+    input.reportPoint('mouse', { x: 10, y: 0 })
+    input.reportAngle('face', Math.PI / 2)
+    expect(input.getAngle({ origin: { x: 0, y: 0 } })).toBeCloseTo(Math.PI / 2)
+    expect(input.getActiveSource()).toBe('face')
+    input.reportTurn('keyboard', 1)
+    expect(input.getAngle({ currentAngle: 0, turnRate: 2, dt: 0.5 })).toBe(1)
+    expect(input.getActiveSource()).toBe('keyboard')
+    input.reportTurn('keyboard', null)
+    expect(input.getActiveSource()).toBe('keyboard')
+    input.getAngle({ origin: { x: 0, y: 0 } })
+    expect(input.getActiveSource()).toBe('face')
+  })
+
+  it('resolves by most recent intent in latest mode', () => {
+    const clock = fakeClock()
+    const input = createInputManager({ mode: INPUT_MODES.LATEST, now: clock.now })
+    input.reportAngle('face', 0)
+    clock.advance(10)
+    input.reportAngle('mouse', Math.PI)
+    expect(input.getAngle()).toBeCloseTo(Math.PI)
+    clock.advance(10)
+    input.reportAngle('face', 0.5)
+    expect(input.getAngle()).toBeCloseTo(0.5)
+  })
+
+  it('blends angles by weight in blend mode', () => {
+    const input = createInputManager({
+      mode: INPUT_MODES.BLEND,
+      weights: { face: 1, mouse: 1 },
+    })
+    input.reportAngle('face', 0)
+    input.reportAngle('mouse', Math.PI / 2)
+    expect(input.getAngle()).toBeCloseTo(Math.PI / 4)
+  })
+
+  it('ignores stale intents', () => {
+    const clock = fakeClock()
+    const input = createInputManager({
+      priority: ['face', 'mouse'],
+      staleMs: { face: 100 },
+      now: clock.now,
+    })
+    input.reportAngle('face', 1)
+    input.reportAngle('mouse', 2)
+    expect(input.getAngle()).toBe(1)
+    clock.advance(150)
+    expect(input.getAngle()).toBe(2)
+  })
+
+  it('lets a centered face hold the heading over an older mouse point', () => {
+    const clock = fakeClock()
+    const input = createInputManager({
+      priority: ['face', 'mouse'],
+      now: clock.now,
+    })
+    input.reportPoint('mouse', { x: 0, y: 10 })
+    clock.advance(50)
+    input.reportTurn('face', 0)
+    const context = { origin: { x: 0, y: 0 }, currentAngle: 0.25, dt: 0.1 }
+    expect(input.getAngle(context)).toBe(0.25)
+    expect(input.getActiveSource()).toBe('face')
+    /* Face lost: the mouse steers again */
+    input.reportTurn('face', null)
+    expect(input.getAngle(context)).toBeCloseTo(Math.PI / 2)
+  })
+
+  it('ignores disabled sources and drops their intent', () => {
+    const input = createInputManager({ priority: ['face', 'mouse'] })
+    input.reportAngle('face', 1)
+    input.reportAngle('mouse', 2)
+    input.setEnabled('face', false)
+    expect(input.getAngle()).toBe(2)
+    input.setEnabled('face', true)
+    expect(input.getAngle()).toBe(2)
+  })
+
+  it('emits directions only from the source in control (priority mode)', () => {
+    const input = createInputManager({ priority: ['face', 'keyboard'] })
+    const onDirection = vi.fn()
+    input.on('direction', onDirection)
+    input.reportDirection('keyboard', { x: 0, y: -1 })
+    expect(onDirection).toHaveBeenLastCalledWith({ x: 0, y: -1 }, 'keyboard')
+    input.reportDirection('face', { x: 1, y: 0 })
+    input.reportDirection('keyboard', { x: 0, y: 1 })
+    expect(onDirection).toHaveBeenCalledTimes(2)
+    expect(onDirection).toHaveBeenLastCalledWith({ x: 1, y: 0 }, 'face')
+  })
+
+  it('emits directions from every source in latest mode', () => {
+    const input = createInputManager({ mode: INPUT_MODES.LATEST })
+    const onDirection = vi.fn()
+    input.on('direction', onDirection)
+    input.reportDirection('face', { x: 1, y: 0 })
+    input.reportDirection('keyboard', { x: 0, y: 1 })
+    expect(onDirection).toHaveBeenCalledTimes(2)
+  })
+
+  it('quantizes angle intents for getDirection', () => {
+    const input = createInputManager()
+    input.reportAngle('face', Math.PI - 0.1)
+    expect(input.getDirection()).toEqual({ x: -1, y: 0 })
+  })
+
+  it('emits actions and active source changes', () => {
+    const input = createInputManager()
+    const onAction = vi.fn()
+    const onActive = vi.fn()
+    input.on('action', onAction)
+    const off = input.on('activeSource', onActive)
+    input.pressAction('face', INPUT_ACTIONS.BOOST)
+    input.pressAction('face', INPUT_ACTIONS.BOOST)
+    expect(onAction).toHaveBeenCalledWith('boost', 'face')
+    expect(onActive).toHaveBeenCalledTimes(1)
+    off()
+    input.pressAction('keyboard', INPUT_ACTIONS.PAUSE)
+    expect(onActive).toHaveBeenCalledTimes(1)
+  })
+})
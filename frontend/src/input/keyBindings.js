@@ -0,0 +1,85 @@
+/**
+ * Default keyboard bindings per game, and helpers for player-customized action keys.
+ * Steering keys (directions / turns) are fixed; action keys can be rebound per profile.
+ */
+
+import { INPUT_ACTIONS } from './inputManager.js'
+
+const SNAKE_DIRECTIONS = {
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  w: { x: 0, y: -1 },
+  s: { x: 0, y: 1 },
+  a: { x: -1, y: 0 },
+  d: { x: 1, y: 0 },
+}
+
+/** Keyboard bindings by game id ('snake' | 'slither'). */
+export const GAME_KEY_BINDINGS = {
+  snake: {
+    directions: SNAKE_DIRECTIONS,
+    turns: {},
+    actions: {
+      ' ': INPUT_ACTIONS.PAUSE,
+      Enter: INPUT_ACTIONS.CONFIRM,
+    },
+  },
+  slither: {
+    directions: {},
+    turns: { ArrowLeft: -1, ArrowRight: 1 },
+    actions: {
+      ' ': INPUT_ACTIONS.BOOST,
+      p: INPUT_ACTIONS.PAUSE,
+      Enter: INPUT_ACTIONS.CONFIRM,
+    },
+  },
+}
+
+/** Display names for rebindable actions. */
+export const INPUT_ACTION_LABELS = {
+  boost: 'Boost',
+  pause: 'Pause',
+  confirm: 'Start / confirm',
+}
+
+/**
+ * Human-readable key name for the bindings UI.
+ * @param {string} key - KeyboardEvent.key
+ * @returns {string}
+ */
+export function formatKey(key) {
+  if (key === ' ') return 'Space'
+  if (key.length === 1) return key.toUpperCase()
+  return key
+}
+
+/**
+ * Whether `key` is reserved for steering in `game` (cannot be bound to an action).
+ * @param {string} game
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isSteeringKey(game, key) {
+  const { directions, turns } = GAME_KEY_BINDINGS[game]
+  return key in directions || key in turns
+}
+
+/**
+ * Bind `action` to `key`, replacing the action's previous key(s) and the key's previous action.
+ * Returns the map unchanged when the key is reserved for steering.
+ * @param {string} game
+ * @param {Record<string, string>} actions - key → action
+ * @param {string} action
+ * @param {string} key
+ * @returns {Record<string, string>}
+ */
+export function rebindActionKey(game, actions, action, key) {
+  if (isSteeringKey(game, key)) return actions
+  const next = Object.fromEntries(
+    Object.entries(actions).filter(([k, a]) => a !== action && k !== key),
+  )
+  next[key] = action
+  return next
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest'
+import { INPUT_ACTIONS } from './inputManager.js'
+import {
+  GAME_KEY_BINDINGS,
+  formatKey,
+  isSteeringKey,
+  rebindActionKey,
+} from './keyBindings.js'
+
+describe('keyBindings', () => {
+  it('formats keys for display', () => {
+    expect(formatKey(' ')).toBe('Space')
+    expect(formatKey('p')).toBe('P')
+    expect(formatKey('Enter')).toBe('Enter')
+  })
+
+  it('reserves steering keys per game', () => {
+    expect(isSteeringKey('snake', 'w')).toBe(true)
+    expect(isSteeringKey('slither', 'w')).toBe(false)
+    expect(isSteeringKey('slither', 'ArrowLeft')).toBe(true)
+  })
+
+  it('moves an action to a new key', () => {
+    const next = rebindActionKey(
+      'slither',
+      GAME_KEY_BINDINGS.slither.actions,
+      INPUT_ACTIONS.BOOST,
+      'Shift',
+    )
+    expect(next).toEqual({
+      Shift: INPUT_ACTIONS.BOOST,
+      p: INPUT_ACTIONS.PAUSE,
+      Enter: INPUT_ACTIONS.CONFIRM,
+    })
+  })
+
+  it('takes a key away from the action that had it', () => {
+    const next = rebindActionKey(
+      'snake',
+      GAME_KEY_BINDINGS.snake.actions,
+      INPUT_ACTIONS.PAUSE,
+      'Enter',
+    )
+    expect(next).toEqual({ Enter: INPUT_ACTIONS.PAUSE })
+  })
+
+  it('refuses steering keys', () => {
+    const actions = GAME_KEY_BINDINGS.snake.actions
+    expect(
+      rebindActionKey('snake', actions, INPUT_ACTIONS.PAUSE, 'ArrowUp'),
+    ).toBe(actions)
+  })
+})
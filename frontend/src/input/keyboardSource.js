@@ -0,0 +1,56 @@
+/**
+ * Keyboard adapter for the input manager.
+ */
+
+import { INPUT_SOURCES } from './inputManager.js'
+
+/**
+ * Listen for keys on `target` and report them to the input manager.
+ * `directions` map keys to 4-way vectors, `turns` to relative turn (-1 / 1: the most recently
+ * pressed turn key still held wins, cleared once none is), and `actions` to action names (key
+ * repeat is ignored for actions).
+ * @param {ReturnType<import('./inputManager.js').createInputManager>} manager
+ * @param {{ directions?: Record<string, { x: number, y: number }>, turns?: Record<string, number>, actions?: Record<string, string>, target?: EventTarget }} bindings
+ * @returns {() => void} unbind
+ */
+export function bindKeyboard(manager, bindings) {
+  const { directions = {}, turns = {}, actions = {}, target = window } = bindings
+  /* Held turn keys, most recent last */
+  let heldTurnKeys = []
+
+  const handleKeyDown = (event) => {
+    const action = actions[event.key]
+    if (action) {
+      if (event.key === ' ') event.preventDefault()
+      if (!event.repeat) manager.pressAction(INPUT_SOURCES.KEYBOARD, action)
+      return
+    }
+    const direction = directions[event.key]
+    if (direction) {
+      manager.reportDirection(INPUT_SOURCES.KEYBOARD, direction)
+      return
+    }
+    const turn = turns[event.key]
+    if (turn) {
+      heldTurnKeys = [
+        ...heldTurnKeys.filter((key) => key !== event.key),
+        event.key,
+      ]
+      manager.reportTurn(INPUT_SOURCES.KEYBOARD, turn)
+    }
+  }
+
+  const handleKeyUp = (event) => {
+    if (!heldTurnKeys.includes(event.key)) return
+    heldTurnKeys = heldTurnKeys.filter((key) => key !== event.key)
+    const latest = heldTurnKeys.at(-1)
+    manager.reportTurn(INPUT_SOURCES.KEYBOARD, latest ? turns[latest] : null)
+  }
+
+  target.addEventListener('keydown', handleKeyDown)
+  target.addEventListener('keyup', handleKeyUp)
+  return () => {
+    target.removeEventListener('keydown', handleKeyDown)
+    target.removeEventListener('keyup', handleKeyUp)
+  }
+}
@@ -0,0 +1,44 @@
+import { describe, it, expect, vi } from 'vitest'
+import { bindKeyboard } from './keyboardSource.js'
+
+function press(target, type, key) {
+  target.dispatchEvent(new window.KeyboardEvent(type, { key }))
+}
+
+function manager() {
+  return {
+    pressAction: vi.fn(),
+    reportDirection: vi.fn(),
+    reportTurn: vi.fn(),
+  }
+}
+
+describe('bindKeyboard', () => {
+  it('keeps turning while an earlier turn key is still held', () => {
+    const input = manager()
+    const target = document.createElement('div')
+    bindKeyboard(input, {
+      turns: { ArrowLeft: -1, ArrowRight: 1 },
+      target,
+    })
+    press(target, 'keydown', 'ArrowLeft')
+    press(target, 'keydown', 'ArrowRight')
+    press(target, 'keyup', 'ArrowRight')
+    expect(input.reportTurn).toHaveBeenLastCalledWith('keyboard', -1)
+    press(target, 'keyup', 'ArrowLeft')
+    expect(input.reportTurn).toHaveBeenLastCalledWith('keyboard', null)
+  })
+
+  it('keeps the latest turn when an earlier key is released first', () => {
+    const input = manager()
+    const target = document.createElement('div')
+    bindKeyboard(input, {
+      turns: { ArrowLeft: -1, ArrowRight: 1 },
+      target,
+    })
+    press(target, 'keydown', 'ArrowLeft')
+    press(target, 'keydown', 'ArrowRight')
+    press(target, 'keyup', 'ArrowLeft')
+    expect(input.reportTurn).toHaveBeenLastCalledWith('keyboard', 1)
+  })
+})
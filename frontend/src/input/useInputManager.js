@@ -0,0 +1,17 @@
+import { useEffect, useState } from 'react'
+import { createInputManager } from './inputManager.js'
+
+/**
+ * One input manager per component, plus the active source as React state for the indicator.
+ * `config` is read once on mount; use `input.configure()` to change it later.
+ * @param {Parameters<typeof createInputManager>[0]} [config]
+ * @returns {{ input: ReturnType<typeof createInputManager>, activeSource: string | null }}
+ */
+export function useInputManager(config) {
+  const [input] = useState(() => createInputManager(config))
+  const [activeSource, setActiveSource] = useState(null)
+
+  useEffect(() => input.on('activeSource', setActiveSource), [input])
+
+  return { input, activeSource }
+}
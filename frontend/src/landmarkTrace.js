@@ -0,0 +1,284 @@
+/**
+ * Landmark traces: per-frame Face Landmarker results recorded to NDJSON, and a player that feeds
+ * them back through useHeadTracking as a fake camera (same smoothing, calibration, direction and
+ * mouth-open paths as live input). Handy for bug reports and deterministic tests.
+ *
+ * Format: one JSON object per line. The first line is the header
+ * `{ type: 'header', version, createdAt, numFaces, video: { width, height } }`; every other line
+ * is a frame `{ t, result }` with `t` in ms since the first frame and `result` shaped like
+ * FaceLandmarker.detectForVideo output (faceLandmarks, faceBlendshapes, facialTransformationMatrixes),
+ * or `{ handLandmarks, handedness }` when recorded in the hand control mode.
+ */
+
+export const TRACE_VERSION = 1
+
+/** ~10 minutes at 30 fps; later frames are dropped so a forgotten recording cannot eat memory */
+export const TRACE_MAX_FRAMES = 18000
+
+/**
+ * @typedef {{ faceLandmarks?: Array<Array<{ x: number, y: number, z: number }>>, handLandmarks?: Array<Array<{ x: number, y: number, z: number }>>, handedness?: Array<Array<{ categoryName: string, score: number }>>, faceBlendshapes?: Array<{ categories: Array<{ categoryName: string, score: number }> }>, facialTransformationMatrixes?: Array<{ rows?: number, columns?: number, data: number[] }> }} TraceResult
+ * @typedef {{ type: 'header', version: number, createdAt: string, numFaces: number, video: { width: number, height: number } }} TraceHeader
+ * @typedef {{ t: number, result: TraceResult }} TraceFrame
+ * @typedef {{ header: TraceHeader, frames: TraceFrame[] }} Trace
+ */
+
+const round = (value, digits) => {
+  const factor = 10 ** digits
+  return Math.round(value * factor) / factor
+}
+
+const roundLandmarks = (landmarks) =>
+  landmarks.map(({ x, y, z }) => ({
+    x: round(x, 5),
+    y: round(y, 5),
+    z: round(z ?? 0, 5),
+  }))
+
+/**
+ * Plain, rounded copy of a landmarker result (drops MediaPipe class instances and extra fields).
+ * @param {object} result
+ * @returns {TraceResult}
+ */
+export function serializeTraceResult(result) {
+  if (result?.handLandmarks) {
+    return {
+      handLandmarks: result.handLandmarks.map(roundLandmarks),
+      handedness: (result.handedness ?? []).map((categories) =>
+        (categories ?? []).map(({ categoryName, score }) => ({
+          categoryName,
+          score: round(score, 4),
+        })),
+      ),
+    }
+  }
+  return {
+    faceLandmarks: (result?.faceLandmarks ?? []).map(roundLandmarks),
+    faceBlendshapes: (result?.faceBlendshapes ?? []).map((shapes) => ({
+      categories: (shapes?.categories ?? []).map(({ categoryName, score }) => ({
+        categoryName,
+        score: round(score, 4),
+      })),
+    })),
+    facialTransformationMatrixes: (
+      result?.facialTransformationMatrixes ?? []
+    ).map((matrix) => {
+      const data = Array.isArray(matrix) ? matrix : (matrix?.data ?? [])
+      return {
+        rows: matrix?.rows ?? 4,
+        columns: matrix?.columns ?? 4,
+        data: Array.from(data, (value) => round(value, 6)),
+      }
+    }),
+  }
+}
+
+/**
+ * Collects frames while recording; toNdjson() serializes everything so far.
+ * @param {{ numFaces?: number, maxFrames?: number, createdAt?: Date }} [options]
+ */
+export function createTraceRecorder({
+  numFaces = 1,
+  maxFrames = TRACE_MAX_FRAMES,
+  createdAt = new Date(),
+} = {}) {
+  /** @type {TraceFrame[]} */
+  const frames = []
+  const video = { width: 0, height: 0 }
+  let start = null
+
+  /** @returns {Trace} */
+  const toTrace = () => ({
+    header: {
+      type: 'header',
+      version: TRACE_VERSION,
+      createdAt: createdAt.toISOString(),
+      numFaces,
+      video: { ...video },
+    },
+    frames: frames.slice(),
+  })
+
+  return {
+    get frameCount() {
+      return frames.length
+    },
+    get truncated() {
+      return frames.length >= maxFrames
+    },
+
+    /**
+     * @param {number} timestamp - detector timestamp (ms)
+     * @param {object} result - landmarker result
+     * @param {{ videoWidth?: number, videoHeight?: number }} [source] - frame size, kept from the first frame
+     */
+    add(timestamp, result, source) {
+      if (frames.length >= maxFrames) return
+      if (start == null) {
+        start = timestamp
+        video.width = source?.videoWidth ?? 0
+        video.height = source?.videoHeight ?? 0
+      }
+      frames.push({
+        t: round(timestamp - start, 2),
+        result: serializeTraceResult(result),
+      })
+    },
+
+    toTrace,
+
+    /** @returns {string} */
+    toNdjson() {
+      const { header, frames: recorded } = toTrace()
+      return (
+        [header, ...recorded].map((line) => JSON.stringify(line)).join('\n') +
+        '\n'
+      )
+    },
+  }
+}
+
+function isTraceFrame(frame) {
+  return (
+    frame != null &&
+    Number.isFinite(frame.t) &&
+    (Array.isArray(frame.result?.faceLandmarks) ||
+      Array.isArray(frame.result?.handLandmarks))
+  )
+}
+
+/**
+ * Parse an NDJSON trace (or the equivalent `{ header, frames }` JSON document).
+ * Frames are sorted by time; throws when the text is not a landmark trace.
+ * @param {string} text
+ * @returns {Trace}
+ */
+export function parseTrace(text) {
+  const trimmed = String(text ?? '').trim()
+  if (!trimmed) throw new Error('Trace file is empty')
+  let header = null
+  let frames = []
+  try {
+    const document = JSON.parse(trimmed)
+    header = document?.header ?? null
+    frames = Array.isArray(document)
+      ? document
+      : isTraceFrame(document)
+        ? [document]
+        : (document?.frames ?? [])
+  } catch {
+    for (const line of trimmed.split(/\r?\n/)) {
+      if (!line.trim()) continue
+      const entry = JSON.parse(line)
+      if (entry?.type === 'header') header = entry
+      else frames.push(entry)
+    }
+  }
+  if (header && header.version > TRACE_VERSION) {
+    throw new Error(`Unsupported trace version ${header.version}`)
+  }
+  if (!frames.length || !frames.every(isTraceFrame)) {
+    throw new Error('Not a landmark trace')
+  }
+  return {
+    header: {
+      type: 'header',
+      version: header?.version ?? TRACE_VERSION,
+      createdAt: header?.createdAt ?? '',
+      numFaces: header?.numFaces ?? 1,
+      video: {
+        width: header?.video?.width || 640,
+        height: header?.video?.height || 480,
+      },
+    },
+    frames: frames.slice().sort((a, b) => a.t - b.t),
+  }
+}
+
+const defaultWait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Detector-compatible replay of a trace: detect() resolves like the landmarker backends
+ * (`{ timestamp, inferenceMs, result }`) and with null once the trace has ended.
+ * Timestamps keep the recorded spacing, offset to the first detect() call. With `realtime`
+ * each frame waits until it is due; otherwise every call returns the next frame immediately.
+ * @param {Trace} trace
+ * @param {{ loop?: boolean, realtime?: boolean, now?: () => number, wait?: (ms: number) => Promise<void> }} [options]
+ */
+export function createTracePlayer(
+  trace,
+  {
+    loop = false,
+    realtime = true,
+    now = () => performance.now(),
+    wait = defaultWait,
+  } = {},
+) {
+  const { frames } = trace
+  const span = frames.length > 1 ? frames.at(-1).t - frames[0].t : 0
+  const interval = frames.length > 1 ? span / (frames.length - 1) : 1000 / 30
+  let index = 0
+  let offset = 0
+  let startTimestamp = null
+  let startNow = 0
+
+  return {
+    get done() {
+      return !loop && index >= frames.length
+    },
+    get position() {
+      return index
+    },
+    get frameCount() {
+      return frames.length
+    },
+    video: {
+      videoWidth: trace.header.video.width,
+      videoHeight: trace.header.video.height,
+    },
+
+    async detect(_source, timestamp) {
+      if (index >= frames.length) {
+        if (!loop) return null
+        index = 0
+        offset += span + interval
+      }
+      if (startTimestamp == null) {
+        startTimestamp = timestamp
+        startNow = now()
+      }
+      const frame = frames[index]
+      index += 1
+      const due = offset + frame.t - frames[0].t
+      if (realtime) {
+        const delay = due - (now() - startNow)
+        if (delay > 0) await wait(delay)
+      }
+      return {
+        timestamp: startTimestamp + due,
+        inferenceMs: 0,
+        result: frame.result,
+      }
+    },
+  }
+}
+
+/**
+ * Save a trace through a temporary download link.
+ * @param {string} ndjson
+ * @param {string} [filename]
+ */
+export function downloadTrace(
+  ndjson,
+  filename = `cvified-trace-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`,
+) {
+  const url = URL.createObjectURL(
+    new window.Blob([ndjson], { type: 'application/x-ndjson' }),
+  )
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest'
+import {
+  TRACE_VERSION,
+  createTracePlayer,
+  createTraceRecorder,
+  parseTrace,
+  serializeTraceResult,
+} from './landmarkTrace'
+
+/** Landmarker-shaped result with a single face whose landmarks all sit at (x, y). */
+function faceResult(x, y, jawOpen = 0) {
+  return {
+    faceLandmarks: [[{ x, y, z: 0.0123456789, visibility: 1 }]],
+    faceBlendshapes: [
+      { categories: [{ categoryName: 'jawOpen', score: jawOpen, index: 25 }] },
+    ],
+    facialTransformationMatrixes: [
+      { rows: 4, columns: 4, data: new Float32Array(16).fill(0.5) },
+    ],
+  }
+}
+
+function recordFrames(count, stepMs = 33) {
+  const recorder = createTraceRecorder({
+    createdAt: new Date('2024-01-01T00:00:00Z'),
+  })
+  for (let i = 0; i < count; i += 1) {
+    recorder.add(1000 + i * stepMs, faceResult(0.5 + i / 100, 0.5), {
+      videoWidth: 640,
+      videoHeight: 480,
+    })
+  }
+  return recorder
+}
+
+describe('landmarkTrace', () => {
+  it('serializes results to plain rounded data', () => {
+    const plain = serializeTraceResult(faceResult(0.123456789, 0.5, 0.87654))
+    expect(plain.faceLandmarks[0][0]).toEqual({
+      x: 0.12346,
+      y: 0.5,
+      z: 0.01235,
+    })
+    expect(plain.faceBlendshapes[0].categories).toEqual([
+      { categoryName: 'jawOpen', score: 0.8765 },
+    ])
+    expect(Array.isArray(plain.facialTransformationMatrixes[0].data)).toBe(true)
+    expect(serializeTraceResult({ faceLandmarks: [] })).toEqual({
+      faceLandmarks: [],
+      faceBlendshapes: [],
+      facialTransformationMatrixes: [],
+    })
+  })
+
+  it('keeps hand landmarks and handedness from the hand landmarker', () => {
+    const plain = serializeTraceResult({
+      handLandmarks: [[{ x: 0.123456789, y: 0.5, z: 0 }]],
+      handedness: [[{ categoryName: 'Left', score: 0.98765, index: 0 }]],
+    })
+    expect(plain).toEqual({
+      handLandmarks: [[{ x: 0.12346, y: 0.5, z: 0 }]],
+      handedness: [[{ categoryName: 'Left', score: 0.9877 }]],
+    })
+    const trace = parseTrace(JSON.stringify([{ t: 0, result: plain }]))
+    expect(trace.frames[0].result.handLandmarks).toHaveLength(1)
+  })
+
+  it('records a header line and timestamped frames as NDJSON', () => {
+    const lines = recordFrames(3).toNdjson().trim().split('\n')
+    expect(lines).toHaveLength(4)
+    expect(JSON.parse(lines[0])).toEqual({
+      type: 'header',
+      version: TRACE_VERSION,
+      createdAt: '2024-01-01T00:00:00.000Z',
+      numFaces: 1,
+      video: { width: 640, height: 480 },
+    })
+    expect(lines.slice(1).map((line) => JSON.parse(line).t)).toEqual([
+      0, 33, 66,
+    ])
+  })
+
+  it('stops recording at maxFrames', () => {
+    const recorder = createTraceRecorder({ maxFrames: 2 })
+    for (let i = 0; i < 5; i += 1) recorder.add(i, faceResult(0.5, 0.5))
+    expect(recorder.frameCount).toBe(2)
+    expect(recorder.truncated).toBe(true)
+  })
+
+  it('round-trips NDJSON and JSON documents', () => {
+    const recorder = recordFrames(3)
+    const fromNdjson = parseTrace(recorder.toNdjson())
+    expect(fromNdjson).toEqual(recorder.toTrace())
+    expect(parseTrace(JSON.stringify(recorder.toTrace()))).toEqual(fromNdjson)
+  })
+
+  it('rejects files that are not traces', () => {
+    expect(() => parseTrace('')).toThrow('empty')
+    expect(() => parseTrace('{"hello": "world"}')).toThrow(
+      'Not a landmark trace',
+    )
+    expect(() =>
+      parseTrace('{"type":"header","version":99}\n{"t":0,"result":{}}'),
+    ).toThrow('Unsupported trace version 99')
+  })
+
+  it('replays frames with their recorded spacing, then ends', async () => {
+    const player = createTracePlayer(parseTrace(recordFrames(3).toNdjson()), {
+      realtime: false,
+    })
+    expect(player.video).toEqual({ videoWidth: 640, videoHeight: 480 })
+    const frames = [
+      await player.detect(null, 5000),
+      await player.detect(null, 5001),
+      await player.detect(null, 5002),
+    ]
+    expect(frames.map((frame) => frame.timestamp)).toEqual([5000, 5033, 5066])
+    expect(frames[2].result.faceLandmarks[0][0].x).toBeCloseTo(0.52)
+    expect(frames[0].inferenceMs).toBe(0)
+    await expect(player.detect(null, 5003)).resolves.toBeNull()
+    expect(player.done).toBe(true)
+  })
+
+  it('keeps timestamps increasing when looping', async () => {
+    const player = createTracePlayer(parseTrace(recordFrames(2).toNdjson()), {
+      loop: true,
+      realtime: false,
+    })
+    const timestamps = []
+    for (let i = 0; i < 4; i += 1) {
+      timestamps.push((await player.detect(null, 0)).timestamp)
+    }
+    expect(timestamps).toEqual([0, 33, 66, 99])
+    expect(player.done).toBe(false)
+  })
+
+  it('waits until each frame is due in realtime mode', async () => {
+    let clock = 0
+    const waits = []
+    const player = createTracePlayer(parseTrace(recordFrames(3).toNdjson()), {
+      now: () => clock,
+      wait: async (ms) => {
+        waits.push(ms)
+        clock += ms
+      },
+    })
+    await player.detect(null, 0)
+    clock += 10
+    await player.detect(null, 10)
+    clock += 50
+    await player.detect(null, 60)
+    expect(waits).toEqual([23])
+  })
+})
@@ -0,0 +1,66 @@
+/**
+ * MediaPipe landmarker tasks shared by the worker and in-page backends: the face landmarker
+ * (default) and the hand landmarker for the hand control mode. Results are reduced to plain,
+ * cloneable objects: faces keep faceLandmarks / faceBlendshapes / facialTransformationMatrixes,
+ * hands become handLandmarks / handedness.
+ */
+
+import { FaceLandmarker, HandLandmarker } from '@mediapipe/tasks-vision'
+
+export const LANDMARKER_TASKS = {
+  FACE: 'face',
+  HAND: 'hand',
+}
+
+/** Landmarker options shared by both backends (numFaces is raised for co-op). */
+export const FACE_LANDMARKER_OPTIONS = {
+  runningMode: 'VIDEO',
+  numFaces: 1,
+  outputFacialTransformationMatrixes: true,
+  outputFaceBlendshapes: true,
+}
+
+/** Hand landmarker options (numHands is raised for co-op). */
+export const HAND_LANDMARKER_OPTIONS = {
+  runningMode: 'VIDEO',
+  numHands: 1,
+}
+
+/**
+ * @param {object} vision - FilesetResolver.forVisionTasks() result
+ * @param {{ task?: string, modelUrl: string, options?: object }} config
+ */
+export function createLandmarkerForTask(
+  vision,
+  { task = LANDMARKER_TASKS.FACE, modelUrl, options },
+) {
+  const Landmarker =
+    task === LANDMARKER_TASKS.HAND ? HandLandmarker : FaceLandmarker
+  const defaults =
+    task === LANDMARKER_TASKS.HAND
+      ? HAND_LANDMARKER_OPTIONS
+      : FACE_LANDMARKER_OPTIONS
+  return Landmarker.createFromOptions(vision, {
+    baseOptions: { modelAssetPath: modelUrl },
+    ...(options ?? defaults),
+  })
+}
+
+/**
+ * Plain tracking result for a task's detectForVideo output.
+ * @param {string} task
+ * @param {object} result
+ */
+export function toTrackingResult(task, result) {
+  if (task === LANDMARKER_TASKS.HAND) {
+    return {
+      handLandmarks: result.landmarks ?? [],
+      handedness: result.handedness ?? result.handednesses ?? [],
+    }
+  }
+  return {
+    faceLandmarks: result.faceLandmarks,
+    faceBlendshapes: result.faceBlendshapes,
+    facialTransformationMatrixes: result.facialTransformationMatrixes,
+  }
+}
@@ -1,6 +1,9 @@
 import React from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
+import { registerServiceWorker } from './offlineSupport'
+
+if (import.meta.env.PROD) registerServiceWorker()
 
 const root = createRoot(document.getElementById('root'))
 root.render(
@@ -0,0 +1,30 @@
+/**
+ * Where MediaPipe loads from. The WASM (and the models, after `npm run fetch-models`) ship with
+ * the app and are served from its own origin, so games keep working offline; the VITE_* URLs
+ * from .env override any of them (e.g. a custom CDN).
+ */
+
+import { MODELS, WASM_PATH } from 'virtual:offline-assets'
+
+/** Absolute URL of a file bundled under the app base (the worker resolves URLs against its own path). */
+const bundledUrl = (path) =>
+  new URL(`${import.meta.env.BASE_URL}${path}`, document.baseURI).href
+
+const modelUrl = (model) => (model.path ? bundledUrl(model.path) : model.url)
+
+export const MEDIAPIPE_WASM_URL =
+  import.meta.env.VITE_MEDIAPIPE_WASM_URL ?? bundledUrl(WASM_PATH)
+export const FACE_LANDMARKER_MODEL_URL =
+  import.meta.env.VITE_FACE_LANDMARKER_MODEL_URL ?? modelUrl(MODELS.face)
+export const HAND_LANDMARKER_MODEL_URL =
+  import.meta.env.VITE_HAND_LANDMARKER_MODEL_URL ?? modelUrl(MODELS.hand)
+
+/**
+ * What must be cached for the face games to start offline. The hand model is optional: the
+ * service worker caches it once hand mode has been used.
+ */
+export const OFFLINE_REQUIRED_ASSETS = [
+  `${MEDIAPIPE_WASM_URL}/vision_wasm_internal.js`,
+  `${MEDIAPIPE_WASM_URL}/vision_wasm_internal.wasm`,
+  FACE_LANDMARKER_MODEL_URL,
+]
@@ -0,0 +1,115 @@
+/**
+ * Service worker registration and offline readiness for the in-app indicator.
+ * The worker (sw.js, generated by plugins/offlineAssets.js) only exists in production builds.
+ */
+
+import { useEffect, useState } from 'react'
+import { OFFLINE_REQUIRED_ASSETS } from './mediapipeAssets'
+
+export const OFFLINE_STATUS = {
+  /** No service worker (unsupported browser or dev server) */
+  UNSUPPORTED: 'unsupported',
+  /** Service worker installing / caching the app */
+  PREPARING: 'preparing',
+  /** App cached, but some MediaPipe assets are not yet (they are cached on first use) */
+  PARTIAL: 'partial',
+  READY: 'ready',
+}
+
+/** While not ready, how often the indicator checks the cache again */
+export const OFFLINE_STATUS_POLL_MS = 5000
+
+/** Register sw.js next to the app (call once at startup in production). */
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .catch((err) => {
+        if (import.meta.env.DEV) console.warn(err)
+      })
+  })
+}
+
+/**
+ * URLs from `urls` that no cache holds.
+ * @param {CacheStorage} cacheStorage
+ * @param {string[]} urls
+ * @returns {Promise<string[]>}
+ */
+export async function findUncachedAssets(cacheStorage, urls) {
+  const cached = await Promise.all(urls.map((url) => cacheStorage.match(url)))
+  return urls.filter((_url, i) => !cached[i])
+}
+
+/**
+ * Current offline readiness.
+ * @param {{ container?: ServiceWorkerContainer, cacheStorage?: CacheStorage, urls?: string[] }} [env]
+ * @returns {Promise<string>} one of OFFLINE_STATUS
+ */
+export async function readOfflineStatus({
+  container = navigator.serviceWorker,
+  cacheStorage = window.caches,
+  urls = OFFLINE_REQUIRED_ASSETS,
+} = {}) {
+  if (!container || !cacheStorage) return OFFLINE_STATUS.UNSUPPORTED
+  const registration = await container.getRegistration()
+  if (!registration) return OFFLINE_STATUS.UNSUPPORTED
+  if (!registration.active || registration.installing) {
+    return OFFLINE_STATUS.PREPARING
+  }
+  const missing = await findUncachedAssets(cacheStorage, urls)
+  return missing.length ? OFFLINE_STATUS.PARTIAL : OFFLINE_STATUS.READY
+}
+
+/**
+ * Offline readiness plus the browser's online flag, re-checked until ready.
+ * @returns {{ status: string, online: boolean }}
+ */
+export function useOfflineStatus() {
+  const [status, setStatus] = useState(OFFLINE_STATUS.UNSUPPORTED)
+  const [online, setOnline] = useState(() => navigator.onLine !== false)
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine !== false)
+    window.addEventListener('online', update)
+    window.addEventListener('offline', update)
+    return () => {
+      window.removeEventListener('online', update)
+      window.removeEventListener('offline', update)
+    }
+  }, [])
+
+  useEffect(() => {
+    const container = navigator.serviceWorker
+    if (!container) return
+    let active = true
+    let timer = null
+    const check = async () => {
+      clearTimeout(timer)
+      let next = OFFLINE_STATUS.UNSUPPORTED
+      try {
+        next = await readOfflineStatus()
+      } catch (err) {
+        if (import.meta.env.DEV) console.warn(err)
+      }
+      if (!active) return
+      setStatus(next)
+      if (
+        next === OFFLINE_STATUS.PREPARING ||
+        next === OFFLINE_STATUS.PARTIAL
+      ) {
+        timer = setTimeout(check, OFFLINE_STATUS_POLL_MS)
+      }
+    }
+    check()
+    container.addEventListener('controllerchange', check)
+    return () => {
+      active = false
+      clearTimeout(timer)
+      container.removeEventListener('controllerchange', check)
+    }
+  }, [])
+
+  return { status, online }
+}
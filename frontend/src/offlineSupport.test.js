@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest'
+import {
+  OFFLINE_STATUS,
+  findUncachedAssets,
+  readOfflineStatus,
+} from './offlineSupport'
+import { OFFLINE_REQUIRED_ASSETS } from './mediapipeAssets'
+
+const URLS = ['https://app.test/wasm/vision.wasm', 'https://app.test/face.task']
+
+/** CacheStorage stand-in holding the given URLs. */
+function cacheStorage(cached) {
+  return { match: async (url) => (cached.includes(url) ? {} : undefined) }
+}
+
+/** ServiceWorkerContainer stand-in with an optional registration. */
+function container(registration) {
+  return { getRegistration: async () => registration }
+}
+
+describe('offlineSupport', () => {
+  it('requires the bundled WASM and the face model', () => {
+    expect(OFFLINE_REQUIRED_ASSETS).toHaveLength(3)
+    expect(OFFLINE_REQUIRED_ASSETS[0]).toMatch(
+      /\/mediapipe\/wasm\/vision_wasm_internal\.js$/,
+    )
+    expect(OFFLINE_REQUIRED_ASSETS[2]).toMatch(/face_landmarker\.task$/)
+  })
+
+  it('lists the assets no cache holds', async () => {
+    expect(await findUncachedAssets(cacheStorage([URLS[0]]), URLS)).toEqual([
+      URLS[1],
+    ])
+  })
+
+  it('reports readiness from the registration and the cache', async () => {
+    const read = (registration, cached = URLS) =>
+      readOfflineStatus({
+        container: container(registration),
+        cacheStorage: cacheStorage(cached),
+        urls: URLS,
+      })
+    expect(await read(undefined)).toBe(OFFLINE_STATUS.UNSUPPORTED)
+    expect(await read({ active: null, installing: {} })).toBe(
+      OFFLINE_STATUS.PREPARING,
+    )
+    expect(await read({ active: {}, installing: null }, [URLS[0]])).toBe(
+      OFFLINE_STATUS.PARTIAL,
+    )
+    expect(await read({ active: {}, installing: null })).toBe(
+      OFFLINE_STATUS.READY,
+    )
+    expect(
+      await readOfflineStatus({ container: null, cacheStorage: {} }),
+    ).toBe(OFFLINE_STATUS.UNSUPPORTED)
+  })
+})
@@ -0,0 +1,136 @@
+/**
+ * What the camera overlay draws, the remembered choices (overlay mode and privacy avatar, in
+ * localStorage) and the per-mode redraw throttle that keeps the heavier modes (the face mesh is ~2,500 line segments per face) cheap.
+ */
+
+import { MOUTH_OPEN_THRESHOLD } from './headTrackingConfig'
+import { GESTURES, getGestureScore } from './gestureDetection'
+
+export const OVERLAY_MODES = {
+  /** Tracked point only */
+  MINIMAL: 'minimal',
+  /** Tracked point and steering arrow (the default) */
+  NOSE: 'nose',
+  /** Face contours (eyes, brows, lips, oval) under the point and arrow */
+  CONTOURS: 'contours',
+  /** Full face tesselation plus contours */
+  MESH: 'mesh',
+  /** Dead-zone region, mouth openness and blendshape gesture bars */
+  GESTURES: 'gestures',
+}
+
+export const OVERLAY_MODE_LABELS = {
+  [OVERLAY_MODES.MINIMAL]: 'Minimal',
+  [OVERLAY_MODES.NOSE]: 'Nose + arrow',
+  [OVERLAY_MODES.CONTOURS]: 'Contours',
+  [OVERLAY_MODES.MESH]: 'Face mesh',
+  [OVERLAY_MODES.GESTURES]: 'Gesture debug',
+}
+
+export const DEFAULT_OVERLAY_MODE = OVERLAY_MODES.NOSE
+
+/** Minimum time between two overlay redraws per mode; the canvas keeps the last frame meanwhile. */
+export const OVERLAY_DRAW_INTERVAL_MS = {
+  [OVERLAY_MODES.MINIMAL]: 0,
+  [OVERLAY_MODES.NOSE]: 0,
+  [OVERLAY_MODES.CONTOURS]: 33,
+  [OVERLAY_MODES.MESH]: 66,
+  [OVERLAY_MODES.GESTURES]: 33,
+}
+
+export const OVERLAY_STORAGE_KEY = 'cvified_overlay'
+
+/**
+ * @param {string} mode
+ * @returns {boolean}
+ */
+export function isOverlayMode(mode) {
+  return Object.values(OVERLAY_MODES).includes(mode)
+}
+
+/** @returns {string} one of OVERLAY_MODES */
+export function loadOverlayMode() {
+  try {
+    const mode = window.localStorage.getItem(OVERLAY_STORAGE_KEY)
+    return isOverlayMode(mode) ? mode : DEFAULT_OVERLAY_MODE
+  } catch {
+    return DEFAULT_OVERLAY_MODE
+  }
+}
+
+/** @param {string} mode */
+export function saveOverlayMode(mode) {
+  try {
+    window.localStorage.setItem(OVERLAY_STORAGE_KEY, mode)
+  } catch {
+    /* ignore */
+  }
+}
+
+export const PRIVACY_STORAGE_KEY = 'cvified_privacy'
+
+/** @returns {boolean} whether the camera image is hidden behind the avatar */
+export function loadPrivacyMode() {
+  try {
+    return window.localStorage.getItem(PRIVACY_STORAGE_KEY) === 'on'
+  } catch {
+    return false
+  }
+}
+
+/** @param {boolean} on */
+export function savePrivacyMode(on) {
+  try {
+    window.localStorage.setItem(PRIVACY_STORAGE_KEY, on ? 'on' : 'off')
+  } catch {
+    /* ignore */
+  }
+}
+
+/**
+ * Redraw limiter: `shouldDraw` is true at most once per OVERLAY_DRAW_INTERVAL_MS of the mode.
+ * `reset` (after the overlay was cleared) lets the next frame draw right away.
+ * @returns {{ shouldDraw: (mode: string, now: number) => boolean, reset: () => void }}
+ */
+export function createOverlayThrottle() {
+  let lastDrawAt = -Infinity
+  return {
+    shouldDraw(mode, now) {
+      if (now - lastDrawAt < (OVERLAY_DRAW_INTERVAL_MS[mode] ?? 0)) {
+        return false
+      }
+      lastDrawAt = now
+      return true
+    },
+    reset() {
+      lastDrawAt = -Infinity
+    },
+  }
+}
+
+/**
+ * Bars for the gesture debug view: mouth openness against the mouth-open threshold, then each
+ * blendshape gesture's combined score against its `on` threshold.
+ * @param {Record<string, number>} scores - getBlendshapeScores output
+ * @param {number | null} mouthOpenness - getMouthOpenness output (null without a face)
+ * @returns {Array<{ label: string, value: number, threshold: number }>}
+ */
+export function getGestureDebugBars(scores, mouthOpenness) {
+  const bars = []
+  if (mouthOpenness != null) {
+    bars.push({
+      label: 'mouth',
+      value: mouthOpenness,
+      threshold: MOUTH_OPEN_THRESHOLD,
+    })
+  }
+  if (!Object.keys(scores).length) return bars
+  for (const [label, gesture] of Object.entries(GESTURES)) {
+    bars.push({
+      label,
+      value: getGestureScore(scores, gesture),
+      threshold: gesture.on,
+    })
+  }
+  return bars
+}
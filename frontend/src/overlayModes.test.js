@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { MOUTH_OPEN_THRESHOLD } from './headTrackingConfig'
+import { GESTURES } from './gestureDetection'
+import {
+  OVERLAY_MODES,
+  OVERLAY_DRAW_INTERVAL_MS,
+  OVERLAY_STORAGE_KEY,
+  DEFAULT_OVERLAY_MODE,
+  createOverlayThrottle,
+  getGestureDebugBars,
+  loadOverlayMode,
+  loadPrivacyMode,
+  saveOverlayMode,
+  savePrivacyMode,
+} from './overlayModes'
+
+describe('overlayModes', () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+  })
+
+  it('remembers the chosen mode and ignores unknown ones', () => {
+    expect(loadOverlayMode()).toBe(DEFAULT_OVERLAY_MODE)
+    saveOverlayMode(OVERLAY_MODES.MESH)
+    expect(loadOverlayMode()).toBe(OVERLAY_MODES.MESH)
+    window.localStorage.setItem(OVERLAY_STORAGE_KEY, 'sparkles')
+    expect(loadOverlayMode()).toBe(DEFAULT_OVERLAY_MODE)
+  })
+
+  it('remembers privacy mode, off by default', () => {
+    expect(loadPrivacyMode()).toBe(false)
+    savePrivacyMode(true)
+    expect(loadPrivacyMode()).toBe(true)
+    savePrivacyMode(false)
+    expect(loadPrivacyMode()).toBe(false)
+  })
+
+  it('throttles redraws of the heavier modes only', () => {
+    const throttle = createOverlayThrottle()
+    expect(throttle.shouldDraw(OVERLAY_MODES.NOSE, 0)).toBe(true)
+    expect(throttle.shouldDraw(OVERLAY_MODES.NOSE, 1)).toBe(true)
+
+    const interval = OVERLAY_DRAW_INTERVAL_MS[OVERLAY_MODES.MESH]
+    expect(throttle.shouldDraw(OVERLAY_MODES.MESH, 100)).toBe(true)
+    expect(throttle.shouldDraw(OVERLAY_MODES.MESH, 100 + interval / 2)).toBe(
+      false,
+    )
+    expect(throttle.shouldDraw(OVERLAY_MODES.MESH, 100 + interval)).toBe(true)
+    throttle.reset()
+    expect(throttle.shouldDraw(OVERLAY_MODES.MESH, 100 + interval + 1)).toBe(
+      true,
+    )
+  })
+
+  it('builds gesture debug bars with their thresholds', () => {
+    const bars = getGestureDebugBars(
+      { eyeBlinkLeft: 0.9, eyeBlinkRight: 0.7, cheekPuff: 0.2 },
+      0.5,
+    )
+    expect(bars[0]).toEqual({
+      label: 'mouth',
+      value: 0.5,
+      threshold: MOUTH_OPEN_THRESHOLD,
+    })
+    expect(bars).toHaveLength(1 + Object.keys(GESTURES).length)
+    const blink = bars.find((bar) => bar.label === 'blink')
+    expect(blink.value).toBe(0.7)
+    expect(blink.threshold).toBe(GESTURES.blink.on)
+    /* Hand mode: no face, no blendshapes */
+    expect(getGestureDebugBars({}, null)).toEqual([])
+  })
+})
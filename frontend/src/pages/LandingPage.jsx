@@ -1,4 +1,5 @@
 import { Link } from 'react-router-dom'
+import { ProfilePicker } from '../components/ProfilePicker.jsx'
 
 const GAMES = [
   {
@@ -32,7 +33,7 @@ export function LandingPage() {
           <Link to="/" className="landing-nav-link">Home</Link>
         </nav>
       </header>
-      <main className="landing-main">
+      <main className="landing-main" data-head-pointer-zone>
         <p className="landing-tagline">Computer vision games in the browser.</p>
         <section className="landing-section" aria-labelledby="games-heading">
           <h2 id="games-heading" className="landing-section-title">Games</h2>
@@ -56,6 +57,10 @@ export function LandingPage() {
             ))}
           </ul>
         </section>
+        <section className="landing-section" aria-labelledby="profile-heading">
+          <h2 id="profile-heading" className="landing-section-title">Player profile</h2>
+          <ProfilePicker />
+        </section>
       </main>
       <footer className="landing-footer">
         <span>CVified – computer vision games</span>
@@ -1,10 +1,36 @@
-import { useCallback, useEffect, useRef, useState } from 'react'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { Link } from 'react-router-dom'
 import { createInitialState, tick, getSnakeLength, GHOST_DURATION, MAGNET_DURATION } from '../slither/slitherLogic.js'
 import { computeTargetAngles } from '../slither/botAI.js'
 import { SlitherView } from '../slither/SlitherView.jsx'
+import { getFaceLossMessage } from '../faceLossMonitor.js'
 import { useHeadTracking, TRACKING_ERROR } from '../useHeadTracking.js'
+import { useHeadPointerSource } from '../headPointer.js'
 import { ResizableCameraPanel } from '../components/ResizableCameraPanel.jsx'
+import { RangeCalibrationOverlay } from '../components/RangeCalibrationOverlay.jsx'
+import { CameraSettings } from '../components/CameraSettings.jsx'
+import { TraceControls } from '../components/TraceControls.jsx'
+import { TrackingDiagnostics } from '../components/TrackingDiagnostics.jsx'
+import {
+  CONTROL_MODES,
+  SMOOTHING_FILTERS,
+  SMOOTHING_PRESETS,
+} from '../headTrackingConfig.js'
+import {
+  INPUT_ACTIONS,
+  INPUT_SOURCES,
+  INPUT_SOURCE_LABELS,
+} from '../input/inputManager.js'
+import { bindKeyboard } from '../input/keyboardSource.js'
+import { GAME_KEY_BINDINGS } from '../input/keyBindings.js'
+import { bindGamepads, rumbleGamepads } from '../input/gamepadSource.js'
+import { useInputManager } from '../input/useInputManager.js'
+import {
+  getProfileKeyActions,
+  getProfileSmoothing,
+  loadActiveProfile,
+  patchActiveProfile,
+} from '../profiles.js'
 import shieldPowerupIcon from '../assets/powerups/shield.svg'
 import ghostPowerupIcon from '../assets/powerups/ghost.svg'
 import magnetPowerupIcon from '../assets/powerups/magnet.svg'
@@ -17,12 +43,15 @@ const BOOST_DURATION_PER_SCORE_MS = 50
 const BOOST_SPEED_MULTIPLIER = 1.5
 const BOOST_COOLDOWN_MS = 5000
 const CALIBRATION_DELAY_SEC = 2
-
-function normalizeAngle(a) {
-  while (a > Math.PI) a -= 2 * Math.PI
-  while (a < -Math.PI) a += 2 * Math.PI
-  return a
-}
+/** Held arrow keys override the gamepad stick, then the face, then the mouse. */
+const INPUT_PRIORITY = [
+  INPUT_SOURCES.KEYBOARD,
+  INPUT_SOURCES.GAMEPAD,
+  INPUT_SOURCES.FACE,
+  INPUT_SOURCES.MOUSE,
+]
+/** A mouse left alone stops steering, so it cannot take over whenever nothing else is reporting. */
+const INPUT_STALE_MS = { [INPUT_SOURCES.MOUSE]: 1500 }
 
 export function SlitherPage() {
   const [state, setState] = useState(() => createInitialState())
@@ -31,11 +60,37 @@ export function SlitherPage() {
   const [running, setRunning] = useState(false)
   const [calibrationCountdown, setCalibrationCountdown] = useState(CALIBRATION_DELAY_SEC)
   const lastTime = useRef(performance.now() / 1000)
-  const playerMouseWorld = useRef(null)
-  const playerTurn = useRef(0)
-  const playerCVAngleRef = useRef(null)
+  const { input, activeSource } = useInputManager({
+    priority: INPUT_PRIORITY,
+    staleMs: INPUT_STALE_MS,
+  })
   const [faceEnabled, setFaceEnabled] = useState(true)
-  const [sensitivity, setSensitivity] = useState(1)
+  /* Active player profile, read once per visit; changes below are saved back to it */
+  const [profile] = useState(loadActiveProfile)
+  const [sensitivity, setSensitivity] = useState(profile.sensitivity)
+  const [rangeMapping, setRangeMapping] = useState(profile.rangeMapping)
+  const [autoPause, setAutoPause] = useState(profile.autoPause)
+  /* Relative (tank) steering: head offset turns the snake instead of pointing it */
+  const [relativeSteering, setRelativeSteering] = useState(
+    profile.relativeSteering,
+  )
+  const [traceSource, setTraceSource] = useState(null)
+  const [showDiagnostics, setShowDiagnostics] = useState(false)
+  /* Paused by the face-lost policy (resumes itself after the countdown) */
+  const [faceLostPause, setFaceLostPause] = useState(false)
+  const [controlMode, setControlMode] = useState(
+    profile.controlMode ?? CONTROL_MODES.NOSE,
+  )
+  const [smoothingType, setSmoothingType] = useState(
+    getProfileSmoothing(profile, 'slither') ?? SMOOTHING_PRESETS.slither.type,
+  )
+  const smoothing = useMemo(
+    () =>
+      smoothingType === SMOOTHING_PRESETS.slither.type
+        ? SMOOTHING_PRESETS.slither
+        : smoothingType,
+    [smoothingType],
+  )
   const [gameOver, setGameOver] = useState(false)
   const [playerDeadSnake, setPlayerDeadSnake] = useState(null)
   const [deathAnimationProgress, setDeathAnimationProgress] = useState(null)
@@ -51,11 +106,56 @@ export function SlitherPage() {
   speedBoostCooldownEndTimeRef.current = speedBoostCooldownEndTime
   const [cooldownRemainingSec, setCooldownRemainingSec] = useState(null)
 
-  const handleAngleChange = useCallback((angle) => {
-    playerCVAngleRef.current = angle
+  const handleAngleChange = useCallback(
+    (angle) => input.reportAngle(INPUT_SOURCES.FACE, angle),
+    [input],
+  )
+  const handleTurnChange = useCallback(
+    (turn) => input.reportTurn(INPUT_SOURCES.FACE, turn),
+    [input],
+  )
+  const handleBoostAction = useCallback(
+    () => input.pressAction(INPUT_SOURCES.FACE, INPUT_ACTIONS.BOOST),
+    [input],
+  )
+
+  const triggerBoost = useCallback(() => {
+    const now = Date.now()
+    if (speedBoostCooldownEndTimeRef.current != null && now < speedBoostCooldownEndTimeRef.current) return
+    if (speedBoostEndTimeRef.current != null && now < speedBoostEndTimeRef.current) return
+    // No stacking: do not extend or replace an active boost
+    const playerSnake = stateRef.current.snakes.find((s) => s.isPlayer)
+    if (!playerSnake) return
+    const scoreDuration = playerSnake.segments.length * BOOST_DURATION_PER_SCORE_MS
+    const duration = BOOST_BASE_DURATION_MS + scoreDuration
+    const start = now
+    const end = now + duration
+    speedBoostStartTimeRef.current = start
+    speedBoostEndTimeRef.current = end
+    setSpeedBoostStartTime(start)
+    setSpeedBoostEndTime(end)
+  }, [])
+
+  const handleFaceLost = useCallback(() => {
+    if (!running) return
+    setRunning(false)
+    setFaceLostPause(true)
+  }, [running])
+  const handleFaceResumed = useCallback(() => {
+    if (!faceLostPause) return
+    setFaceLostPause(false)
+    setRunning(true)
+  }, [faceLostPause])
+  const handleRangeCalibrated = useCallback((mapping) => {
+    setRangeMapping(mapping)
+    patchActiveProfile({ rangeMapping: mapping })
+  }, [])
+  const handleCalibrated = useCallback((calibration) => {
+    patchActiveProfile({ calibration })
   }, [])
 
   const {
+    tracker,
     videoRef,
     canvasRef,
     cameraStatus,
@@ -66,37 +166,55 @@ export function SlitherPage() {
     isCalibrating,
     calibrationProgress,
     calibrationMessage,
+    faceLoss,
+    rangeCalibration,
+    startRangeCalibration,
+    cancelRangeCalibration,
     recalibrate: headRecalibrate,
+    confirmNeutral: headConfirmNeutral,
     retry: headRetry,
+    cameras,
+    cameraPreference,
+    activeCameraId,
+    selectCamera,
+    overlayMode,
+    selectOverlayMode,
+    privacyMode,
+    setPrivacyMode,
+    diagnostics,
+    isRecordingTrace,
+    startTraceRecording,
+    stopTraceRecording,
   } = useHeadTracking({
     faceEnabled,
-    onAngleChange: handleAngleChange,
-    onMouthOpen: useCallback(() => {
-      const now = Date.now()
-      if (speedBoostCooldownEndTimeRef.current != null && now < speedBoostCooldownEndTimeRef.current) return
-      if (speedBoostEndTimeRef.current != null && now < speedBoostEndTimeRef.current) return
-      // No stacking: do not extend or replace an active boost
-      const playerSnake = stateRef.current.snakes.find((s) => s.isPlayer)
-      if (!playerSnake) return
-      const scoreDuration = playerSnake.segments.length * BOOST_DURATION_PER_SCORE_MS
-      const duration = BOOST_BASE_DURATION_MS + scoreDuration
-      const start = now
-      const end = now + duration
-      speedBoostStartTimeRef.current = start
-      speedBoostEndTimeRef.current = end
-      setSpeedBoostStartTime(start)
-      setSpeedBoostEndTime(end)
-    }, []),
+    onAngleChange: relativeSteering ? undefined : handleAngleChange,
+    onTurnChange: relativeSteering ? handleTurnChange : undefined,
+    onMouthOpen: handleBoostAction,
+    /* Pinch or fist boosts like opening the mouth */
+    onHandAction: handleBoostAction,
     sensitivity,
+    controlMode,
+    smoothing,
+    rangeMapping,
+    onRangeCalibrated: handleRangeCalibrated,
+    savedCalibration: profile.calibration,
+    onCalibrated: handleCalibrated,
+    faceLossPolicy: autoPause,
+    onFaceLost: handleFaceLost,
+    onFaceResumed: handleFaceResumed,
+    traceSource,
+    diagnostics: showDiagnostics,
   })
 
   useEffect(() => {
-    if (!faceEnabled) playerCVAngleRef.current = null
-  }, [faceEnabled])
+    input.setEnabled(INPUT_SOURCES.FACE, faceEnabled)
+  }, [input, faceEnabled])
 
   useEffect(() => {
-    headRecalibrate()
-  }, [headRecalibrate])
+    headConfirmNeutral()
+  }, [headConfirmNeutral])
+
+  useHeadPointerSource(tracker)
 
   useEffect(() => {
     if (calibrationCountdown == null || calibrationCountdown <= 0) return
@@ -112,27 +230,21 @@ export function SlitherPage() {
     return () => clearInterval(id)
   }, [calibrationCountdown])
 
-  const handleMouseMove = useCallback((worldX, worldY) => {
-    playerMouseWorld.current = { x: worldX, y: worldY }
-  }, [])
+  const handleMouseMove = useCallback(
+    (worldX, worldY) =>
+      input.reportPoint(INPUT_SOURCES.MOUSE, { x: worldX, y: worldY }),
+    [input],
+  )
 
-  useEffect(() => {
-    const handleKey = (e) => {
-      if (e.key === 'ArrowLeft') {
-        if (e.type === 'keydown') playerTurn.current = -1
-        else if (playerTurn.current === -1) playerTurn.current = 0
-      } else if (e.key === 'ArrowRight') {
-        if (e.type === 'keydown') playerTurn.current = 1
-        else if (playerTurn.current === 1) playerTurn.current = 0
-      }
-    }
-    window.addEventListener('keydown', handleKey)
-    window.addEventListener('keyup', handleKey)
-    return () => {
-      window.removeEventListener('keydown', handleKey)
-      window.removeEventListener('keyup', handleKey)
-    }
-  }, [])
+  useEffect(
+    () =>
+      bindKeyboard(input, {
+        turns: GAME_KEY_BINDINGS.slither.turns,
+        actions: getProfileKeyActions(profile, 'slither'),
+      }),
+    [input, profile],
+  )
+  useEffect(() => bindGamepads(input), [input])
 
   useEffect(() => {
     if (!running) return
@@ -146,26 +258,14 @@ export function SlitherPage() {
       let targetAngles = computeTargetAngles(current)
       const playerSnake = current.snakes.find((s) => s.isPlayer)
       if (playerSnake) {
-        const head = playerSnake.segments[0]
-        let target
-        if (faceEnabled && playerCVAngleRef.current != null) {
-          target = normalizeAngle(playerCVAngleRef.current)
-        } else if (!faceEnabled && playerMouseWorld.current) {
-          const b = current.bounds
-          const w = b?.width ?? 1
-          const h = b?.height ?? 1
-          const dx = playerMouseWorld.current.x - head.x - w * Math.round((playerMouseWorld.current.x - head.x) / w)
-          const dy = playerMouseWorld.current.y - head.y - h * Math.round((playerMouseWorld.current.y - head.y) / h)
-          target = Math.atan2(dy, dx)
-          target = normalizeAngle(target)
-        } else if (playerTurn.current !== 0) {
-          target = normalizeAngle(
-            playerSnake.angle + playerTurn.current * PLAYER_TURN_RATE * dt,
-          )
-        } else {
-          target = playerSnake.angle
-        }
-        targetAngles = { ...targetAngles, player: target }
+        const target = input.getAngle({
+          origin: playerSnake.segments[0],
+          currentAngle: playerSnake.angle,
+          dt,
+          turnRate: PLAYER_TURN_RATE,
+          bounds: current.bounds,
+        })
+        targetAngles = { ...targetAngles, player: target ?? playerSnake.angle }
       }
       const nowMs = Date.now()
       if (speedBoostEndTimeRef.current != null && nowMs >= speedBoostEndTimeRef.current) {
@@ -188,6 +288,7 @@ export function SlitherPage() {
       const playerDied = playerWasAlive && deadIds.includes('player')
       if (playerDied) {
         const copy = current.snakes.find((s) => s.isPlayer)
+        rumbleGamepads()
         if (copy) {
           deathStartTimeRef.current = performance.now()
           setPlayerDeadSnake({
@@ -232,7 +333,7 @@ export function SlitherPage() {
     }
     raf = requestAnimationFrame(loop)
     return () => cancelAnimationFrame(raf)
-  }, [running, faceEnabled])
+  }, [running, input])
 
   useEffect(() => {
     if (!playerDeadSnake) return
@@ -286,10 +387,34 @@ export function SlitherPage() {
     setSpeedBoostCooldownEndTime(null)
     setState(createInitialState())
     lastTime.current = performance.now() / 1000
-    headRecalibrate()
     setRunning(false)
+    setFaceLostPause(false)
     setCalibrationCountdown(CALIBRATION_DELAY_SEC)
-  }, [headRecalibrate])
+  }, [])
+
+  /* Like SnakeCV, pausing only applies to a live game: not while the player's snake dies or after */
+  const togglePause = useCallback(() => {
+    if (gameOver || playerDeadSnake) return
+    setRunning((r) => !r)
+  }, [gameOver, playerDeadSnake])
+
+  const handleAction = useCallback(
+    (action) => {
+      if (action === INPUT_ACTIONS.BOOST) {
+        triggerBoost()
+      } else if (action === INPUT_ACTIONS.PAUSE) {
+        togglePause()
+      } else if (action === INPUT_ACTIONS.START) {
+        if (gameOver || showWinOverlay) handleRestart()
+        else togglePause()
+      } else if (action === INPUT_ACTIONS.CONFIRM) {
+        if (gameOver || showWinOverlay) handleRestart()
+      }
+    },
+    [triggerBoost, gameOver, showWinOverlay, handleRestart, togglePause],
+  )
+
+  useEffect(() => input.on('action', handleAction), [input, handleAction])
 
   const leaderboard = [...state.snakes]
     .sort((a, b) => getSnakeLength(b) - getSnakeLength(a))
@@ -331,14 +456,18 @@ export function SlitherPage() {
         />
         <header className="slither-header">
           <h1 className="slither-title">Slither</h1>
-          <div className="slither-actions">
+          <div
+            className="slither-actions"
+            data-head-pointer-zone={running ? undefined : true}
+          >
             <button type="button" className="primary" onClick={handleRestart}>
               Restart
             </button>
             <button
               type="button"
               className="ghost"
-              onClick={() => setRunning((r) => !r)}
+              onClick={togglePause}
+              disabled={gameOver || playerDeadSnake != null}
               aria-pressed={!running}
             >
               {running ? 'Pause' : 'Resume'}
@@ -346,6 +475,27 @@ export function SlitherPage() {
             <button type="button" className="ghost" onClick={headRecalibrate}>
               Recalibrate
             </button>
+            <button
+              type="button"
+              className="ghost"
+              onClick={startRangeCalibration}
+              disabled={!faceEnabled || trackingStatus !== 'ready'}
+            >
+              Calibrate range
+            </button>
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={autoPause}
+                onChange={(event) => {
+                  setAutoPause(event.target.checked)
+                  patchActiveProfile({ autoPause: event.target.checked })
+                }}
+              />
+              <span className="toggle-track" />
+              <span className="toggle-knob" />
+              <span className="toggle-label">Auto-pause</span>
+            </label>
             <label className="toggle">
               <input
                 type="checkbox"
@@ -353,7 +503,7 @@ export function SlitherPage() {
                 onChange={(e) => {
                   const next = e.target.checked
                   setFaceEnabled(next)
-                  if (next) headRecalibrate()
+                  if (next) headConfirmNeutral()
                 }}
               />
               <span className="toggle-track" />
@@ -368,10 +518,103 @@ export function SlitherPage() {
                 max="2"
                 step="0.25"
                 value={sensitivity}
-                onChange={(e) => setSensitivity(parseFloat(e.target.value, 10))}
+                onChange={(e) => {
+                  const next = parseFloat(e.target.value, 10)
+                  setSensitivity(next)
+                  patchActiveProfile({ sensitivity: next })
+                }}
                 aria-label="Head tracking sensitivity"
               />
             </label>
+            <label className="sensitivity-label">
+              <span className="sensitivity-text">Steer by</span>
+              <select
+                className="control-select"
+                value={controlMode}
+                onChange={(e) => {
+                  const next = e.target.value
+                  setControlMode(next)
+                  patchActiveProfile({ controlMode: next })
+                  /* Hand and head centers live in different places: start over */
+                  if (next === CONTROL_MODES.GAZE) {
+                    /* Center, then the 5-point gaze routine */
+                    headRecalibrate()
+                    startRangeCalibration()
+                  } else if (
+                    (next === CONTROL_MODES.HAND) !==
+                    (controlMode === CONTROL_MODES.HAND)
+                  ) {
+                    headRecalibrate()
+                  }
+                }}
+                aria-label="Head steering source"
+              >
+                <option value={CONTROL_MODES.NOSE}>Nose</option>
+                <option value={CONTROL_MODES.POSE}>Head pose</option>
+                <option value={CONTROL_MODES.HAND}>Hand</option>
+                <option value={CONTROL_MODES.GAZE}>Gaze (eyes)</option>
+              </select>
+            </label>
+            <label className="sensitivity-label">
+              <span className="sensitivity-text">Steering</span>
+              <select
+                className="control-select"
+                value={relativeSteering ? 'relative' : 'absolute'}
+                onChange={(e) => {
+                  const next = e.target.value === 'relative'
+                  /* Drop the other style's last intent so it cannot keep steering */
+                  input.reportAngle(INPUT_SOURCES.FACE, null)
+                  input.reportTurn(INPUT_SOURCES.FACE, null)
+                  setRelativeSteering(next)
+                  patchActiveProfile({ relativeSteering: next })
+                }}
+                aria-label="Head steering style"
+              >
+                <option value="absolute">Point (absolute)</option>
+                <option value="relative">Turn (relative)</option>
+              </select>
+            </label>
+            <label className="sensitivity-label">
+              <span className="sensitivity-text">Smoothing</span>
+              <select
+                className="control-select"
+                value={smoothingType}
+                onChange={(e) => {
+                  setSmoothingType(e.target.value)
+                  patchActiveProfile({
+                    smoothing: {
+                      ...profile.smoothing,
+                      slither: e.target.value,
+                    },
+                  })
+                }}
+                aria-label="Head tracking smoothing filter"
+              >
+                <option value={SMOOTHING_FILTERS.ONE_EURO}>Adaptive</option>
+                <option value={SMOOTHING_FILTERS.KALMAN}>Kalman</option>
+                <option value={SMOOTHING_FILTERS.EMA}>Fixed</option>
+              </select>
+            </label>
+            <CameraSettings
+              cameras={cameras}
+              cameraPreference={cameraPreference}
+              activeCameraId={activeCameraId}
+              onChange={selectCamera}
+            />
+            <TraceControls
+              isRecording={isRecordingTrace}
+              onStartRecording={startTraceRecording}
+              onStopRecording={stopTraceRecording}
+              replaying={traceSource != null}
+              onReplay={(trace) => {
+                setTraceSource(trace)
+                headRecalibrate()
+              }}
+              onStopReplay={() => {
+                setTraceSource(null)
+                headConfirmNeutral()
+              }}
+            />
           </div>
         </header>
         <aside className="slither-leaderboard" aria-label="Leaderboard">
@@ -381,6 +624,9 @@ export function SlitherPage() {
               ? `Speed boost: ${cooldownRemainingSec}s`
               : 'Speed boost: Ready'}
           </p>
+          <p className="slither-input-source" aria-live="polite">
+            Input: {activeSource ? INPUT_SOURCE_LABELS[activeSource] : '—'}
+          </p>
           {(() => {
             const playerSnake = state.snakes.find((s) => s.isPlayer)
             const gameTime = state.gameTime ?? 0
@@ -485,10 +731,26 @@ export function SlitherPage() {
             </div>
           </div>
         ) : null}
+        {faceLostPause ? (
+          <div
+            className="slither-calibration-overlay"
+            role="status"
+            aria-live="polite"
+            aria-label="Face lost"
+          >
+            <div className="slither-calibration-content">
+              <p className="slither-calibration-text">Face lost</p>
+              <p className="slither-calibration-countdown">
+                {getFaceLossMessage(faceLoss)}
+              </p>
+            </div>
+          </div>
+        ) : null}
         {gameOver ? (
           <div
             className="slither-game-over-overlay"
             role="dialog"
+            data-head-pointer-zone
             aria-label="Game Over"
           >
             <div className="slither-game-over-content">
@@ -516,6 +778,7 @@ export function SlitherPage() {
           <div
             className="slither-game-over-overlay slither-win-overlay"
             role="dialog"
+            data-head-pointer-zone
             aria-label="You win"
           >
             <div className="slither-game-over-content">
@@ -540,8 +803,19 @@ export function SlitherPage() {
           </div>
         ) : null}
       </div>
-      <ResizableCameraPanel storageKey="cvified_camera_slither">
-        <div className="camera-frame camera-frame-floating">
+      <ResizableCameraPanel
+        storageKey="cvified_camera_slither"
+        diagnostics={<TrackingDiagnostics diagnostics={diagnostics} />}
+        diagnosticsOpen={showDiagnostics}
+        onDiagnosticsToggle={setShowDiagnostics}
+        overlayMode={overlayMode}
+        onOverlayModeChange={selectOverlayMode}
+        privacy={privacyMode}
+        onPrivacyToggle={setPrivacyMode}
+      >
+        <div
+          className={`camera-frame camera-frame-floating${privacyMode ? ' camera-frame-private' : ''}`}
+        >
           <video ref={videoRef} muted playsInline />
           <canvas ref={canvasRef} />
           {trackingStatus === 'error' ? (
@@ -573,6 +847,10 @@ export function SlitherPage() {
               </div>
             </div>
           ) : null}
+          <RangeCalibrationOverlay
+            rangeCalibration={rangeCalibration}
+            onCancel={cancelRangeCalibration}
+          />
           <div className="camera-badges">
             <p className="fps-badge">{fps} fps</p>
           </div>
@@ -589,7 +867,7 @@ export function SlitherPage() {
         </div>
       </ResizableCameraPanel>
       <p className="slither-controls-hint">
-        Move mouse or use your face to steer. Arrow keys to turn. Avoid other snakes and walls.
+        Move mouse or use your face to steer (with Steering: Turn, look left or right to turn). Arrow keys to turn, Space to boost. Gamepad: stick or D-pad to steer, A to boost, Start to pause. Avoid other snakes and walls.
       </p>
     </div>
   )
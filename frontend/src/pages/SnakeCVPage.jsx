@@ -1,22 +1,49 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { Link } from 'react-router-dom'
+import { getFaceLossMessage } from '../faceLossMonitor'
 import { useHeadTracking, TRACKING_ERROR } from '../useHeadTracking'
+import { useHeadPointerSource } from '../headPointer'
 import { ResizableCameraPanel } from '../components/ResizableCameraPanel.jsx'
-import { getNextSnakeState, randomFood } from '../gameLogic'
+import { RangeCalibrationOverlay } from '../components/RangeCalibrationOverlay.jsx'
+import { CameraSettings } from '../components/CameraSettings.jsx'
+import { TraceControls } from '../components/TraceControls.jsx'
+import { TrackingDiagnostics } from '../components/TrackingDiagnostics.jsx'
+import { SnakeBoardCanvas } from '../components/SnakeBoardCanvas.jsx'
+import { SnakeGameOptions } from '../components/SnakeGameOptions.jsx'
+import { createSnakeEngine } from '../snakeEngine'
+import { DEFAULT_GAME_OPTIONS, sanitizeGameOptions } from '../gameLogic'
+import {
+  CONTROL_MODES,
+  DEAD_ZONE_SHAPES,
+  SMOOTHING_FILTERS,
+  SMOOTHING_PRESETS,
+} from '../headTrackingConfig'
+import {
+  INPUT_ACTIONS,
+  INPUT_MODES,
+  INPUT_SOURCES,
+  INPUT_SOURCE_LABELS,
+} from '../input/inputManager.js'
+import { bindKeyboard } from '../input/keyboardSource.js'
+import { GAME_KEY_BINDINGS } from '../input/keyBindings.js'
+import {
+  GAMEPAD_BUTTONS,
+  bindGamepads,
+  rumbleGamepads,
+} from '../input/gamepadSource.js'
+import { useInputManager } from '../input/useInputManager.js'
+import {
+  getProfileKeyActions,
+  getProfileSmoothing,
+  loadActiveProfile,
+  patchActiveProfile,
+} from '../profiles'
 
-const GRID_SIZE = 18
-const START_SPEED = 200
-const SPEED_MIN = 50
 const BEST_STORAGE_KEY = 'snakecv_best'
-const DIRECTIONS = {
-  ArrowUp: { x: 0, y: -1 },
-  ArrowDown: { x: 0, y: 1 },
-  ArrowLeft: { x: -1, y: 0 },
-  ArrowRight: { x: 1, y: 0 },
-  w: { x: 0, y: -1 },
-  s: { x: 0, y: 1 },
-  a: { x: -1, y: 0 },
-  d: { x: 1, y: 0 },
+const OPTIONS_STORAGE_KEY = 'snakecv_options'
+const GAMEPAD_ACTIONS = {
+  [GAMEPAD_BUTTONS.A]: INPUT_ACTIONS.CONFIRM,
+  [GAMEPAD_BUTTONS.START]: INPUT_ACTIONS.START,
 }
 
 function loadBest() {
@@ -28,88 +55,221 @@ function loadBest() {
   }
 }
 
+function loadGameOptions() {
+  try {
+    return sanitizeGameOptions(
+      JSON.parse(window.localStorage.getItem(OPTIONS_STORAGE_KEY) ?? 'null'),
+    )
+  } catch {
+    return DEFAULT_GAME_OPTIONS
+  }
+}
+
 export function SnakeCVPage() {
-  const [snake, setSnake] = useState([
-    { x: 6, y: 9 },
-    { x: 5, y: 9 },
-    { x: 4, y: 9 },
-  ])
-  const [food, setFood] = useState(() =>
-    randomFood([{ x: 6, y: 9 }], GRID_SIZE),
+  /* The engine owns the game (one snake per player, food, score) and ticks on its own */
+  const [engine] = useState(() =>
+    createSnakeEngine({ options: loadGameOptions() }),
   )
-  const [direction, setDirection] = useState({ x: 1, y: 0 })
-  const [running, setRunning] = useState(false)
-  const [score, setScore] = useState(0)
+  const [game, setGame] = useState(engine.getState)
+  const { snakes, food, score, level, tickMs, running, gridSize } = game
+  const [playerCount, setPlayerCount] = useState(1)
   const [best, setBest] = useState(loadBest)
   const [status, setStatus] = useState('Press Start')
   const [restartPulse, setRestartPulse] = useState(false)
   const [scorePop, setScorePop] = useState(false)
+  const [levelPop, setLevelPop] = useState(false)
+  const [showOptions, setShowOptions] = useState(false)
   const [faceEnabled, setFaceEnabled] = useState(true)
-  const [sensitivity, setSensitivity] = useState(1)
-  const queuedDirection = useRef(direction)
+  /* Active player profile, read once per visit; changes below are saved back to it */
+  const [profile] = useState(loadActiveProfile)
+  const [sensitivity, setSensitivity] = useState(profile.sensitivity)
+  const [rangeMapping, setRangeMapping] = useState(profile.rangeMapping)
+  const [autoPause, setAutoPause] = useState(profile.autoPause)
+  const [traceSource, setTraceSource] = useState(null)
+  const [showDiagnostics, setShowDiagnostics] = useState(false)
+  const [controlMode, setControlMode] = useState(
+    profile.controlMode ?? CONTROL_MODES.NOSE,
+  )
+  const [smoothingType, setSmoothingType] = useState(
+    getProfileSmoothing(profile, 'snake') ?? SMOOTHING_PRESETS.snake.type,
+  )
+  const smoothing = useMemo(
+    () =>
+      smoothingType === SMOOTHING_PRESETS.snake.type
+        ? SMOOTHING_PRESETS.snake
+        : smoothingType,
+    [smoothingType],
+  )
+  const [deadZoneShape, setDeadZoneShape] = useState(
+    profile.deadZoneShape ?? DEAD_ZONE_SHAPES.SQUARE,
+  )
+  const [returnToCenter, setReturnToCenter] = useState(profile.returnToCenter)
+  const directionOptions = useMemo(
+    () => ({ shape: deadZoneShape, requireCenter: returnToCenter }),
+    [deadZoneShape, returnToCenter],
+  )
   const gameOverButtonRef = useRef(null)
   const pausedButtonRef = useRef(null)
+  const { input, activeSource } = useInputManager({
+    mode: INPUT_MODES.LATEST,
+  })
+
+  useEffect(() => engine.on('change', setGame), [engine])
+  useEffect(() => () => engine.pause(), [engine])
+  useEffect(
+    () =>
+      engine.on('died', (event) => {
+        setStatus('Game Over')
+        setBest((current) => Math.max(current, event.score))
+      }),
+    [engine],
+  )
+  useEffect(() => engine.on('ate', () => setScorePop(true)), [engine])
+  useEffect(() => engine.on('levelUp', () => setLevelPop(true)), [engine])
+
+  const handleDirectionChange = useCallback(
+    (vec) => engine.steer(vec),
+    [engine],
+  )
 
-  const handleDirectionChange = useCallback((vec) => {
-    const cur = queuedDirection.current
-    if (cur.x + vec.x === 0 && cur.y + vec.y === 0) return
-    queuedDirection.current = vec
+  /* Player 2's face steers the partner snake directly; player 1 goes through the input manager */
+  const handleFaceDirection = useCallback(
+    (vec, player) => {
+      if (player === 1) engine.steer(vec, 1)
+      else input.reportDirection(INPUT_SOURCES.FACE, vec)
+    },
+    [engine, input],
+  )
+
+  const handleGesture = useCallback(
+    (gesture) => {
+      if (gesture === 'browRaise') {
+        input.pressAction(INPUT_SOURCES.FACE, INPUT_ACTIONS.PAUSE)
+      }
+    },
+    [input],
+  )
+  /* Pinch or fist works like the brow raise */
+  const handleHandAction = useCallback(
+    () => input.pressAction(INPUT_SOURCES.FACE, INPUT_ACTIONS.PAUSE),
+    [input],
+  )
+
+  const handleFaceLost = useCallback(() => {
+    if (!running) return
+    engine.pause()
+    setStatus('Face lost')
+  }, [engine, running])
+  const handleFaceResumed = useCallback(() => {
+    if (status !== 'Face lost') return
+    engine.start()
+    setStatus('Running')
+  }, [engine, status])
+  const handleRangeCalibrated = useCallback((mapping) => {
+    setRangeMapping(mapping)
+    patchActiveProfile({ rangeMapping: mapping })
+  }, [])
+  const handleCalibrated = useCallback((calibration) => {
+    patchActiveProfile({ calibration })
   }, [])
 
   const {
+    tracker,
     videoRef,
     canvasRef,
     cameraStatus,
     headDirection,
     noseOffset,
+    players: trackedPlayers,
     fps,
     trackingStatus,
     trackingError,
     isCalibrating,
     calibrationProgress,
     calibrationMessage,
+    faceLoss,
+    rangeCalibration,
+    startRangeCalibration,
+    cancelRangeCalibration,
     recalibrate: headRecalibrate,
+    confirmNeutral: headConfirmNeutral,
     retry: headRetry,
+    cameras,
+    cameraPreference,
+    activeCameraId,
+    selectCamera,
+    overlayMode,
+    selectOverlayMode,
+    privacyMode,
+    setPrivacyMode,
+    diagnostics,
+    isRecordingTrace,
+    startTraceRecording,
+    stopTraceRecording,
   } = useHeadTracking({
     faceEnabled,
-    onDirectionChange: handleDirectionChange,
+    onDirectionChange: handleFaceDirection,
+    onGesture: handleGesture,
+    onHandAction: handleHandAction,
     sensitivity,
+    controlMode,
+    smoothing,
+    rangeMapping,
+    onRangeCalibrated: handleRangeCalibrated,
+    savedCalibration: profile.calibration,
+    onCalibrated: handleCalibrated,
+    faceLossPolicy: autoPause,
+    onFaceLost: handleFaceLost,
+    onFaceResumed: handleFaceResumed,
+    traceSource,
+    diagnostics: showDiagnostics,
+    directionOptions,
+    players: playerCount,
   })
 
+  /* The profile's neutral is checked once per visit; confirming on every start would drift it */
   useEffect(() => {
-    headRecalibrate()
-  }, [headRecalibrate])
+    headConfirmNeutral()
+  }, [headConfirmNeutral])
+
+  useHeadPointerSource(tracker)
 
-  const boardCells = useMemo(
-    () => Array.from({ length: GRID_SIZE * GRID_SIZE }),
-    [],
+  const reset = useCallback(
+    (count = playerCount) => {
+      engine.reset(count)
+      setStatus('Ready')
+    },
+    [engine, playerCount],
   )
 
-  const reset = useCallback(() => {
-    const freshSnake = [
-      { x: 6, y: 9 },
-      { x: 5, y: 9 },
-      { x: 4, y: 9 },
-    ]
-    setSnake(freshSnake)
-    setFood(randomFood(freshSnake, GRID_SIZE))
-    setDirection({ x: 1, y: 0 })
-    queuedDirection.current = { x: 1, y: 0 }
-    setScore(0)
+  const handlePlayerCountChange = (count) => {
+    setPlayerCount(count)
+    reset(count)
+  }
+
+  /* New rules mean a new game */
+  const handleGameOptionsChange = (patch) => {
+    const next = { ...game.options, ...patch }
+    try {
+      window.localStorage.setItem(OPTIONS_STORAGE_KEY, JSON.stringify(next))
+    } catch {
+      /* ignore */
+    }
+    engine.configure(next)
     setStatus('Ready')
-  }, [])
+  }
 
   const handleStart = useCallback(() => {
     if (!running) {
       if (status === 'Game Over') {
         reset()
       }
-      headRecalibrate()
-      setRunning(true)
+      setShowOptions(false)
+      engine.start()
       setStatus('Running')
       setRestartPulse(true)
     }
-  }, [running, status, reset, headRecalibrate])
+  }, [engine, running, status, reset])
 
   useEffect(() => {
     if (best > 0) {
@@ -121,71 +281,53 @@ export function SnakeCVPage() {
     }
   }, [best])
 
-  useEffect(() => {
-    const handleKey = (event) => {
-      if (event.key === ' ') {
-        event.preventDefault()
+  const handleAction = useCallback(
+    (action) => {
+      if (action === INPUT_ACTIONS.PAUSE || action === INPUT_ACTIONS.START) {
         if (running) {
-          setRunning(false)
+          engine.pause()
           setStatus('Paused')
         } else if (status === 'Paused') {
-          setRunning(true)
+          engine.start()
           setStatus('Running')
+        } else if (action === INPUT_ACTIONS.START) {
+          handleStart()
         }
-        return
-      }
-      if (event.key === 'Enter') {
+      } else if (action === INPUT_ACTIONS.CONFIRM) {
         if (
           !running &&
           ['Press Start', 'Ready', 'Game Over', 'Paused'].includes(status)
         ) {
           handleStart()
         }
-        return
       }
-      const next = DIRECTIONS[event.key]
-      if (!next) return
-      if (direction.x + next.x === 0 && direction.y + next.y === 0) return
-      queuedDirection.current = next
-    }
-    window.addEventListener('keydown', handleKey)
-    return () => window.removeEventListener('keydown', handleKey)
-  }, [direction, running, status, handleStart])
+    },
+    [engine, running, status, handleStart],
+  )
 
+  useEffect(
+    () =>
+      bindKeyboard(input, {
+        directions: GAME_KEY_BINDINGS.snake.directions,
+        actions: getProfileKeyActions(profile, 'snake'),
+      }),
+    [input, profile],
+  )
+  useEffect(
+    () => bindGamepads(input, { actions: GAMEPAD_ACTIONS }),
+    [input],
+  )
+  useEffect(
+    () => input.on('direction', handleDirectionChange),
+    [input, handleDirectionChange],
+  )
+  useEffect(() => input.on('action', handleAction), [input, handleAction])
   useEffect(() => {
-    if (!running) return undefined
-    const delay = Math.max(SPEED_MIN, START_SPEED - score)
-    const interval = setInterval(() => {
-      setSnake((prev) => {
-        const nextDirection = queuedDirection.current
-        setDirection(nextDirection)
-        const { nextSnake, ateFood, gameOver } = getNextSnakeState(
-          prev,
-          nextDirection,
-          food,
-          GRID_SIZE,
-        )
-        if (gameOver) {
-          setRunning(false)
-          setStatus('Game Over')
-          setBest((current) => Math.max(current, score))
-          return prev
-        }
-        if (ateFood) {
-          const nextScore = score + 10
-          setScore(nextScore)
-          setScorePop(true)
-          setFood(randomFood(nextSnake, GRID_SIZE))
-          return nextSnake
-        }
-        return nextSnake
-      })
-    }, delay)
-    return () => clearInterval(interval)
-  }, [food, running, score])
+    input.setEnabled(INPUT_SOURCES.FACE, faceEnabled)
+  }, [input, faceEnabled])
 
   const handlePause = () => {
-    setRunning(false)
+    engine.pause()
     setStatus('Paused')
   }
 
@@ -194,10 +336,17 @@ export function SnakeCVPage() {
   }
 
   const noseVector = noseOffset
+  const partnerTracking = trackedPlayers[1]
+  const partnerLabel = !partnerTracking?.faceDetected
+    ? 'no face'
+    : partnerTracking.isCalibrating
+      ? 'calibrating'
+      : (partnerTracking.headDirection ?? 'center')
 
   useEffect(() => {
     if (status === 'Game Over') {
       gameOverButtonRef.current?.focus()
+      rumbleGamepads()
     }
   }, [status])
   useEffect(() => {
@@ -218,6 +367,12 @@ export function SnakeCVPage() {
     return () => clearTimeout(timer)
   }, [scorePop])
 
+  useEffect(() => {
+    if (!levelPop) return undefined
+    const timer = setTimeout(() => setLevelPop(false), 520)
+    return () => clearTimeout(timer)
+  }, [levelPop])
+
   return (
     <div className="app">
       <nav className="game-nav" aria-label="Breadcrumb">
@@ -238,12 +393,28 @@ export function SnakeCVPage() {
               <span className={`score-pop ${scorePop ? 'show' : ''}`}>+1</span>
             </div>
           </div>
+          <div>
+            <p className="label">Level</p>
+            <div className="score-value">
+              <p className="value">{level}</p>
+              <span className={`score-pop ${levelPop ? 'show' : ''}`}>+1</span>
+            </div>
+          </div>
           <div>
             <p className="label">Best</p>
             <p className="value">{best}</p>
           </div>
+          <div>
+            <p className="label">Input</p>
+            <p className="value input-source" aria-live="polite">
+              {activeSource ? INPUT_SOURCE_LABELS[activeSource] : '—'}
+            </p>
+          </div>
         </div>
-        <div className="actions">
+        <div
+          className="actions"
+          data-head-pointer-zone={running ? undefined : true}
+        >
           <button className="primary" onClick={handleStart}>
             Start
           </button>
@@ -253,6 +424,46 @@ export function SnakeCVPage() {
           <button className="ghost" onClick={handleRecalibrate}>
             Recalibrate
           </button>
+          <button
+            className="ghost"
+            onClick={() => setShowOptions(true)}
+            disabled={running}
+          >
+            Game options
+          </button>
+          <button
+            className="ghost"
+            onClick={startRangeCalibration}
+            disabled={!faceEnabled || trackingStatus !== 'ready'}
+          >
+            Calibrate range
+          </button>
+          <label className="toggle">
+            <input
+              type="checkbox"
+              checked={autoPause}
+              onChange={(event) => {
+                setAutoPause(event.target.checked)
+                patchActiveProfile({ autoPause: event.target.checked })
+              }}
+            />
+            <span className="toggle-track" />
+            <span className="toggle-knob" />
+            <span className="toggle-label">Auto-pause</span>
+          </label>
+          <label className="toggle">
+            <input
+              type="checkbox"
+              checked={returnToCenter}
+              onChange={(event) => {
+                setReturnToCenter(event.target.checked)
+                patchActiveProfile({ returnToCenter: event.target.checked })
+              }}
+            />
+            <span className="toggle-track" />
+            <span className="toggle-knob" />
+            <span className="toggle-label">Center to turn</span>
+          </label>
           <label className="toggle">
             <input
               type="checkbox"
@@ -260,7 +471,7 @@ export function SnakeCVPage() {
               onChange={(event) => {
                 const next = event.target.checked
                 setFaceEnabled(next)
-                if (next) headRecalibrate()
+                if (next) headConfirmNeutral()
               }}
             />
             <span className="toggle-track" />
@@ -275,46 +486,132 @@ export function SnakeCVPage() {
               max="2"
               step="0.25"
               value={sensitivity}
-              onChange={(e) => setSensitivity(parseFloat(e.target.value, 10))}
+              onChange={(e) => {
+                const next = parseFloat(e.target.value, 10)
+                setSensitivity(next)
+                patchActiveProfile({ sensitivity: next })
+              }}
               aria-label="Head tracking sensitivity"
             />
           </label>
+          <label className="sensitivity-label">
+            <span className="sensitivity-text">Steer by</span>
+            <select
+              className="control-select"
+              value={controlMode}
+              onChange={(e) => {
+                const next = e.target.value
+                setControlMode(next)
+                patchActiveProfile({ controlMode: next })
+                /* Hand and head centers live in different places: start over */
+                if (next === CONTROL_MODES.GAZE) {
+                  /* Center, then the 5-point gaze routine */
+                  headRecalibrate()
+                  startRangeCalibration()
+                } else if (
+                  (next === CONTROL_MODES.HAND) !==
+                  (controlMode === CONTROL_MODES.HAND)
+                ) {
+                  headRecalibrate()
+                }
+              }}
+              aria-label="Head steering source"
+            >
+              <option value={CONTROL_MODES.NOSE}>Nose</option>
+              <option value={CONTROL_MODES.POSE}>Head pose</option>
+              <option value={CONTROL_MODES.HAND}>Hand</option>
+              <option value={CONTROL_MODES.GAZE}>Gaze (eyes)</option>
+            </select>
+          </label>
+          <label className="sensitivity-label">
+            <span className="sensitivity-text">Dead zone</span>
+            <select
+              className="control-select"
+              value={deadZoneShape}
+              onChange={(e) => {
+                setDeadZoneShape(e.target.value)
+                patchActiveProfile({ deadZoneShape: e.target.value })
+              }}
+              aria-label="Head direction dead-zone shape"
+            >
+              <option value={DEAD_ZONE_SHAPES.SQUARE}>Square</option>
+              <option value={DEAD_ZONE_SHAPES.CIRCLE}>Circle</option>
+              <option value={DEAD_ZONE_SHAPES.CROSS}>Cross</option>
+            </select>
+          </label>
+          <label className="sensitivity-label">
+            <span className="sensitivity-text">Players</span>
+            <select
+              className="control-select"
+              value={playerCount}
+              onChange={(e) => handlePlayerCountChange(Number(e.target.value))}
+              aria-label="Number of players (two faces for co-op)"
+            >
+              <option value={1}>1</option>
+              <option value={2}>2 (co-op)</option>
+            </select>
+          </label>
+          <label className="sensitivity-label">
+            <span className="sensitivity-text">Smoothing</span>
+            <select
+              className="control-select"
+              value={smoothingType}
+              onChange={(e) => {
+                setSmoothingType(e.target.value)
+                patchActiveProfile({
+                  smoothing: { ...profile.smoothing, snake: e.target.value },
+                })
+              }}
+              aria-label="Head tracking smoothing filter"
+            >
+              <option value={SMOOTHING_FILTERS.ONE_EURO}>Adaptive</option>
+              <option value={SMOOTHING_FILTERS.KALMAN}>Kalman</option>
+              <option value={SMOOTHING_FILTERS.EMA}>Fixed</option>
+            </select>
+          </label>
+          <CameraSettings
+            cameras={cameras}
+            cameraPreference={cameraPreference}
+            activeCameraId={activeCameraId}
+            onChange={selectCamera}
+          />
+          <TraceControls
+            isRecording={isRecordingTrace}
+            onStartRecording={startTraceRecording}
+            onStopRecording={stopTraceRecording}
+            replaying={traceSource != null}
+            onReplay={(trace) => {
+              setTraceSource(trace)
+              headRecalibrate()
+            }}
+            onStopReplay={() => {
+              setTraceSource(null)
+              headConfirmNeutral()
+            }}
+          />
         </div>
       </header>
 
       <main className="arena">
         <div className="board playable">
-          <div className="grid" />
-          <div
+          <SnakeBoardCanvas
             className={[
-              'board-cells',
+              'board-canvas',
               status === 'Game Over' ? 'snake-out' : '',
               restartPulse ? 'snake-in' : '',
             ]
               .filter(Boolean)
               .join(' ')}
-          >
-            {boardCells.map((_, idx) => {
-              const x = idx % GRID_SIZE
-              const y = Math.floor(idx / GRID_SIZE)
-              const isSnake = snake.some((seg) => seg.x === x && seg.y === y)
-              const isHead = snake[0].x === x && snake[0].y === y
-              const isFood = food.x === x && food.y === y
-              const className = [
-                'cell',
-                isSnake ? 'snake' : '',
-                isHead ? 'head' : '',
-                isFood ? 'food' : '',
-              ]
-                .filter(Boolean)
-                .join(' ')
-              return <span key={idx} className={className} />
-            })}
-          </div>
+            gridSize={gridSize}
+            snakes={snakes}
+            food={food}
+            tickMs={tickMs}
+          />
           {status === 'Game Over' ? (
             <div
               className="board-overlay game-over"
               role="dialog"
+              data-head-pointer-zone
               aria-label="Game Over"
             >
               <div className="board-overlay-content">
@@ -331,10 +628,34 @@ export function SnakeCVPage() {
               </div>
             </div>
           ) : null}
+          {status === 'Face lost' ? (
+            <div
+              className="board-overlay paused"
+              role="status"
+              data-head-pointer-zone
+              aria-live="polite"
+              aria-label="Face lost"
+            >
+              <div className="board-overlay-content">
+                <h2 className="board-overlay-title">Face lost</h2>
+                <p className="board-overlay-sub">
+                  {getFaceLossMessage(faceLoss)}
+                </p>
+                <button
+                  type="button"
+                  className="ghost board-overlay-cta"
+                  onClick={handleStart}
+                >
+                  Resume now
+                </button>
+              </div>
+            </div>
+          ) : null}
           {status === 'Paused' ? (
             <div
               className="board-overlay paused"
               role="dialog"
+              data-head-pointer-zone
               aria-label="Paused"
             >
               <div className="board-overlay-content">
@@ -351,10 +672,49 @@ export function SnakeCVPage() {
               </div>
             </div>
           ) : null}
+          {showOptions ? (
+            <div
+              className="board-overlay paused"
+              role="dialog"
+              data-head-pointer-zone
+              aria-label="Game options"
+            >
+              <div className="board-overlay-content">
+                <h2 className="board-overlay-title">Game options</h2>
+                <p className="board-overlay-sub">
+                  Changing an option starts a new game
+                </p>
+                <div className="game-options">
+                  <SnakeGameOptions
+                    options={game.options}
+                    onChange={handleGameOptionsChange}
+                  />
+                </div>
+                <button
+                  type="button"
+                  className="primary board-overlay-cta"
+                  onClick={() => setShowOptions(false)}
+                >
+                  Done
+                </button>
+              </div>
+            </div>
+          ) : null}
         </div>
       </main>
-      <ResizableCameraPanel storageKey="cvified_camera_snake">
-        <div className="camera-frame camera-frame-floating">
+      <ResizableCameraPanel
+        storageKey="cvified_camera_snake"
+        diagnostics={<TrackingDiagnostics diagnostics={diagnostics} />}
+        diagnosticsOpen={showDiagnostics}
+        onDiagnosticsToggle={setShowDiagnostics}
+        overlayMode={overlayMode}
+        onOverlayModeChange={selectOverlayMode}
+        privacy={privacyMode}
+        onPrivacyToggle={setPrivacyMode}
+      >
+        <div
+          className={`camera-frame camera-frame-floating${privacyMode ? ' camera-frame-private' : ''}`}
+        >
           <video ref={videoRef} muted playsInline />
           <canvas ref={canvasRef} />
           {trackingStatus === 'error' ? (
@@ -388,11 +748,18 @@ export function SnakeCVPage() {
               </div>
             </div>
           ) : null}
+          <RangeCalibrationOverlay
+            rangeCalibration={rangeCalibration}
+            onCancel={cancelRangeCalibration}
+          />
           <div className="camera-badges">
             <p className="fps-badge">{fps} fps</p>
             {headDirection ? (
               <p className="camera-direction">{headDirection}</p>
             ) : null}
+            {playerCount > 1 ? (
+              <p className="camera-direction partner">P2 {partnerLabel}</p>
+            ) : null}
           </div>
           <p className="camera-status">{cameraStatus}</p>
           <div className="nose-compass" aria-hidden="true">
@@ -0,0 +1,204 @@
+/**
+ * Named player profiles persisted in localStorage: calibration baseline, range mapping,
+ * sensitivity, steering / smoothing choices and per-game action keys.
+ * The active profile is picked on the landing page and applied by the game pages on startup.
+ */
+
+import { GAME_KEY_BINDINGS } from './input/keyBindings.js'
+
+export const PROFILES_STORAGE_KEY = 'cvified_profiles'
+export const DEFAULT_PROFILE_ID = 'default'
+
+/**
+ * @typedef {{ nose: { x: number, y: number }, pose: { yaw: number, pitch: number, roll: number } | null }} SavedCalibration
+ * @typedef {{ id: string, name: string, sensitivity: number, controlMode: string | null, smoothing: Record<string, string>, deadZoneShape: string | null, returnToCenter: boolean, relativeSteering: boolean, calibration: SavedCalibration | null, rangeMapping: object | null, autoPause: boolean, keyBindings: Record<string, Record<string, string>> }} Profile
+ * @typedef {{ activeId: string, profiles: Profile[] }} ProfileStore
+ */
+
+/**
+ * @param {string} name
+ * @param {string} [id]
+ * @returns {Profile}
+ */
+export function createProfile(name, id = `p${Date.now().toString(36)}`) {
+  return {
+    id,
+    name,
+    sensitivity: 1,
+    /** null = the game's default */
+    controlMode: null,
+    /** Smoothing filter by game id; a missing game uses its own preset */
+    smoothing: {},
+    /** 4-way dead-zone shape (null = square) and whether turns need a return to center */
+    deadZoneShape: null,
+    returnToCenter: false,
+    /** Slither: head offset turns the snake instead of pointing it */
+    relativeSteering: false,
+    calibration: null,
+    rangeMapping: null,
+    /** Pause games when the face leaves the frame */
+    autoPause: true,
+    keyBindings: {},
+  }
+}
+
+function isPoint(value) {
+  return Number.isFinite(value?.x) && Number.isFinite(value?.y)
+}
+
+/** Keep known fields with the right shape; anything else falls back to defaults. */
+function sanitizeProfile(raw) {
+  if (typeof raw?.id !== 'string' || typeof raw.name !== 'string') return null
+  const profile = createProfile(raw.name, raw.id)
+  if (Number.isFinite(raw.sensitivity)) profile.sensitivity = raw.sensitivity
+  if (typeof raw.controlMode === 'string') profile.controlMode = raw.controlMode
+  /* Older profiles kept one filter for every game: dropped so each game gets its preset back */
+  if (raw.smoothing && typeof raw.smoothing === 'object') {
+    profile.smoothing = Object.fromEntries(
+      Object.entries(raw.smoothing).filter(
+        ([, type]) => typeof type === 'string',
+      ),
+    )
+  }
+  if (typeof raw.deadZoneShape === 'string') {
+    profile.deadZoneShape = raw.deadZoneShape
+  }
+  if (typeof raw.returnToCenter === 'boolean') {
+    profile.returnToCenter = raw.returnToCenter
+  }
+  if (typeof raw.relativeSteering === 'boolean') {
+    profile.relativeSteering = raw.relativeSteering
+  }
+  if (isPoint(raw.calibration?.nose)) {
+    profile.calibration = {
+      nose: raw.calibration.nose,
+      pose: raw.calibration.pose ?? null,
+    }
+  }
+  if (
+    isPoint(raw.rangeMapping?.center) &&
+    isPoint(raw.rangeMapping.negative) &&
+    isPoint(raw.rangeMapping.positive)
+  ) {
+    profile.rangeMapping = raw.rangeMapping
+  }
+  if (typeof raw.autoPause === 'boolean') profile.autoPause = raw.autoPause
+  if (raw.keyBindings && typeof raw.keyBindings === 'object') {
+    profile.keyBindings = raw.keyBindings
+  }
+  return profile
+}
+
+/**
+ * Read the profile store; always contains at least the default profile.
+ * @returns {ProfileStore}
+ */
+export function loadProfiles() {
+  let profiles = []
+  let activeId = DEFAULT_PROFILE_ID
+  try {
+    const raw = window.localStorage.getItem(PROFILES_STORAGE_KEY)
+    const data = raw ? JSON.parse(raw) : null
+    if (Array.isArray(data?.profiles)) {
+      profiles = data.profiles.map(sanitizeProfile).filter(Boolean)
+    }
+    if (typeof data?.activeId === 'string') activeId = data.activeId
+  } catch {
+    /* corrupt or unavailable storage: start fresh */
+  }
+  if (!profiles.length) {
+    profiles = [createProfile('Player 1', DEFAULT_PROFILE_ID)]
+  }
+  if (!profiles.some((p) => p.id === activeId)) activeId = profiles[0].id
+  return { activeId, profiles }
+}
+
+/** @param {ProfileStore} store */
+export function saveProfiles(store) {
+  try {
+    window.localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(store))
+  } catch {
+    /* ignore */
+  }
+}
+
+/**
+ * @param {ProfileStore} store
+ * @returns {Profile}
+ */
+export function getActiveProfile(store) {
+  return (
+    store.profiles.find((p) => p.id === store.activeId) ?? store.profiles[0]
+  )
+}
+
+/**
+ * @param {ProfileStore} store
+ * @param {string} id
+ * @param {Partial<Profile>} patch
+ * @returns {ProfileStore}
+ */
+export function updateProfile(store, id, patch) {
+  return {
+    ...store,
+    profiles: store.profiles.map((p) => (p.id === id ? { ...p, ...patch } : p)),
+  }
+}
+
+/**
+ * Add a profile and make it active.
+ * @param {ProfileStore} store
+ * @param {string} name
+ * @returns {ProfileStore}
+ */
+export function addProfile(store, name) {
+  const profile = createProfile(name)
+  return { activeId: profile.id, profiles: [...store.profiles, profile] }
+}
+
+/**
+ * Remove a profile (the last one is kept); the first remaining becomes active if needed.
+ * @param {ProfileStore} store
+ * @param {string} id
+ * @returns {ProfileStore}
+ */
+export function removeProfile(store, id) {
+  const profiles = store.profiles.filter((p) => p.id !== id)
+  if (!profiles.length) return store
+  const activeId = store.activeId === id ? profiles[0].id : store.activeId
+  return { activeId, profiles }
+}
+
+/** Active profile as stored right now (game pages read it once on mount). */
+export function loadActiveProfile() {
+  return getActiveProfile(loadProfiles())
+}
+
+/**
+ * Merge `patch` into the active profile and persist it.
+ * @param {Partial<Profile>} patch
+ */
+export function patchActiveProfile(patch) {
+  const store = loadProfiles()
+  saveProfiles(updateProfile(store, store.activeId, patch))
+}
+
+/**
+ * Key → action map for `game`: the profile's custom keys or the game defaults.
+ * @param {Profile} profile
+ * @param {string} game - key of GAME_KEY_BINDINGS
+ * @returns {Record<string, string>}
+ */
+export function getProfileKeyActions(profile, game) {
+  return profile.keyBindings?.[game] ?? GAME_KEY_BINDINGS[game].actions
+}
+
+/**
+ * Smoothing filter the profile picked for `game`, null for the game's own preset.
+ * @param {Profile} profile
+ * @param {string} game - 'snake' | 'slither'
+ * @returns {string | null}
+ */
+export function getProfileSmoothing(profile, game) {
+  return profile.smoothing?.[game] ?? null
+}
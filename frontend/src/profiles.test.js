@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  PROFILES_STORAGE_KEY,
+  DEFAULT_PROFILE_ID,
+  loadProfiles,
+  saveProfiles,
+  getActiveProfile,
+  updateProfile,
+  addProfile,
+  removeProfile,
+  loadActiveProfile,
+  patchActiveProfile,
+  getProfileKeyActions,
+  getProfileSmoothing,
+} from './profiles'
+import { GAME_KEY_BINDINGS } from './input/keyBindings.js'
+
+describe('profiles', () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+  })
+
+  it('starts with a default profile', () => {
+    const store = loadProfiles()
+    expect(store.activeId).toBe(DEFAULT_PROFILE_ID)
+    expect(store.profiles).toHaveLength(1)
+    expect(getActiveProfile(store)).toMatchObject({
+      sensitivity: 1,
+      calibration: null,
+      rangeMapping: null,
+    })
+  })
+
+  it('round-trips profiles through localStorage', () => {
+    const store = addProfile(loadProfiles(), 'Sam')
+    const sam = getActiveProfile(store)
+    saveProfiles(
+      updateProfile(store, sam.id, {
+        sensitivity: 1.5,
+        calibration: { nose: { x: 0.51, y: 0.48 }, pose: null },
+      }),
+    )
+    const loaded = loadProfiles()
+    expect(loaded.activeId).toBe(sam.id)
+    expect(getActiveProfile(loaded)).toMatchObject({
+      name: 'Sam',
+      sensitivity: 1.5,
+      calibration: { nose: { x: 0.51, y: 0.48 }, pose: null },
+    })
+  })
+
+  it('drops malformed fields and profiles from storage', () => {
+    window.localStorage.setItem(
+      PROFILES_STORAGE_KEY,
+      JSON.stringify({
+        activeId: 'gone',
+        profiles: [
+          { name: 'no id' },
+          {
+            id: 'a',
+            name: 'Alex',
+            sensitivity: 'loud',
+            calibration: { nose: { x: 'left' } },
+            rangeMapping: { center: { x: 0.5, y: 0.5 } },
+          },
+        ],
+      }),
+    )
+    const store = loadProfiles()
+    expect(store.profiles.map((p) => p.id)).toEqual(['a'])
+    expect(store.activeId).toBe('a')
+    expect(getActiveProfile(store)).toMatchObject({
+      sensitivity: 1,
+      calibration: null,
+      rangeMapping: null,
+    })
+  })
+
+  it('survives corrupt storage', () => {
+    window.localStorage.setItem(PROFILES_STORAGE_KEY, '{not json')
+    expect(loadProfiles().profiles).toHaveLength(1)
+  })
+
+  it('keeps the last profile and moves the active one on removal', () => {
+    const base = loadProfiles()
+    expect(removeProfile(base, DEFAULT_PROFILE_ID)).toBe(base)
+    const store = addProfile(base, 'Sam')
+    const next = removeProfile(store, store.activeId)
+    expect(next.activeId).toBe(DEFAULT_PROFILE_ID)
+    expect(next.profiles).toHaveLength(1)
+  })
+
+  it('patches only the active profile', () => {
+    const store = addProfile(loadProfiles(), 'Sam')
+    saveProfiles(store)
+    patchActiveProfile({ sensitivity: 1.4 })
+    const loaded = loadProfiles()
+    expect(loadActiveProfile().sensitivity).toBe(1.4)
+    expect(
+      loaded.profiles.find((p) => p.id === DEFAULT_PROFILE_ID).sensitivity,
+    ).toBe(1)
+  })
+
+  it('keeps a smoothing filter per game', () => {
+    patchActiveProfile({ smoothing: { slither: 'kalman' } })
+    const profile = loadActiveProfile()
+    expect(getProfileSmoothing(profile, 'slither')).toBe('kalman')
+    expect(getProfileSmoothing(profile, 'snake')).toBeNull()
+  })
+
+  it('drops a smoothing filter shared by all games from older profiles', () => {
+    window.localStorage.setItem(
+      PROFILES_STORAGE_KEY,
+      JSON.stringify({
+        profiles: [{ id: 'a', name: 'Alex', smoothing: 'kalman' }],
+      }),
+    )
+    expect(getProfileSmoothing(loadActiveProfile(), 'snake')).toBeNull()
+  })
+
+  it('falls back to the game key defaults without custom bindings', () => {
+    const profile = loadActiveProfile()
+    expect(getProfileKeyActions(profile, 'snake')).toBe(
+      GAME_KEY_BINDINGS.snake.actions,
+    )
+    const custom = { ...profile, keyBindings: { snake: { x: 'pause' } } }
+    expect(getProfileKeyActions(custom, 'snake')).toEqual({ x: 'pause' })
+  })
+})
@@ -0,0 +1,266 @@
+/**
+ * Range-of-motion calibration: a guided wizard that records the neutral pose and the user's
+ * comfortable extremes (left, right, up, down), then builds an asymmetric per-axis mapping so
+ * that each user's own extreme maps to a full turn. Noisy steps are rejected by variance, and
+ * extremes that barely leave neutral along their axis or land on the same side as their opposite.
+ */
+
+import { NOSE_CENTER, NOSE_THRESHOLD, median } from './headTrackingConfig'
+
+/** Wizard steps in order, with the prompt shown to the user. */
+export const RANGE_STEPS = [
+  { id: 'neutral', prompt: 'Look straight at the screen and hold still…' },
+  { id: 'left', prompt: 'Turn your head comfortably to the left and hold…' },
+  { id: 'right', prompt: 'Turn your head comfortably to the right and hold…' },
+  { id: 'up', prompt: 'Tilt your head comfortably up and hold…' },
+  { id: 'down', prompt: 'Tilt your head comfortably down and hold…' },
+]
+
+/** Samples ignored at the start of each step while the user moves into position. */
+export const RANGE_SETTLE_SAMPLES = 15
+/** Samples collected per step after settling (~0.5 s at 60 fps). */
+export const RANGE_SAMPLES_PER_STEP = 30
+/** Per-axis standard deviation (normalized units) above which a step is rejected as too noisy. */
+export const RANGE_MAX_STD = 0.012
+/** An extreme closer than this to neutral along its axis is rejected (user did not turn). */
+export const RANGE_MIN_EXTENT = 0.015
+/** Axis each extreme step measures, and the step it must land opposite (the later of a pair). */
+const RANGE_STEP_AXES = {
+  left: { axis: 'x' },
+  right: { axis: 'x', opposite: 'left' },
+  up: { axis: 'y' },
+  down: { axis: 'y', opposite: 'up' },
+}
+/** Extent at which the range part of the quality score is full. */
+export const RANGE_GOOD_EXTENT = 0.08
+/** Dead zone as a fraction of the user's range on each side. */
+export const RANGE_DEAD_ZONE_FRACTION = 0.35
+/**
+ * Mapped offset for reaching the user's comfortable extreme. Chosen so the default dead zone
+ * fraction lands on NOSE_THRESHOLD, keeping direction / angle helpers unchanged.
+ */
+export const RANGE_EXTENT_OFFSET = NOSE_THRESHOLD / RANGE_DEAD_ZONE_FRACTION
+
+/** User-facing copy for rejected steps. */
+export const RANGE_REJECTION_MESSAGES = {
+  noisy: 'Too much movement — hold that position a little steadier',
+  tooClose: 'Turn a little further, as far as is comfortable',
+  wrongSide: 'That was the same side as before — turn the other way',
+}
+
+/**
+ * @typedef {{ x: number, y: number }} Point
+ * @typedef {{ center: Point, negative: Point, positive: Point, threshold: number, quality: number, mode?: string }} RangeMapping
+ */
+
+function std(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length
+  return Math.sqrt(
+    values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length,
+  )
+}
+
+/**
+ * Summarize one step's samples.
+ * @param {Point[]} samples
+ * @returns {{ median: Point, std: number }}
+ */
+export function summarizeRangeStep(samples) {
+  const xs = samples.map((p) => p.x)
+  const ys = samples.map((p) => p.y)
+  return {
+    median: { x: median(xs), y: median(ys) },
+    std: Math.max(std(xs), std(ys)),
+  }
+}
+
+/**
+ * Why an extreme step's summary cannot be used, or null when it can. The extreme must leave
+ * neutral by minExtent along its own axis (a diagonal drift does not count), and the second
+ * step of a pair (right, down) must land on the other side of neutral from the first. Sides are
+ * judged against each other rather than fixed, as signals differ in which way they are mirrored.
+ * @param {string} id - step id
+ * @param {{ median: Point, std: number }} summary
+ * @param {Record<string, { median: Point, std: number }>} steps - accepted steps so far, with neutral
+ * @param {number} [minExtent]
+ * @returns {'tooClose'|'wrongSide'|null}
+ */
+export function checkRangeExtreme(
+  id,
+  summary,
+  steps,
+  minExtent = RANGE_MIN_EXTENT,
+) {
+  const spec = RANGE_STEP_AXES[id]
+  if (!spec) return null
+  const center = steps.neutral.median[spec.axis]
+  const excursion = summary.median[spec.axis] - center
+  if (Math.abs(excursion) < minExtent) return 'tooClose'
+  const opposite = spec.opposite && steps[spec.opposite]
+  if (
+    opposite &&
+    Math.sign(opposite.median[spec.axis] - center) === Math.sign(excursion)
+  ) {
+    return 'wrongSide'
+  }
+  return null
+}
+
+/**
+ * Build the per-axis mapping from step summaries. Sides come from the data (the smaller
+ * coordinate is `negative`), so it works for mirrored and unmirrored signals alike. Expects steps
+ * that pass checkRangeExtreme; extents are only floored at RANGE_MIN_EXTENT to keep hand-built
+ * step sets from dividing by zero.
+ * @param {Record<string, { median: Point, std: number }>} steps - keyed by step id
+ * @param {{ maxStd?: number }} [options] - maxStd: noise level that scores zero stability
+ * @returns {RangeMapping}
+ */
+export function buildRangeMapping(steps, { maxStd = RANGE_MAX_STD } = {}) {
+  const center = steps.neutral.median
+  const xs = [steps.left.median.x, steps.right.median.x]
+  const ys = [steps.up.median.y, steps.down.median.y]
+  const negative = {
+    x: Math.max(RANGE_MIN_EXTENT, center.x - Math.min(...xs)),
+    y: Math.max(RANGE_MIN_EXTENT, center.y - Math.min(...ys)),
+  }
+  const positive = {
+    x: Math.max(RANGE_MIN_EXTENT, Math.max(...xs) - center.x),
+    y: Math.max(RANGE_MIN_EXTENT, Math.max(...ys) - center.y),
+  }
+  const stability =
+    RANGE_STEPS.reduce(
+      (sum, { id }) => sum + Math.max(0, 1 - steps[id].std / maxStd),
+      0,
+    ) / RANGE_STEPS.length
+  const reach = Math.min(
+    1,
+    Math.min(negative.x, negative.y, positive.x, positive.y) /
+      RANGE_GOOD_EXTENT,
+  )
+  /* Widen the dead zone when the neutral pose itself is jittery */
+  const neutralNoise =
+    (3 * steps.neutral.std * RANGE_EXTENT_OFFSET) /
+    Math.min(negative.x, negative.y, positive.x, positive.y)
+  return {
+    center,
+    negative,
+    positive,
+    threshold: Math.max(NOSE_THRESHOLD, neutralNoise),
+    quality: Math.round((0.5 * stability + 0.5 * reach) * 100) / 100,
+  }
+}
+
+/**
+ * Map a raw signal point through a range mapping into the nose space (center = 0.5).
+ * The user's comfortable extreme on each side lands at NOSE_CENTER ± RANGE_EXTENT_OFFSET.
+ * @param {Point} point
+ * @param {RangeMapping} mapping
+ * @returns {Point}
+ */
+export function applyRangeMapping(point, mapping) {
+  const axis = (value, key) => {
+    const d = value - mapping.center[key]
+    const extent = d < 0 ? mapping.negative[key] : mapping.positive[key]
+    return NOSE_CENTER + (d / extent) * RANGE_EXTENT_OFFSET
+  }
+  return { x: axis(point.x, 'x'), y: axis(point.y, 'y') }
+}
+
+/**
+ * Step-by-step wizard. Feed raw signal samples with addSample(); it reports progress,
+ * rejections (too noisy / not far enough / same side as the opposite step) and the final mapping.
+ * Other signals (e.g. gaze) pass their own prompts as `steps` (same ids, same order), noise
+ * and extent limits and rejection `messages`.
+ * @param {{ samplesPerStep?: number, settleSamples?: number, maxStd?: number, minExtent?: number, steps?: typeof RANGE_STEPS, messages?: typeof RANGE_REJECTION_MESSAGES }} [options]
+ */
+export function createRangeCalibration(options = {}) {
+  const {
+    samplesPerStep = RANGE_SAMPLES_PER_STEP,
+    settleSamples = RANGE_SETTLE_SAMPLES,
+    maxStd = RANGE_MAX_STD,
+    minExtent = RANGE_MIN_EXTENT,
+    steps = RANGE_STEPS,
+    messages = RANGE_REJECTION_MESSAGES,
+  } = options
+  let stepIndex = 0
+  let seen = 0
+  let samples = []
+  let summaries = {}
+  let result = null
+  let rejection = null
+
+  const restartStep = () => {
+    seen = 0
+    samples = []
+  }
+
+  return {
+    /** @returns {{ id: string, prompt: string } | null} current step, null when finished */
+    get step() {
+      return steps[stepIndex] ?? null
+    },
+    get stepIndex() {
+      return stepIndex
+    },
+    get stepCount() {
+      return steps.length
+    },
+    /** 0–1 progress through the current step */
+    get progress() {
+      return Math.min(1, samples.length / samplesPerStep)
+    },
+    /** @returns {RangeMapping | null} */
+    get result() {
+      return result
+    },
+    /** @returns {'noisy'|'tooClose'|'wrongSide'|null} why the current step was last restarted */
+    get rejection() {
+      return rejection
+    },
+    /** User-facing copy for the last rejection ('' when none) */
+    get message() {
+      return rejection ? messages[rejection] : ''
+    },
+
+    /**
+     * @param {Point} point - raw signal sample
+     * @returns {{ type: 'sample' } | { type: 'rejected', step: string, reason: 'noisy'|'tooClose'|'wrongSide' } | { type: 'step', step: string } | { type: 'done', mapping: RangeMapping }}
+     */
+    addSample(point) {
+      const step = steps[stepIndex]
+      if (!step) return { type: 'done', mapping: result }
+      seen += 1
+      if (seen <= settleSamples) return { type: 'sample' }
+      samples.push({ x: point.x, y: point.y })
+      if (samples.length < samplesPerStep) return { type: 'sample' }
+
+      const summary = summarizeRangeStep(samples)
+      if (summary.std > maxStd) {
+        restartStep()
+        rejection = 'noisy'
+        return { type: 'rejected', step: step.id, reason: rejection }
+      }
+      const invalid = checkRangeExtreme(step.id, summary, summaries, minExtent)
+      if (invalid) {
+        restartStep()
+        rejection = invalid
+        return { type: 'rejected', step: step.id, reason: rejection }
+      }
+      summaries = { ...summaries, [step.id]: summary }
+      stepIndex += 1
+      rejection = null
+      restartStep()
+      if (stepIndex < steps.length) return { type: 'step', step: step.id }
+      result = buildRangeMapping(summaries, { maxStd })
+      return { type: 'done', mapping: result }
+    },
+
+    reset() {
+      stepIndex = 0
+      summaries = {}
+      result = null
+      rejection = null
+      restartStep()
+    },
+  }
+}
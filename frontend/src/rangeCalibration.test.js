@@ -0,0 +1,231 @@
+import { describe, it, expect } from 'vitest'
+import { NOSE_CENTER, NOSE_THRESHOLD } from './headTrackingConfig'
+import {
+  RANGE_STEPS,
+  RANGE_EXTENT_OFFSET,
+  summarizeRangeStep,
+  buildRangeMapping,
+  applyRangeMapping,
+  createRangeCalibration,
+} from './rangeCalibration'
+import { GAZE_RANGE_OPTIONS } from './gazeTracking'
+
+const OPTIONS = { samplesPerStep: 10, settleSamples: 2 }
+
+/** Deterministic small wobble around a point (amplitude in normalized units). */
+function hold(point, count, amplitude = 0.001) {
+  return Array.from({ length: count }, (_, i) => ({
+    x: point.x + (i % 2 ? amplitude : -amplitude),
+    y: point.y + (i % 3 ? amplitude : -amplitude),
+  }))
+}
+
+/** Comfortable extremes of a user with a short reach to one side. */
+const TARGETS = {
+  neutral: { x: 0.5, y: 0.5 },
+  left: { x: 0.46, y: 0.5 },
+  right: { x: 0.6, y: 0.5 },
+  up: { x: 0.5, y: 0.44 },
+  down: { x: 0.5, y: 0.56 },
+}
+
+function runWizard(wizard, targets = TARGETS) {
+  let event
+  for (const { id } of RANGE_STEPS) {
+    for (const point of hold(targets[id], 12)) event = wizard.addSample(point)
+  }
+  return event
+}
+
+describe('rangeCalibration', () => {
+  it('summarizes a step by median and worst-axis spread', () => {
+    const summary = summarizeRangeStep([
+      { x: 0.4, y: 0.5 },
+      { x: 0.5, y: 0.5 },
+      { x: 0.6, y: 0.5 },
+    ])
+    expect(summary.median).toEqual({ x: 0.5, y: 0.5 })
+    expect(summary.std).toBeCloseTo(Math.sqrt(0.02 / 3))
+  })
+
+  it('builds asymmetric extents from the data, whichever way the signal is mirrored', () => {
+    const steps = Object.fromEntries(
+      Object.entries(TARGETS).map(([id, p]) => [id, { median: p, std: 0 }]),
+    )
+    const mapping = buildRangeMapping(steps)
+    expect(mapping.negative.x).toBeCloseTo(0.04)
+    expect(mapping.positive.x).toBeCloseTo(0.1)
+    expect(mapping.negative.y).toBeCloseTo(0.06)
+    expect(mapping.positive.y).toBeCloseTo(0.06)
+
+    const mirrored = buildRangeMapping({
+      ...steps,
+      left: steps.right,
+      right: steps.left,
+    })
+    expect(mirrored.negative).toEqual(mapping.negative)
+    expect(mirrored.positive).toEqual(mapping.positive)
+  })
+
+  it('maps each comfortable extreme to the same full-turn offset', () => {
+    const mapping = buildRangeMapping(
+      Object.fromEntries(
+        Object.entries(TARGETS).map(([id, p]) => [id, { median: p, std: 0 }]),
+      ),
+    )
+    expect(applyRangeMapping(TARGETS.neutral, mapping)).toEqual({
+      x: NOSE_CENTER,
+      y: NOSE_CENTER,
+    })
+    expect(applyRangeMapping(TARGETS.left, mapping).x).toBeCloseTo(
+      NOSE_CENTER - RANGE_EXTENT_OFFSET,
+    )
+    expect(applyRangeMapping(TARGETS.right, mapping).x).toBeCloseTo(
+      NOSE_CENTER + RANGE_EXTENT_OFFSET,
+    )
+    /* Half of the short side already clears the default dead zone */
+    const halfLeft = applyRangeMapping({ x: 0.48, y: 0.5 }, mapping)
+    expect(NOSE_CENTER - halfLeft.x).toBeGreaterThan(NOSE_THRESHOLD)
+  })
+
+  it('walks through every step and reports a quality score', () => {
+    const wizard = createRangeCalibration(OPTIONS)
+    expect(wizard.step.id).toBe('neutral')
+    const event = runWizard(wizard)
+    expect(event.type).toBe('done')
+    expect(wizard.step).toBeNull()
+    expect(event.mapping.center.x).toBeCloseTo(0.5, 2)
+    expect(event.mapping.quality).toBeGreaterThan(0.5)
+    expect(event.mapping.quality).toBeLessThanOrEqual(1)
+    expect(wizard.result).toBe(event.mapping)
+  })
+
+  it('ignores settle samples and reports step progress', () => {
+    const wizard = createRangeCalibration(OPTIONS)
+    wizard.addSample({ x: 0.9, y: 0.9 })
+    wizard.addSample({ x: 0.9, y: 0.9 })
+    expect(wizard.progress).toBe(0)
+    for (const point of hold(TARGETS.neutral, 5)) wizard.addSample(point)
+    expect(wizard.progress).toBe(0.5)
+    for (const point of hold(TARGETS.neutral, 5)) wizard.addSample(point)
+    expect(wizard.step.id).toBe('left')
+  })
+
+  it('rejects a noisy step and restarts it', () => {
+    const wizard = createRangeCalibration(OPTIONS)
+    let event
+    for (const point of hold(TARGETS.neutral, 12, 0.05)) {
+      event = wizard.addSample(point)
+    }
+    expect(event).toEqual({
+      type: 'rejected',
+      step: 'neutral',
+      reason: 'noisy',
+    })
+    expect(wizard.rejection).toBe('noisy')
+    expect(wizard.step.id).toBe('neutral')
+    expect(wizard.progress).toBe(0)
+  })
+
+  it('rejects an extreme that barely leaves neutral', () => {
+    const wizard = createRangeCalibration(OPTIONS)
+    for (const point of hold(TARGETS.neutral, 12)) wizard.addSample(point)
+    let event
+    for (const point of hold({ x: 0.505, y: 0.5 }, 12)) {
+      event = wizard.addSample(point)
+    }
+    expect(event.reason).toBe('tooClose')
+    expect(wizard.step.id).toBe('left')
+    for (const point of hold(TARGETS.left, 12)) event = wizard.addSample(point)
+    expect(event).toEqual({ type: 'step', step: 'left' })
+    expect(wizard.rejection).toBeNull()
+  })
+
+  it('measures an extreme along its own axis, not by distance', () => {
+    const wizard = createRangeCalibration(OPTIONS)
+    for (const point of hold(TARGETS.neutral, 12)) wizard.addSample(point)
+    /* Head dipped instead of turned: far from neutral, but hardly left */
+    let event
+    for (const point of hold({ x: 0.505, y: 0.56 }, 12)) {
+      event = wizard.addSample(point)
+    }
+    expect(event).toEqual({
+      type: 'rejected',
+      step: 'left',
+      reason: 'tooClose',
+    })
+  })
+
+  it('rejects an extreme on the same side as its opposite and re-prompts', () => {
+    const wizard = createRangeCalibration(OPTIONS)
+    for (const id of ['neutral', 'left']) {
+      for (const point of hold(TARGETS[id], 12)) wizard.addSample(point)
+    }
+    let event
+    /* Turned left again at the "right" prompt */
+    for (const point of hold({ x: 0.43, y: 0.5 }, 12)) {
+      event = wizard.addSample(point)
+    }
+    expect(event).toEqual({
+      type: 'rejected',
+      step: 'right',
+      reason: 'wrongSide',
+    })
+    expect(wizard.step.id).toBe('right')
+    expect(wizard.message).toMatch(/other way/)
+    for (const point of hold(TARGETS.right, 12)) event = wizard.addSample(point)
+    expect(event).toEqual({ type: 'step', step: 'right' })
+
+    for (const point of hold(TARGETS.up, 12)) wizard.addSample(point)
+    for (const point of hold({ x: 0.5, y: 0.47 }, 12)) {
+      event = wizard.addSample(point)
+    }
+    expect(event.reason).toBe('wrongSide')
+    for (const point of hold(TARGETS.down, 12)) event = wizard.addSample(point)
+    expect(event.type).toBe('done')
+    expect(event.mapping.negative.y).toBeCloseTo(0.06, 2)
+  })
+
+  it('scores a jittery, short-range calibration lower and widens its dead zone', () => {
+    const good = runWizard(createRangeCalibration(OPTIONS)).mapping
+    const small = Object.fromEntries(
+      Object.entries(TARGETS).map(([id, p]) => [
+        id,
+        { x: 0.5 + (p.x - 0.5) * 0.5, y: 0.5 + (p.y - 0.5) * 0.5 },
+      ]),
+    )
+    const wizard = createRangeCalibration(OPTIONS)
+    let event
+    for (const { id } of RANGE_STEPS) {
+      for (const point of hold(small[id], 12, 0.008)) {
+        event = wizard.addSample(point)
+      }
+    }
+    expect(event.type).toBe('done')
+    expect(event.mapping.quality).toBeLessThan(good.quality)
+    expect(event.mapping.threshold).toBeGreaterThan(NOSE_THRESHOLD)
+    expect(good.threshold).toBe(NOSE_THRESHOLD)
+  })
+
+  it('reset starts over from the neutral step', () => {
+    const wizard = createRangeCalibration(OPTIONS)
+    runWizard(wizard)
+    wizard.reset()
+    expect(wizard.step.id).toBe('neutral')
+    expect(wizard.result).toBeNull()
+  })
+  it('uses custom steps, spread limit and messages (the gaze routine)', () => {
+    const wizard = createRangeCalibration({
+      ...OPTIONS,
+      ...GAZE_RANGE_OPTIONS,
+    })
+    expect(wizard.stepCount).toBe(RANGE_STEPS.length)
+    expect(wizard.step.prompt).toMatch(/center of the screen/)
+    /* Wobble the nose limit rejects is fine for the eyes */
+    for (const point of hold(TARGETS.neutral, 12, 0.02)) wizard.addSample(point)
+    expect(wizard.step.id).toBe('left')
+    for (const point of hold(TARGETS.neutral, 12, 0.02)) wizard.addSample(point)
+    expect(wizard.rejection).toBe('tooClose')
+    expect(wizard.message).toBe(GAZE_RANGE_OPTIONS.messages.tooClose)
+  })
+})
@@ -0,0 +1,193 @@
+/**
+ * Canvas renderer for the SnakeCV board. Between ticks only the head and the tail of a snake
+ * move, so each frame draws the body through its cells with both ends slid part-way towards
+ * their next cells; the food pops in when it appears and then pulses.
+ */
+
+/** Colors and shape, normally read from the page's CSS variables (see readBoardTheme). */
+export const DEFAULT_BOARD_THEME = {
+  snake: '#33cc33',
+  snakeHead: '#00ff00',
+  partner: '#e0559b',
+  partnerHead: '#ff8abe',
+  food: '#e74c3c',
+  grid: 'rgba(255, 255, 255, 0.04)',
+  cellRadius: 0,
+  cellGap: 0,
+}
+
+const THEME_COLORS = {
+  snake: '--snake-color',
+  snakeHead: '--snake-head-color',
+  partner: '--partner-color',
+  partnerHead: '--partner-head-color',
+  food: '--food-color',
+}
+
+/** Grid lines are only drawn while a cell is at least this many pixels wide. */
+const GRID_LINE_MIN_CELL = 6
+export const FOOD_PULSE_MS = 900
+export const FOOD_SPAWN_MS = 180
+
+/**
+ * Board theme from the CSS variables in scope for an element; unset ones keep the defaults.
+ * --cell-radius and --cell-gap are in pixels.
+ * @param {Element} element
+ * @returns {typeof DEFAULT_BOARD_THEME}
+ */
+export function readBoardTheme(element) {
+  const style = window.getComputedStyle(element)
+  const theme = { ...DEFAULT_BOARD_THEME }
+  for (const [key, name] of Object.entries(THEME_COLORS)) {
+    const value = style.getPropertyValue(name).trim()
+    if (value) theme[key] = value
+  }
+  const radius = parseFloat(style.getPropertyValue('--cell-radius'))
+  const gap = parseFloat(style.getPropertyValue('--cell-gap'))
+  if (Number.isFinite(radius)) theme.cellRadius = radius
+  if (Number.isFinite(gap)) theme.cellGap = gap
+  return theme
+}
+
+const isAdjacent = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y) <= 1
+const lerp = (a, b, t) => ({
+  x: a.x + (b.x - a.x) * t,
+  y: a.y + (b.y - a.y) * t,
+})
+
+/**
+ * Points (in cells) to draw a snake through part-way into a tick: the head slides from its
+ * previous cell into its new one and the tail leaves its old cell, while the body keeps its
+ * cells. A growing snake keeps its tail still. Jumps of more than one cell (a restart, or a
+ * wrap-around edge) snap.
+ * @param {{ x: number, y: number }[] | null | undefined} prev - the snake before the tick
+ * @param {{ x: number, y: number }[]} next - the snake after it
+ * @param {number} progress - 0 (prev) to 1 (next)
+ * @returns {{ x: number, y: number }[]} head first
+ */
+export function getSnakePath(prev, next, progress) {
+  if (!prev?.length || progress >= 1) return next
+  const prevTail = prev[prev.length - 1]
+  const nextTail = next[next.length - 1]
+  if (!isAdjacent(prev[0], next[0]) || !isAdjacent(prevTail, nextTail)) {
+    return next
+  }
+  const t = Math.max(0, progress)
+  return [
+    lerp(prev[0], next[0], t),
+    ...next.slice(1),
+    lerp(prevTail, nextTail, t),
+  ]
+}
+
+function roundedSquare(ctx, x, y, size, radius) {
+  ctx.beginPath()
+  if (radius > 0 && ctx.roundRect) {
+    ctx.roundRect(x, y, size, size, Math.min(radius, size / 2))
+  } else {
+    ctx.rect(x, y, size, size)
+  }
+  ctx.fill()
+}
+
+function drawGrid(ctx, width, height, gridSize, cell, color) {
+  if (cell < GRID_LINE_MIN_CELL) return
+  ctx.strokeStyle = color
+  ctx.lineWidth = 1
+  ctx.beginPath()
+  for (let i = 1; i < gridSize; i += 1) {
+    const offset = Math.round(i * cell) + 0.5
+    ctx.moveTo(offset, 0)
+    ctx.lineTo(offset, height)
+    ctx.moveTo(0, offset)
+    ctx.lineTo(width, offset)
+  }
+  ctx.stroke()
+}
+
+function drawSnake(ctx, path, cell, body, head, theme) {
+  const size = Math.max(1, cell - theme.cellGap)
+  const rounded = theme.cellRadius > 0
+  const center = (point) => ({
+    x: (point.x + 0.5) * cell,
+    y: (point.y + 0.5) * cell,
+  })
+  ctx.strokeStyle = body
+  ctx.lineWidth = size
+  ctx.lineCap = rounded ? 'round' : 'square'
+  ctx.lineJoin = rounded ? 'round' : 'miter'
+  ctx.beginPath()
+  path.forEach((point, index) => {
+    const { x, y } = center(point)
+    /* A body wrapped around the board edge continues on the other side */
+    if (index === 0 || !isAdjacent(path[index - 1], point)) ctx.moveTo(x, y)
+    else ctx.lineTo(x, y)
+  })
+  ctx.stroke()
+  const { x, y } = center(path[0])
+  ctx.fillStyle = head
+  roundedSquare(ctx, x - size / 2, y - size / 2, size, theme.cellRadius)
+}
+
+/**
+ * Draw one frame of the board (the canvas background stays transparent).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} width - canvas pixels
+ * @param {number} height - canvas pixels
+ * @param {{
+ *   gridSize: number,
+ *   snakes: { x: number, y: number }[][],
+ *   prevSnakes?: { x: number, y: number }[][] | null,
+ *   progress?: number,
+ *   food: { x: number, y: number },
+ *   foodAge?: number,
+ *   time?: number,
+ *   theme?: typeof DEFAULT_BOARD_THEME,
+ *   reducedMotion?: boolean,
+ * }} options - progress runs 0..1 through the current tick; foodAge is ms since the food appeared
+ */
+export function drawSnakeBoard(ctx, width, height, options) {
+  const {
+    gridSize,
+    snakes,
+    prevSnakes = null,
+    progress = 1,
+    food,
+    foodAge = FOOD_SPAWN_MS,
+    time = 0,
+    theme = DEFAULT_BOARD_THEME,
+    reducedMotion = false,
+  } = options
+  const cell = Math.min(width, height) / gridSize
+  ctx.clearRect(0, 0, width, height)
+  drawGrid(ctx, width, height, gridSize, cell, theme.grid)
+
+  const spawn = reducedMotion ? 1 : Math.min(1, foodAge / FOOD_SPAWN_MS)
+  const pulse = reducedMotion
+    ? 1
+    : 0.9 + 0.1 * Math.sin((time / FOOD_PULSE_MS) * Math.PI * 2)
+  const foodSize = Math.max(1, cell - theme.cellGap) * pulse * spawn
+  ctx.fillStyle = theme.food
+  roundedSquare(
+    ctx,
+    (food.x + 0.5) * cell - foodSize / 2,
+    (food.y + 0.5) * cell - foodSize / 2,
+    foodSize,
+    theme.cellRadius * pulse * spawn,
+  )
+
+  const motion = reducedMotion ? 1 : progress
+  snakes.forEach((snake, index) => {
+    if (!snake.length) return
+    const path = getSnakePath(prevSnakes?.[index], snake, motion)
+    const partner = index > 0
+    drawSnake(
+      ctx,
+      path,
+      cell,
+      partner ? theme.partner : theme.snake,
+      partner ? theme.partnerHead : theme.snakeHead,
+      theme,
+    )
+  })
+}
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_BOARD_THEME,
+  FOOD_SPAWN_MS,
+  drawSnakeBoard,
+  getSnakePath,
+  readBoardTheme,
+} from './snakeBoardRenderer'
+
+/** 2D context stand-in that records the calls and the styles they were made with. */
+function recordingContext() {
+  const calls = []
+  const state = {}
+  const ctx = new Proxy(state, {
+    get: (target, name) =>
+      name in target
+        ? target[name]
+        : (...args) => {
+            calls.push({
+              name,
+              args,
+              fillStyle: target.fillStyle,
+              strokeStyle: target.strokeStyle,
+            })
+          },
+  })
+  return { ctx, calls }
+}
+
+const prev = [
+  { x: 5, y: 5 },
+  { x: 4, y: 5 },
+  { x: 3, y: 5 },
+]
+const next = [
+  { x: 6, y: 5 },
+  { x: 5, y: 5 },
+  { x: 4, y: 5 },
+]
+
+describe('getSnakePath', () => {
+  it('slides the head and tail while the body keeps its cells', () => {
+    expect(getSnakePath(prev, next, 0.25)).toEqual([
+      { x: 5.25, y: 5 },
+      { x: 5, y: 5 },
+      { x: 4, y: 5 },
+      { x: 3.25, y: 5 },
+    ])
+    expect(getSnakePath(prev, next, 1)).toBe(next)
+    expect(getSnakePath(null, next, 0.5)).toBe(next)
+  })
+
+  it('keeps the tail still while growing', () => {
+    const grown = [...next, { x: 3, y: 5 }]
+    const path = getSnakePath(prev, grown, 0.5)
+    expect(path[0]).toEqual({ x: 5.5, y: 5 })
+    expect(path.at(-1)).toEqual({ x: 3, y: 5 })
+  })
+
+  it('snaps when the snake jumps, as on a restart', () => {
+    const restarted = [
+      { x: 12, y: 9 },
+      { x: 11, y: 9 },
+      { x: 10, y: 9 },
+    ]
+    expect(getSnakePath(prev, restarted, 0.5)).toBe(restarted)
+  })
+})
+
+describe('drawSnakeBoard', () => {
+  const options = {
+    gridSize: 40,
+    snakes: [next, [{ x: 20, y: 20 }]],
+    prevSnakes: [prev, [{ x: 21, y: 20 }]],
+    progress: 0.5,
+    food: { x: 30, y: 10 },
+  }
+
+  it('draws the food, then each snake with its own head color', () => {
+    const { ctx, calls } = recordingContext()
+    drawSnakeBoard(ctx, 400, 400, options)
+    const fills = calls.filter((call) => call.name === 'fill')
+    expect(fills.map((call) => call.fillStyle)).toEqual([
+      DEFAULT_BOARD_THEME.food,
+      DEFAULT_BOARD_THEME.snakeHead,
+      DEFAULT_BOARD_THEME.partnerHead,
+    ])
+    const strokes = calls.filter((call) => call.name === 'stroke')
+    expect(strokes.map((call) => call.strokeStyle)).toEqual([
+      DEFAULT_BOARD_THEME.grid,
+      DEFAULT_BOARD_THEME.snake,
+      DEFAULT_BOARD_THEME.partner,
+    ])
+    /* Interpolated head: half way from x 5 to x 6, 10px cells */
+    const head = calls.filter((call) => call.name === 'rect')[1]
+    expect(head.args[0]).toBeCloseTo(55)
+  })
+
+  it('breaks a body that wraps around the board edge', () => {
+    const { ctx, calls } = recordingContext()
+    drawSnakeBoard(ctx, 400, 400, {
+      gridSize: 40,
+      snakes: [
+        [
+          { x: 0, y: 5 },
+          { x: 39, y: 5 },
+          { x: 38, y: 5 },
+        ],
+      ],
+      food: { x: 30, y: 10 },
+    })
+    const moves = calls.filter((call) => call.name === 'moveTo').length
+    const lines = calls.filter((call) => call.name === 'lineTo').length
+    /* 39 grid lines each way, then the snake in two pieces */
+    expect(moves - 78).toBe(2)
+    expect(lines - 78).toBe(1)
+  })
+
+  it('grows new food in and skips grid lines on tiny cells', () => {
+    const { ctx, calls } = recordingContext()
+    drawSnakeBoard(ctx, 160, 160, {
+      ...options,
+      foodAge: FOOD_SPAWN_MS / 2,
+      reducedMotion: false,
+    })
+    const food = calls.find((call) => call.name === 'rect')
+    expect(food.args[2]).toBeLessThan(4 * 0.5 + 0.01)
+    expect(calls.filter((call) => call.name === 'stroke')).toHaveLength(2)
+
+    const { ctx: still, calls: stillCalls } = recordingContext()
+    drawSnakeBoard(still, 400, 400, {
+      ...options,
+      foodAge: 0,
+      reducedMotion: true,
+    })
+    const settled = stillCalls.filter((call) => call.name === 'rect')
+    expect(settled[0].args[2]).toBe(10)
+    expect(settled[1].args[0]).toBe(60)
+  })
+})
+
+describe('readBoardTheme', () => {
+  it('reads colors and cell shape from CSS variables', () => {
+    const element = document.createElement('div')
+    element.style.setProperty('--snake-color', '#123456')
+    element.style.setProperty('--cell-radius', '4px')
+    document.body.append(element)
+    const theme = readBoardTheme(element)
+    expect(theme.snake).toBe('#123456')
+    expect(theme.cellRadius).toBe(4)
+    expect(theme.food).toBe(DEFAULT_BOARD_THEME.food)
+    element.remove()
+  })
+})
@@ -0,0 +1,256 @@
+/**
+ * SnakeCV game engine, independent of React: the game state (snakes, food, score) advanced one
+ * tick at a time with getNextSnakeState / getNextCoopState. start() drives it from animation
+ * frames through a fixed-timestep accumulator, so ticks stay evenly spaced however the frames
+ * fall; step() and advance() drive it by hand (tests, replays).
+ */
+
+import {
+  DEFAULT_GAME_OPTIONS,
+  getLevel,
+  getNextCoopState,
+  getNextSnakeState,
+  getStartSnakes,
+  getTickMs,
+  randomFood,
+} from './gameLogic'
+
+export const SNAKE_FOOD_SCORE = 10
+/** Longest frame gap fed to the accumulator: a background tab resumes with a few ticks, not a burst. */
+const MAX_FRAME_MS = 1000
+
+/**
+ * @typedef {{ x: number, y: number }} Cell
+ * @typedef {{
+ *   options: import('./gameLogic').GameOptions,
+ *   gridSize: number,
+ *   snakes: Cell[][],
+ *   directions: Cell[],
+ *   food: Cell,
+ *   score: number,
+ *   level: number,
+ *   tickMs: number,
+ *   running: boolean,
+ *   gameOver: boolean,
+ * }} SnakeGameState
+ */
+
+/**
+ * Create a SnakeCV engine.
+ * Events: 'change' (state) after every update, 'ate' ({ player, score }), 'died'
+ * ({ crashed, score }) and 'levelUp' ({ level, tickMs }).
+ * @param {{
+ *   options?: Partial<import('./gameLogic').GameOptions>,
+ *   players?: number,
+ *   random?: () => number,
+ *   requestFrame?: (callback: (time: number) => void) => number,
+ *   cancelFrame?: (id: number) => void,
+ * }} [config]
+ */
+export function createSnakeEngine(config = {}) {
+  const {
+    random = Math.random,
+    requestFrame = (callback) => requestAnimationFrame(callback),
+    cancelFrame = (id) => cancelAnimationFrame(id),
+  } = config
+  let options = { ...DEFAULT_GAME_OPTIONS, ...config.options }
+  const listeners = {
+    change: new Set(),
+    ate: new Set(),
+    died: new Set(),
+    levelUp: new Set(),
+  }
+  /** Steering since the last tick, per player; applied (or dropped) on the next step. */
+  let queued = []
+  let accumulator = 0
+  let lastFrameTime = null
+  let frameId = null
+
+  const emit = (event, ...args) => {
+    for (const handler of listeners[event]) handler(...args)
+  }
+
+  /** @returns {SnakeGameState} */
+  const createState = (players) => {
+    const { gridSize, startLength, speedCurve } = options
+    const starts = getStartSnakes(players, gridSize, startLength)
+    const snakes = starts.map((start) => start.snake)
+    return {
+      options,
+      gridSize,
+      snakes,
+      directions: starts.map((start) => start.direction),
+      food: randomFood(snakes.flat(), gridSize, random),
+      score: 0,
+      level: getLevel(0),
+      tickMs: getTickMs(0, speedCurve),
+      running: false,
+      gameOver: false,
+    }
+  }
+
+  let state = createState(config.players ?? 1)
+
+  const setState = (patch) => {
+    state = { ...state, ...patch }
+    emit('change', state)
+  }
+
+  const stopLoop = () => {
+    if (frameId != null) cancelFrame(frameId)
+    frameId = null
+    lastFrameTime = null
+  }
+
+  const onFrame = (time) => {
+    frameId = null
+    if (lastFrameTime != null) engine.advance(time - lastFrameTime)
+    lastFrameTime = time
+    if (state.running) frameId = requestFrame(onFrame)
+  }
+
+  const engine = {
+    /**
+     * Subscribe to an engine event.
+     * @returns {() => void} unsubscribe
+     */
+    on(event, handler) {
+      listeners[event].add(handler)
+      return () => listeners[event].delete(handler)
+    },
+
+    /** @returns {SnakeGameState} */
+    getState() {
+      return state
+    },
+
+    /**
+     * Queue a direction for a player's next tick; reversing onto itself is ignored.
+     * @param {Cell} direction - unit vector
+     * @param {number} [player]
+     */
+    steer(direction, player = 0) {
+      const current = state.directions[player]
+      if (!current) return
+      if (current.x + direction.x === 0 && current.y + direction.y === 0) {
+        return
+      }
+      queued[player] = direction
+    },
+
+    /** Start or resume ticking on animation frames (not after a game over; reset first). */
+    start() {
+      if (state.running || state.gameOver) return
+      accumulator = 0
+      setState({ running: true })
+      frameId = requestFrame(onFrame)
+    },
+
+    pause() {
+      if (!state.running) return
+      stopLoop()
+      setState({ running: false })
+    },
+
+    /**
+     * Stop and set up a new game.
+     * @param {number} [players] - defaults to the current player count
+     */
+    reset(players = state.snakes.length) {
+      stopLoop()
+      queued = []
+      accumulator = 0
+      state = createState(players)
+      emit('change', state)
+    },
+
+    /**
+     * Change the game options; like reset, this stops the game and sets up a new one.
+     * @param {Partial<import('./gameLogic').GameOptions>} next
+     */
+    configure(next) {
+      options = { ...options, ...next }
+      engine.reset()
+    },
+
+    /**
+     * Feed elapsed time to the accumulator and run the ticks it covers.
+     * @param {number} elapsedMs
+     * @returns {number} ticks run
+     */
+    advance(elapsedMs) {
+      accumulator += Math.min(Math.max(0, elapsedMs), MAX_FRAME_MS)
+      let ticks = 0
+      while (state.running && accumulator >= state.tickMs) {
+        accumulator -= state.tickMs
+        engine.step()
+        ticks += 1
+      }
+      return ticks
+    },
+
+    /** Run one tick now. */
+    step() {
+      if (state.gameOver) return
+      const directions = state.directions.map(
+        (direction, i) => queued[i] ?? direction,
+      )
+      queued = []
+      let nextSnakes
+      let ateFood
+      let crashed
+      if (state.snakes.length > 1) {
+        const coop = getNextCoopState(
+          state.snakes,
+          directions,
+          state.food,
+          state.gridSize,
+          options,
+        )
+        nextSnakes = coop.nextSnakes
+        ateFood = coop.ateFood
+        crashed = coop.crashed
+      } else {
+        const next = getNextSnakeState(
+          state.snakes[0],
+          directions[0],
+          state.food,
+          state.gridSize,
+          [],
+          options,
+        )
+        nextSnakes = [next.nextSnake]
+        ateFood = [next.ateFood]
+        crashed = [next.gameOver]
+      }
+
+      if (crashed.some(Boolean)) {
+        stopLoop()
+        setState({ directions, running: false, gameOver: true })
+        emit('died', { crashed, score: state.score })
+        return
+      }
+      const eater = ateFood.indexOf(true)
+      if (eater === -1) {
+        setState({ snakes: nextSnakes, directions })
+        return
+      }
+      const score = state.score + SNAKE_FOOD_SCORE
+      const previousLevel = state.level
+      setState({
+        snakes: nextSnakes,
+        directions,
+        food: randomFood(nextSnakes.flat(), state.gridSize, random),
+        score,
+        level: getLevel(score),
+        tickMs: getTickMs(score, options.speedCurve),
+      })
+      emit('ate', { player: eater, score })
+      if (state.level > previousLevel) {
+        emit('levelUp', { level: state.level, tickMs: state.tickMs })
+      }
+    },
+  }
+
+  return engine
+}
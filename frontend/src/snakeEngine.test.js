@@ -0,0 +1,157 @@
+import { describe, it, expect, vi } from 'vitest'
+import { SNAKE_FOOD_SCORE, createSnakeEngine } from './snakeEngine'
+import {
+  LEVEL_SCORE,
+  SPEED_CURVES,
+  START_TICK_MS,
+  getTickMs,
+} from './gameLogic'
+
+/** Engine on fake animation frames; frame(ms) runs the pending frame ms after the last one. */
+function createTestEngine(options) {
+  let time = 0
+  let pending = null
+  const engine = createSnakeEngine({
+    requestFrame: (callback) => {
+      pending = callback
+      return 1
+    },
+    cancelFrame: () => {
+      pending = null
+    },
+    ...options,
+  })
+  const frame = (ms) => {
+    time += ms
+    const callback = pending
+    pending = null
+    callback?.(time)
+  }
+  return { engine, frame, hasFrame: () => pending != null }
+}
+
+/** random() values that put the food at (x, y) on the 18×18 board. */
+const foodAt = (x, y) => [(x + 0.5) / 18, (y + 0.5) / 18]
+
+describe('createSnakeEngine', () => {
+  it('ticks on a fixed timestep however the frames fall', () => {
+    const { engine, frame } = createTestEngine()
+    const onChange = vi.fn()
+    engine.on('change', onChange)
+    engine.start()
+    expect(engine.getState().running).toBe(true)
+
+    frame(0)
+    for (let i = 0; i < 11; i += 1) frame(17)
+    expect(engine.getState().snakes[0][0]).toEqual({ x: 6, y: 9 })
+    frame(17)
+    expect(engine.getState().snakes[0][0]).toEqual({ x: 7, y: 9 })
+    /* A long frame runs every tick it covers */
+    frame(START_TICK_MS * 2)
+    expect(engine.getState().snakes[0][0]).toEqual({ x: 9, y: 9 })
+
+    engine.pause()
+    frame(1000)
+    expect(engine.getState().snakes[0][0]).toEqual({ x: 9, y: 9 })
+    expect(onChange).toHaveBeenLastCalledWith(
+      expect.objectContaining({ running: false }),
+    )
+  })
+
+  it('applies the last steer per tick and ignores reversals', () => {
+    const { engine } = createTestEngine()
+    engine.steer({ x: -1, y: 0 })
+    engine.step()
+    expect(engine.getState().snakes[0][0]).toEqual({ x: 7, y: 9 })
+    engine.steer({ x: 0, y: -1 })
+    /* Still heading right until the tick, so left is a reversal */
+    engine.steer({ x: -1, y: 0 })
+    engine.step()
+    expect(engine.getState().snakes[0][0]).toEqual({ x: 7, y: 8 })
+    expect(engine.getState().directions[0]).toEqual({ x: 0, y: -1 })
+  })
+
+  it('scores, speeds up and levels up as food is eaten', () => {
+    const values = [...foodAt(8, 9), ...foodAt(9, 9)]
+    const random = () => values.shift() ?? 0
+    const { engine } = createTestEngine({ random })
+    const onAte = vi.fn()
+    const onLevelUp = vi.fn()
+    engine.on('ate', onAte)
+    engine.on('levelUp', onLevelUp)
+    expect(engine.getState().food).toEqual({ x: 8, y: 9 })
+
+    engine.step()
+    engine.step()
+    const state = engine.getState()
+    expect(onAte).toHaveBeenCalledWith({ player: 0, score: SNAKE_FOOD_SCORE })
+    expect(state.snakes[0]).toHaveLength(4)
+    expect(state.food).toEqual({ x: 9, y: 9 })
+    expect(state.tickMs).toBe(getTickMs(SNAKE_FOOD_SCORE))
+    expect(onLevelUp).not.toHaveBeenCalled()
+
+    const foodToLevel = LEVEL_SCORE / SNAKE_FOOD_SCORE
+    for (let i = 1; i < foodToLevel; i += 1) {
+      values.push(...foodAt(8 + i + 1, 9))
+      engine.step()
+    }
+    expect(engine.getState().score).toBe(LEVEL_SCORE)
+    expect(onLevelUp).toHaveBeenCalledTimes(1)
+    expect(onLevelUp).toHaveBeenCalledWith({
+      level: 2,
+      tickMs: getTickMs(LEVEL_SCORE),
+    })
+  })
+
+  it('stops on a crash and starts over after reset', () => {
+    const { engine, frame, hasFrame } = createTestEngine({
+      random: () => 0,
+    })
+    const onDied = vi.fn()
+    engine.on('died', onDied)
+    engine.start()
+    frame(0)
+    for (let i = 0; i < 12; i += 1) frame(START_TICK_MS)
+
+    const state = engine.getState()
+    expect(onDied).toHaveBeenCalledTimes(1)
+    expect(onDied).toHaveBeenCalledWith({ crashed: [true], score: 0 })
+    expect(state.gameOver).toBe(true)
+    expect(state.running).toBe(false)
+    expect(state.snakes[0][0]).toEqual({ x: 17, y: 9 })
+    expect(hasFrame()).toBe(false)
+    engine.start()
+    expect(engine.getState().running).toBe(false)
+
+    engine.reset(2)
+    const fresh = engine.getState()
+    expect(fresh.gameOver).toBe(false)
+    expect(fresh.score).toBe(0)
+    expect(fresh.snakes).toHaveLength(2)
+    engine.steer({ x: 0, y: 1 }, 1)
+    engine.step()
+    expect(engine.getState().snakes[1][0]).toEqual({ x: 11, y: 14 })
+  })
+
+  it('plays by the configured options', () => {
+    const { engine } = createTestEngine({ random: () => 0.99 })
+    engine.configure({
+      gridSize: 12,
+      wrap: true,
+      startLength: 5,
+      speedCurve: SPEED_CURVES.STEPPED,
+    })
+    const state = engine.getState()
+    expect(state.gridSize).toBe(12)
+    expect(state.snakes[0]).toHaveLength(5)
+    expect(state.snakes[0][0]).toEqual({ x: 4, y: 6 })
+    expect(state.food).toEqual({ x: 11, y: 11 })
+    expect(state.tickMs).toBe(getTickMs(0, SPEED_CURVES.STEPPED))
+
+    const onDied = vi.fn()
+    engine.on('died', onDied)
+    for (let i = 0; i < 8; i += 1) engine.step()
+    expect(onDied).not.toHaveBeenCalled()
+    expect(engine.getState().snakes[0][0]).toEqual({ x: 0, y: 6 })
+  })
+})
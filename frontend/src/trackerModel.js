@@ -0,0 +1,117 @@
+/**
+ * Detector creation for the head tracker: which landmarker to load for a control mode, and
+ * where to run it. The worker backend (inference and overlay off the main thread) is preferred;
+ * when workers / OffscreenCanvas are unsupported, or the worker fails to start, inference falls
+ * back to the main thread and the failure is reported rather than swallowed.
+ */
+
+import { CONTROL_MODES } from './headTrackingConfig'
+import {
+  FACE_LANDMARKER_OPTIONS,
+  HAND_LANDMARKER_OPTIONS,
+  INFERENCE_BACKENDS,
+  LANDMARKER_TASKS,
+  supportsWorkerInference,
+  createFaceLandmarkerWorker,
+  createInPageFaceLandmarker,
+} from './faceLandmarkerBackend'
+import {
+  FACE_LANDMARKER_MODEL_URL,
+  HAND_LANDMARKER_MODEL_URL,
+  MEDIAPIPE_WASM_URL,
+} from './mediapipeAssets'
+
+/** Which landmarker the model session loads for a control mode. */
+export function getLandmarkerTask(controlMode) {
+  return controlMode === CONTROL_MODES.HAND
+    ? LANDMARKER_TASKS.HAND
+    : LANDMARKER_TASKS.FACE
+}
+
+/**
+ * Backend config for a landmarker task tracking `playerCount` faces (or hands).
+ * @param {string} task - LANDMARKER_TASKS
+ * @param {number} playerCount
+ */
+export function getLandmarkerConfig(task, playerCount) {
+  return task === LANDMARKER_TASKS.HAND
+    ? {
+        task,
+        wasmUrl: MEDIAPIPE_WASM_URL,
+        modelUrl: HAND_LANDMARKER_MODEL_URL,
+        options: { ...HAND_LANDMARKER_OPTIONS, numHands: playerCount },
+      }
+    : {
+        task,
+        wasmUrl: MEDIAPIPE_WASM_URL,
+        modelUrl: FACE_LANDMARKER_MODEL_URL,
+        options: { ...FACE_LANDMARKER_OPTIONS, numFaces: playerCount },
+      }
+}
+
+/**
+ * @typedef {{ detect: (source: object, timestamp: number) => Promise<object | null>, close?: () => void }} Detector
+ * @typedef {{ detector: Detector, backend: string, workerError: string | null }} LoadedDetector
+ */
+
+/**
+ * Loads detectors and owns the worker between loads: the worker outlives model reloads because
+ * the overlay canvas can only be transferred to it once. After a worker failure every later load
+ * runs in-page and keeps reporting that failure.
+ */
+export function createDetectorLoader() {
+  let worker = null
+  let overlayWorker = null
+  let workerError = null
+
+  return {
+    /** The worker drawing the overlay, once the canvas has been handed to it (null otherwise). */
+    get overlayWorker() {
+      return overlayWorker
+    },
+
+    /**
+     * Load a detector for `config`. `canvas` is offered to the worker for the overlay (pass null
+     * once the page has drawn into it); `isActive` turns false when the load is abandoned.
+     * @param {ReturnType<typeof getLandmarkerConfig>} config
+     * @param {{ canvas?: HTMLCanvasElement | null, isActive?: () => boolean }} [options]
+     * @returns {Promise<LoadedDetector>}
+     */
+    async load(config, { canvas = null, isActive = () => true } = {}) {
+      if (!workerError && supportsWorkerInference()) {
+        try {
+          if (!worker) worker = createFaceLandmarkerWorker()
+          const modelWorker = worker
+          await modelWorker.init(config)
+          if (isActive() && canvas && modelWorker.attachCanvas(canvas)) {
+            overlayWorker = modelWorker
+          }
+          return {
+            detector: modelWorker,
+            backend: INFERENCE_BACKENDS.WORKER,
+            workerError: null,
+          }
+        } catch (workerErr) {
+          /* Once the canvas belongs to the worker there is no in-page fallback for the overlay */
+          if (!isActive() || overlayWorker) throw workerErr
+          if (import.meta.env.DEV) console.warn(workerErr)
+          worker?.terminate()
+          worker = null
+          workerError = String(workerErr?.message ?? workerErr)
+        }
+      }
+      return {
+        detector: await createInPageFaceLandmarker(config),
+        backend: INFERENCE_BACKENDS.MAIN_THREAD,
+        workerError,
+      }
+    },
+
+    /** Stop the worker; the next load starts a new one unless it has failed before. */
+    terminate() {
+      worker?.terminate()
+      worker = null
+      overlayWorker = null
+    },
+  }
+}
@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { CONTROL_MODES } from './headTrackingConfig'
+import { INFERENCE_BACKENDS, LANDMARKER_TASKS } from './faceLandmarkerBackend'
+import * as backends from './faceLandmarkerBackend'
+import {
+  createDetectorLoader,
+  getLandmarkerConfig,
+  getLandmarkerTask,
+} from './trackerModel'
+
+vi.mock('./faceLandmarkerBackend', async (importOriginal) => ({
+  ...(await importOriginal()),
+  supportsWorkerInference: vi.fn(() => true),
+  createFaceLandmarkerWorker: vi.fn(),
+  createInPageFaceLandmarker: vi.fn(async () => ({ detect: vi.fn() })),
+}))
+
+/** Worker client stand-in; init resolves unless `initError` is given. */
+function fakeWorker(initError = null) {
+  return {
+    init: vi.fn(() =>
+      initError ? Promise.reject(initError) : Promise.resolve({}),
+    ),
+    attachCanvas: vi.fn(() => true),
+    terminate: vi.fn(),
+  }
+}
+
+describe('trackerModel', () => {
+  afterEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('loads the hand landmarker for hand mode and the face one otherwise', () => {
+    expect(getLandmarkerTask(CONTROL_MODES.HAND)).toBe(LANDMARKER_TASKS.HAND)
+    expect(getLandmarkerTask(CONTROL_MODES.GAZE)).toBe(LANDMARKER_TASKS.FACE)
+    expect(getLandmarkerConfig(LANDMARKER_TASKS.HAND, 2).options.numHands).toBe(
+      2,
+    )
+    expect(getLandmarkerConfig(LANDMARKER_TASKS.FACE, 2).options.numFaces).toBe(
+      2,
+    )
+  })
+
+  it('runs in the worker and hands it the overlay canvas', async () => {
+    const worker = fakeWorker()
+    backends.createFaceLandmarkerWorker.mockReturnValue(worker)
+    const loader = createDetectorLoader()
+    const canvas = {}
+    const loaded = await loader.load(
+      getLandmarkerConfig(LANDMARKER_TASKS.FACE, 1),
+      { canvas },
+    )
+    expect(loaded).toEqual({
+      detector: worker,
+      backend: INFERENCE_BACKENDS.WORKER,
+      workerError: null,
+    })
+    expect(worker.attachCanvas).toHaveBeenCalledWith(canvas)
+    expect(loader.overlayWorker).toBe(worker)
+    loader.terminate()
+    expect(worker.terminate).toHaveBeenCalled()
+    expect(loader.overlayWorker).toBeNull()
+  })
+
+  it('falls back to the main thread and keeps reporting why', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const worker = fakeWorker(new Error('ModuleFactory not set.'))
+    backends.createFaceLandmarkerWorker.mockReturnValue(worker)
+    const loader = createDetectorLoader()
+    const config = getLandmarkerConfig(LANDMARKER_TASKS.FACE, 1)
+
+    const first = await loader.load(config)
+    expect(first.backend).toBe(INFERENCE_BACKENDS.MAIN_THREAD)
+    expect(first.workerError).toBe('ModuleFactory not set.')
+    expect(worker.terminate).toHaveBeenCalled()
+
+    /* Later loads go straight to the main thread */
+    const second = await loader.load(config)
+    expect(second.workerError).toBe('ModuleFactory not set.')
+    expect(backends.createFaceLandmarkerWorker).toHaveBeenCalledTimes(1)
+    expect(backends.createInPageFaceLandmarker).toHaveBeenCalledTimes(2)
+    console.warn.mockRestore()
+  })
+})
@@ -0,0 +1,398 @@
+/**
+ * Per-player processing for the head tracker, one feature at a time: calibration (sampling the
+ * neutral pose, or confirming a saved one), the steering signal relative to that neutral,
+ * steering output (direction, angle or turn) and triggers (mouth, facial gestures, hand actions).
+ * Each works on one player's mutable state from createPlayerState and reports events through a
+ * `report(event, value)` callback; the tracker decides which player a detection belongs to.
+ */
+
+import {
+  NOSE_CENTER,
+  NOSE_THRESHOLD,
+  DIRECTION_COOLDOWN_MS,
+  HEAD_DIRECTIONS,
+  CALIBRATION_SAMPLES_TARGET,
+  CONFIRM_NEUTRAL_SAMPLES,
+  CONFIRM_NEUTRAL_TOLERANCE,
+  CONTROL_MODES,
+  DEAD_ZONE_SHAPES,
+  createPointFilter,
+  createDirectionTracker,
+  getMirroredHeadDirection,
+  getNoseAngleRadians,
+  getNoseTurn,
+  medianPoint,
+  headPoseToNormalized,
+  medianHeadPose,
+  getMouthOpenness,
+  MOUTH_OPEN_THRESHOLD,
+  MOUTH_OPEN_RESET_THRESHOLD,
+} from './headTrackingConfig'
+import { TURN_DEAD_ZONE } from './drawTrackingOverlay'
+import { applyRangeMapping } from './rangeCalibration'
+import { createGestureDetector, getBlendshapeScores } from './gestureDetection'
+import { createHandActionDetector } from './handGestures'
+
+const BASELINE_BLEND_INTERVAL_MS = 5000
+const BASELINE_BLEND_ALPHA = 0.1
+const BASELINE_DRIFT_ENABLED = false
+
+/**
+ * How steering is reported. Only one output runs per player, picked by who listens:
+ * TURN wins over ANGLE, which wins over DIRECTION (see getSteeringOutput).
+ */
+export const STEERING_OUTPUTS = {
+  /** 'turn' (turn, player): relative turn -1…1, 0 holds the heading, null when not steering */
+  TURN: 'turn',
+  /** 'angle' (angleRadians, player): absolute heading, rate-limited */
+  ANGLE: 'angle',
+  /** 'direction' (vec, player): 4-way unit vector, rate-limited */
+  DIRECTION: 'direction',
+}
+
+/**
+ * The steering output to compute: 'turn' when anyone listens to turns, else 'angle' when anyone
+ * listens to angles, else 'direction'. Computing only one keeps the dead zones consistent.
+ * @param {(event: string) => boolean} isListening
+ * @returns {string} STEERING_OUTPUTS
+ */
+export function getSteeringOutput(isListening) {
+  if (isListening(STEERING_OUTPUTS.TURN)) return STEERING_OUTPUTS.TURN
+  if (isListening(STEERING_OUTPUTS.ANGLE)) return STEERING_OUTPUTS.ANGLE
+  return STEERING_OUTPUTS.DIRECTION
+}
+
+/**
+ * Per-player tracking state: calibration baselines, smoothing filter and edge detectors.
+ * @param {{ smoothing?: string | object, directionOptions?: object, gestureThresholds?: object }} [settings]
+ */
+export function createPlayerState(settings = {}) {
+  return {
+    baselineNose: null,
+    baselinePose: null,
+    baselineGaze: null,
+    lastBaselineBlend: 0,
+    filter: createPointFilter(settings.smoothing),
+    directionTracker: createDirectionTracker(settings.directionOptions),
+    gestureDetector: createGestureDetector(settings.gestureThresholds),
+    handActionDetector: createHandActionDetector(),
+    calibrating: false,
+    calibrationSamples: [],
+    calibrationPoses: [],
+    calibrationGazes: [],
+    calibrationTarget: CALIBRATION_SAMPLES_TARGET,
+    /** Saved calibration being confirmed by a quick neutral check, null for a full calibration */
+    confirmCalibration: null,
+    lastDirectionAt: 0,
+    /** Last relative turn reported to 'turn' listeners (0 = holding the heading, null = not steering) */
+    lastTurn: null,
+    mouthOpennessPrev: 0,
+    mouthOpenCanTrigger: true,
+    /** Raw nose from the last frame, used to keep face → player assignment stable */
+    lastNose: null,
+  }
+}
+
+/** Start sampling a neutral pose; with a saved calibration, only a quick check against it. */
+export function beginCalibration(state, savedCalibration = null) {
+  state.baselineNose = null
+  state.baselinePose = null
+  state.baselineGaze = null
+  state.lastBaselineBlend = 0
+  state.filter?.reset()
+  state.directionTracker?.reset()
+  state.calibrationSamples = []
+  state.calibrationPoses = []
+  state.calibrationGazes = []
+  state.calibrationTarget = savedCalibration
+    ? CONFIRM_NEUTRAL_SAMPLES
+    : CALIBRATION_SAMPLES_TARGET
+  state.confirmCalibration = savedCalibration
+  state.calibrating = true
+}
+
+export function clearPlayerState(state) {
+  state.baselineNose = null
+  state.baselinePose = null
+  state.baselineGaze = null
+  state.confirmCalibration = null
+  state.calibrating = false
+  state.calibrationSamples = []
+  state.calibrationPoses = []
+  state.calibrationGazes = []
+  state.directionTracker?.reset()
+}
+
+/**
+ * The player was not detected this frame: forget the calibration unless it is being sampled or
+ * `keepBaseline` (the face-loss policy pauses the game and expects the same neutral back).
+ */
+export function losePlayer(state, keepBaseline) {
+  state.lastNose = null
+  if (!state.calibrating && !keepBaseline) {
+    state.baselineNose = null
+    state.baselinePose = null
+    state.baselineGaze = null
+  }
+  state.gestureDetector?.reset()
+  state.handActionDetector.reset()
+}
+
+/**
+ * Add one calibration sample. When the target is reached the baselines are set and
+ * `calibration` ({ nose, pose }) is returned, with `confirmed` when it was a saved one.
+ * A saved calibration that no longer matches turns into a full calibration.
+ * @param {ReturnType<typeof createPlayerState>} state
+ * @param {{ point: { x: number, y: number }, pose?: object | null, gaze?: { x: number, y: number } | null }} detection
+ * @param {number} now
+ * @returns {{ status: 'calibrating', progress: number, done: boolean, confirming?: boolean, calibration?: { nose: object, pose: object | null }, confirmed?: boolean }}
+ */
+export function addCalibrationSample(state, { point, pose, gaze }, now) {
+  state.calibrationSamples.push({ x: point.x, y: point.y })
+  if (pose) state.calibrationPoses.push(pose)
+  if (gaze) state.calibrationGazes.push(gaze)
+  const progress = state.calibrationSamples.length / state.calibrationTarget
+  if (progress < 1) {
+    return {
+      status: 'calibrating',
+      progress,
+      done: false,
+      confirming: state.confirmCalibration != null,
+    }
+  }
+  const measured = medianPoint(state.calibrationSamples)
+  const saved = state.confirmCalibration
+  if (
+    saved &&
+    Math.hypot(measured.x - saved.nose.x, measured.y - saved.nose.y) >
+      CONFIRM_NEUTRAL_TOLERANCE
+  ) {
+    /* Sitting differently than last time: keep sampling for a full calibration */
+    state.confirmCalibration = null
+    state.calibrationTarget = CALIBRATION_SAMPLES_TARGET
+    return {
+      status: 'calibrating',
+      progress: state.calibrationSamples.length / CALIBRATION_SAMPLES_TARGET,
+      done: false,
+      confirming: false,
+    }
+  }
+  state.baselineNose = saved ? saved.nose : measured
+  state.baselinePose =
+    (saved ? saved.pose : null) ?? medianHeadPose(state.calibrationPoses)
+  /* Gaze neutral is always measured: it depends on where the screen is, not the chair */
+  state.baselineGaze = state.calibrationGazes.length
+    ? medianPoint(state.calibrationGazes)
+    : null
+  state.lastBaselineBlend = now
+  state.calibrationSamples = []
+  state.calibrationPoses = []
+  state.calibrationGazes = []
+  state.confirmCalibration = null
+  state.calibrating = false
+  state.filter?.reset()
+  return {
+    status: 'calibrating',
+    progress: 1,
+    done: true,
+    calibration: { nose: state.baselineNose, pose: state.baselinePose },
+    confirmed: saved != null,
+  }
+}
+
+/**
+ * The steering signal relative to the calibrated neutral, in nose space (center 0.5), and the
+ * control mode it came from: the hand, the head pose, the gaze, or the nose (the fallback when
+ * the pose or gaze is unavailable).
+ * @param {ReturnType<typeof createPlayerState>} state - calibrated
+ * @param {{ point: { x: number, y: number }, hand?: object | null, pose?: object | null, gaze?: { x: number, y: number } | null }} detection
+ * @param {string} controlMode - CONTROL_MODES
+ * @param {number} now
+ * @returns {{ mode: string, relative: { x: number, y: number } }}
+ */
+export function getSteeringSignal(state, detection, controlMode, now) {
+  const { point: nose, hand, pose, gaze } = detection
+  if (
+    BASELINE_DRIFT_ENABLED &&
+    now - state.lastBaselineBlend >= BASELINE_BLEND_INTERVAL_MS
+  ) {
+    state.lastBaselineBlend = now
+    const b = state.baselineNose
+    state.baselineNose = {
+      x: b.x * (1 - BASELINE_BLEND_ALPHA) + nose.x * BASELINE_BLEND_ALPHA,
+      y: b.y * (1 - BASELINE_BLEND_ALPHA) + nose.y * BASELINE_BLEND_ALPHA,
+    }
+  }
+  if (hand) {
+    return {
+      mode: CONTROL_MODES.HAND,
+      relative: {
+        x: nose.x - state.baselineNose.x + NOSE_CENTER,
+        y: nose.y - state.baselineNose.y + NOSE_CENTER,
+      },
+    }
+  }
+  if (
+    controlMode === CONTROL_MODES.POSE &&
+    pose != null &&
+    state.baselinePose != null
+  ) {
+    return {
+      mode: CONTROL_MODES.POSE,
+      relative: headPoseToNormalized(pose, state.baselinePose),
+    }
+  }
+  if (
+    controlMode === CONTROL_MODES.GAZE &&
+    gaze != null &&
+    state.baselineGaze != null
+  ) {
+    return {
+      mode: CONTROL_MODES.GAZE,
+      relative: {
+        x: gaze.x - state.baselineGaze.x + NOSE_CENTER,
+        y: gaze.y - state.baselineGaze.y + NOSE_CENTER,
+      },
+    }
+  }
+  return {
+    mode: CONTROL_MODES.NOSE,
+    relative: {
+      x: nose.x - state.baselineNose.x + NOSE_CENTER,
+      y: nose.y - state.baselineNose.y + NOSE_CENTER,
+    },
+  }
+}
+
+/**
+ * Smooth the steering signal, report it as 'point', then report the chosen steering output.
+ * Turns are reported on every change; angles and directions at most once per
+ * DIRECTION_COOLDOWN_MS.
+ * @param {ReturnType<typeof createPlayerState>} state
+ * @param {{ x: number, y: number }} relative - from getSteeringSignal
+ * @param {{ output: string, mapping?: import('./rangeCalibration').RangeMapping | null, sensitivity?: number }} options - output: STEERING_OUTPUTS
+ * @param {number} timestamp - frame time, for smoothing
+ * @param {number} now
+ * @param {(event: string, value: unknown) => void} report
+ * @returns {{ nose: { x: number, y: number }, direction: string | null, angle: number | null, deadZone: { threshold: number, shape: string } }}
+ */
+export function steerPlayer(
+  state,
+  relative,
+  { output, mapping = null, sensitivity = 1 },
+  timestamp,
+  now,
+  report,
+) {
+  const calibrated = mapping ? applyRangeMapping(relative, mapping) : relative
+  const nose = state.filter
+    ? state.filter.filter(calibrated, timestamp)
+    : calibrated
+  const threshold =
+    (mapping?.threshold ?? NOSE_THRESHOLD) / Math.max(0.25, sensitivity)
+  report('point', nose)
+
+  if (output === STEERING_OUTPUTS.TURN) {
+    const turn = getNoseTurn(nose, true, threshold)
+    /* Continuous: every change counts, no cooldown */
+    if (turn !== state.lastTurn) {
+      state.lastTurn = turn
+      report(STEERING_OUTPUTS.TURN, turn)
+    }
+    return {
+      nose,
+      direction: null,
+      angle: null,
+      deadZone: { threshold, shape: TURN_DEAD_ZONE },
+    }
+  }
+
+  const cooledDown = now - state.lastDirectionAt > DIRECTION_COOLDOWN_MS
+  if (output === STEERING_OUTPUTS.ANGLE) {
+    const angle = getNoseAngleRadians(nose, true, threshold)
+    if (angle != null && cooledDown) {
+      state.lastDirectionAt = now
+      report(STEERING_OUTPUTS.ANGLE, angle)
+    }
+    return {
+      nose,
+      direction: null,
+      angle,
+      deadZone: { threshold, shape: DEAD_ZONE_SHAPES.CIRCLE },
+    }
+  }
+
+  const direction = state.directionTracker
+    ? state.directionTracker.update(nose, threshold)
+    : getMirroredHeadDirection(nose, threshold)
+  if (direction && cooledDown) {
+    state.lastDirectionAt = now
+    report(STEERING_OUTPUTS.DIRECTION, HEAD_DIRECTIONS[direction])
+  }
+  return {
+    nose,
+    direction,
+    angle: null,
+    deadZone: {
+      threshold,
+      shape: state.directionTracker?.shape ?? DEAD_ZONE_SHAPES.SQUARE,
+    },
+  }
+}
+
+/**
+ * Release the relative turn while the player is not steering (face lost, calibrating, ranging).
+ * @param {ReturnType<typeof createPlayerState>} state
+ * @param {(event: string, value: unknown) => void} report
+ */
+export function releaseTurn(state, report) {
+  if (state.lastTurn == null) return
+  state.lastTurn = null
+  report(STEERING_OUTPUTS.TURN, null)
+}
+
+/**
+ * Edge-triggered actions, each only detected while listened to: 'mouthOpen' (opening past
+ * MOUTH_OPEN_THRESHOLD, re-armed below MOUTH_OPEN_RESET_THRESHOLD), 'gesture' (facial gestures
+ * from blendshapes) and 'handAction' (pinch / fist).
+ * @param {ReturnType<typeof createPlayerState>} state
+ * @param {{ face?: object[] | null, hand?: object[] | null, blendshapes?: object }} detection
+ * @param {(event: string) => boolean} isListening
+ * @param {number} now
+ * @param {(event: string, value?: unknown) => void} report
+ */
+export function detectTriggers(
+  state,
+  { face, hand, blendshapes },
+  isListening,
+  now,
+  report,
+) {
+  if (face && isListening('mouthOpen')) {
+    const openness = getMouthOpenness(face)
+    const prev = state.mouthOpennessPrev
+    state.mouthOpennessPrev = openness
+    if (openness < MOUTH_OPEN_RESET_THRESHOLD) {
+      state.mouthOpenCanTrigger = true
+    }
+    if (
+      state.mouthOpenCanTrigger &&
+      openness >= MOUTH_OPEN_THRESHOLD &&
+      prev < MOUTH_OPEN_THRESHOLD
+    ) {
+      state.mouthOpenCanTrigger = false
+      report('mouthOpen')
+    }
+  }
+  if (isListening('gesture') && state.gestureDetector) {
+    const gestures = state.gestureDetector.update(
+      getBlendshapeScores(blendshapes),
+      now,
+    )
+    for (const gesture of gestures) report('gesture', gesture)
+  }
+  if (hand && isListening('handAction')) {
+    const action = state.handActionDetector.update(hand)
+    if (action) report('handAction', action)
+  }
+}
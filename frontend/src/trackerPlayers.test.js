@@ -0,0 +1,150 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  CALIBRATION_SAMPLES_TARGET,
+  CONFIRM_NEUTRAL_SAMPLES,
+  CONTROL_MODES,
+  NOSE_CENTER,
+} from './headTrackingConfig'
+import {
+  STEERING_OUTPUTS,
+  addCalibrationSample,
+  beginCalibration,
+  createPlayerState,
+  getSteeringOutput,
+  getSteeringSignal,
+  losePlayer,
+  releaseTurn,
+  steerPlayer,
+} from './trackerPlayers'
+
+/** A player calibrated with the nose at (0.5, 0.5). */
+function calibratedPlayer() {
+  const state = createPlayerState()
+  beginCalibration(state)
+  for (let i = 0; i < CALIBRATION_SAMPLES_TARGET; i += 1) {
+    addCalibrationSample(state, { point: { x: 0.5, y: 0.5 } }, 0)
+  }
+  return state
+}
+
+describe('getSteeringOutput', () => {
+  it('prefers turn over angle over direction', () => {
+    const listening =
+      (...events) =>
+      (event) =>
+        events.includes(event)
+    expect(getSteeringOutput(listening('direction', 'angle', 'turn'))).toBe(
+      STEERING_OUTPUTS.TURN,
+    )
+    expect(getSteeringOutput(listening('direction', 'angle'))).toBe(
+      STEERING_OUTPUTS.ANGLE,
+    )
+    expect(getSteeringOutput(listening())).toBe(STEERING_OUTPUTS.DIRECTION)
+  })
+})
+
+describe('addCalibrationSample', () => {
+  it('sets the baseline from the median once the target is reached', () => {
+    const state = createPlayerState()
+    beginCalibration(state)
+    let outcome
+    for (let i = 0; i < CALIBRATION_SAMPLES_TARGET; i += 1) {
+      outcome = addCalibrationSample(
+        state,
+        { point: { x: 0.4 + (i % 3) * 0.01, y: 0.5 } },
+        100,
+      )
+    }
+    expect(outcome).toMatchObject({ done: true, confirmed: false })
+    expect(outcome.calibration.nose.x).toBeCloseTo(0.41)
+    expect(state.calibrating).toBe(false)
+  })
+
+  it('confirms a matching saved neutral and falls back to a full calibration otherwise', () => {
+    const saved = { nose: { x: 0.5, y: 0.5 }, pose: null }
+    const state = createPlayerState()
+    beginCalibration(state, saved)
+    let outcome
+    for (let i = 0; i < CONFIRM_NEUTRAL_SAMPLES; i += 1) {
+      outcome = addCalibrationSample(state, { point: { x: 0.51, y: 0.5 } }, 0)
+    }
+    expect(outcome).toMatchObject({ done: true, confirmed: true })
+    expect(state.baselineNose).toBe(saved.nose)
+
+    beginCalibration(state, saved)
+    for (let i = 0; i < CONFIRM_NEUTRAL_SAMPLES; i += 1) {
+      outcome = addCalibrationSample(state, { point: { x: 0.6, y: 0.5 } }, 0)
+    }
+    expect(outcome).toMatchObject({ done: false, confirming: false })
+    expect(state.calibrating).toBe(true)
+  })
+})
+
+describe('getSteeringSignal', () => {
+  it('is the nose relative to its neutral, or the gaze in gaze mode', () => {
+    const state = calibratedPlayer()
+    state.baselineGaze = { x: 0.1, y: 0 }
+    const detection = { point: { x: 0.45, y: 0.5 }, gaze: { x: 0.2, y: 0 } }
+    expect(
+      getSteeringSignal(state, detection, CONTROL_MODES.NOSE, 0),
+    ).toMatchObject({
+      mode: CONTROL_MODES.NOSE,
+      relative: { x: NOSE_CENTER - 0.05, y: NOSE_CENTER },
+    })
+    const gaze = getSteeringSignal(state, detection, CONTROL_MODES.GAZE, 0)
+    expect(gaze.mode).toBe(CONTROL_MODES.GAZE)
+    expect(gaze.relative.x).toBeCloseTo(NOSE_CENTER + 0.1)
+  })
+})
+
+describe('steerPlayer', () => {
+  it('reports only the requested output, after the point', () => {
+    const state = calibratedPlayer()
+    const report = vi.fn()
+    const left = { x: 0.35, y: 0.5 }
+    const outcome = steerPlayer(
+      state,
+      left,
+      { output: STEERING_OUTPUTS.DIRECTION },
+      0,
+      1000,
+      report,
+    )
+    /* Nose left in the image is a right turn in the mirrored view */
+    expect(outcome.direction).toBe('RIGHT')
+    expect(report.mock.calls.map(([event]) => event)).toEqual([
+      'point',
+      STEERING_OUTPUTS.DIRECTION,
+    ])
+    expect(report).toHaveBeenLastCalledWith(STEERING_OUTPUTS.DIRECTION, {
+      x: 1,
+      y: 0,
+    })
+
+    report.mockClear()
+    steerPlayer(
+      state,
+      left,
+      { output: STEERING_OUTPUTS.TURN },
+      16,
+      1016,
+      report,
+    )
+    expect(report).toHaveBeenLastCalledWith(STEERING_OUTPUTS.TURN, 1)
+    expect(state.lastTurn).toBe(1)
+    releaseTurn(state, report)
+    expect(report).toHaveBeenLastCalledWith(STEERING_OUTPUTS.TURN, null)
+  })
+})
+
+describe('losePlayer', () => {
+  it('forgets the baseline unless it is kept for the face-loss pause', () => {
+    const kept = calibratedPlayer()
+    losePlayer(kept, true)
+    expect(kept.baselineNose).not.toBeNull()
+    const lost = calibratedPlayer()
+    losePlayer(lost, false)
+    expect(lost.baselineNose).toBeNull()
+    expect(lost.lastNose).toBeNull()
+  })
+})
@@ -0,0 +1,242 @@
+/**
+ * Stream management for the head tracker: opens the camera (or replays a recorded trace) and runs
+ * the detection loop, one frame in flight at a time. It knows nothing about players: each
+ * detected frame goes to `onFrame`, and camera progress and failures are reported as tracker
+ * state patches through `setState`.
+ */
+
+import { TRACKING_ERROR } from './headTrackingConfig'
+import {
+  buildVideoConstraints,
+  isMissingDeviceError,
+  listCameras,
+} from './cameraDevices'
+import { createTracePlayer } from './landmarkTrace'
+
+/**
+ * Open the preferred camera, falling back to the default one if it is gone.
+ * @param {import('./cameraDevices').CameraPreference} cameraPreference
+ * @returns {Promise<MediaStream>}
+ */
+async function openCamera(cameraPreference) {
+  try {
+    return await navigator.mediaDevices.getUserMedia({
+      video: buildVideoConstraints(cameraPreference),
+    })
+  } catch (err) {
+    if (!cameraPreference.deviceId || !isMissingDeviceError(err)) throw err
+    if (import.meta.env.DEV) console.warn(err)
+    return navigator.mediaDevices.getUserMedia({
+      video: buildVideoConstraints({ ...cameraPreference, deviceId: null }),
+    })
+  }
+}
+
+/** Tracker state for a camera that could not be opened. */
+function getCameraErrorState(mediaErr) {
+  const name = mediaErr?.name ?? ''
+  if (name === 'PermissionDeniedError' || name === 'NotAllowedError') {
+    return {
+      streamStatus: { status: 'error', error: TRACKING_ERROR.CAMERA_DENIED },
+      cameraStatus: 'Camera access denied',
+    }
+  }
+  return {
+    streamStatus: { status: 'error', error: TRACKING_ERROR.NOT_SUPPORTED },
+    cameraStatus:
+      name === 'NotFoundError'
+        ? 'No camera found'
+        : 'Camera not available (try HTTPS)',
+  }
+}
+
+/**
+ * Start the camera (or trace replay) and the detection loop.
+ * @param {{
+ *   cameraPreference: import('./cameraDevices').CameraPreference,
+ *   traceSource?: import('./landmarkTrace').Trace | null,
+ *   traceLoop?: boolean,
+ *   traceRealtime?: boolean,
+ *   getVideo: () => HTMLVideoElement | null,
+ *   getDetector: () => { detect: (source: object, timestamp: number) => Promise<object | null> } | null,
+ *   isEnabled: () => boolean,
+ *   clock: () => number,
+ *   setState: (patch: object) => void,
+ *   onFrame: (frame: { result: object, timestamp: number, inferenceMs?: number }, source: object, capturedAt: number) => void,
+ *   onIdle: () => void,
+ *   onCameraEnded: () => void,
+ * }} options - onIdle runs on each frame skipped while tracking is off; onCameraEnded when the
+ *   camera goes away (unplugged, revoked) so the caller can restart the stream
+ * @returns {() => void} stop
+ */
+export function startTrackingStream({
+  cameraPreference,
+  traceSource = null,
+  traceLoop = false,
+  traceRealtime = true,
+  getVideo,
+  getDetector,
+  isEnabled,
+  clock,
+  setState,
+  onFrame,
+  onIdle,
+  onCameraEnded,
+}) {
+  let active = true
+  let frameInFlight = false
+  let animationId = null
+  let streamToClean = null
+
+  /**
+   * One frame in flight: results are processed whenever the backend answers.
+   * A detector resolving null (end of a trace) stops the loop and calls onEnded.
+   */
+  function startDetectLoop(getSource, getFrameDetector, onEnded) {
+    let ended = false
+    const loop = () => {
+      const source = getSource()
+      if (!active || ended || !source) return
+      if (!isEnabled()) {
+        onIdle()
+        animationId = requestAnimationFrame(loop)
+        return
+      }
+      const frameDetector = getFrameDetector()
+      if (frameDetector && (source.readyState ?? 2) >= 2 && !frameInFlight) {
+        frameInFlight = true
+        const capturedAt = clock()
+        frameDetector
+          .detect(source, capturedAt)
+          .then(
+            (frame) => {
+              if (
+                !active ||
+                !isEnabled() ||
+                getFrameDetector() !== frameDetector
+              ) {
+                return
+              }
+              if (!frame) {
+                ended = true
+                onEnded?.()
+                return
+              }
+              onFrame(frame, source, capturedAt)
+            },
+            (detectErr) => {
+              if (import.meta.env.DEV) console.error(detectErr)
+            },
+          )
+          .finally(() => {
+            frameInFlight = false
+          })
+      }
+      animationId = requestAnimationFrame(loop)
+    }
+    animationId = requestAnimationFrame(loop)
+  }
+
+  /** Replay a recorded trace instead of the camera (the trace player stands in for the model). */
+  function setupTrace() {
+    const player = createTracePlayer(traceSource, {
+      loop: traceLoop,
+      realtime: traceRealtime,
+    })
+    const video = getVideo()
+    if (video) video.srcObject = null
+    setState({
+      streamStatus: { status: 'ready', error: null },
+      cameraStatus: 'Replaying trace',
+    })
+    startDetectLoop(
+      () => player.video,
+      () => player,
+      () => setState({ cameraStatus: 'Trace finished' }),
+    )
+  }
+
+  const setup = async () => {
+    if (traceSource) {
+      setupTrace()
+      return
+    }
+    setState({ streamStatus: { status: 'loading', error: null } })
+    try {
+      let stream
+      try {
+        stream = await openCamera(cameraPreference)
+      } catch (mediaErr) {
+        if (!active) return
+        if (import.meta.env.DEV) console.error(mediaErr)
+        setState(getCameraErrorState(mediaErr))
+        return
+      }
+      const video = getVideo()
+      if (!video || !active) {
+        stream.getTracks().forEach((t) => t.stop())
+        return
+      }
+      streamToClean = stream
+      const [track] = stream.getVideoTracks()
+      /* Unplugged / revoked camera: reopen (the default device if the chosen one is gone) */
+      track?.addEventListener('ended', () => {
+        if (active) onCameraEnded()
+      })
+      video.srcObject = stream
+      await video.play()
+      if (!active) return
+      video.style.transform = 'scaleX(-1)'
+      setState({
+        activeCameraId: track?.getSettings?.().deviceId ?? null,
+        streamStatus: { status: 'ready', error: null },
+        cameraStatus: 'Head tracking active',
+      })
+      /* Labels are only available once permission has been granted */
+      listCameras().then(
+        (list) => {
+          if (active) setState({ cameras: list })
+        },
+        () => {},
+      )
+
+      startDetectLoop(getVideo, getDetector)
+    } catch (error) {
+      if (import.meta.env.DEV) console.error(error)
+      if (!active) return
+      setState({
+        streamStatus: {
+          status: 'error',
+          error: TRACKING_ERROR.NOT_SUPPORTED,
+        },
+        cameraStatus: 'Camera access failed',
+      })
+    }
+  }
+
+  setup()
+
+  return () => {
+    active = false
+    if (animationId) cancelAnimationFrame(animationId)
+    if (streamToClean) {
+      streamToClean.getTracks().forEach((t) => t.stop())
+    }
+  }
+}
+
+/**
+ * Watch for cameras being plugged in or removed.
+ * @param {(cameras: Array<{ deviceId: string, label: string }>) => void} onChange
+ * @returns {(() => void) | null} stop, null when the browser cannot report device changes
+ */
+export function watchCameraDevices(onChange) {
+  const mediaDevices = navigator.mediaDevices
+  if (!mediaDevices?.addEventListener) return null
+  const handleDeviceChange = () => {
+    listCameras(mediaDevices).then(onChange, () => {})
+  }
+  mediaDevices.addEventListener('devicechange', handleDeviceChange)
+  return () =>
+    mediaDevices.removeEventListener('devicechange', handleDeviceChange)
+}
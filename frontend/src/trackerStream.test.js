@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { TRACKING_ERROR } from './headTrackingConfig'
+import { startTrackingStream, watchCameraDevices } from './trackerStream'
+
+/** Stream options with no-op callbacks and a recording setState. */
+function streamOptions(overrides) {
+  return {
+    cameraPreference: { deviceId: null },
+    getVideo: () => null,
+    getDetector: () => null,
+    isEnabled: () => true,
+    clock: () => 0,
+    setState: vi.fn(),
+    onFrame: vi.fn(),
+    onIdle: vi.fn(),
+    onCameraEnded: vi.fn(),
+    ...overrides,
+  }
+}
+
+describe('trackerStream', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('reports a denied camera as its own error', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const denied = Object.assign(new Error('denied'), {
+      name: 'NotAllowedError',
+    })
+    vi.stubGlobal('navigator', {
+      mediaDevices: { getUserMedia: () => Promise.reject(denied) },
+    })
+    const options = streamOptions()
+    const stop = startTrackingStream(options)
+    await vi.waitFor(() =>
+      expect(options.setState).toHaveBeenLastCalledWith({
+        streamStatus: { status: 'error', error: TRACKING_ERROR.CAMERA_DENIED },
+        cameraStatus: 'Camera access denied',
+      }),
+    )
+    stop()
+  })
+
+  it('falls back to the default camera when the chosen one is gone', async () => {
+    const getUserMedia = vi.fn(({ video }) =>
+      video.deviceId
+        ? Promise.reject(
+            Object.assign(new Error('gone'), { name: 'NotFoundError' }),
+          )
+        : new Promise(() => {}),
+    )
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.stubGlobal('navigator', { mediaDevices: { getUserMedia } })
+    const stop = startTrackingStream(
+      streamOptions({ cameraPreference: { deviceId: 'usb-cam' } }),
+    )
+    await vi.waitFor(() => expect(getUserMedia).toHaveBeenCalledTimes(2))
+    expect(getUserMedia.mock.calls[1][0].video.deviceId).toBeUndefined()
+    stop()
+  })
+
+  it('cannot watch devices without devicechange events', () => {
+    vi.stubGlobal('navigator', {})
+    expect(watchCameraDevices(vi.fn())).toBeNull()
+  })
+})
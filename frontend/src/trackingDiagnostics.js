@@ -0,0 +1,291 @@
+/**
+ * Tracking diagnostics for the camera panel: inference time, capture → callback latency, nose
+ * jitter while still, face detection rate, face size and ambient brightness, plus actionable
+ * hints. Fed once per processed frame by useHeadTracking while the diagnostics view is open.
+ */
+
+/** Rolling window the averages and detection rate are computed over */
+export const DIAGNOSTICS_WINDOW_MS = 2000
+/** Consecutive nose samples used to decide "still" and measure jitter */
+export const JITTER_SAMPLES = 15
+/** How often the panel re-renders with a fresh snapshot */
+export const DIAGNOSTICS_UI_INTERVAL_MS = 500
+/** How often a downscaled video frame is read back for the brightness estimate */
+export const BRIGHTNESS_SAMPLE_INTERVAL_MS = 1000
+
+export const DIAGNOSTIC_LIMITS = {
+  /** Face width as a fraction of the frame width */
+  minFaceSize: 0.18,
+  maxFaceSize: 0.6,
+  /** Mean luma (0–255) */
+  minBrightness: 60,
+  /** Frame edges this much brighter than the centre means a light source behind the player */
+  backlitContrast: 45,
+  /** Nose std-dev (normalized frame units) while holding still */
+  maxJitter: 0.004,
+  /** Nose samples within this distance of their mean count as holding still */
+  stillRange: 0.01,
+  minDetectionRate: 0.85,
+  maxInferenceMs: 40,
+  maxLatencyMs: 80,
+}
+
+export const DIAGNOSTIC_HINTS = {
+  MOVE_CLOSER: 'Move closer to the camera',
+  MOVE_BACK: 'Move back a little',
+  TOO_DARK: 'Too dark — add light in front of you',
+  BACKLIT: 'Backlit — avoid a bright window or lamp behind you',
+  FACE_LOST: 'Face keeps dropping out — keep your whole face in frame',
+  JITTERY: 'Jittery tracking — more light or stronger smoothing helps',
+  SLOW: 'Slow tracking — try a lower camera quality',
+  WORKER_FALLBACK:
+    'Tracking runs on the main thread — the inference worker failed to start',
+}
+
+/**
+ * @typedef {{ mean: number, center: number, edge: number }} Brightness
+ * @typedef {{ inferenceMs: number | null, latencyMs: number | null, jitter: number | null, detectionRate: number | null, faceSize: number | null, brightness: Brightness | null, inferenceBackend: string | null, workerError: string | null, hints: string[] }} DiagnosticsSnapshot
+ */
+
+/**
+ * Bounding box of a face's landmarks (normalized coordinates).
+ * @param {Array<{ x: number, y: number }> | null | undefined} face
+ * @returns {{ x: number, y: number, width: number, height: number } | null}
+ */
+export function getFaceBox(face) {
+  if (!face?.length) return null
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+  for (const { x, y } of face) {
+    minX = Math.min(minX, x)
+    minY = Math.min(minY, y)
+    maxX = Math.max(maxX, x)
+    maxY = Math.max(maxY, y)
+  }
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY }
+}
+
+/**
+ * Mean luma of RGBA pixels, overall and for the centre half vs the surrounding edge.
+ * @param {Uint8ClampedArray | number[]} pixels - RGBA, row-major
+ * @param {number} width
+ * @param {number} height
+ * @returns {Brightness | null}
+ */
+export function measureBrightness(pixels, width, height) {
+  if (!width || !height || pixels.length < width * height * 4) return null
+  let total = 0
+  let centerTotal = 0
+  let centerCount = 0
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const i = (y * width + x) * 4
+      const luma =
+        0.2126 * pixels[i] + 0.7152 * pixels[i + 1] + 0.0722 * pixels[i + 2]
+      total += luma
+      const inCenter =
+        x >= width / 4 &&
+        x < (width * 3) / 4 &&
+        y >= height / 4 &&
+        y < (height * 3) / 4
+      if (inCenter) {
+        centerTotal += luma
+        centerCount += 1
+      }
+    }
+  }
+  const count = width * height
+  const edgeCount = count - centerCount
+  return {
+    mean: Math.round(total / count),
+    center: Math.round(centerCount ? centerTotal / centerCount : total / count),
+    edge: Math.round(
+      edgeCount ? (total - centerTotal) / edgeCount : total / count,
+    ),
+  }
+}
+
+/**
+ * Downscale the current video frame and measure its brightness (null if pixels are unavailable).
+ * @param {HTMLVideoElement} video
+ * @param {{ canvas?: HTMLCanvasElement }} scratch - reused between calls
+ * @returns {Brightness | null}
+ */
+export function sampleVideoBrightness(video, scratch) {
+  if (
+    typeof window === 'undefined' ||
+    !(video instanceof window.HTMLVideoElement) ||
+    !video.videoWidth
+  ) {
+    return null
+  }
+  if (!scratch.canvas) {
+    scratch.canvas = document.createElement('canvas')
+    scratch.canvas.width = 32
+    scratch.canvas.height = 24
+  }
+  const { canvas } = scratch
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  if (!ctx) return null
+  try {
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height)
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height)
+    return measureBrightness(data, canvas.width, canvas.height)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Actionable hints for a snapshot, most important first.
+ * @param {Omit<DiagnosticsSnapshot, 'hints'>} snapshot
+ * @param {typeof DIAGNOSTIC_LIMITS} [limits]
+ * @returns {string[]}
+ */
+export function getDiagnosticHints(snapshot, limits = DIAGNOSTIC_LIMITS) {
+  const hints = []
+  const {
+    brightness,
+    faceSize,
+    detectionRate,
+    jitter,
+    inferenceMs,
+    latencyMs,
+    workerError,
+  } = snapshot
+  if (brightness && brightness.mean < limits.minBrightness) {
+    hints.push(DIAGNOSTIC_HINTS.TOO_DARK)
+  }
+  if (
+    brightness &&
+    brightness.edge - brightness.center > limits.backlitContrast
+  ) {
+    hints.push(DIAGNOSTIC_HINTS.BACKLIT)
+  }
+  if (faceSize != null && faceSize < limits.minFaceSize) {
+    hints.push(DIAGNOSTIC_HINTS.MOVE_CLOSER)
+  }
+  if (faceSize != null && faceSize > limits.maxFaceSize) {
+    hints.push(DIAGNOSTIC_HINTS.MOVE_BACK)
+  }
+  if (detectionRate != null && detectionRate < limits.minDetectionRate) {
+    hints.push(DIAGNOSTIC_HINTS.FACE_LOST)
+  }
+  if (jitter != null && jitter > limits.maxJitter) {
+    hints.push(DIAGNOSTIC_HINTS.JITTERY)
+  }
+  if (
+    (inferenceMs != null && inferenceMs > limits.maxInferenceMs) ||
+    (latencyMs != null && latencyMs > limits.maxLatencyMs)
+  ) {
+    hints.push(DIAGNOSTIC_HINTS.SLOW)
+  }
+  if (workerError) hints.push(DIAGNOSTIC_HINTS.WORKER_FALLBACK)
+  return hints
+}
+
+const average = (values) =>
+  values.length
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null
+
+/**
+ * Rolling per-frame statistics.
+ * @param {{ windowMs?: number, limits?: typeof DIAGNOSTIC_LIMITS }} [options]
+ */
+export function createDiagnosticsCollector({
+  windowMs = DIAGNOSTICS_WINDOW_MS,
+  limits = DIAGNOSTIC_LIMITS,
+} = {}) {
+  let frames = []
+  let noses = []
+  let jitter = null
+  let brightness = null
+  let backend = { inferenceBackend: null, workerError: null }
+
+  /** Std-dev of the recent noses, only when they stayed within stillRange (head held still) */
+  const updateJitter = () => {
+    if (noses.length < JITTER_SAMPLES) return
+    const mean = {
+      x: average(noses.map((nose) => nose.x)),
+      y: average(noses.map((nose) => nose.y)),
+    }
+    const distances = noses.map((nose) =>
+      Math.hypot(nose.x - mean.x, nose.y - mean.y),
+    )
+    if (Math.max(...distances) > limits.stillRange) return
+    jitter = Math.sqrt(average(distances.map((d) => d * d)))
+  }
+
+  return {
+    /**
+     * @param {{ now: number, inferenceMs?: number | null, latencyMs?: number | null, face?: Array<{ x: number, y: number }> | null, nose?: { x: number, y: number } | null }} frame
+     */
+    addFrame({
+      now,
+      inferenceMs = null,
+      latencyMs = null,
+      face = null,
+      nose = null,
+    }) {
+      const box = getFaceBox(face)
+      frames.push({
+        now,
+        inferenceMs,
+        latencyMs,
+        faceDetected: box != null,
+        faceSize: box?.width ?? null,
+      })
+      frames = frames.filter((frame) => now - frame.now <= windowMs)
+      if (nose) {
+        noses.push({ x: nose.x, y: nose.y })
+        if (noses.length > JITTER_SAMPLES) noses.shift()
+        updateJitter()
+      } else {
+        noses = []
+      }
+    },
+
+    /** @param {Brightness | null} value */
+    setBrightness(value) {
+      brightness = value
+    },
+
+    /**
+     * Where inference runs (see INFERENCE_BACKENDS); workerError is why the worker was abandoned.
+     * Kept across reset(): it describes the model session, not the frames.
+     * @param {string | null} inferenceBackend
+     * @param {string | null} [workerError]
+     */
+    setInferenceBackend(inferenceBackend, workerError = null) {
+      backend = { inferenceBackend, workerError }
+    },
+
+    /** @returns {DiagnosticsSnapshot} */
+    snapshot() {
+      const pick = (key) =>
+        frames.map((frame) => frame[key]).filter((value) => value != null)
+      const snapshot = {
+        inferenceMs: average(pick('inferenceMs')),
+        latencyMs: average(pick('latencyMs')),
+        jitter,
+        detectionRate: frames.length
+          ? frames.filter((frame) => frame.faceDetected).length / frames.length
+          : null,
+        faceSize: average(pick('faceSize')),
+        brightness,
+        ...backend,
+      }
+      return { ...snapshot, hints: getDiagnosticHints(snapshot, limits) }
+    },
+
+    reset() {
+      frames = []
+      noses = []
+      jitter = null
+      brightness = null
+    },
+  }
+}
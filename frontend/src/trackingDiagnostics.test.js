@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DIAGNOSTIC_HINTS,
+  DIAGNOSTIC_LIMITS,
+  JITTER_SAMPLES,
+  createDiagnosticsCollector,
+  getDiagnosticHints,
+  getFaceBox,
+  measureBrightness,
+} from './trackingDiagnostics'
+
+/** Face whose landmarks span `size` of the frame width around (0.5, 0.5). */
+function face(size, nose = { x: 0.5, y: 0.5 }) {
+  return [{ x: 0.5 - size / 2, y: 0.4 }, nose, { x: 0.5 + size / 2, y: 0.7 }]
+}
+
+/** RGBA pixels with one luma for the centre half and another for the edges. */
+function pixels(width, height, center, edge) {
+  const data = []
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const inCenter =
+        x >= width / 4 &&
+        x < (width * 3) / 4 &&
+        y >= height / 4 &&
+        y < (height * 3) / 4
+      const value = inCenter ? center : edge
+      data.push(value, value, value, 255)
+    }
+  }
+  return data
+}
+
+const GOOD = {
+  inferenceMs: 12,
+  latencyMs: 20,
+  jitter: 0.001,
+  detectionRate: 1,
+  faceSize: 0.3,
+  brightness: { mean: 120, center: 120, edge: 120 },
+}
+
+describe('trackingDiagnostics', () => {
+  it('measures the face bounding box', () => {
+    expect(getFaceBox(face(0.3))).toEqual({
+      x: 0.35,
+      y: 0.4,
+      width: expect.closeTo(0.3),
+      height: expect.closeTo(0.3),
+    })
+    expect(getFaceBox([])).toBeNull()
+  })
+
+  it('compares centre and edge brightness', () => {
+    expect(measureBrightness(pixels(8, 8, 40, 200), 8, 8)).toEqual({
+      mean: 160,
+      center: 40,
+      edge: 200,
+    })
+    expect(measureBrightness([], 8, 8)).toBeNull()
+  })
+
+  it('gives no hints for good conditions', () => {
+    expect(getDiagnosticHints(GOOD)).toEqual([])
+  })
+
+  it('suggests fixes for dark, backlit, distant, lost, jittery and slow tracking', () => {
+    expect(
+      getDiagnosticHints({
+        ...GOOD,
+        brightness: { mean: 30, center: 30, edge: 30 },
+      }),
+    ).toEqual([DIAGNOSTIC_HINTS.TOO_DARK])
+    expect(
+      getDiagnosticHints({
+        ...GOOD,
+        brightness: { mean: 160, center: 40, edge: 200 },
+      }),
+    ).toEqual([DIAGNOSTIC_HINTS.BACKLIT])
+    expect(getDiagnosticHints({ ...GOOD, faceSize: 0.1 })).toEqual([
+      DIAGNOSTIC_HINTS.MOVE_CLOSER,
+    ])
+    expect(getDiagnosticHints({ ...GOOD, faceSize: 0.8 })).toEqual([
+      DIAGNOSTIC_HINTS.MOVE_BACK,
+    ])
+    expect(getDiagnosticHints({ ...GOOD, detectionRate: 0.5 })).toEqual([
+      DIAGNOSTIC_HINTS.FACE_LOST,
+    ])
+    expect(getDiagnosticHints({ ...GOOD, jitter: 0.01 })).toEqual([
+      DIAGNOSTIC_HINTS.JITTERY,
+    ])
+    expect(getDiagnosticHints({ ...GOOD, latencyMs: 200 })).toEqual([
+      DIAGNOSTIC_HINTS.SLOW,
+    ])
+    expect(
+      getDiagnosticHints({ ...GOOD, workerError: 'importScripts failed' }),
+    ).toEqual([DIAGNOSTIC_HINTS.WORKER_FALLBACK])
+  })
+
+  it('averages timings and detection over the rolling window', () => {
+    const collector = createDiagnosticsCollector({ windowMs: 1000 })
+    collector.addFrame({ now: 0, inferenceMs: 100, latencyMs: 100 })
+    for (let now = 1000; now < 1400; now += 100) {
+      collector.addFrame({
+        now,
+        inferenceMs: 10,
+        latencyMs: 16,
+        face: now % 200 ? null : face(0.3),
+      })
+    }
+    const snapshot = collector.snapshot()
+    expect(snapshot.inferenceMs).toBe(10)
+    expect(snapshot.latencyMs).toBe(16)
+    expect(snapshot.detectionRate).toBe(0.5)
+    expect(snapshot.faceSize).toBeCloseTo(0.3)
+    expect(snapshot.hints).toEqual([DIAGNOSTIC_HINTS.FACE_LOST])
+  })
+
+  it('measures jitter only while the head is held still', () => {
+    const collector = createDiagnosticsCollector()
+    for (let i = 0; i < JITTER_SAMPLES; i += 1) {
+      const nose = { x: 0.5 + (i % 2 ? 0.002 : -0.002), y: 0.5 }
+      collector.addFrame({ now: i * 16, face: face(0.3, nose), nose })
+    }
+    expect(collector.snapshot().jitter).toBeCloseTo(0.002, 3)
+
+    /* A deliberate turn is movement, not jitter */
+    for (let i = 0; i < JITTER_SAMPLES; i += 1) {
+      const nose = { x: 0.5 + i * 0.01, y: 0.5 }
+      collector.addFrame({ now: 1000 + i * 16, face: face(0.3, nose), nose })
+    }
+    expect(collector.snapshot().jitter).toBeLessThan(
+      DIAGNOSTIC_LIMITS.maxJitter,
+    )
+
+    collector.reset()
+    expect(collector.snapshot().jitter).toBeNull()
+  })
+
+  it('reports a worker fallback across resets', () => {
+    const collector = createDiagnosticsCollector()
+    collector.setInferenceBackend('mainThread', 'importScripts failed')
+    collector.reset()
+    expect(collector.snapshot()).toMatchObject({
+      inferenceBackend: 'mainThread',
+      workerError: 'importScripts failed',
+      hints: [DIAGNOSTIC_HINTS.WORKER_FALLBACK],
+    })
+  })
+})
@@ -1,428 +1,198 @@
-import { useCallback, useEffect, useRef, useState } from 'react'
-import { FaceLandmarker, FilesetResolver } from '@mediapipe/tasks-vision'
-import {
-  NOSE_INDEX,
-  NOSE_SMOOTHING,
-  NOSE_CENTER,
-  NOSE_THRESHOLD,
-  DIRECTION_COOLDOWN_MS,
-  UI_THROTTLE_MS,
-  HEAD_DIRECTIONS,
-  CALIBRATION_SAMPLES_TARGET,
-  getMirroredHeadDirection,
-  getNoseAngleRadians,
-  noseOffsetFromNormalized,
-  medianPoint,
-  getMouthOpenness,
-  MOUTH_OPEN_THRESHOLD,
-  MOUTH_OPEN_RESET_THRESHOLD,
-} from './headTrackingConfig'
-import { drawTrackingOverlay } from './drawTrackingOverlay'
+import { useEffect, useRef, useState } from 'react'
+import { CONTROL_MODES, PLAYER_ASSIGNMENT } from './headTrackingConfig'
+import { createHeadTracker } from './headTracker'
 
-const DEFAULT_MEDIAPIPE_WASM_URL =
-  'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/wasm'
-const DEFAULT_FACE_LANDMARKER_MODEL_URL =
-  'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/latest/face_landmarker.task'
+export { TRACKING_ERROR } from './headTracker'
 
-const MEDIAPIPE_WASM_URL =
-  import.meta.env.VITE_MEDIAPIPE_WASM_URL ?? DEFAULT_MEDIAPIPE_WASM_URL
-const FACE_LANDMARKER_MODEL =
-  import.meta.env.VITE_FACE_LANDMARKER_MODEL_URL ??
-  DEFAULT_FACE_LANDMARKER_MODEL_URL
-const BASELINE_BLEND_INTERVAL_MS = 5000
-const BASELINE_BLEND_ALPHA = 0.1
-const BASELINE_DRIFT_ENABLED = false
-
-/** Error codes for head tracking failures (UI can show specific copy and retry behavior). */
-export const TRACKING_ERROR = {
-  CAMERA_DENIED: 'cameraDenied',
-  MEDIAPIPE_LOAD: 'mediapipeLoadFailed',
-  NOT_SUPPORTED: 'notSupported',
+/**
+ * Subscribe a callback to a tracker event while it is a function. Listening is what switches
+ * the tracker's outputs on (e.g. onTurnChange selects relative steering), so an undefined
+ * callback must not subscribe.
+ */
+function useTrackerListener(tracker, event, handler) {
+  const handlerRef = useRef(handler)
+  const listening = typeof handler === 'function'
+  useEffect(() => {
+    handlerRef.current = handler
+  }, [handler])
+  useEffect(() => {
+    if (!listening) return undefined
+    return tracker.on(event, (...args) => handlerRef.current(...args))
+  }, [tracker, event, listening])
 }
 
 /**
- * @param {{ faceEnabled: boolean, onDirectionChange?: (vec: { x: number, y: number }) => void, onAngleChange?: (angleRadians: number) => void, onMouthOpen?: () => void, sensitivity?: number }} options
- * @returns {{ videoRef: React.RefObject, canvasRef: React.RefObject, cameraStatus: string, headDirection: string | null, noseOffset: { x: number, y: number }, fps: number, trackingStatus: 'idle'|'loading'|'ready'|'error', trackingError: string | null, isCalibrating: boolean, calibrationProgress: number, calibrationMessage: string, recalibrate: () => void, retry: () => void }}
+ * @typedef {object} HeadTrackingCallbacks - each subscribes to the tracker event in brackets
+ *   (see createHeadTracker) and gets the player index (0-based) last
+ * @property {(vec: { x: number, y: number }, player: number) => void} [onDirectionChange] - 'direction'
+ * @property {(angleRadians: number, player: number) => void} [onAngleChange] - 'angle'
+ * @property {(turn: number | null, player: number) => void} [onTurnChange] - 'turn': relative
+ *   steering in [-1, 1] instead of a direction or angle
+ * @property {(player: number) => void} [onMouthOpen] - 'mouthOpen'
+ * @property {(gesture: string, player: number) => void} [onGesture] - 'gesture'
+ * @property {(action: 'pinch'|'fist', player: number) => void} [onHandAction] - 'handAction'
+ * @property {(mapping: import('./rangeCalibration').RangeMapping) => void} [onRangeCalibrated]
+ * @property {(calibration: import('./profiles').SavedCalibration) => void} [onCalibrated]
+ * @property {() => void} [onFaceLost] - 'faceLost': a face-loss pause starts (see faceLossPolicy)
+ * @property {() => void} [onFaceResumed] - 'faceResumed': it ends
+ */
+
+/**
+ * @typedef {import('./headTracker').HeadTracker} HeadTracker
+ * @typedef {import('./headTracker').HeadTrackerState} HeadTrackerState
+ * @typedef {'startRangeCalibration' | 'cancelRangeCalibration' | 'recalibrate' | 'confirmNeutral' | 'retry'} CalibrationControls
+ * @typedef {'selectCamera' | 'selectOverlayMode' | 'setPrivacyMode' | 'startTraceRecording' | 'stopTraceRecording'} SessionControls
+ * @typedef {Omit<HeadTrackerState, 'hasSeenFace' | 'isConfirmingNeutral'>
+ *   & Pick<HeadTracker, CalibrationControls | SessionControls>
+ *   & { tracker: HeadTracker, videoRef: React.RefObject, canvasRef: React.RefObject }} HeadTracking
+ */
+
+/**
+ * React wrapper around createHeadTracker (see headTracker): options are the tracker settings,
+ * callbacks subscribe to its events and the returned state mirrors its snapshot (scalar state
+ * describes player 1; `diagnostics` is null unless the option is on).
+ * @param {{ faceEnabled: boolean } & Partial<import('./headTracker').HeadTrackerSettings> & HeadTrackingCallbacks} options
+ * @returns {HeadTracking}
  */
 export function useHeadTracking({
   faceEnabled,
   onDirectionChange,
   onAngleChange,
+  onTurnChange,
   onMouthOpen,
+  onGesture,
+  onHandAction,
+  gestureThresholds,
   sensitivity = 1,
+  controlMode = CONTROL_MODES.NOSE,
+  smoothing,
+  players = 1,
+  playerAssignment = PLAYER_ASSIGNMENT.NEAREST,
+  rangeMapping = null,
+  onRangeCalibrated,
+  savedCalibration = null,
+  onCalibrated,
+  faceLossPolicy = false,
+  onFaceLost,
+  onFaceResumed,
+  traceSource = null,
+  traceLoop = false,
+  traceRealtime = true,
+  diagnostics = false,
+  directionOptions,
 }) {
-  const [trackingStatus, setTrackingStatus] = useState('loading')
-  const [trackingError, setTrackingError] = useState(/** @type {string | null} */ (null))
-  const [cameraStatus, setCameraStatus] = useState('Initializing camera…')
-  const [headDirection, setHeadDirection] = useState(null)
-  const [noseOffset, setNoseOffset] = useState({ x: 0, y: 0 })
-  const [fps, setFps] = useState(0)
-  const [retryKey, setRetryKey] = useState(0)
-  const [isCalibrating, setIsCalibrating] = useState(false)
-  const [calibrationProgress, setCalibrationProgress] = useState(0)
-  const [hasSeenFaceThisCalibration, setHasSeenFaceThisCalibration] =
-    useState(false)
-
+  const [tracker] = useState(() =>
+    createHeadTracker({
+      faceEnabled,
+      gestureThresholds,
+      sensitivity,
+      controlMode,
+      smoothing,
+      players,
+      playerAssignment,
+      rangeMapping,
+      savedCalibration,
+      faceLossPolicy,
+      traceSource,
+      traceLoop,
+      traceRealtime,
+      diagnostics,
+      directionOptions,
+    }),
+  )
+  const [state, setState] = useState(tracker.getState)
   const videoRef = useRef(null)
   const canvasRef = useRef(null)
-  const smoothedNoseRef = useRef(null)
-  const faceEnabledRef = useRef(faceEnabled)
-  const lastDirectionRef = useRef(0)
-  const baselineNoseRef = useRef(null)
-  const lastBaselineBlendRef = useRef(0)
-  const fpsLastRef = useRef(0)
-  const fpsCountRef = useRef(0)
-  const lastUIThrottleRef = useRef(0)
-  const onDirectionChangeRef = useRef(onDirectionChange)
-  const onAngleChangeRef = useRef(onAngleChange)
-  const onMouthOpenRef = useRef(onMouthOpen)
-  const isCalibratingRef = useRef(false)
-  const calibrationSamplesRef = useRef([])
-  const mouthOpennessPrevRef = useRef(0)
-  const mouthOpenCanTriggerRef = useRef(true)
-
-  useEffect(() => {
-    onDirectionChangeRef.current = onDirectionChange
-  }, [onDirectionChange])
-  useEffect(() => {
-    onAngleChangeRef.current = onAngleChange
-  }, [onAngleChange])
-  useEffect(() => {
-    onMouthOpenRef.current = onMouthOpen
-  }, [onMouthOpen])
-  useEffect(() => {
-    faceEnabledRef.current = faceEnabled
-  }, [faceEnabled])
-
-  const clearOverlay = useCallback(() => {
-    const canvas = canvasRef.current
-    if (!canvas) return
-    const ctx = canvas.getContext('2d')
-    if (!ctx) return
-    ctx.clearRect(0, 0, canvas.width, canvas.height)
-  }, [])
-
-  const recalibrate = useCallback(() => {
-    baselineNoseRef.current = null
-    lastBaselineBlendRef.current = 0
-    smoothedNoseRef.current = null
-    calibrationSamplesRef.current = []
-    isCalibratingRef.current = true
-    setNoseOffset({ x: 0, y: 0 })
-    setHeadDirection(null)
-    setIsCalibrating(true)
-    setCalibrationProgress(0)
-    setHasSeenFaceThisCalibration(false)
-  }, [])
 
-  const retry = useCallback(() => {
-    setTrackingStatus('loading')
-    setTrackingError(null)
-    setCameraStatus('Initializing camera…')
-    setRetryKey((k) => k + 1)
-  }, [])
+  useEffect(() => tracker.on('change', setState), [tracker])
+  useTrackerListener(tracker, 'direction', onDirectionChange)
+  useTrackerListener(tracker, 'angle', onAngleChange)
+  useTrackerListener(tracker, 'turn', onTurnChange)
+  useTrackerListener(tracker, 'mouthOpen', onMouthOpen)
+  useTrackerListener(tracker, 'gesture', onGesture)
+  useTrackerListener(tracker, 'handAction', onHandAction)
+  useTrackerListener(tracker, 'rangeCalibrated', onRangeCalibrated)
+  useTrackerListener(tracker, 'calibrated', onCalibrated)
+  useTrackerListener(tracker, 'faceLost', onFaceLost)
+  useTrackerListener(tracker, 'faceResumed', onFaceResumed)
 
   useEffect(() => {
-    let active = true
-    let landmarker = null
-    let animationId = null
-    let streamToClean = null
-
-    function smoothPoint(point) {
-      const prev = smoothedNoseRef.current
-      if (!prev) {
-        smoothedNoseRef.current = { x: point.x, y: point.y }
-        return smoothedNoseRef.current
-      }
-      const next = {
-        x: prev.x + (point.x - prev.x) * NOSE_SMOOTHING,
-        y: prev.y + (point.y - prev.y) * NOSE_SMOOTHING,
-      }
-      smoothedNoseRef.current = next
-      return next
-    }
-
-    const setup = async () => {
-      setTrackingStatus('loading')
-      setTrackingError(null)
-      try {
-        let vision
-        try {
-          vision = await FilesetResolver.forVisionTasks(MEDIAPIPE_WASM_URL)
-          landmarker = await FaceLandmarker.createFromOptions(vision, {
-            baseOptions: { modelAssetPath: FACE_LANDMARKER_MODEL },
-            runningMode: 'VIDEO',
-            numFaces: 1,
-          })
-        } catch (loadErr) {
-          if (import.meta.env.DEV) console.error(loadErr)
-          setTrackingError(TRACKING_ERROR.MEDIAPIPE_LOAD)
-          setTrackingStatus('error')
-          setCameraStatus('Failed to load face model')
-          return
-        }
-
-        let stream
-        try {
-          stream = await navigator.mediaDevices.getUserMedia({
-            video: { width: 640, height: 480 },
-          })
-        } catch (mediaErr) {
-          if (import.meta.env.DEV) console.error(mediaErr)
-          const name = mediaErr?.name ?? ''
-          const isPermission = name === 'PermissionDeniedError' || name === 'NotAllowedError'
-          const isNotFound = name === 'NotFoundError'
-          if (isPermission) {
-            setTrackingError(TRACKING_ERROR.CAMERA_DENIED)
-            setCameraStatus('Camera access denied')
-          } else if (isNotFound) {
-            setTrackingError(TRACKING_ERROR.NOT_SUPPORTED)
-            setCameraStatus('No camera found')
-          } else {
-            setTrackingError(TRACKING_ERROR.NOT_SUPPORTED)
-            setCameraStatus('Camera not available (try HTTPS)')
-          }
-          setTrackingStatus('error')
-          return
-        }
-        if (!videoRef.current || !active) {
-          stream.getTracks().forEach((t) => t.stop())
-          return
-        }
-        streamToClean = stream
-        videoRef.current.srcObject = stream
-        await videoRef.current.play()
-        videoRef.current.style.transform = 'scaleX(-1)'
-        setTrackingStatus('ready')
-        setCameraStatus('Head tracking active')
-
-        const loop = () => {
-          if (!active || !videoRef.current) return
-          if (!faceEnabledRef.current) {
-            clearOverlay()
-            animationId = requestAnimationFrame(loop)
-            return
-          }
-          if (videoRef.current.readyState >= 2 && landmarker) {
-            const canvas = canvasRef.current
-            if (
-              canvas &&
-              videoRef.current.videoWidth &&
-              videoRef.current.videoHeight
-            ) {
-              canvas.width = videoRef.current.videoWidth
-              canvas.height = videoRef.current.videoHeight
-            }
-            const result = landmarker.detectForVideo(
-              videoRef.current,
-              performance.now(),
-            )
-            if (result.faceLandmarks && result.faceLandmarks.length) {
-              const face = result.faceLandmarks[0]
-              const nose = face[NOSE_INDEX]
-              const now = performance.now()
-
-              if (isCalibratingRef.current) {
-                setHasSeenFaceThisCalibration(true)
-                calibrationSamplesRef.current.push({ x: nose.x, y: nose.y })
-                const progress =
-                  calibrationSamplesRef.current.length /
-                  CALIBRATION_SAMPLES_TARGET
-                setCalibrationProgress(Math.min(1, progress))
-                if (
-                  calibrationSamplesRef.current.length >=
-                  CALIBRATION_SAMPLES_TARGET
-                ) {
-                  const baseline = medianPoint(calibrationSamplesRef.current)
-                  baselineNoseRef.current = baseline
-                  lastBaselineBlendRef.current = now
-                  calibrationSamplesRef.current = []
-                  isCalibratingRef.current = false
-                  setIsCalibrating(false)
-                  setCalibrationProgress(0)
-                  smoothedNoseRef.current = null
-                }
-                animationId = requestAnimationFrame(loop)
-                return
-              }
-
-              if (!baselineNoseRef.current) {
-                if (canvas) {
-                  const ctx = canvas.getContext('2d')
-                  if (ctx) clearOverlay()
-                }
-                animationId = requestAnimationFrame(loop)
-                return
-              }
-
-              if (
-                BASELINE_DRIFT_ENABLED &&
-                now - lastBaselineBlendRef.current >=
-                  BASELINE_BLEND_INTERVAL_MS
-              ) {
-                lastBaselineBlendRef.current = now
-                const b = baselineNoseRef.current
-                baselineNoseRef.current = {
-                  x:
-                    b.x * (1 - BASELINE_BLEND_ALPHA) +
-                    nose.x * BASELINE_BLEND_ALPHA,
-                  y:
-                    b.y * (1 - BASELINE_BLEND_ALPHA) +
-                    nose.y * BASELINE_BLEND_ALPHA,
-                }
-              }
-              const calibrated = {
-                x: nose.x - baselineNoseRef.current.x + NOSE_CENTER,
-                y: nose.y - baselineNoseRef.current.y + NOSE_CENTER,
-              }
-              const smoothNose = smoothPoint(calibrated)
-              const threshold = NOSE_THRESHOLD / Math.max(0.25, sensitivity)
-              const useAngleMode = typeof onAngleChangeRef.current === 'function'
-              const mirrored = useAngleMode
-                ? null
-                : getMirroredHeadDirection(smoothNose, threshold)
-              const noseAngle =
-                useAngleMode
-                  ? getNoseAngleRadians(smoothNose, true, threshold)
-                  : null
-              if (now - lastUIThrottleRef.current >= UI_THROTTLE_MS) {
-                lastUIThrottleRef.current = now
-                setHeadDirection(mirrored)
-                setNoseOffset(noseOffsetFromNormalized(smoothNose))
-                setCameraStatus('Face detected')
-              }
-              if (canvas) {
-                const ctx = canvas.getContext('2d')
-                if (ctx) {
-                  const displayW = canvas.clientWidth || canvas.width
-                  const displayH = canvas.clientHeight || canvas.height
-                  drawTrackingOverlay(ctx, canvas.width, canvas.height, {
-                    nose: smoothNose,
-                    direction: mirrored,
-                    angle: noseAngle,
-                    faceLandmarks: face,
-                    mirror: true,
-                    displayWidth: displayW,
-                    displayHeight: displayH,
-                  })
-                }
-              }
-              if (typeof onMouthOpenRef.current === 'function') {
-                const openness = getMouthOpenness(face)
-                const prev = mouthOpennessPrevRef.current
-                mouthOpennessPrevRef.current = openness
-                if (openness < MOUTH_OPEN_RESET_THRESHOLD) {
-                  mouthOpenCanTriggerRef.current = true
-                }
-                if (
-                  mouthOpenCanTriggerRef.current &&
-                  openness >= MOUTH_OPEN_THRESHOLD &&
-                  prev < MOUTH_OPEN_THRESHOLD
-                ) {
-                  mouthOpenCanTriggerRef.current = false
-                  onMouthOpenRef.current()
-                }
-              }
-              if (useAngleMode && noseAngle != null) {
-                if (now - lastDirectionRef.current > DIRECTION_COOLDOWN_MS) {
-                  lastDirectionRef.current = now
-                  onAngleChangeRef.current(noseAngle)
-                }
-              } else if (mirrored) {
-                const next = HEAD_DIRECTIONS[mirrored]
-                if (now - lastDirectionRef.current > DIRECTION_COOLDOWN_MS) {
-                  lastDirectionRef.current = now
-                  onDirectionChangeRef.current?.(next)
-                }
-              }
-            } else {
-              const now = performance.now()
-              if (now - lastUIThrottleRef.current >= UI_THROTTLE_MS) {
-                lastUIThrottleRef.current = now
-                setHeadDirection(null)
-                setNoseOffset({ x: 0, y: 0 })
-                setCameraStatus('No face detected')
-              }
-              if (!isCalibratingRef.current) {
-                baselineNoseRef.current = null
-              }
-              clearOverlay()
-            }
-          }
-          fpsCountRef.current += 1
-          const now = performance.now()
-          if (now - fpsLastRef.current >= 500) {
-            setFps(
-              Math.round(
-                (fpsCountRef.current * 1000) / (now - fpsLastRef.current),
-              ),
-            )
-            fpsCountRef.current = 0
-            fpsLastRef.current = now
-          }
-          animationId = requestAnimationFrame(loop)
-        }
-
-        animationId = requestAnimationFrame(loop)
-      } catch (error) {
-        if (import.meta.env.DEV) console.error(error)
-        if (!active) return
-        setTrackingError(TRACKING_ERROR.NOT_SUPPORTED)
-        setTrackingStatus('error')
-        setCameraStatus('Camera access failed')
-      }
-    }
-
-    setup()
-
-    return () => {
-      active = false
-      if (animationId) cancelAnimationFrame(animationId)
-      clearOverlay()
-      setHeadDirection(null)
-      setNoseOffset({ x: 0, y: 0 })
-      smoothedNoseRef.current = null
-      if (streamToClean) {
-        streamToClean.getTracks().forEach((t) => t.stop())
-      }
-    }
-  }, [clearOverlay, retryKey])
+    tracker.configure({
+      faceEnabled,
+      gestureThresholds,
+      sensitivity,
+      controlMode,
+      smoothing,
+      players,
+      playerAssignment,
+      rangeMapping,
+      savedCalibration,
+      faceLossPolicy,
+      traceSource,
+      traceLoop,
+      traceRealtime,
+      diagnostics,
+      directionOptions,
+    })
+  }, [
+    tracker,
+    faceEnabled,
+    gestureThresholds,
+    sensitivity,
+    controlMode,
+    smoothing,
+    players,
+    playerAssignment,
+    rangeMapping,
+    savedCalibration,
+    faceLossPolicy,
+    traceSource,
+    traceLoop,
+    traceRealtime,
+    diagnostics,
+    directionOptions,
+  ])
 
   useEffect(() => {
-    /* Sync UI status and clear tracking state when face toggle is turned off */
-    // eslint-disable-next-line react-hooks/set-state-in-effect -- intentional sync of faceEnabled to status/refs
-    setCameraStatus(faceEnabled ? 'Head tracking active' : 'Face tracking off')
-    if (!faceEnabled) {
-      setHeadDirection(null)
-      setNoseOffset({ x: 0, y: 0 })
-      clearOverlay()
-      baselineNoseRef.current = null
-      isCalibratingRef.current = false
-      calibrationSamplesRef.current = []
-      setIsCalibrating(false)
-      setCalibrationProgress(0)
-    }
-  }, [faceEnabled, clearOverlay])
-
-  const calibrationMessage = isCalibrating
-    ? hasSeenFaceThisCalibration
-      ? 'Look at the camera, hold still…'
-      : 'Position your face in frame, then hold still…'
-    : ''
+    tracker.start({ video: videoRef.current, canvas: canvasRef.current })
+    return () => tracker.stop()
+  }, [tracker])
 
   return {
+    tracker,
     videoRef,
     canvasRef,
-    cameraStatus,
-    headDirection,
-    noseOffset,
-    fps,
-    trackingStatus,
-    trackingError,
-    isCalibrating,
-    calibrationProgress,
-    calibrationMessage,
-    recalibrate,
-    retry,
+    cameraStatus: state.cameraStatus,
+    headDirection: state.headDirection,
+    noseOffset: state.noseOffset,
+    headPose: state.headPose,
+    players: state.players,
+    fps: state.fps,
+    trackingStatus: state.trackingStatus,
+    trackingError: state.trackingError,
+    isCalibrating: state.isCalibrating,
+    calibrationProgress: state.calibrationProgress,
+    calibrationMessage: state.calibrationMessage,
+    faceLoss: state.faceLoss,
+    rangeCalibration: state.rangeCalibration,
+    startRangeCalibration: tracker.startRangeCalibration,
+    cancelRangeCalibration: tracker.cancelRangeCalibration,
+    recalibrate: tracker.recalibrate,
+    confirmNeutral: tracker.confirmNeutral,
+    retry: tracker.retry,
+    cameras: state.cameras,
+    cameraPreference: state.cameraPreference,
+    activeCameraId: state.activeCameraId,
+    selectCamera: tracker.selectCamera,
+    overlayMode: state.overlayMode,
+    selectOverlayMode: tracker.selectOverlayMode,
+    privacyMode: state.privacyMode,
+    setPrivacyMode: tracker.setPrivacyMode,
+    diagnostics: diagnostics ? state.diagnostics : null,
+    inferenceBackend: state.inferenceBackend,
+    workerError: state.workerError,
+    isRecordingTrace: state.isRecordingTrace,
+    startTraceRecording: tracker.startTraceRecording,
+    stopTraceRecording: tracker.stopTraceRecording,
   }
 }
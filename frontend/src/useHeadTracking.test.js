@@ -0,0 +1,254 @@
+import { describe, it, expect, vi } from 'vitest'
+import { act, renderHook, waitFor } from '@testing-library/react'
+import { useHeadTracking } from './useHeadTracking'
+import { CALIBRATION_SAMPLES_TARGET, NOSE_INDEX } from './headTrackingConfig'
+import { parseTrace } from './landmarkTrace'
+import { HAND_LANDMARKS } from './handGestures'
+import { GAZE_EYES } from './gazeTracking'
+
+const LANDMARK_COUNT = 478
+/** Replay is paced by requestAnimationFrame (~60 fps under jsdom) */
+const REPLAY_TIMEOUT_MS = 5000
+
+/** One frame of a synthetic trace: a flat face with the nose at (x, y). */
+function frame(t, nose, jawOpen = 0) {
+  const face = Array.from({ length: LANDMARK_COUNT }, () => ({
+    x: 0.5,
+    y: 0.5,
+    z: 0,
+  }))
+  face[NOSE_INDEX] = { ...nose, z: 0 }
+  return {
+    t,
+    result: {
+      faceLandmarks: [face],
+      faceBlendshapes: [
+        { categories: [{ categoryName: 'jawOpen', score: jawOpen }] },
+      ],
+      facialTransformationMatrixes: [],
+    },
+  }
+}
+
+/** Hold still long enough to calibrate, then turn the head (nose moves left in the image). */
+function turnTrace() {
+  const frames = []
+  let t = 0
+  for (let i = 0; i < CALIBRATION_SAMPLES_TARGET + 5; i += 1, t += 16) {
+    frames.push(frame(t, { x: 0.5, y: 0.5 }))
+  }
+  for (let i = 0; i < 30; i += 1, t += 16) {
+    frames.push(frame(t, { x: 0.35, y: 0.5 }))
+  }
+  return parseTrace(JSON.stringify({ frames }))
+}
+
+/** A still head with both irises shifted by `irisX` eye widths (negative: image left). */
+function gazeFrame(t, irisX) {
+  const entry = frame(t, { x: 0.5, y: 0.5 })
+  const face = entry.result.faceLandmarks[0]
+  GAZE_EYES.forEach((eye, i) => {
+    const cx = i ? 0.6 : 0.4
+    face[eye.left] = { x: cx - 0.05, y: 0.4, z: 0 }
+    face[eye.right] = { x: cx + 0.05, y: 0.4, z: 0 }
+    face[eye.iris] = { x: cx + irisX * 0.1, y: 0.4, z: 0 }
+  })
+  return entry
+}
+
+/** One hand-mode frame: an open hand (or a pinch) with the index fingertip at (x, y). */
+function handFrame(t, tip, pinch = false) {
+  const dx = tip.x - 0.5
+  const dy = tip.y - 0.4
+  const hand = Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.7, z: 0 }))
+  const set = (index, x, y) => {
+    hand[index] = { x: x + dx, y: y + dy, z: 0 }
+  }
+  set(HAND_LANDMARKS.WRIST, 0.5, 0.8)
+  set(HAND_LANDMARKS.MIDDLE_MCP, 0.5, 0.6)
+  set(HAND_LANDMARKS.INDEX_TIP, 0.5, 0.4)
+  set(HAND_LANDMARKS.THUMB_TIP, pinch ? 0.51 : 0.32, pinch ? 0.42 : 0.6)
+  set(HAND_LANDMARKS.MIDDLE_TIP, 0.55, 0.38)
+  set(HAND_LANDMARKS.RING_TIP, 0.6, 0.4)
+  set(HAND_LANDMARKS.PINKY_TIP, 0.65, 0.45)
+  return { t, result: { handLandmarks: [hand], handedness: [] } }
+}
+
+describe('useHeadTracking trace replay', () => {
+  it('calibrates and steers from a recorded trace without a camera', async () => {
+    const onDirectionChange = vi.fn()
+    const trace = turnTrace()
+    const { result } = renderHook(() =>
+      useHeadTracking({
+        faceEnabled: true,
+        onDirectionChange,
+        traceSource: trace,
+        traceRealtime: false,
+        faceLossPolicy: false,
+      }),
+    )
+    act(() => result.current.recalibrate())
+
+    await waitFor(
+      () => expect(result.current.cameraStatus).toBe('Trace finished'),
+      { timeout: REPLAY_TIMEOUT_MS },
+    )
+    expect(result.current.trackingStatus).toBe('ready')
+    expect(result.current.isCalibrating).toBe(false)
+    expect(onDirectionChange).toHaveBeenCalled()
+    const [vec, player] = onDirectionChange.mock.calls.at(-1)
+    expect(vec.x).toBeGreaterThan(0)
+    expect(player).toBe(0)
+  })
+
+  it('reports proportional turns and releases them when the face is lost', async () => {
+    const onTurnChange = vi.fn()
+    const onAngleChange = vi.fn()
+    const trace = turnTrace()
+    const lastT = trace.frames.at(-1).t
+    trace.frames.push(
+      ...[1, 2, 3].map((i) => ({
+        t: lastT + i * 16,
+        result: { faceLandmarks: [] },
+      })),
+    )
+    const { result } = renderHook(() =>
+      useHeadTracking({
+        faceEnabled: true,
+        onTurnChange,
+        onAngleChange,
+        traceSource: trace,
+        traceRealtime: false,
+      }),
+    )
+    act(() => result.current.recalibrate())
+
+    await waitFor(
+      () => expect(result.current.cameraStatus).toBe('Trace finished'),
+      { timeout: REPLAY_TIMEOUT_MS },
+    )
+    const turns = onTurnChange.mock.calls.map(([turn]) => turn)
+    /* Nose left in the mirrored image: a full-rate turn to the right */
+    expect(Math.max(...turns)).toBeCloseTo(1)
+    /* Face gone: the turn is released, not held */
+    expect(turns.at(-1)).toBeNull()
+    expect(onAngleChange).not.toHaveBeenCalled()
+  })
+
+  it('steers with the eyes alone in gaze mode', async () => {
+    const onDirectionChange = vi.fn()
+    const frames = []
+    let t = 0
+    for (let i = 0; i < CALIBRATION_SAMPLES_TARGET + 5; i += 1, t += 16) {
+      frames.push(gazeFrame(t, 0))
+    }
+    for (let i = 0; i < 30; i += 1, t += 16) frames.push(gazeFrame(t, -0.15))
+    const trace = parseTrace(JSON.stringify({ frames }))
+    const { result } = renderHook(() =>
+      useHeadTracking({
+        faceEnabled: true,
+        onDirectionChange,
+        controlMode: 'gaze',
+        traceSource: trace,
+        traceRealtime: false,
+        faceLossPolicy: false,
+      }),
+    )
+    act(() => result.current.recalibrate())
+
+    await waitFor(
+      () => expect(result.current.cameraStatus).toBe('Trace finished'),
+      { timeout: REPLAY_TIMEOUT_MS },
+    )
+    /* The nose never moved: only the irises (image left, mirrored to the right) steer */
+    const [vec] = onDirectionChange.mock.calls.at(-1)
+    expect(vec.x).toBeGreaterThan(0)
+  })
+
+  it('reports diagnostics only while they are enabled', async () => {
+    const trace = turnTrace()
+    const { result, rerender } = renderHook(
+      ({ diagnostics }) =>
+        useHeadTracking({
+          faceEnabled: true,
+          traceSource: trace,
+          traceRealtime: false,
+          diagnostics,
+        }),
+      { initialProps: { diagnostics: true } },
+    )
+    await waitFor(() => expect(result.current.diagnostics).not.toBeNull(), {
+      timeout: REPLAY_TIMEOUT_MS,
+    })
+    expect(result.current.diagnostics.detectionRate).toBe(1)
+    expect(result.current.diagnostics.inferenceMs).toBe(0)
+    expect(result.current.diagnostics.brightness).toBeNull()
+    rerender({ diagnostics: false })
+    expect(result.current.diagnostics).toBeNull()
+  })
+
+  it('records the replayed results into a trace', async () => {
+    const trace = turnTrace()
+    const { result } = renderHook(() =>
+      useHeadTracking({
+        faceEnabled: true,
+        traceSource: trace,
+        traceRealtime: false,
+      }),
+    )
+    act(() => result.current.startTraceRecording())
+    expect(result.current.isRecordingTrace).toBe(true)
+
+    await waitFor(
+      () => expect(result.current.cameraStatus).toBe('Trace finished'),
+      { timeout: REPLAY_TIMEOUT_MS },
+    )
+    let recorder
+    act(() => {
+      recorder = result.current.stopTraceRecording()
+    })
+    expect(result.current.isRecordingTrace).toBe(false)
+    const recorded = parseTrace(recorder.toNdjson())
+    expect(recorded.frames).toHaveLength(trace.frames.length)
+    expect(recorded.frames.at(-1).result.faceLandmarks[0][NOSE_INDEX].x).toBe(
+      0.35,
+    )
+  })
+
+  it('steers with the index fingertip and pinches for the action in hand mode', async () => {
+    const onDirectionChange = vi.fn()
+    const onHandAction = vi.fn()
+    const frames = []
+    let t = 0
+    for (let i = 0; i < CALIBRATION_SAMPLES_TARGET + 5; i += 1, t += 16) {
+      frames.push(handFrame(t, { x: 0.5, y: 0.4 }))
+    }
+    for (let i = 0; i < 20; i += 1, t += 16) {
+      frames.push(handFrame(t, { x: 0.35, y: 0.4 }))
+    }
+    for (let i = 0; i < 5; i += 1, t += 16) {
+      frames.push(handFrame(t, { x: 0.35, y: 0.4 }, true))
+    }
+    const trace = parseTrace(JSON.stringify({ frames }))
+    const { result } = renderHook(() =>
+      useHeadTracking({
+        faceEnabled: true,
+        controlMode: 'hand',
+        onDirectionChange,
+        onHandAction,
+        traceSource: trace,
+        traceRealtime: false,
+      }),
+    )
+    act(() => result.current.recalibrate())
+
+    await waitFor(
+      () => expect(result.current.cameraStatus).toBe('Trace finished'),
+      { timeout: REPLAY_TIMEOUT_MS },
+    )
+    expect(result.current.isCalibrating).toBe(false)
+    expect(onDirectionChange.mock.calls.at(-1)[0].x).toBeGreaterThan(0)
+    expect(onHandAction).toHaveBeenCalledTimes(1)
+    expect(onHandAction).toHaveBeenCalledWith('pinch', 0)
+  })
+})
@@ -0,0 +1,42 @@
+/**
+ * Classic-script loading for module workers. MediaPipe loads its wasm glue with importScripts(),
+ * which throws in a module worker (the landmarker worker is one, so it can import ES modules).
+ * preloadScript() fetches a script's source up front; the importScripts installed by
+ * installScriptLoader() then evaluates preloaded scripts at global scope instead.
+ */
+
+/**
+ * Replace `scope.importScripts` with one that runs preloaded scripts itself.
+ * @param {{ fetch: typeof fetch, importScripts?: (...urls: string[]) => void }} scope - the worker global
+ * @param {(source: string) => void} [evaluate] - runs a script at global scope
+ * @returns {{ preloadScript: (url: string | URL) => Promise<void> }}
+ */
+export function installScriptLoader(
+  scope,
+  evaluate = (source) => (0, eval)(source),
+) {
+  const sources = new Map()
+  const nativeImportScripts = scope.importScripts?.bind(scope)
+
+  /* Evaluated on every call: MediaPipe clears the globals a loader defines once it has used them */
+  scope.importScripts = (...urls) => {
+    for (const url of urls.map(String)) {
+      if (sources.has(url)) evaluate(sources.get(url))
+      else if (nativeImportScripts) nativeImportScripts(url)
+      else throw new Error(`importScripts is unavailable for ${url}`)
+    }
+  }
+
+  return {
+    /** Fetch a classic script's source so importScripts() can run it synchronously later. */
+    async preloadScript(url) {
+      const key = String(url)
+      if (sources.has(key)) return
+      const response = await scope.fetch(key)
+      if (!response.ok) {
+        throw new Error(`Failed to load ${key} (${response.status})`)
+      }
+      sources.set(key, await response.text())
+    },
+  }
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect, vi } from 'vitest'
+import { installScriptLoader } from './workerScripts'
+
+/** Module worker global: importScripts() throws, fetch() serves `scripts` by URL. */
+function moduleWorkerScope(scripts) {
+  return {
+    importScripts: vi.fn(() => {
+      throw new TypeError("Module scripts don't support importScripts()")
+    }),
+    fetch: vi.fn(async (url) =>
+      url in scripts
+        ? { ok: true, text: async () => scripts[url] }
+        : { ok: false, status: 404 },
+    ),
+  }
+}
+
+describe('installScriptLoader', () => {
+  it('runs preloaded scripts from importScripts on every call', async () => {
+    const scope = moduleWorkerScope({ '/wasm/loader.js': 'loader source' })
+    const evaluate = vi.fn()
+    const { preloadScript } = installScriptLoader(scope, evaluate)
+
+    await preloadScript('/wasm/loader.js')
+    await preloadScript('/wasm/loader.js')
+    expect(scope.fetch).toHaveBeenCalledTimes(1)
+
+    scope.importScripts('/wasm/loader.js')
+    scope.importScripts('/wasm/loader.js')
+    expect(evaluate).toHaveBeenCalledTimes(2)
+    expect(evaluate).toHaveBeenCalledWith('loader source')
+  })
+
+  it('leaves other scripts to the native importScripts', async () => {
+    const scope = moduleWorkerScope({})
+    const native = scope.importScripts
+    installScriptLoader(scope, vi.fn())
+    expect(() => scope.importScripts('/other.js')).toThrow(TypeError)
+    expect(native).toHaveBeenCalledWith('/other.js')
+  })
+
+  it('rejects a script that fails to load', async () => {
+    const { preloadScript } = installScriptLoader(
+      moduleWorkerScope({}),
+      vi.fn(),
+    )
+    await expect(preloadScript('/missing.js')).rejects.toThrow(/404/)
+  })
+
+  it('evaluates at global scope by default', async () => {
+    const scope = moduleWorkerScope({
+      '/define.js': 'var workerScriptsTestGlobal = 42',
+    })
+    const { preloadScript } = installScriptLoader(scope)
+    await preloadScript('/define.js')
+    scope.importScripts('/define.js')
+    expect(globalThis.workerScriptsTestGlobal).toBe(42)
+    delete globalThis.workerScriptsTestGlobal
+  })
+})
@@ -1,8 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { offlineAssets } from './plugins/offlineAssets.js'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), offlineAssets()],
   test: {
     environment: 'jsdom',
     include: ['src/**/*.test.js'],